@@ -0,0 +1,81 @@
+// cli/client.js - Talks to a Gerudo server's /api/v1 with an API key
+//
+// Uses the fetch built into Node. Failed requests throw an ApiError
+// carrying the server's message, so commands can print it as is.
+
+class ApiError extends Error {
+  constructor(status, message, body) {
+    super(message);
+    this.status = status;
+    this.body = body;
+  }
+}
+
+// Encode each segment of a site path, keeping the slashes
+function encodePath(path) {
+  return path.split('/').map(encodeURIComponent).join('/');
+}
+
+function createClient({ url, token }) {
+  const base = String(url).replace(/\/+$/, '') + '/api/v1';
+
+  async function request(method, endpoint, { body, headers = {} } = {}) {
+    let response;
+    try {
+      response = await fetch(base + endpoint, {
+        method,
+        body,
+        headers: { Authorization: `Bearer ${token}`, ...headers },
+      });
+    } catch (err) {
+      throw new ApiError(0, `Can't reach ${url}: ${(err.cause && err.cause.message) || err.message}`);
+    }
+
+    if (response.ok) return response;
+
+    let data = null;
+    try {
+      data = await response.json();
+    } catch (err) {
+      // Not one of ours: a proxy error page or similar
+    }
+    const message = data && data.error ? data.error.message : `${response.status} ${response.statusText}`;
+    throw new ApiError(response.status, message, data);
+  }
+
+  async function json(method, endpoint, body) {
+    const response = await request(method, endpoint, body === undefined ? {} : {
+      body: JSON.stringify(body),
+      headers: { 'Content-Type': 'application/json' },
+    });
+    return response.status === 204 ? null : response.json();
+  }
+
+  return {
+    info: () => json('GET', '/info'),
+
+    listSites: async () => (await json('GET', '/sites')).sites,
+
+    // { draft, files: [{ path, size, content_hash, ... }] }
+    listFiles: (slug) => json('GET', `/sites/${encodeURIComponent(slug)}/files`),
+
+    async downloadFile(slug, path) {
+      const response = await request('GET', `/sites/${encodeURIComponent(slug)}/files/${encodePath(path)}`);
+      return Buffer.from(await response.arrayBuffer());
+    },
+
+    // files: [{ path, content }]. Returns the per-file results.
+    async uploadFiles(slug, files) {
+      const form = new FormData();
+      for (const file of files) {
+        form.append('files', new Blob([file.content]), file.path);
+      }
+      const response = await request('POST', `/sites/${encodeURIComponent(slug)}/files`, { body: form });
+      return (await response.json()).results;
+    },
+
+    deleteFile: (slug, path) => json('DELETE', `/sites/${encodeURIComponent(slug)}/files/${encodePath(path)}`),
+  };
+}
+
+module.exports = { createClient, ApiError };
@@ -0,0 +1,285 @@
+// cli/commands.js - What each `gerudo <command>` does
+//
+// Every command takes the parsed options and resolves when it's done;
+// anything thrown is printed by bin/gerudo. Push and pull compare SHA-256
+// content hashes with the server's, so unchanged files never move.
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const readline = require('readline/promises');
+const { createClient } = require('./client');
+const { loadConfig, saveConfig, configFile } = require('./config');
+const { loadIgnore } = require('./ignore');
+
+// Same rule the server applies to file paths
+const PATH_PATTERN = /^[a-zA-Z0-9._/-]+$/;
+
+// Keep each upload request well inside the server's limits
+const BATCH_FILES = 100;
+const BATCH_BYTES = 4 * 1024 * 1024;
+
+class UsageError extends Error {}
+
+// ============================================================
+// HELPERS
+// ============================================================
+function connect() {
+  const config = loadConfig();
+  if (!config.url || !config.token) {
+    throw new UsageError('Not logged in. Run `gerudo login` first (or set GERUDO_URL and GERUDO_TOKEN).');
+  }
+  return createClient(config);
+}
+
+function requireSite(options) {
+  if (!options.site || options.site === true) {
+    throw new UsageError('Which site? Pass --site <slug>.');
+  }
+  return options.site;
+}
+
+function hashFile(content) {
+  return crypto.createHash('sha256').update(content).digest('hex');
+}
+
+function formatBytes(bytes) {
+  if (bytes < 1024) return `${bytes} B`;
+  if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+  return `${(bytes / 1024 / 1024).toFixed(1)} MB`;
+}
+
+function plural(count, word) {
+  return `${count} ${word}${count === 1 ? '' : 's'}`;
+}
+
+// Every file under dir as { path, fullPath, size }, paths relative with
+// forward slashes, skipping what .gerudoignore rules out
+function walk(dir, ignored) {
+  const files = [];
+  const visit = (relativeDir) => {
+    const entries = fs.readdirSync(path.join(dir, relativeDir), { withFileTypes: true });
+    for (const entry of entries) {
+      const relativePath = relativeDir ? `${relativeDir}/${entry.name}` : entry.name;
+      if (ignored(relativePath, entry.isDirectory())) continue;
+
+      if (entry.isDirectory()) {
+        visit(relativePath);
+      } else if (entry.isFile()) {
+        const fullPath = path.join(dir, relativePath);
+        files.push({ path: relativePath, fullPath, size: fs.statSync(fullPath).size });
+      }
+    }
+  };
+  visit('');
+  return files.sort((a, b) => a.path.localeCompare(b.path));
+}
+
+// Split uploads so no one request gets too big
+function batches(files) {
+  const result = [];
+  let current = [];
+  let size = 0;
+  for (const file of files) {
+    if (current.length && (current.length >= BATCH_FILES || size + file.size > BATCH_BYTES)) {
+      result.push(current);
+      current = [];
+      size = 0;
+    }
+    current.push(file);
+    size += file.size;
+  }
+  if (current.length) result.push(current);
+  return result;
+}
+
+// ============================================================
+// COMMANDS
+// ============================================================
+async function login(options) {
+  const saved = loadConfig();
+  let url = typeof options.url === 'string' ? options.url : null;
+  let token = typeof options.token === 'string' ? options.token : null;
+
+  if (!url || !token) {
+    const rl = readline.createInterface({ input: process.stdin, output: process.stdout });
+    try {
+      if (!url) {
+        url = (await rl.question(`Server URL${saved.url ? ` [${saved.url}]` : ''}: `)).trim() || saved.url;
+      }
+      if (!token) {
+        console.log('Create an API key under Dashboard → API keys.');
+        token = (await rl.question('API key: ')).trim();
+      }
+    } finally {
+      rl.close();
+    }
+  }
+
+  if (!url || !token) {
+    throw new UsageError('A server URL and an API key are both needed.');
+  }
+  url = url.replace(/\/+$/, '');
+  if (!/^https?:\/\//.test(url)) url = `https://${url}`;
+
+  const info = await createClient({ url, token }).info();
+  saveConfig({ url, token });
+
+  const scope = [info.key.read_only ? 'read-only' : 'read-write', info.key.site ? `site ${info.key.site} only` : null];
+  console.log(`Logged in to ${url} as ${info.user.username} (key "${info.key.name}", ${scope.filter(Boolean).join(', ')}).`);
+  console.log(`Saved to ${configFile()}`);
+}
+
+async function sites() {
+  const list = await connect().listSites();
+  if (!list.length) {
+    console.log('No sites yet.');
+    return;
+  }
+  const width = Math.max(...list.map(site => site.slug.length));
+  for (const site of list) {
+    const draft = site.draft_open ? '  (draft open)' : '';
+    console.log(`${site.slug.padEnd(width)}  ${site.url}${draft}`);
+  }
+}
+
+async function ls(options) {
+  const slug = requireSite(options);
+  const { draft, files } = await connect().listFiles(slug);
+
+  if (draft) console.log(`# ${slug} has an open draft; these are the draft's files`);
+  for (const file of files) {
+    console.log(`${formatBytes(file.size).padStart(9)}  ${file.path}`);
+  }
+  const total = files.reduce((sum, file) => sum + file.size, 0);
+  console.log(`${plural(files.length, 'file')}, ${formatBytes(total)}`);
+}
+
+async function push(options) {
+  const slug = requireSite(options);
+  const dir = options.args[0];
+  if (!dir) throw new UsageError('Usage: gerudo push <dir> --site <slug>');
+  if (!fs.existsSync(dir) || !fs.statSync(dir).isDirectory()) {
+    throw new UsageError(`${dir} is not a folder`);
+  }
+
+  const client = connect();
+  const dryRun = Boolean(options['dry-run']);
+  const ignored = loadIgnore(dir);
+  const remote = await client.listFiles(slug);
+  const remoteFiles = new Map(remote.files.map(file => [file.path, file]));
+
+  const local = [];
+  for (const file of walk(dir, ignored)) {
+    if (!PATH_PATTERN.test(file.path)) {
+      console.warn(`skip    ${file.path} (only letters, digits and . _ - / are allowed in paths)`);
+      continue;
+    }
+    local.push(file);
+  }
+
+  const changed = local.filter(file => {
+    const existing = remoteFiles.get(file.path);
+    return !existing || existing.size !== file.size ||
+      existing.content_hash !== hashFile(fs.readFileSync(file.fullPath));
+  });
+
+  const localPaths = new Set(local.map(file => file.path));
+  const removed = options.delete
+    ? remote.files.filter(file => !localPaths.has(file.path) && !ignored(file.path)).map(file => file.path)
+    : [];
+
+  if (remote.draft) {
+    console.log(`${slug} has an open draft: changes go into the draft, not the live site.`);
+  }
+  if (!changed.length && !removed.length) {
+    console.log(`Everything up to date (${plural(local.length, 'file')}).`);
+    return;
+  }
+
+  for (const file of changed) {
+    console.log(`${remoteFiles.has(file.path) ? 'update' : 'add   '}  ${file.path}`);
+  }
+  for (const filePath of removed) {
+    console.log(`delete  ${filePath}`);
+  }
+
+  if (dryRun) {
+    console.log(`Dry run: would upload ${plural(changed.length, 'file')} and delete ${removed.length}.`);
+    return;
+  }
+
+  let failed = 0;
+  for (const batch of batches(changed)) {
+    const files = batch.map(file => ({ path: file.path, content: fs.readFileSync(file.fullPath) }));
+    let results;
+    try {
+      results = await client.uploadFiles(slug, files);
+    } catch (err) {
+      // A batch that hit the storage limit still reports what did get saved
+      const details = err.body && err.body.error && err.body.error.details;
+      if (!details) throw err;
+      results = details.results;
+      console.error(`error   ${err.message}`);
+    }
+    for (const result of results) {
+      if (!result.success) {
+        failed++;
+        console.error(`failed  ${result.path}: ${result.error}`);
+      }
+    }
+    failed += batch.length - results.length;
+  }
+
+  for (const filePath of removed) {
+    try {
+      await client.deleteFile(slug, filePath);
+    } catch (err) {
+      failed++;
+      console.error(`failed  ${filePath}: ${err.message}`);
+    }
+  }
+
+  if (failed) {
+    throw new Error(`${plural(failed, 'change')} failed`);
+  }
+  console.log(`Uploaded ${plural(changed.length, 'file')}, deleted ${removed.length}.`);
+}
+
+async function pull(options) {
+  const slug = requireSite(options);
+  const dir = path.resolve(options.args[0] || slug);
+  const client = connect();
+  const dryRun = Boolean(options['dry-run']);
+  const ignored = loadIgnore(dir);
+  const { draft, files } = await client.listFiles(slug);
+
+  if (draft) console.log(`${slug} has an open draft; pulling the draft's files.`);
+
+  let downloaded = 0;
+  for (const file of files) {
+    const target = path.resolve(dir, file.path);
+    if (!target.startsWith(dir + path.sep)) {
+      console.warn(`skip    ${file.path} (outside ${dir})`);
+      continue;
+    }
+    if (ignored(file.path)) continue;
+
+    if (fs.existsSync(target) && hashFile(fs.readFileSync(target)) === file.content_hash) continue;
+
+    console.log(`${fs.existsSync(target) ? 'update' : 'add   '}  ${file.path}`);
+    downloaded++;
+    if (dryRun) continue;
+
+    const content = await client.downloadFile(slug, file.path);
+    fs.mkdirSync(path.dirname(target), { recursive: true });
+    fs.writeFileSync(target, content);
+  }
+
+  if (dryRun) {
+    console.log(`Dry run: would download ${plural(downloaded, 'file')} into ${dir}.`);
+  } else {
+    console.log(downloaded ? `Downloaded ${plural(downloaded, 'file')} into ${dir}.` : 'Everything up to date.');
+  }
+}
+
+module.exports = { login, sites, ls, push, pull, UsageError };
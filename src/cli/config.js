@@ -0,0 +1,44 @@
+// cli/config.js - Where the gerudo CLI keeps the server URL and API key
+//
+// Saved by `gerudo login` to ~/.config/gerudo/config.json (or under
+// $XDG_CONFIG_HOME). GERUDO_URL and GERUDO_TOKEN override it, which is
+// the easy way to run in a build pipeline without logging in.
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+function configDir() {
+  const base = process.env.XDG_CONFIG_HOME || path.join(os.homedir(), '.config');
+  return path.join(base, 'gerudo');
+}
+
+function configFile() {
+  return path.join(configDir(), 'config.json');
+}
+
+function readSaved() {
+  try {
+    return JSON.parse(fs.readFileSync(configFile(), 'utf8'));
+  } catch (err) {
+    if (err.code === 'ENOENT') return {};
+    throw new Error(`Can't read ${configFile()}: ${err.message}`);
+  }
+}
+
+// { url, token }, either of which may be missing
+function loadConfig() {
+  const saved = readSaved();
+  return {
+    url: process.env.GERUDO_URL || saved.url,
+    token: process.env.GERUDO_TOKEN || saved.token,
+  };
+}
+
+// The file holds an API key, so only its owner may read it
+function saveConfig({ url, token }) {
+  fs.mkdirSync(configDir(), { recursive: true, mode: 0o700 });
+  fs.writeFileSync(configFile(), JSON.stringify({ url, token }, null, 2) + '\n', { mode: 0o600 });
+  fs.chmodSync(configFile(), 0o600);
+}
+
+module.exports = { configFile, loadConfig, saveConfig };
@@ -0,0 +1,90 @@
+// cli/ignore.js - .gerudoignore, a .gitignore for what push and pull skip
+//
+// One pattern per line, # for comments. The common .gitignore rules apply:
+//   *.log          any file or folder with that name, at any depth
+//   /drafts        only at the top of the site
+//   build/         folders only
+//   assets/**/*.map  ** crosses folders
+//   !keep.log      un-ignore something an earlier pattern matched
+const fs = require('fs');
+const path = require('path');
+
+const IGNORE_FILE = '.gerudoignore';
+
+// Never worth uploading, whatever the ignore file says
+const DEFAULT_PATTERNS = ['.git/', '.DS_Store', IGNORE_FILE];
+
+function globToRegExp(glob) {
+  let source = '';
+  for (let i = 0; i < glob.length; i++) {
+    const char = glob[i];
+    if (char === '*' && glob[i + 1] === '*') {
+      // "**/" matches zero or more folders; a trailing "**" everything below
+      if (glob[i + 2] === '/') {
+        source += '(?:.*/)?';
+        i += 2;
+      } else {
+        source += '.*';
+        i += 1;
+      }
+    } else if (char === '*') {
+      source += '[^/]*';
+    } else if (char === '?') {
+      source += '[^/]';
+    } else {
+      source += char.replace(/[.+^${}()|[\]\\]/g, '\\$&');
+    }
+  }
+  return source;
+}
+
+function parsePattern(line) {
+  let pattern = line.trim();
+  if (!pattern || pattern.startsWith('#')) return null;
+
+  const negated = pattern.startsWith('!');
+  if (negated) pattern = pattern.slice(1);
+
+  const dirOnly = pattern.endsWith('/');
+  pattern = pattern.replace(/\/+$/, '');
+
+  // A slash anywhere but the end pins the pattern to the top folder
+  const anchored = pattern.includes('/');
+  pattern = pattern.replace(/^\/+/, '');
+  if (!pattern) return null;
+
+  const prefix = anchored ? '^' : '^(?:.*/)?';
+  return { negated, dirOnly, regexp: new RegExp(prefix + globToRegExp(pattern) + '$') };
+}
+
+// Load the ignore rules for a folder. Returns ignored(relativePath, isDir).
+function loadIgnore(dir) {
+  let lines = [];
+  try {
+    lines = fs.readFileSync(path.join(dir, IGNORE_FILE), 'utf8').split(/\r?\n/);
+  } catch (err) {
+    if (err.code !== 'ENOENT') throw err;
+  }
+
+  const rules = [...DEFAULT_PATTERNS, ...lines].map(parsePattern).filter(Boolean);
+
+  const matches = (relativePath, isDir) => {
+    let ignored = false;
+    for (const rule of rules) {
+      if (rule.dirOnly && !isDir) continue;
+      if (rule.regexp.test(relativePath)) ignored = !rule.negated;
+    }
+    return ignored;
+  };
+
+  // Anything inside an ignored folder is ignored too
+  return (relativePath, isDir = false) => {
+    const parts = relativePath.split('/');
+    for (let i = 1; i < parts.length; i++) {
+      if (matches(parts.slice(0, i).join('/'), true)) return true;
+    }
+    return matches(relativePath, isDir);
+  };
+}
+
+module.exports = { loadIgnore, IGNORE_FILE };
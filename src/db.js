@@ -1,5 +1,6 @@
 // db.js - PostgreSQL database connection
 const { Pool } = require('pg');
+const { isTextMime } = require('./lib/mime');
 
 const pool = new Pool({
   user: process.env.DB_USER || 'postgres',
@@ -9,6 +10,43 @@ const pool = new Pool({
   port: process.env.DB_PORT || 5432,
 });
 
+// Files uploaded before binary storage existed were base64-encoded into the
+// TEXT column while `size` kept the decoded length, which is how we spot them.
+async function migrateBase64Files(client) {
+  const result = await client.query(
+    `SELECT id, content, mime_type, size FROM site_files
+     WHERE encoding = 'utf8' AND content IS NOT NULL AND size > 0
+       AND length(content) <> size`
+  );
+
+  let migrated = 0;
+  for (const row of result.rows) {
+    const packed = row.content.replace(/\s+/g, '');
+    if (packed.length % 4 !== 0 || !/^[A-Za-z0-9+/]*={0,2}$/.test(packed)) continue;
+
+    const buffer = Buffer.from(packed, 'base64');
+    if (buffer.length !== row.size) continue;
+
+    const text = buffer.toString('utf8');
+    if (isTextMime(row.mime_type) && Buffer.from(text, 'utf8').equals(buffer)) {
+      await client.query(
+        'UPDATE site_files SET content = $1 WHERE id = $2',
+        [text, row.id]
+      );
+    } else {
+      await client.query(
+        `UPDATE site_files SET content = NULL, data = $1, encoding = 'binary' WHERE id = $2`,
+        [buffer, row.id]
+      );
+    }
+    migrated++;
+  }
+
+  if (migrated > 0) {
+    console.log(`✅ Migrated ${migrated} base64-encoded file(s) to binary storage`);
+  }
+}
+
 // Initialize database tables
 async function initDatabase() {
   const client = await pool.connect();
@@ -22,6 +60,65 @@ async function initDatabase() {
       )
     `);
 
+    // Storage plans. Limits are in bytes; allowed_extensions NULL means any
+    // file type. Admins move accounts between plans; the limits themselves
+    // are edited here or directly in the table.
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS plans (
+        name VARCHAR(50) PRIMARY KEY,
+        title VARCHAR(100) NOT NULL,
+        max_storage BIGINT NOT NULL,
+        max_sites INTEGER NOT NULL,
+        max_file_size INTEGER NOT NULL,
+        allowed_extensions TEXT[]
+      )
+    `);
+
+    await client.query(`
+      INSERT INTO plans (name, title, max_storage, max_sites, max_file_size, allowed_extensions)
+      VALUES
+        ('free', 'Free', 50 * 1024 * 1024, 3, 5 * 1024 * 1024, ARRAY[
+          'html', 'htm', 'css', 'js', 'mjs', 'json', 'xml', 'txt', 'md', 'csv',
+          'svg', 'png', 'jpg', 'jpeg', 'gif', 'webp', 'avif', 'bmp', 'ico',
+          'woff', 'woff2', 'ttf', 'otf', 'pdf'
+        ]),
+        ('supporter', 'Supporter', 1024 * 1024 * 1024, 20, 25 * 1024 * 1024, NULL)
+      ON CONFLICT (name) DO NOTHING
+    `);
+
+    await client.query(`
+      ALTER TABLE users
+        ADD COLUMN IF NOT EXISTS plan VARCHAR(50) NOT NULL DEFAULT 'free' REFERENCES plans(name),
+        ADD COLUMN IF NOT EXISTS role VARCHAR(20) NOT NULL DEFAULT 'user',
+        ADD COLUMN IF NOT EXISTS display_name VARCHAR(100),
+        ADD COLUMN IF NOT EXISTS bio TEXT,
+        ADD COLUMN IF NOT EXISTS links TEXT[] NOT NULL DEFAULT '{}',
+        ADD COLUMN IF NOT EXISTS suspended_at TIMESTAMP,
+        ADD COLUMN IF NOT EXISTS suspended_reason TEXT
+    `);
+
+    // Profile pictures, stored like site files (see lib/file-content)
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS user_avatars (
+        user_id INTEGER PRIMARY KEY REFERENCES users(id) ON DELETE CASCADE,
+        content TEXT,
+        data BYTEA,
+        encoding VARCHAR(10) NOT NULL DEFAULT 'binary',
+        mime_type VARCHAR(100) NOT NULL,
+        size INTEGER NOT NULL,
+        content_hash VARCHAR(64) NOT NULL,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+
+    // Accounts named in ADMIN_USERNAMES (comma-separated) are made admins
+    if (process.env.ADMIN_USERNAMES) {
+      await client.query(
+        `UPDATE users SET role = 'admin' WHERE username = ANY($1) AND role <> 'admin'`,
+        [process.env.ADMIN_USERNAMES.split(',').map(name => name.trim()).filter(Boolean)]
+      );
+    }
+
     // Drop old unique constraint if it exists and create new composite unique constraint
     await client.query(`
       DO $$ 
@@ -47,6 +144,53 @@ async function initDatabase() {
       )
     `);
 
+    await client.query(`
+      ALTER TABLE sites
+        ADD COLUMN IF NOT EXISTS clean_urls BOOLEAN NOT NULL DEFAULT TRUE,
+        ADD COLUMN IF NOT EXISTS onion_location VARCHAR(255),
+        ADD COLUMN IF NOT EXISTS draft_token VARCHAR(64) UNIQUE,
+        ADD COLUMN IF NOT EXISTS draft_started_at TIMESTAMP,
+        ADD COLUMN IF NOT EXISTS view_count BIGINT NOT NULL DEFAULT 0,
+        ADD COLUMN IF NOT EXISTS searchable BOOLEAN NOT NULL DEFAULT TRUE,
+        ADD COLUMN IF NOT EXISTS guestbook_enabled BOOLEAN NOT NULL DEFAULT FALSE,
+        ADD COLUMN IF NOT EXISTS guestbook_moderated BOOLEAN NOT NULL DEFAULT FALSE,
+        ADD COLUMN IF NOT EXISTS guestbook_blocked_words TEXT[] NOT NULL DEFAULT '{}',
+        ADD COLUMN IF NOT EXISTS taken_down_at TIMESTAMP,
+        ADD COLUMN IF NOT EXISTS takedown_reason TEXT
+    `);
+
+    // Owners tag their sites for /browse; tags are lowercase words joined
+    // by hyphens (see lib/validation)
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS site_tags (
+        site_id INTEGER NOT NULL REFERENCES sites(id) ON DELETE CASCADE,
+        tag VARCHAR(30) NOT NULL,
+        PRIMARY KEY (site_id, tag)
+      )
+    `);
+
+    await client.query(`
+      CREATE INDEX IF NOT EXISTS site_tags_tag ON site_tags (tag)
+    `);
+
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS site_domains (
+        id SERIAL PRIMARY KEY,
+        site_id INTEGER NOT NULL REFERENCES sites(id) ON DELETE CASCADE,
+        hostname VARCHAR(253) NOT NULL,
+        verification_token VARCHAR(64) NOT NULL,
+        verified_at TIMESTAMP,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        UNIQUE(site_id, hostname)
+      )
+    `);
+
+    // Sites may claim a hostname side by side until one of them verifies it
+    await client.query(`
+      CREATE UNIQUE INDEX IF NOT EXISTS site_domains_verified_hostname
+        ON site_domains (hostname) WHERE verified_at IS NOT NULL
+    `);
+
     await client.query(`
       CREATE TABLE IF NOT EXISTS site_files (
         id SERIAL PRIMARY KEY,
@@ -61,6 +205,349 @@ async function initDatabase() {
       )
     `);
 
+    // Binary files live in a bytea column; `encoding` says which column holds the content
+    await client.query(`
+      ALTER TABLE site_files
+        ADD COLUMN IF NOT EXISTS data BYTEA,
+        ADD COLUMN IF NOT EXISTS encoding VARCHAR(10) NOT NULL DEFAULT 'utf8',
+        ADD COLUMN IF NOT EXISTS content_hash VARCHAR(64)
+    `);
+
+    // The text of live HTML and Markdown pages for /search, kept in step by
+    // Site.saveFile/deleteFile. Pages marked noindex have a row with an
+    // empty document, so the startup backfill knows they were looked at.
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS site_search (
+        site_id INTEGER NOT NULL REFERENCES sites(id) ON DELETE CASCADE,
+        path VARCHAR(500) NOT NULL,
+        title TEXT NOT NULL DEFAULT '',
+        body TEXT NOT NULL DEFAULT '',
+        document TSVECTOR NOT NULL,
+        indexed_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        PRIMARY KEY (site_id, path)
+      )
+    `);
+
+    await client.query(`
+      CREATE INDEX IF NOT EXISTS site_search_document ON site_search USING GIN (document)
+    `);
+
+    // Folders created empty in the file manager. Folders that hold files
+    // exist implicitly through the file paths.
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS site_folders (
+        id SERIAL PRIMARY KEY,
+        site_id INTEGER NOT NULL REFERENCES sites(id) ON DELETE CASCADE,
+        path VARCHAR(500) NOT NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        UNIQUE(site_id, path)
+      )
+    `);
+
+    // Earlier versions of files, kept when a file is overwritten or deleted.
+    // saved_at/replaced_at bound when the version was live, so the site can
+    // be rebuilt as it was at any moment still inside the retention window.
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS site_file_revisions (
+        id SERIAL PRIMARY KEY,
+        site_id INTEGER NOT NULL REFERENCES sites(id) ON DELETE CASCADE,
+        path VARCHAR(500) NOT NULL,
+        content TEXT,
+        data BYTEA,
+        encoding VARCHAR(10) NOT NULL DEFAULT 'utf8',
+        mime_type VARCHAR(100),
+        size INTEGER DEFAULT 0,
+        content_hash VARCHAR(64),
+        saved_at TIMESTAMP NOT NULL,
+        replaced_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        deleted BOOLEAN NOT NULL DEFAULT FALSE
+      )
+    `);
+
+    await client.query(`
+      CREATE INDEX IF NOT EXISTS site_file_revisions_site_path
+        ON site_file_revisions (site_id, path, replaced_at DESC)
+    `);
+
+    // A draft is a full working copy of a site's files, edited privately
+    // and swapped in by publishing (see models/Draft)
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS site_draft_files (
+        id SERIAL PRIMARY KEY,
+        site_id INTEGER NOT NULL REFERENCES sites(id) ON DELETE CASCADE,
+        path VARCHAR(500) NOT NULL,
+        content TEXT,
+        data BYTEA,
+        encoding VARCHAR(10) NOT NULL DEFAULT 'utf8',
+        mime_type VARCHAR(100),
+        size INTEGER DEFAULT 0,
+        content_hash VARCHAR(64),
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        UNIQUE(site_id, path)
+      )
+    `);
+
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS site_publishes (
+        id SERIAL PRIMARY KEY,
+        site_id INTEGER NOT NULL REFERENCES sites(id) ON DELETE CASCADE,
+        user_id INTEGER REFERENCES users(id) ON DELETE SET NULL,
+        changes JSONB NOT NULL DEFAULT '[]',
+        published_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+
+    // Keys for /api/v1. Only a hash of each key is kept; the prefix is
+    // enough to tell keys apart in the dashboard. A key with a site_id
+    // only reaches that site.
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS api_keys (
+        id SERIAL PRIMARY KEY,
+        user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+        name VARCHAR(100) NOT NULL,
+        token_prefix VARCHAR(16) NOT NULL,
+        token_hash VARCHAR(64) UNIQUE NOT NULL,
+        read_only BOOLEAN NOT NULL DEFAULT FALSE,
+        site_id INTEGER REFERENCES sites(id) ON DELETE CASCADE,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        last_used_at TIMESTAMP,
+        revoked_at TIMESTAMP
+      )
+    `);
+
+    // Outgoing webhooks (see lib/webhooks). An empty events array means
+    // every event. Each delivery keeps its payload so it can be sent again.
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS webhooks (
+        id SERIAL PRIMARY KEY,
+        user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+        url TEXT NOT NULL,
+        secret VARCHAR(64) NOT NULL,
+        events TEXT[] NOT NULL DEFAULT '{}',
+        active BOOLEAN NOT NULL DEFAULT TRUE,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS webhook_deliveries (
+        id SERIAL PRIMARY KEY,
+        webhook_id INTEGER NOT NULL REFERENCES webhooks(id) ON DELETE CASCADE,
+        event VARCHAR(50) NOT NULL,
+        payload JSON NOT NULL,
+        status VARCHAR(20) NOT NULL DEFAULT 'pending',
+        attempts INTEGER NOT NULL DEFAULT 0,
+        next_attempt_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        response_code INTEGER,
+        response_body TEXT,
+        error TEXT,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        last_attempt_at TIMESTAMP
+      )
+    `);
+
+    await client.query(`
+      CREATE INDEX IF NOT EXISTS webhook_deliveries_due
+      ON webhook_deliveries (next_attempt_at) WHERE status = 'pending'
+    `);
+
+    await client.query(`
+      CREATE INDEX IF NOT EXISTS webhook_deliveries_webhook
+      ON webhook_deliveries (webhook_id, created_at)
+    `);
+
+    // Who follows whom, for the activity feed on /dashboard
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS follows (
+        follower_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+        followee_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        PRIMARY KEY (follower_id, followee_id),
+        CHECK (follower_id <> followee_id)
+      )
+    `);
+
+    await client.query(`
+      CREATE INDEX IF NOT EXISTS follows_followee ON follows (followee_id)
+    `);
+
+    // What users did to their live sites, recorded from lib/events. `paths`
+    // lists the files saved or published.
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS activity (
+        id BIGSERIAL PRIMARY KEY,
+        user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+        site_id INTEGER NOT NULL REFERENCES sites(id) ON DELETE CASCADE,
+        event VARCHAR(50) NOT NULL,
+        paths TEXT[] NOT NULL DEFAULT '{}',
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+
+    await client.query(`
+      CREATE INDEX IF NOT EXISTS activity_user ON activity (user_id, id)
+    `);
+
+    // Likes, one per user and site. Owners can't like their own sites (see
+    // routes/dashboard for the other limits).
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS site_likes (
+        user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+        site_id INTEGER NOT NULL REFERENCES sites(id) ON DELETE CASCADE,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        PRIMARY KEY (user_id, site_id)
+      )
+    `);
+
+    await client.query(`
+      CREATE INDEX IF NOT EXISTS site_likes_site ON site_likes (site_id)
+    `);
+
+    // Named lists of sites, public at /collections/:username/:slug or
+    // private to their owner. Entries are ordered by position.
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS collections (
+        id SERIAL PRIMARY KEY,
+        user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+        slug VARCHAR(50) NOT NULL,
+        title VARCHAR(100) NOT NULL,
+        description TEXT,
+        is_public BOOLEAN NOT NULL DEFAULT TRUE,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        UNIQUE(user_id, slug)
+      )
+    `);
+
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS collection_entries (
+        collection_id INTEGER NOT NULL REFERENCES collections(id) ON DELETE CASCADE,
+        site_id INTEGER NOT NULL REFERENCES sites(id) ON DELETE CASCADE,
+        position INTEGER NOT NULL,
+        note TEXT,
+        added_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        PRIMARY KEY (collection_id, site_id)
+      )
+    `);
+
+    // Sites whose activity a user doesn't want in their feed
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS muted_sites (
+        user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+        site_id INTEGER NOT NULL REFERENCES sites(id) ON DELETE CASCADE,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        PRIMARY KEY (user_id, site_id)
+      )
+    `);
+
+    // Guestbook entries, signed at /guestbook/:username/:slug. Only
+    // 'approved' ones are shown; 'pending' ones wait for the owner (held_for
+    // says why) and 'hidden' ones were taken down by them.
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS guestbook_entries (
+        id SERIAL PRIMARY KEY,
+        site_id INTEGER NOT NULL REFERENCES sites(id) ON DELETE CASCADE,
+        user_id INTEGER REFERENCES users(id) ON DELETE SET NULL,
+        name VARCHAR(50) NOT NULL,
+        website VARCHAR(200),
+        message TEXT NOT NULL,
+        status VARCHAR(10) NOT NULL DEFAULT 'approved'
+          CHECK (status IN ('approved', 'pending', 'hidden')),
+        held_for VARCHAR(100),
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+
+    await client.query(`
+      CREATE INDEX IF NOT EXISTS guestbook_entries_site ON guestbook_entries (site_id, status, id)
+    `);
+
+    // Logged-in users' reports of abusive entries, one per user and entry
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS guestbook_reports (
+        entry_id INTEGER NOT NULL REFERENCES guestbook_entries(id) ON DELETE CASCADE,
+        user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+        reason VARCHAR(500),
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        PRIMARY KEY (entry_id, user_id)
+      )
+    `);
+
+    // Visitors' "Report this site" reports, worked through at /admin/reports
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS abuse_reports (
+        id SERIAL PRIMARY KEY,
+        site_id INTEGER NOT NULL REFERENCES sites(id) ON DELETE CASCADE,
+        reporter_id INTEGER REFERENCES users(id) ON DELETE SET NULL,
+        category VARCHAR(30) NOT NULL,
+        details TEXT,
+        contact VARCHAR(200),
+        status VARCHAR(10) NOT NULL DEFAULT 'open'
+          CHECK (status IN ('open', 'resolved', 'dismissed')),
+        closed_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+        closed_at TIMESTAMP,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+
+    await client.query(`
+      CREATE INDEX IF NOT EXISTS abuse_reports_status ON abuse_reports (status, id)
+    `);
+
+    // Everything admins do. Rows are only ever added: names are copied in
+    // rather than referenced, so deleting a user or site changes nothing
+    // here, and the trigger below refuses updates and deletes.
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS admin_audit_log (
+        id BIGSERIAL PRIMARY KEY,
+        admin_id INTEGER NOT NULL,
+        admin_username VARCHAR(50) NOT NULL,
+        action VARCHAR(50) NOT NULL,
+        target_user_id INTEGER,
+        target_username VARCHAR(50),
+        target_site_id INTEGER,
+        target_site_slug VARCHAR(100),
+        details JSONB NOT NULL DEFAULT '{}',
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+
+    await client.query(`
+      CREATE OR REPLACE FUNCTION admin_audit_log_append_only() RETURNS trigger AS $$
+      BEGIN
+        RAISE EXCEPTION 'admin_audit_log is append-only';
+      END
+      $$ LANGUAGE plpgsql
+    `);
+
+    await client.query(`
+      DO $$
+      BEGIN
+        IF NOT EXISTS (SELECT 1 FROM pg_trigger WHERE tgname = 'admin_audit_log_no_changes') THEN
+          CREATE TRIGGER admin_audit_log_no_changes
+            BEFORE UPDATE OR DELETE ON admin_audit_log
+            FOR EACH ROW EXECUTE FUNCTION admin_audit_log_append_only();
+        END IF;
+        IF NOT EXISTS (SELECT 1 FROM pg_trigger WHERE tgname = 'admin_audit_log_no_truncate') THEN
+          CREATE TRIGGER admin_audit_log_no_truncate
+            BEFORE TRUNCATE ON admin_audit_log
+            FOR EACH STATEMENT EXECUTE FUNCTION admin_audit_log_append_only();
+        END IF;
+      END $$;
+    `);
+
+    await migrateBase64Files(client);
+
+    // SHA-256 of the stored bytes, used as the ETag when serving
+    await client.query(`
+      UPDATE site_files
+      SET content_hash = encode(sha256(
+        CASE WHEN encoding = 'binary' THEN data ELSE convert_to(COALESCE(content, ''), 'UTF8') END
+      ), 'hex')
+      WHERE content_hash IS NULL
+    `);
+
     console.log('✅ Database tables initialized successfully');
   } catch (err) {
     console.error('Database initialization error:', err);
@@ -70,4 +557,20 @@ async function initDatabase() {
   }
 }
 
-module.exports = { pool, initDatabase };
+// Run fn(client) inside a transaction, rolling back if it throws
+async function transaction(fn) {
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    const result = await fn(client);
+    await client.query('COMMIT');
+    return result;
+  } catch (err) {
+    await client.query('ROLLBACK');
+    throw err;
+  } finally {
+    client.release();
+  }
+}
+
+module.exports = { pool, initDatabase, transaction };
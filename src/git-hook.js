@@ -0,0 +1,72 @@
+// git-hook.js - pre-receive hook of the site repositories (see lib/git)
+//
+// git runs this with the pushed objects in quarantine and one line per
+// ref update on stdin ("<old> <new> <ref>"). Anything written to stderr
+// reaches the person pushing as "remote: ..." lines; exiting non-zero
+// refuses the whole push, so the refs and the site stay as they were.
+// routes/git passes the site's id in GERUDO_SITE_ID.
+const path = require('path');
+const { pool } = require('./db');
+const Site = require('./models/Site');
+const User = require('./models/User');
+const { QuotaError } = require('./lib/quota');
+const { PushError, deployPush } = require('./lib/git');
+const { emitFileEvent } = require('./lib/events');
+
+function say(message) {
+  process.stderr.write(message.replace(/\n*$/, '\n'));
+}
+
+function readStdin() {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    process.stdin.on('data', chunk => chunks.push(chunk));
+    process.stdin.on('end', () => resolve(Buffer.concat(chunks).toString('utf8')));
+    process.stdin.on('error', reject);
+  });
+}
+
+async function main() {
+  const updates = (await readStdin()).split('\n').filter(Boolean).map(line => {
+    const [oldId, newId, ref] = line.split(' ');
+    return { oldId, newId, ref };
+  });
+
+  const site = await Site.findById(process.env.GERUDO_SITE_ID);
+  if (!site) {
+    say('This site no longer exists.');
+    return 1;
+  }
+
+  let deployed;
+  try {
+    deployed = await deployPush(site, path.resolve(process.env.GIT_DIR || '.'), updates, say);
+  } catch (err) {
+    if (err instanceof PushError || err instanceof QuotaError) {
+      say(`Push refused. ${err.message}`);
+      return 1;
+    }
+    throw err;
+  }
+
+  // Webhook deliveries are queued here and sent by the server. The files
+  // are live by now, so this mustn't refuse the push.
+  if (deployed) {
+    try {
+      const owner = await User.findById(site.owner_id);
+      await emitFileEvent(owner.username, 'file.saved', site, deployed.saved);
+      await emitFileEvent(owner.username, 'file.deleted', site, deployed.removed);
+    } catch (err) {
+      say(`Webhooks were not notified (${err.message}).`);
+    }
+  }
+  return 0;
+}
+
+main()
+  .then(code => { process.exitCode = code; })
+  .catch(err => {
+    say(`Push refused: something went wrong on the server (${err.message}).`);
+    process.exitCode = 1;
+  })
+  .finally(() => pool.end());
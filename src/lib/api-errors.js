@@ -0,0 +1,68 @@
+// lib/api-errors.js - The one error shape of /api/v1
+//
+//   { "error": { "code": "not_found", "message": "Site not found" } }
+//
+// with an HTTP status to match, plus "path" when one file is to blame and
+// "details" where there's more to report (per-file upload results, ...).
+const { QuotaError } = require('./quota');
+const { UploadError } = require('./uploads');
+const { ImportError } = require('./archive');
+const { FileError } = require('./site-files');
+
+const CODES = {
+  400: 'invalid_request',
+  401: 'unauthorized',
+  403: 'forbidden',
+  404: 'not_found',
+  409: 'conflict',
+  413: 'too_large',
+  500: 'internal_error',
+};
+
+class ApiError extends Error {
+  constructor(status, message, { code, path, details } = {}) {
+    super(message);
+    this.status = status;
+    this.code = code || CODES[status] || 'error';
+    this.path = path;
+    this.details = details;
+  }
+}
+
+function sendApiError(res, status, message, options = {}) {
+  const body = { code: options.code || CODES[status] || 'error', message };
+  if (options.path) body.path = options.path;
+  if (options.details) body.details = options.details;
+  res.status(status).json({ error: body });
+}
+
+// Express error handler for the API router. Errors carrying a message
+// meant for users keep it; anything else is logged and reported as a 500.
+function apiErrorHandler(err, req, res, next) {
+  if (res.headersSent) return next(err);
+
+  if (err instanceof ApiError) {
+    return sendApiError(res, err.status, err.message, err);
+  }
+  if (err instanceof QuotaError) {
+    return sendApiError(res, 403, err.message, { code: 'quota_exceeded', path: err.path });
+  }
+  if (err instanceof UploadError || err instanceof ImportError) {
+    return sendApiError(res, 400, err.message);
+  }
+  if (err instanceof FileError) {
+    return sendApiError(res, err.status, err.message);
+  }
+  // body-parser
+  if (err.type === 'entity.parse.failed') {
+    return sendApiError(res, 400, 'Request body is not valid JSON', { code: 'invalid_json' });
+  }
+  if (err.type === 'entity.too.large') {
+    return sendApiError(res, 413, 'Request body too large');
+  }
+
+  console.error('API error:', err);
+  sendApiError(res, 500, 'Something went wrong');
+}
+
+module.exports = { ApiError, sendApiError, apiErrorHandler };
@@ -0,0 +1,282 @@
+// lib/archive.js - Whole-site ZIP export and ZIP / tar.gz import
+const archiver = require('archiver');
+const yauzl = require('yauzl');
+const tar = require('tar-stream');
+const zlib = require('zlib');
+const Site = require('../models/Site');
+const { validateFilePath } = require('./validation');
+const { formatBytes } = require('./quota');
+
+const MAX_ENTRIES = 1000;
+
+// Problems with the uploaded archive itself, safe to show to the user
+class ImportError extends Error {}
+
+// ============================================================
+// EXPORT
+// ============================================================
+
+// Stream every live file of a site as a ZIP, keeping bytes and mtimes.
+// Files are loaded one at a time, each once the previous one has gone
+// into the archive, so a large site is never held in memory at once.
+async function streamSiteZip(res, siteId) {
+  const archive = archiver('zip', { zlib: { level: 9 } });
+  let failed = null;
+
+  archive.on('warning', err => console.warn('Export warning:', err));
+  archive.on('error', err => {
+    console.error('Export error:', err);
+    failed = err;
+    res.destroy(err);
+  });
+
+  archive.pipe(res);
+  for (const { path } of await Site.listFileSizes(siteId)) {
+    if (failed) return;
+
+    // Deleted since the listing: leave it out
+    const file = await Site.getFile(siteId, path);
+    if (!file) continue;
+
+    await new Promise((resolve, reject) => {
+      const onError = err => reject(err);
+      archive.once('error', onError);
+      archive.once('entry', () => {
+        archive.removeListener('error', onError);
+        resolve();
+      });
+      archive.append(Site.fileBuffer(file), {
+        name: file.path,
+        date: new Date(file.updated_at),
+      });
+    });
+  }
+  return archive.finalize();
+}
+
+// ============================================================
+// IMPORT
+// ============================================================
+
+// Turn an archive entry name into a site path, or explain why it can't be one
+function checkEntryPath(name) {
+  const path = name.replace(/^\.\//, '');
+
+  if (path.startsWith('/') || path.includes('\\') || /^[a-zA-Z]:/.test(path)) {
+    return { error: 'Absolute paths are not allowed' };
+  }
+
+  if (path.split('/').some(segment => segment === '..')) {
+    return { error: 'Path traversal is not allowed' };
+  }
+
+  const validation = validateFilePath(path);
+  if (!validation.valid) {
+    return { error: validation.error };
+  }
+
+  return { path };
+}
+
+// Archives made by zipping a folder put everything under one directory;
+// unwrap it so folder/index.html lands at the site root.
+function stripCommonRoot(entries) {
+  if (entries.length === 0 || entries.some(entry => !entry.path.includes('/'))) {
+    return entries;
+  }
+
+  const root = entries[0].path.split('/')[0] + '/';
+  if (entries.some(entry => !entry.path.startsWith(root))) {
+    return entries;
+  }
+
+  return entries.map(entry => ({ ...entry, path: entry.path.slice(root.length) }));
+}
+
+// Shared bookkeeping for both archive formats. Sizes are enforced on the
+// bytes actually produced by decompression, not the sizes the archive
+// claims, so a zip bomb is cut off as soon as it passes the limit.
+function createCollector({ maxFileSize, maxTotalSize }) {
+  const entries = [];
+  const skipped = [];
+  let totalSize = 0;
+  let count = 0;
+
+  return {
+    entries,
+    skipped,
+
+    // Decide whether to read an entry; returns the site path or null
+    accept(name, declaredSize) {
+      count++;
+      if (count > MAX_ENTRIES) {
+        throw new ImportError(`Archive has too many entries (${MAX_ENTRIES} max)`);
+      }
+
+      const checked = checkEntryPath(name);
+      if (checked.error) {
+        skipped.push({ path: name, reason: checked.error });
+        return null;
+      }
+
+      if (declaredSize > maxFileSize) {
+        skipped.push({ path: checked.path, reason: `File too large (${formatBytes(maxFileSize)} max)` });
+        return null;
+      }
+
+      return checked.path;
+    },
+
+    // Count decompressed bytes as they arrive
+    track(path, chunkSize, entrySize) {
+      totalSize += chunkSize;
+      if (entrySize > maxFileSize) {
+        throw new ImportError(`${path} expands beyond the ${formatBytes(maxFileSize)} file limit`);
+      }
+      if (totalSize > maxTotalSize) {
+        throw new ImportError(`Archive expands beyond the ${formatBytes(maxTotalSize)} site limit`);
+      }
+    },
+
+    add(path, content, mtime) {
+      entries.push({ path, content, mtime });
+    },
+  };
+}
+
+function readStream(stream, path, collector) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    let size = 0;
+
+    stream.on('data', chunk => {
+      size += chunk.length;
+      try {
+        collector.track(path, chunk.length, size);
+      } catch (err) {
+        stream.destroy();
+        return reject(err);
+      }
+      chunks.push(chunk);
+    });
+    stream.on('end', () => resolve(Buffer.concat(chunks)));
+    stream.on('error', reject);
+  });
+}
+
+function readZip(buffer, collector) {
+  return new Promise((resolve, reject) => {
+    // decodeStrings off: yauzl would otherwise abort the whole archive on
+    // the first unsafe name, where we want to skip that entry and report it
+    yauzl.fromBuffer(buffer, { lazyEntries: true, decodeStrings: false, validateEntrySizes: true }, (err, zip) => {
+      if (err) return reject(new ImportError('Not a valid ZIP archive'));
+
+      const fail = error => {
+        zip.close();
+        reject(error instanceof ImportError ? error : new ImportError(`Corrupt ZIP archive: ${error.message}`));
+      };
+
+      zip.on('error', fail);
+      zip.on('end', resolve);
+      zip.on('entry', entry => {
+        const name = entry.fileName.toString('utf8');
+        if (name.endsWith('/')) return zip.readEntry();
+
+        let path;
+        try {
+          path = collector.accept(name, entry.uncompressedSize);
+        } catch (error) {
+          return fail(error);
+        }
+        if (!path) return zip.readEntry();
+
+        zip.openReadStream(entry, (streamErr, stream) => {
+          if (streamErr) return fail(streamErr);
+          readStream(stream, path, collector)
+            .then(content => {
+              collector.add(path, content, entry.getLastModDate());
+              zip.readEntry();
+            })
+            .catch(fail);
+        });
+      });
+
+      zip.readEntry();
+    });
+  });
+}
+
+function readTarGz(buffer, collector) {
+  return new Promise((resolve, reject) => {
+    const extract = tar.extract();
+    const gunzip = zlib.createGunzip();
+    let failed = false;
+
+    const fail = error => {
+      if (failed) return;
+      failed = true;
+      gunzip.destroy();
+      extract.destroy();
+      reject(error instanceof ImportError ? error : new ImportError(`Corrupt tar.gz archive: ${error.message}`));
+    };
+
+    extract.on('entry', (header, stream, next) => {
+      // Only regular files; links and devices never make it into a site
+      if (header.type !== 'file') {
+        if (header.type !== 'directory') {
+          collector.skipped.push({ path: header.name, reason: `Unsupported entry type (${header.type})` });
+        }
+        stream.resume();
+        return next();
+      }
+
+      let path;
+      try {
+        path = collector.accept(header.name, header.size);
+      } catch (error) {
+        return fail(error);
+      }
+      if (!path) {
+        stream.resume();
+        return next();
+      }
+
+      readStream(stream, path, collector)
+        .then(content => {
+          collector.add(path, content, header.mtime);
+          next();
+        })
+        .catch(fail);
+    });
+
+    extract.on('finish', () => {
+      if (!failed) resolve();
+    });
+    extract.on('error', fail);
+    gunzip.on('error', fail);
+
+    gunzip.pipe(extract);
+    gunzip.end(buffer);
+  });
+}
+
+// Unpack a ZIP or tar.gz (detected from its magic bytes) into
+// { entries: [{ path, content, mtime }], skipped: [{ path, reason }] }
+async function readArchive(buffer, limits) {
+  const collector = createCollector(limits);
+
+  if (buffer.length >= 4 && buffer.readUInt32LE(0) === 0x04034b50) {
+    await readZip(buffer, collector);
+  } else if (buffer.length >= 2 && buffer[0] === 0x1f && buffer[1] === 0x8b) {
+    await readTarGz(buffer, collector);
+  } else {
+    throw new ImportError('Upload a .zip or .tar.gz archive');
+  }
+
+  return {
+    entries: stripCommonRoot(collector.entries),
+    skipped: collector.skipped,
+  };
+}
+
+module.exports = { streamSiteZip, readArchive, ImportError };
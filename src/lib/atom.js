@@ -0,0 +1,80 @@
+// lib/atom.js - Atom feeds (RFC 4287) of what changed on Gerudo
+//
+// Entry ids are tag URIs (RFC 4151) minted under the host the feed was
+// fetched from and the day the site was created, so they stay the same
+// when a site is renamed.
+const crypto = require('crypto');
+
+function escapeXml(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/[\u0000-\u0008\u000B\u000C\u000E-\u001F]/g, '');
+}
+
+function isoDate(date) {
+  return new Date(date).toISOString();
+}
+
+// tag:host,2024-05-01:specific
+function tagUri(host, date, specific) {
+  return `tag:${host},${isoDate(date).slice(0, 10)}:${specific}`;
+}
+
+// feed: { id, title, subtitle, selfUrl, alternateUrl, updated, entries }
+// (subtitle and alternateUrl are optional)
+// entry: { id, title, url, updated, published, author, summary }
+function renderFeed(feed) {
+  const lines = [
+    '<?xml version="1.0" encoding="utf-8"?>',
+    '<feed xmlns="http://www.w3.org/2005/Atom">',
+    `  <id>${escapeXml(feed.id)}</id>`,
+    `  <title>${escapeXml(feed.title)}</title>`,
+  ];
+  if (feed.subtitle) lines.push(`  <subtitle>${escapeXml(feed.subtitle)}</subtitle>`);
+  lines.push(
+    `  <updated>${isoDate(feed.updated)}</updated>`,
+    `  <link rel="self" type="application/atom+xml" href="${escapeXml(feed.selfUrl)}"/>`
+  );
+  if (feed.alternateUrl) {
+    lines.push(`  <link rel="alternate" type="text/html" href="${escapeXml(feed.alternateUrl)}"/>`);
+  }
+  lines.push('  <generator>Gerudo</generator>');
+
+  for (const entry of feed.entries) {
+    lines.push(
+      '  <entry>',
+      `    <id>${escapeXml(entry.id)}</id>`,
+      `    <title>${escapeXml(entry.title)}</title>`,
+      `    <link rel="alternate" href="${escapeXml(entry.url)}"/>`,
+      `    <updated>${isoDate(entry.updated)}</updated>`
+    );
+    if (entry.published) lines.push(`    <published>${isoDate(entry.published)}</published>`);
+    lines.push(`    <author><name>${escapeXml(entry.author)}</name></author>`);
+    if (entry.summary) lines.push(`    <summary>${escapeXml(entry.summary)}</summary>`);
+    lines.push('  </entry>');
+  }
+
+  lines.push('</feed>');
+  return lines.join('\n') + '\n';
+}
+
+// Send a feed, or 304 if the reader's copy is current
+function sendFeed(req, res, feed) {
+  const body = renderFeed(feed);
+
+  res.set('Content-Type', 'application/atom+xml; charset=utf-8');
+  res.set('Cache-Control', 'public, max-age=300');
+  res.set('Last-Modified', new Date(feed.updated).toUTCString());
+  res.set('ETag', `"${crypto.createHash('sha256').update(body).digest('hex').slice(0, 32)}"`);
+
+  if (req.fresh) {
+    res.removeHeader('Content-Type');
+    return res.status(304).end();
+  }
+  res.send(body);
+}
+
+module.exports = { tagUri, renderFeed, sendFeed };
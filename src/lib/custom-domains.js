@@ -0,0 +1,215 @@
+// lib/custom-domains.js - Hostname routing and ownership checks for custom domains
+//
+// A site owner adds a hostname, which starts out pending, and proves they
+// control the domain by publishing its token themselves, in one of two ways:
+//
+//   http - serve the token file from the domain's current web server; we
+//          fetch http(s)://<hostname>/.well-known/gerudo-<token>.txt
+//   dns  - publish a TXT record  _gerudo.<hostname>  "gerudo-verification=<token>"
+//
+// Gerudo never serves a pending domain, so pointing a domain here can't
+// verify anybody's claim on it: once a domain points at Gerudo, only the
+// TXT record works. Several sites may claim one hostname while it's
+// pending; the first to verify gets it and the other claims are dropped.
+// Claims that aren't verified within PENDING_DAYS expire.
+
+const crypto = require('crypto');
+const dns = require('dns');
+const http = require('http');
+const https = require('https');
+const Domain = require('../models/Domain');
+const { privateHost, publicLookup } = require('./private-addresses');
+
+const PENDING_DAYS = 7;
+const LOOKUP_TTL = 60 * 1000;
+const FETCH_TIMEOUT = 5000;
+const MAX_TOKEN_RESPONSE = 1024;
+
+const HOSTNAME_PATTERN = /^(?=.{4,253}$)([a-z0-9]([a-z0-9-]{0,61}[a-z0-9])?\.)+[a-z][a-z0-9-]{0,61}[a-z0-9]$/;
+
+// hostname -> { domain, expires }
+const lookupCache = new Map();
+
+// Swappable so tests can answer TXT queries without real DNS
+let resolveTxt = hostname => dns.promises.resolveTxt(hostname);
+
+function setTxtResolver(resolver) {
+  resolveTxt = resolver;
+}
+
+function generateToken() {
+  return crypto.randomBytes(16).toString('hex');
+}
+
+function tokenFilePath(domain) {
+  return `.well-known/gerudo-${domain.verification_token}.txt`;
+}
+
+function tokenFileContent(domain) {
+  return `gerudo-verification=${domain.verification_token}\n`;
+}
+
+function normalizeHostname(hostname) {
+  return String(hostname || '').trim().toLowerCase().replace(/\.$/, '');
+}
+
+// Hostnames Gerudo itself answers on can't be claimed by a site. Callers
+// pass the dashboard's own hostname, since it isn't configured anywhere.
+function reservedHostnames(extra) {
+  const hosts = extra.map(normalizeHostname);
+  if (process.env.SITES_ORIGIN) hosts.push(new URL(process.env.SITES_ORIGIN).hostname.toLowerCase());
+  if (process.env.SITES_DOMAIN) hosts.push(process.env.SITES_DOMAIN.toLowerCase());
+  return hosts;
+}
+
+function validateHostname(hostname, reserved = []) {
+  if (!HOSTNAME_PATTERN.test(hostname)) {
+    return { valid: false, error: 'Enter a valid domain name, like www.example.com' };
+  }
+
+  if (hostname.endsWith('.onion')) {
+    return { valid: false, error: 'Use the Onion-Location setting for .onion mirrors' };
+  }
+
+  if (reservedHostnames(reserved).some(host => hostname === host || hostname.endsWith('.' + host))) {
+    return { valid: false, error: 'That domain belongs to Gerudo' };
+  }
+
+  return { valid: true };
+}
+
+// ============================================================
+// HOST ROUTING
+// ============================================================
+
+// The verified site_domains row for a request Host, cached briefly since
+// this runs for every request that isn't on a known Gerudo host
+async function lookupDomain(hostname) {
+  const host = normalizeHostname(hostname);
+  const now = Date.now();
+
+  const cached = lookupCache.get(host);
+  if (cached && cached.expires > now) return cached.domain;
+
+  const domain = (await Domain.findVerifiedByHostname(host)) || null;
+  lookupCache.set(host, { domain, expires: now + LOOKUP_TTL });
+
+  if (lookupCache.size > 10000) {
+    for (const [key, value] of lookupCache) {
+      if (value.expires <= now) lookupCache.delete(key);
+    }
+  }
+
+  return domain;
+}
+
+function forgetDomain(hostname) {
+  lookupCache.delete(normalizeHostname(hostname));
+}
+
+// ============================================================
+// VERIFICATION
+// ============================================================
+
+// Private addresses are refused, so a claim can't be used to make the
+// server fetch from its own network
+function fetchText(url) {
+  return new Promise((resolve, reject) => {
+    const host = privateHost(new URL(url));
+    if (host) return reject(new Error(`${host} is a private address`));
+
+    const client = url.startsWith('https:') ? https : http;
+    const req = client.get(url, { timeout: FETCH_TIMEOUT, lookup: publicLookup }, res => {
+      if (res.statusCode !== 200) {
+        res.resume();
+        return reject(new Error(`${url} returned HTTP ${res.statusCode}`));
+      }
+
+      let body = '';
+      res.setEncoding('utf8');
+      res.on('data', chunk => {
+        body += chunk;
+        if (body.length > MAX_TOKEN_RESPONSE) req.destroy();
+      });
+      res.on('end', () => resolve(body));
+      res.on('close', () => resolve(body));
+    });
+
+    req.on('timeout', () => req.destroy(new Error(`${url} timed out`)));
+    req.on('error', reject);
+  });
+}
+
+async function verifyOverHttp(domain) {
+  const path = '/' + tokenFilePath(domain);
+  const expected = tokenFileContent(domain).trim();
+  let lastError;
+
+  for (const scheme of ['https', 'http']) {
+    try {
+      const body = await fetchText(`${scheme}://${domain.hostname}${path}`);
+      if (body.trim() === expected) return { verified: true };
+      lastError = new Error(`${scheme}://${domain.hostname}${path} did not contain the token`);
+    } catch (err) {
+      lastError = err;
+    }
+  }
+
+  return { verified: false, error: lastError.message };
+}
+
+async function verifyOverDns(domain) {
+  const recordName = `_gerudo.${domain.hostname}`;
+  const expected = tokenFileContent(domain).trim();
+
+  try {
+    const records = await resolveTxt(recordName);
+    // Each TXT record arrives as an array of character-string chunks
+    if (records.some(chunks => chunks.join('') === expected)) {
+      return { verified: true };
+    }
+    return { verified: false, error: `No matching TXT record found at ${recordName}` };
+  } catch (err) {
+    return { verified: false, error: `DNS lookup for ${recordName} failed (${err.code || err.message})` };
+  }
+}
+
+function isExpired(domain) {
+  return !domain.verified_at &&
+    Date.now() - new Date(domain.created_at).getTime() > PENDING_DAYS * 24 * 60 * 60 * 1000;
+}
+
+// Look for the token: { verified, error }
+function checkDomain(domain, method) {
+  return method === 'dns' ? verifyOverDns(domain) : verifyOverHttp(domain);
+}
+
+async function verifyDomain(domain, method) {
+  if (isExpired(domain)) {
+    return { verified: false, error: `the claim expired after ${PENDING_DAYS} days; remove it and add the domain again` };
+  }
+
+  const result = await checkDomain(domain, method);
+  if (result.verified) {
+    if (!(await Domain.markVerified(domain.id))) {
+      return { verified: false, error: 'another site has verified it first' };
+    }
+    forgetDomain(domain.hostname);
+  }
+  return result;
+}
+
+module.exports = {
+  PENDING_DAYS,
+  generateToken,
+  tokenFilePath,
+  tokenFileContent,
+  normalizeHostname,
+  validateHostname,
+  lookupDomain,
+  forgetDomain,
+  isExpired,
+  checkDomain,
+  verifyDomain,
+  setTxtResolver,
+};
@@ -0,0 +1,33 @@
+// lib/dav-destination.js - The Destination header of WebDAV MOVE and COPY
+//
+// Clients send a full URL or an absolute path. Only paths under the DAV
+// mount (`prefix`, like "/dav/") are on this server; after it come the
+// site's slug and the path inside the site. Returns { slug, path }, or
+// { status, error } with the status routes/dav should answer with. The
+// path still has to pass validateFilePath.
+function parseDestination(value, prefix) {
+  if (!value) {
+    return { status: 400, error: 'Destination header is required' };
+  }
+
+  let url;
+  try {
+    url = new URL(value, 'http://localhost');
+  } catch (err) {
+    return { status: 400, error: 'Invalid Destination header' };
+  }
+
+  if (!url.pathname.startsWith(prefix)) {
+    return { status: 502, error: 'Destination is not on this server' };
+  }
+
+  let segments;
+  try {
+    segments = url.pathname.slice(prefix.length).split('/').map(decodeURIComponent);
+  } catch (err) {
+    return { status: 400, error: 'Invalid Destination header' };
+  }
+  return { slug: segments[0], path: segments.slice(1).join('/').replace(/\/+$/, '') };
+}
+
+module.exports = { parseDestination };
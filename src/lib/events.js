@@ -0,0 +1,86 @@
+// lib/events.js - Things that happen to a user's sites
+//
+// Handlers call emitEvent after a change has been made; it records the
+// change in the user's activity (for followers' feeds, see models/Activity)
+// and queues a delivery for each of the user's webhooks that wants the
+// event (see lib/webhooks). It never throws: a failure here must not undo
+// or fail the change itself.
+const crypto = require('crypto');
+const Webhook = require('../models/Webhook');
+const Activity = require('../models/Activity');
+const { deliverSoon } = require('./webhooks');
+const { siteUrl } = require('./sites-origin');
+
+// How a site appears in event data
+function siteData(site, username) {
+  return {
+    id: site.id,
+    slug: site.slug,
+    title: site.title,
+    owner: username,
+    url: siteUrl(username, site.slug),
+  };
+}
+
+// The JSON body webhooks receive
+function eventPayload(event, data) {
+  return {
+    id: crypto.randomUUID(),
+    event: event,
+    created_at: new Date().toISOString(),
+    data: data,
+  };
+}
+
+// Events shown to followers. Draft changes aren't: they're not public yet.
+const ACTIVITY_EVENTS = ['site.created', 'file.saved', 'site.published'];
+
+async function recordActivity(userId, event, data) {
+  if (!ACTIVITY_EVENTS.includes(event) || !data.site || data.draft) return;
+
+  const paths = event === 'site.published'
+    ? data.changes.filter(change => change.action !== 'deleted').map(change => change.path)
+    : data.paths || [];
+  await Activity.record({ userId, siteId: data.site.id, event, paths });
+}
+
+async function emitEvent(userId, event, data) {
+  try {
+    await recordActivity(userId, event, data);
+  } catch (err) {
+    console.error(`Record ${event} activity error:`, err);
+  }
+
+  try {
+    const webhooks = await Webhook.listForEvent(userId, event);
+    if (webhooks.length === 0) return;
+
+    const payload = eventPayload(event, data);
+    for (const webhook of webhooks) {
+      await Webhook.queueDelivery({ webhookId: webhook.id, event, payload });
+    }
+    deliverSoon();
+  } catch (err) {
+    console.error(`Emit ${event} error:`, err);
+  }
+}
+
+// An event about one of a user's sites
+function emitSiteEvent(username, event, site, data = {}) {
+  return emitEvent(site.owner_id, event, { site: siteData(site, username), ...data });
+}
+
+// file.saved / file.deleted for the paths that changed, if any. `draft`
+// says the change is in the site's open draft and not live yet.
+async function emitFileEvent(username, event, site, paths) {
+  if (paths.length === 0) return;
+  await emitSiteEvent(username, event, site, { paths: paths, draft: Boolean(site.draft_started_at) });
+}
+
+module.exports = {
+  siteData,
+  eventPayload,
+  emitEvent,
+  emitSiteEvent,
+  emitFileEvent,
+};
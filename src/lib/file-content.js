@@ -0,0 +1,34 @@
+// lib/file-content.js - How file bodies are stored in site_files and the
+// tables that mirror it (revisions, drafts)
+const crypto = require('crypto');
+const { isTextMime } = require('./mime');
+
+// Text is kept in `content` so it stays readable in the database; anything
+// that isn't valid UTF-8 text goes into the `data` bytea column untouched.
+function encodeContent(content, mimeType) {
+  const buffer = Buffer.isBuffer(content) ? content : Buffer.from(content, 'utf8');
+  const hash = crypto.createHash('sha256').update(buffer).digest('hex');
+
+  if (Buffer.isBuffer(content)) {
+    const text = content.toString('utf8');
+    if (isTextMime(mimeType) && Buffer.from(text, 'utf8').equals(content)) {
+      return { content: text, data: null, encoding: 'utf8', size: buffer.length, hash };
+    }
+    return { content: null, data: content, encoding: 'binary', size: buffer.length, hash };
+  }
+
+  return { content, data: null, encoding: 'utf8', size: buffer.length, hash };
+}
+
+// Callers always see the file body in `content`: a string for text files,
+// a Buffer for binary ones.
+function decodeRow(row) {
+  if (!row) return row;
+  if (row.encoding === 'binary') {
+    row.content = row.data;
+  }
+  delete row.data;
+  return row;
+}
+
+module.exports = { encodeContent, decodeRow };
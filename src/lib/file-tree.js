@@ -0,0 +1,78 @@
+// lib/file-tree.js - Folder tree for the dashboard file manager
+//
+// Sites store flat paths ("blog/2024/post.html"); folders are whatever
+// those paths imply, plus any empty folders made in the file manager.
+
+// Every folder that contains `path`, outermost first
+function parentFolders(path) {
+  const parts = path.split('/');
+  const folders = [];
+  for (let i = 1; i < parts.length; i++) {
+    folders.push(parts.slice(0, i).join('/'));
+  }
+  return folders;
+}
+
+// All folder paths of a site: implied by files, or created empty
+function listFolderPaths(files, emptyFolders) {
+  const folders = new Set();
+  for (const file of files) {
+    parentFolders(file.path).forEach(folder => folders.add(folder));
+  }
+  for (const folder of emptyFolders) {
+    folders.add(folder);
+    parentFolders(folder).forEach(parent => folders.add(parent));
+  }
+  return folders;
+}
+
+// Flatten the tree into display rows, depth first with folders ahead of
+// files at each level:
+//   { type: 'folder', path, name, depth, fileCount }
+//   { type: 'file', path, name, depth, file }
+function buildFileRows(files, emptyFolders) {
+  const root = { folders: new Map(), files: [] };
+
+  const folderNode = (path) => {
+    let node = root;
+    for (const name of path.split('/')) {
+      if (!node.folders.has(name)) {
+        node.folders.set(name, { folders: new Map(), files: [], fileCount: 0 });
+      }
+      node = node.folders.get(name);
+    }
+    return node;
+  };
+
+  for (const folder of listFolderPaths(files, emptyFolders)) {
+    folderNode(folder);
+  }
+
+  for (const file of files) {
+    const parents = parentFolders(file.path);
+    const node = parents.length ? folderNode(parents[parents.length - 1]) : root;
+    node.files.push(file);
+    parents.forEach(parent => folderNode(parent).fileCount++);
+  }
+
+  const rows = [];
+  const walk = (node, prefix, depth) => {
+    const names = [...node.folders.keys()].sort();
+    for (const name of names) {
+      const child = node.folders.get(name);
+      const path = prefix + name;
+      rows.push({ type: 'folder', path, name, depth, fileCount: child.fileCount });
+      walk(child, path + '/', depth + 1);
+    }
+
+    const sorted = [...node.files].sort((a, b) => a.path.localeCompare(b.path));
+    for (const file of sorted) {
+      rows.push({ type: 'file', path: file.path, name: file.path.slice(prefix.length), depth, file });
+    }
+  };
+  walk(root, '', 0);
+
+  return rows;
+}
+
+module.exports = { parentFolders, listFolderPaths, buildFileRows };
@@ -0,0 +1,390 @@
+// lib/git.js - Each site's git repository, for push-to-deploy
+//
+// Repositories are bare, one per site (named by site id, so renaming a
+// site keeps its history), under GIT_REPOS_DIR or ./data/git. The git
+// binary does the protocol work; this module keeps each repository's main
+// branch and the site's files in step:
+//
+// - Pushing to main runs the pre-receive hook (src/git-hook.js), which
+//   checks the pushed tree like an upload and writes it to the site in one
+//   transaction. If anything is wrong the push is refused and nothing
+//   changes.
+// - Before every clone, fetch or push, syncRepo commits edits made
+//   elsewhere (dashboard, API, WebDAV) onto main. A push that doesn't
+//   include them is refused as non-fast-forward, like on any git host.
+//
+// Both compare the site's content hashes (sha256) with main's blobs (sha1)
+// through a table of the two kept in the repository, so file bodies are
+// only read, from git or the database, for files that changed.
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { spawn } = require('child_process');
+const Site = require('../models/Site');
+const { transaction } = require('../db');
+const { getMimeType } = require('./mime');
+const { CONFIG_FILES, validateConfigFile, formatConfigErrors } = require('./site-config');
+const { checkQuota } = require('./quota');
+const { workspace } = require('./site-files');
+const { validateFilePath } = require('./validation');
+
+const REPOS_DIR = path.resolve(process.env.GIT_REPOS_DIR || path.join(__dirname, '..', '..', 'data', 'git'));
+const HOOK_SCRIPT = path.join(__dirname, '..', 'git-hook.js');
+const BRANCH = 'refs/heads/main';
+const ZERO_ID = '0'.repeat(40);
+
+// Why a push was refused, in words for the person pushing
+class PushError extends Error {}
+
+function repoPath(siteId) {
+  return path.join(REPOS_DIR, `${Number(siteId)}.git`);
+}
+
+// Run git in a repository; resolves with its output as a Buffer
+function runGit(repo, args, { input, env } = {}) {
+  return new Promise((resolve, reject) => {
+    const child = spawn('git', args, { env: { ...process.env, ...env, GIT_DIR: repo } });
+    const stdout = [];
+    const stderr = [];
+    child.stdout.on('data', chunk => stdout.push(chunk));
+    child.stderr.on('data', chunk => stderr.push(chunk));
+    child.on('error', reject);
+    child.on('close', code => {
+      if (code === 0) return resolve(Buffer.concat(stdout));
+      reject(new Error(`git ${args[0]} failed: ${Buffer.concat(stderr).toString().trim()}`));
+    });
+    child.stdin.on('error', () => {}); // git may exit before reading it all
+    child.stdin.end(input);
+  });
+}
+
+// git's object id for a file's content
+function blobId(content) {
+  return crypto.createHash('sha1')
+    .update(`blob ${content.length}\0`)
+    .update(content)
+    .digest('hex');
+}
+
+function contentHash(content) {
+  return crypto.createHash('sha256').update(content).digest('hex');
+}
+
+// The content hash of blobs by git object id, from the repository's
+// gerudo-hashes file. Both are hashes of the content, so an entry never
+// goes stale; syncRepo drops the ones main no longer uses.
+function readHashes(repo) {
+  const hashes = new Map();
+  try {
+    for (const line of fs.readFileSync(path.join(repo, 'gerudo-hashes'), 'utf8').split('\n')) {
+      const [id, hash] = line.split(' ');
+      if (id && hash) hashes.set(id, hash);
+    }
+  } catch (err) {
+    if (err.code !== 'ENOENT') throw err;
+  }
+  return hashes;
+}
+
+function writeHashes(repo, hashes) {
+  const lines = [...hashes].map(([id, hash]) => `${id} ${hash}\n`);
+  fs.writeFileSync(path.join(repo, 'gerudo-hashes'), lines.join(''));
+}
+
+function shellQuote(value) {
+  return `'${value.replace(/'/g, `'\\''`)}'`;
+}
+
+// Create the site's repository on first use. The hook is rewritten every
+// time so it follows the app if it moves.
+async function ensureRepo(site) {
+  const repo = repoPath(site.id);
+  if (!fs.existsSync(path.join(repo, 'HEAD'))) {
+    fs.mkdirSync(repo, { recursive: true });
+    await runGit(repo, ['init', '--bare', '--quiet']);
+    await runGit(repo, ['symbolic-ref', 'HEAD', BRANCH]);
+    await runGit(repo, ['config', 'receive.denyDeletes', 'true']);
+  }
+
+  const hook = path.join(repo, 'hooks', 'pre-receive');
+  const script = '#!/bin/sh\n' +
+    '# Written by Gerudo (src/lib/git.js): publish what is pushed to main\n' +
+    `exec ${shellQuote(process.execPath)} ${shellQuote(HOOK_SCRIPT)}\n`;
+  if (!fs.existsSync(hook) || fs.readFileSync(hook, 'utf8') !== script) {
+    fs.mkdirSync(path.dirname(hook), { recursive: true });
+    fs.writeFileSync(hook, script, { mode: 0o755 });
+  }
+  return repo;
+}
+
+function removeRepo(siteId) {
+  fs.rmSync(repoPath(siteId), { recursive: true, force: true });
+}
+
+// Start git-upload-pack (clone, fetch) or git-receive-pack (push) for one
+// request of the smart HTTP protocol. The hook finds the site through
+// GERUDO_SITE_ID; hooksPath is pinned so no global git config can skip it.
+function spawnService(site, service, { advertise = false }) {
+  const repo = repoPath(site.id);
+  const args = ['-c', `core.hooksPath=${path.join(repo, 'hooks')}`, service.replace(/^git-/, ''), '--stateless-rpc'];
+  if (advertise) args.push('--advertise-refs');
+  args.push(repo);
+  return spawn('git', args, { env: { ...process.env, GERUDO_SITE_ID: String(site.id) } });
+}
+
+// The commit main points at, or null
+async function branchHead(repo) {
+  try {
+    return (await runGit(repo, ['rev-parse', '--verify', '--quiet', BRANCH])).toString().trim();
+  } catch (err) {
+    return null;
+  }
+}
+
+// Every entry of a commit's tree: [{ mode, type, id, size, path }]
+async function listTree(repo, commit) {
+  const output = await runGit(repo, ['ls-tree', '-r', '-z', '-l', '--full-tree', commit]);
+  return output.toString('utf8').split('\0').filter(Boolean).map(line => {
+    const [info, filePath] = line.split('\t');
+    const [mode, type, id, size] = info.split(/\s+/);
+    return { mode, type, id, size: Number(size) || 0, path: filePath };
+  });
+}
+
+// Stream blobs out of the repository one at a time:
+// onBlob(id, content) is called for each, in order
+function readBlobs(repo, ids, onBlob) {
+  return new Promise((resolve, reject) => {
+    if (ids.length === 0) return resolve();
+
+    const child = spawn('git', ['cat-file', '--batch'], { env: { ...process.env, GIT_DIR: repo } });
+    let chunks = [];
+    let buffered = 0;
+    let header = null;
+    let done = 0;
+    let failed = false;
+
+    const fail = (err) => {
+      if (failed) return;
+      failed = true;
+      child.kill();
+      reject(err);
+    };
+
+    const joined = () => {
+      const all = Buffer.concat(chunks);
+      chunks = [all];
+      return all;
+    };
+
+    child.stdout.on('data', chunk => {
+      chunks.push(chunk);
+      buffered += chunk.length;
+
+      while (!failed) {
+        if (!header) {
+          const all = joined();
+          const newline = all.indexOf(10);
+          if (newline < 0) return;
+          const [id, type, size] = all.subarray(0, newline).toString().split(' ');
+          if (type !== 'blob') return fail(new Error(`git cat-file: ${id} is ${type}`));
+          header = { id, size: Number(size) };
+          chunks = [all.subarray(newline + 1)];
+          buffered -= newline + 1;
+        }
+
+        // The content, then a newline
+        if (buffered < header.size + 1) return;
+        const all = joined();
+        try {
+          onBlob(header.id, all.subarray(0, header.size));
+        } catch (err) {
+          return fail(err);
+        }
+        chunks = [all.subarray(header.size + 1)];
+        buffered -= header.size + 1;
+        header = null;
+        done++;
+      }
+    });
+
+    child.on('error', fail);
+    child.on('close', code => {
+      if (failed) return;
+      if (code !== 0 || done !== ids.length) return fail(new Error('git cat-file failed'));
+      resolve();
+    });
+    child.stdin.on('error', () => {});
+    child.stdin.end(ids.join('\n') + '\n');
+  });
+}
+
+// ============================================================
+// SYNC (site files onto main)
+// ============================================================
+// Commit the site's current files onto main if they differ from its tree.
+// Resolves with true if a commit was made.
+async function syncRepo(site) {
+  const repo = await ensureRepo(site);
+  const head = await branchHead(repo);
+  const tree = head ? await listTree(repo, head) : [];
+  const inTree = new Map(tree.map(entry => [entry.path, entry.id]));
+
+  // Hash the blobs of main's that haven't been seen yet
+  const hashes = readHashes(repo);
+  const unseen = [...new Set(tree.map(entry => entry.id))].filter(id => !hashes.has(id));
+  await readBlobs(repo, unseen, (id, content) => hashes.set(id, contentHash(content)));
+  const kept = new Map(tree.map(entry => [entry.id, hashes.get(entry.id)]));
+  const known = new Map([...kept].map(([id, hash]) => [hash, id]));
+
+  const store = workspace(site);
+  const files = await store.listFileSizes(site.id);
+  const same = tree.length === files.length &&
+    files.every(file => inTree.has(file.path) && kept.get(inTree.get(file.path)) === file.content_hash);
+  if (same || (!head && files.length === 0)) {
+    if (unseen.length > 0 || kept.size < hashes.size) writeHashes(repo, kept);
+    return false;
+  }
+
+  // fast-import writes a whole tree: blobs main already has are named by
+  // id, anything new is read from the site and sent along
+  const lines = [];
+  const message = 'Changes made on Gerudo\n';
+  lines.push(Buffer.from(
+    `commit ${BRANCH}\n` +
+    `committer Gerudo <gerudo@localhost> ${Math.floor(Date.now() / 1000)} +0000\n` +
+    `data ${Buffer.byteLength(message)}\n${message}` +
+    (head ? `from ${head}\n` : '') +
+    'deleteall\n'
+  ));
+  for (const file of files) {
+    if (known.has(file.content_hash)) {
+      lines.push(Buffer.from(`M 100644 ${known.get(file.content_hash)} ${file.path}\n`));
+      continue;
+    }
+
+    // Deleted since it was listed
+    const stored = await store.getFile(site.id, file.path);
+    if (!stored) continue;
+
+    const content = Site.fileBuffer(stored);
+    kept.set(blobId(content), contentHash(content));
+    lines.push(Buffer.from(`M 100644 inline ${file.path}\ndata ${content.length}\n`), content, Buffer.from('\n'));
+  }
+  lines.push(Buffer.from('\n'));
+
+  await runGit(repo, ['fast-import', '--quiet'], { input: Buffer.concat(lines) });
+  writeHashes(repo, kept);
+  return true;
+}
+
+// ============================================================
+// DEPLOY (main onto the site, from the pre-receive hook)
+// ============================================================
+// Check a push's ref updates ([{ oldId, newId, ref }]) and publish main's
+// new tree. Throws PushError to refuse the push. `say` prints to the
+// pusher. Resolves with the paths { saved, removed }, or null if nothing
+// changed.
+async function deployPush(site, repo, updates, say) {
+  for (const { newId, ref } of updates) {
+    if (ref !== BRANCH) {
+      throw new PushError('Only main is published. Push to it with: git push <remote> HEAD:main');
+    }
+    if (newId === ZERO_ID) {
+      throw new PushError('main cannot be deleted');
+    }
+  }
+  if (updates.length === 0) return null;
+  const { newId } = updates[0];
+
+  const tree = await listTree(repo, newId);
+  const problems = [];
+  for (const entry of tree) {
+    if (entry.type !== 'blob') {
+      problems.push(`${entry.path}: submodules aren't supported`);
+    } else if (entry.mode === '120000') {
+      problems.push(`${entry.path}: symbolic links aren't supported`);
+    } else {
+      const validation = validateFilePath(entry.path);
+      if (!validation.valid) problems.push(`${entry.path}: ${validation.error}`);
+    }
+  }
+  if (problems.length > 0) {
+    const shown = problems.slice(0, 10);
+    if (problems.length > shown.length) shown.push(`...and ${problems.length - shown.length} more`);
+    throw new PushError(`These files can't be published:\n  ${shown.join('\n  ')}`);
+  }
+
+  // Files whose blob is known to match the site's copy are left alone
+  const store = workspace(site);
+  const current = new Map((await store.listFileSizes(site.id)).map(f => [f.path, f.content_hash]));
+  const hashes = readHashes(repo);
+  const changing = tree.filter(entry => !hashes.has(entry.id) || hashes.get(entry.id) !== current.get(entry.path));
+
+  const pushed = new Set(tree.map(entry => entry.path));
+  const removed = [...current.keys()].filter(filePath => !pushed.has(filePath));
+
+  // ls-tree gave the sizes, so the plan is checked before any blob is read
+  await transaction(client => checkQuota(client, site, {
+    files: changing.map(entry => ({ path: entry.path, size: entry.size })),
+    removed: removed
+  }));
+
+  const byId = new Map();
+  for (const entry of changing) {
+    byId.set(entry.id, [...(byId.get(entry.id) || []), entry.path]);
+  }
+
+  const changed = [];
+  await readBlobs(repo, [...byId.keys()], (id, content) => {
+    const hash = contentHash(content);
+    hashes.set(id, hash);
+    for (const filePath of byId.get(id)) {
+      if (current.get(filePath) === hash) continue;
+
+      const configErrors = validateConfigFile(filePath, content.toString('utf8'));
+      if (configErrors.length > 0) {
+        throw new PushError(formatConfigErrors(filePath, configErrors));
+      }
+      changed.push({ path: filePath, content: Buffer.from(content) });
+    }
+  });
+  writeHashes(repo, hashes);
+
+  if (changed.length === 0 && removed.length === 0) {
+    say('Nothing to publish: the site already matches this commit.');
+    return null;
+  }
+
+  await transaction(async (client) => {
+    await checkQuota(client, site, {
+      files: changed.map(file => ({ path: file.path, size: file.content.length })),
+      removed: removed
+    });
+
+    for (const file of changed) {
+      await store.saveFile({
+        siteId: site.id,
+        path: file.path,
+        content: file.content,
+        mimeType: CONFIG_FILES.includes(file.path) ? 'text/plain' : getMimeType(file.path)
+      }, client);
+    }
+    for (const filePath of removed) {
+      await store.deleteFile(site.id, filePath, client);
+    }
+  });
+
+  say(`${site.draft_started_at ? 'Saved to the draft' : 'Published'}: ` +
+    `${changed.length} file(s) written, ${removed.length} deleted.`);
+  return { saved: changed.map(file => file.path), removed: removed };
+}
+
+module.exports = {
+  PushError,
+  ensureRepo,
+  removeRepo,
+  syncRepo,
+  spawnService,
+  deployPush,
+};
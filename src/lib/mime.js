@@ -0,0 +1,85 @@
+// lib/mime.js - MIME type helpers shared by uploads and file serving
+
+const mimeTypes = {
+  'html': 'text/html',
+  'htm': 'text/html',
+  'css': 'text/css',
+  'js': 'application/javascript',
+  'mjs': 'application/javascript',
+  'json': 'application/json',
+  'xml': 'application/xml',
+  'txt': 'text/plain',
+  'md': 'text/markdown',
+  'csv': 'text/csv',
+  'svg': 'image/svg+xml',
+  'png': 'image/png',
+  'jpg': 'image/jpeg',
+  'jpeg': 'image/jpeg',
+  'gif': 'image/gif',
+  'webp': 'image/webp',
+  'avif': 'image/avif',
+  'bmp': 'image/bmp',
+  'ico': 'image/x-icon',
+  'woff': 'font/woff',
+  'woff2': 'font/woff2',
+  'ttf': 'font/ttf',
+  'otf': 'font/otf',
+  'mp3': 'audio/mpeg',
+  'ogg': 'audio/ogg',
+  'wav': 'audio/wav',
+  'flac': 'audio/flac',
+  'mp4': 'video/mp4',
+  'webm': 'video/webm',
+  'ogv': 'video/ogg',
+  'pdf': 'application/pdf',
+  'wasm': 'application/wasm',
+  'zip': 'application/zip',
+};
+
+// Types that are stored as UTF-8 text rather than raw bytes
+const textMimeTypes = [
+  'application/javascript',
+  'application/json',
+  'application/xml',
+  'image/svg+xml',
+];
+
+function getMimeType(filename) {
+  const ext = filename.split('.').pop().toLowerCase();
+  return mimeTypes[ext] || 'application/octet-stream';
+}
+
+function isTextMime(mimeType) {
+  if (!mimeType) return false;
+  const type = mimeType.split(';')[0].trim().toLowerCase();
+  return type.startsWith('text/') || textMimeTypes.includes(type);
+}
+
+// Browsers often send a generic type for fonts and media, so fall back
+// to the file extension whenever the stored type says nothing useful.
+function resolveMimeType(filename, mimeType) {
+  if (!mimeType || mimeType === 'application/octet-stream') {
+    return getMimeType(filename);
+  }
+  return mimeType;
+}
+
+// The type of a PNG, JPEG, GIF or WebP image from its first bytes, or null
+// for anything else. For uploads whose claimed type can't be trusted.
+function sniffImageType(buffer) {
+  if (buffer.subarray(0, 8).equals(Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]))) {
+    return 'image/png';
+  }
+  if (buffer.subarray(0, 3).equals(Buffer.from([0xff, 0xd8, 0xff]))) {
+    return 'image/jpeg';
+  }
+  if (/^GIF8[79]a/.test(buffer.subarray(0, 6).toString('latin1'))) {
+    return 'image/gif';
+  }
+  if (buffer.subarray(0, 4).toString('latin1') === 'RIFF' && buffer.subarray(8, 12).toString('latin1') === 'WEBP') {
+    return 'image/webp';
+  }
+  return null;
+}
+
+module.exports = { getMimeType, isTextMime, resolveMimeType, sniffImageType };
@@ -0,0 +1,55 @@
+// lib/private-addresses.js - Keeping requests Gerudo makes on users' behalf
+// off its own network
+//
+// Outgoing requests to URLs users chose (domain verification, webhooks)
+// must not reach loopback, private or link-local addresses, where they
+// could talk to services that trust the server. A literal IP is checked
+// before connecting; a hostname is checked by passing publicLookup as the
+// request's `lookup`, so the address that's checked is the one connected to.
+const dns = require('dns');
+const net = require('net');
+
+const privateRanges = new net.BlockList();
+for (const [address, prefix] of [
+  ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8],
+  ['169.254.0.0', 16], ['172.16.0.0', 12], ['192.168.0.0', 16], ['224.0.0.0', 3],
+]) {
+  privateRanges.addSubnet(address, prefix, 'ipv4');
+}
+for (const [address, prefix] of [['::', 127], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]]) {
+  privateRanges.addSubnet(address, prefix, 'ipv6');
+}
+
+function isPrivateAddress(address, family) {
+  const type = family === 6 ? 'ipv6' : 'ipv4';
+  const mapped = type === 'ipv6' && address.match(/^::ffff:(\d+\.\d+\.\d+\.\d+)$/i);
+  if (mapped) return privateRanges.check(mapped[1], 'ipv4');
+  return privateRanges.check(address, type);
+}
+
+// The URL's host if it's a private IP address, else null. Hostnames are
+// left to publicLookup.
+function privateHost(url) {
+  const host = url.hostname.replace(/^\[|\]$/g, '');
+  const family = net.isIP(host);
+  return family && isPrivateAddress(host, family) ? host : null;
+}
+
+// dns.lookup that refuses private addresses, so a public hostname can't
+// be pointed at one after it was checked
+function publicLookup(hostname, options, callback) {
+  dns.lookup(hostname, { ...options, all: true }, (err, addresses) => {
+    if (err) return callback(err);
+    if (addresses.some(a => isPrivateAddress(a.address, a.family))) {
+      return callback(new Error(`${hostname} resolves to a private address`));
+    }
+    if (options.all) return callback(null, addresses);
+    callback(null, addresses[0].address, addresses[0].family);
+  });
+}
+
+module.exports = {
+  isPrivateAddress,
+  privateHost,
+  publicLookup,
+};
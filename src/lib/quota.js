@@ -0,0 +1,146 @@
+// lib/quota.js - Account storage quotas, enforced in one place
+//
+// Limits come from the account's plan (see models/Plan): total bytes, number
+// of sites, bytes per file and which file types may be stored. Every write
+// that can grow an account runs checkQuota (or checkSiteLimit for a new
+// site) inside the transaction that performs it. Both begin by locking the
+// owner's users row, so concurrent uploads to one account take turns: each
+// sees the bytes the previous one committed, and two can't both fit into
+// the same last few megabytes.
+//
+// A site with an open draft counts whichever is bigger, its live files or
+// the draft, since publishing makes the draft live.
+const Plan = require('../models/Plan');
+const Site = require('../models/Site');
+const Draft = require('../models/Draft');
+const { transaction } = require('../db');
+const { CONFIG_FILES } = require('./site-config');
+
+// A write the plan doesn't allow; the message is safe to show the user.
+// `path` is set when one file is to blame.
+class QuotaError extends Error {
+  constructor(message, path) {
+    super(message);
+    this.path = path;
+  }
+}
+
+function formatBytes(bytes) {
+  if (bytes >= 1024 * 1024 * 1024) return `${+(bytes / 1024 / 1024 / 1024).toFixed(2)}GB`;
+  return `${+(bytes / 1024 / 1024).toFixed(2)}MB`;
+}
+
+function fileExtension(path) {
+  const name = path.split('/').pop();
+  return name.includes('.') ? name.split('.').pop().toLowerCase() : '';
+}
+
+// _redirects and _headers have no extension but every site may have them
+function isAllowedType(plan, path) {
+  if (!plan.allowed_extensions || CONFIG_FILES.includes(path)) return true;
+  return plan.allowed_extensions.includes(fileExtension(path));
+}
+
+function siteBytes(site) {
+  return Math.max(site.live_size, site.draft_size);
+}
+
+// Per-file rules, which don't depend on what else is stored
+function checkFile(plan, path, size) {
+  if (size > plan.max_file_size) {
+    throw new QuotaError(`File too large (${formatBytes(plan.max_file_size)} max on the ${plan.title} plan)`, path);
+  }
+  if (!isAllowedType(plan, path)) {
+    const type = fileExtension(path) ? `.${fileExtension(path)} files` : 'Files without an extension';
+    throw new QuotaError(`${type} aren't allowed on the ${plan.title} plan`, path);
+  }
+}
+
+// The account's plan and what it currently uses:
+// { plan, sites: [{ id, slug, ..., size }], used }
+async function getUsage(userId, db) {
+  const plan = await Plan.findForUser(userId, db);
+  const sites = (await Site.listUsageByOwner(userId, db)).map(site => ({ ...site, size: siteBytes(site) }));
+  return { plan, sites, used: sites.reduce((sum, site) => sum + site.size, 0) };
+}
+
+// Bytes the files of one site (or its draft) may add up to, given what the
+// owner's other sites already use. Good for failing fast while a request is
+// still streaming in; checkQuota has the final word.
+function siteAllowance(usage, siteId) {
+  const others = usage.sites
+    .filter(site => site.id !== siteId)
+    .reduce((sum, site) => sum + site.size, 0);
+  return Math.max(0, usage.plan.max_storage - others);
+}
+
+async function lockAccount(client, userId) {
+  const result = await client.query('SELECT id FROM users WHERE id = $1 FOR UPDATE', [userId]);
+  if (!result.rows[0]) throw new QuotaError('Account not found');
+  return getUsage(userId, client);
+}
+
+// Check that writing `files` ([{ path, size }]) to the site, and deleting
+// the `removed` paths, keeps its owner within their plan. Writes go to the
+// draft if the site has one open, the live files otherwise. Must be called
+// with the client of the transaction doing the writes, before them.
+//
+// An account already over its storage (say, after moving to a smaller plan)
+// can still make changes that don't add to the total.
+async function checkQuota(client, site, { files = [], removed = [] }) {
+  const usage = await lockAccount(client, site.owner_id);
+  const plan = usage.plan;
+
+  for (const file of files) {
+    checkFile(plan, file.path, file.size);
+  }
+
+  const current = usage.sites.find(s => s.id === site.id);
+  if (!current) throw new QuotaError('Site not found');
+
+  const store = current.draft_started_at ? Draft : Site;
+  const sizes = new Map((await store.listFileSizes(site.id, client)).map(f => [f.path, f.size]));
+  removed.forEach(path => sizes.delete(path));
+  files.forEach(file => sizes.set(file.path, file.size));
+
+  const written = [...sizes.values()].reduce((sum, size) => sum + size, 0);
+  const after = current.draft_started_at ? Math.max(current.live_size, written) : written;
+  const used = usage.used - current.size + after;
+
+  if (used > plan.max_storage && used > usage.used) {
+    throw new QuotaError(
+      `Storage limit exceeded: this would use ${formatBytes(used)} of the ` +
+      `${formatBytes(plan.max_storage)} on your ${plan.title} plan`
+    );
+  }
+
+  return { plan, used };
+}
+
+// Run fn(client) in a transaction once checkQuota has cleared the change
+function withinQuota(site, changes, fn) {
+  return transaction(async (client) => {
+    await checkQuota(client, site, changes);
+    return fn(client);
+  });
+}
+
+// Check that the account may create another site. Call inside the
+// transaction that creates it.
+async function checkSiteLimit(client, userId) {
+  const usage = await lockAccount(client, userId);
+  if (usage.sites.length >= usage.plan.max_sites) {
+    throw new QuotaError(`Your ${usage.plan.title} plan allows ${usage.plan.max_sites} site(s)`);
+  }
+}
+
+module.exports = {
+  QuotaError,
+  formatBytes,
+  checkFile,
+  getUsage,
+  siteAllowance,
+  checkQuota,
+  withinQuota,
+  checkSiteLimit,
+};
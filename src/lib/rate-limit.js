@@ -0,0 +1,33 @@
+// lib/rate-limit.js - Counting posts against in-memory limits
+//
+// Counts live in the process, so they start over on a restart; that's
+// enough to slow down a flood, which is all they're for.
+
+// A check that lets each key (an IP address, an account, a site...) be used
+// at most `limit` times in `windowMs`. allow(keys) counts one use against
+// every key, or returns false without counting if any of them is used up.
+function rateLimiter(limit, windowMs) {
+  const uses = new Map();
+  
+  return function allow(keys) {
+    const now = Date.now();
+    const recent = keys.map(key =>
+      (uses.get(key) || []).filter(time => now - time < windowMs));
+    if (recent.some(times => times.length >= limit)) {
+      return false;
+    }
+    keys.forEach((key, i) => uses.set(key, [...recent[i], now]));
+    
+    // Cleanup old entries periodically
+    if (Math.random() < 0.01) {
+      for (const [key, times] of uses.entries()) {
+        if (now - times[times.length - 1] > windowMs) {
+          uses.delete(key);
+        }
+      }
+    }
+    return true;
+  };
+}
+
+module.exports = { rateLimiter };
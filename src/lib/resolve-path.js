@@ -0,0 +1,48 @@
+// lib/resolve-path.js - Static-host path resolution for site files
+//
+// Maps a request path (relative to the site root, no leading slash) onto a
+// stored file. Returns one of:
+//   { file }          - serve this file
+//   { redirect }      - send the visitor to this canonical path instead
+//   { notFound: true }
+
+function stripSuffix(path, suffix) {
+  return path.slice(0, path.length - suffix.length);
+}
+
+async function resolveSitePath(path, { cleanUrls, getFile }) {
+  // Directory request: dir/ -> dir/index.html
+  if (path === '' || path.endsWith('/')) {
+    const index = await getFile(path + 'index.html');
+    if (index) return { file: index };
+
+    if (cleanUrls && path !== '') {
+      const bare = stripSuffix(path, '/');
+      if (await getFile(bare + '.html')) return { redirect: bare };
+    }
+    return { notFound: true };
+  }
+
+  const file = await getFile(path);
+  if (file) {
+    // Canonical clean URL: about.html -> about, blog/index.html -> blog/
+    if (cleanUrls && path.endsWith('.html')) {
+      if (path === 'index.html' || path.endsWith('/index.html')) {
+        return { redirect: stripSuffix(path, 'index.html') };
+      }
+      return { redirect: stripSuffix(path, '.html') };
+    }
+    return { file };
+  }
+
+  if (cleanUrls) {
+    const html = await getFile(path + '.html');
+    if (html) return { file: html };
+  }
+
+  if (await getFile(path + '/index.html')) return { redirect: path + '/' };
+
+  return { notFound: true };
+}
+
+module.exports = { resolveSitePath };
@@ -0,0 +1,98 @@
+// lib/search-text.js - The text of a page, as /search indexes it
+//
+// Pages are .html and .md files. Their text is pulled out with regular
+// expressions rather than a full parser: it only has to be good enough to
+// search on, and it's redone whenever the file is saved. The extension
+// decides how a page is read, as text uploads are often stored as
+// text/plain.
+const PAGE_EXTENSIONS = /\.(html?|md)$/i;
+
+// Only this much of a page is indexed
+const MAX_INPUT = 1024 * 1024;
+const MAX_TEXT = 100 * 1024;
+
+// Highlight markers for ts_headline; private-use characters, removed from
+// the indexed text so they can't appear in it otherwise
+const HIGHLIGHT_START = '\uE000';
+const HIGHLIGHT_END = '\uE001';
+
+const ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: ' ' };
+
+function isPage(path) {
+  return PAGE_EXTENSIONS.test(path);
+}
+
+function decodeEntities(text) {
+  return text.replace(/&(#x[0-9a-f]+|#[0-9]+|[a-z]+);/gi, (match, name) => {
+    if (name[0] !== '#') return ENTITIES[name.toLowerCase()] || match;
+    const code = name[1] === 'x' || name[1] === 'X'
+      ? parseInt(name.slice(2), 16)
+      : parseInt(name.slice(1), 10);
+    return code > 0 && code <= 0x10ffff ? String.fromCodePoint(code) : match;
+  });
+}
+
+function stripTags(html) {
+  return html.replace(/<[^>]*>/g, ' ');
+}
+
+function clean(text) {
+  return decodeEntities(text)
+    .replace(/[\u0000-\u001F\u007F\uE000\uE001]/g, ' ')
+    .replace(/\s+/g, ' ')
+    .trim()
+    .slice(0, MAX_TEXT);
+}
+
+function htmlText(html) {
+  const robots = html.match(/<meta\s[^>]*name\s*=\s*["']?robots\b[^>]*>/gi) || [];
+  if (robots.some(tag => /noindex/i.test(tag))) return null;
+
+  const visible = html
+    .replace(/<!--[\s\S]*?-->/g, ' ')
+    .replace(/<(script|style|template|svg)\b[\s\S]*?<\/\1\s*>/gi, ' ');
+  const title = visible.match(/<title\b[^>]*>([\s\S]*?)<\/title\s*>/i);
+  const headings = [...visible.matchAll(/<h[1-6]\b[^>]*>([\s\S]*?)<\/h[1-6]\s*>/gi)]
+    .map(match => clean(stripTags(match[1])));
+
+  return {
+    title: (title && clean(stripTags(title[1]))) || headings[0] || '',
+    headings: headings.join(' '),
+    body: clean(stripTags(visible.replace(/<head\b[\s\S]*?<\/head\s*>/i, ' '))),
+  };
+}
+
+function markdownText(markdown) {
+  const headings = markdown.split(/\r?\n/)
+    .filter(line => /^ {0,3}#{1,6}\s/.test(line))
+    .map(line => clean(line.replace(/^ *#+\s*|\s+#+\s*$/g, '')));
+
+  const body = markdown
+    .replace(/!?\[([^\]]*)\]\([^)]*\)/g, '$1')
+    .replace(/<[^>]*>/g, ' ')
+    .replace(/^ {0,3}(#{1,6}|>|[-*+]|\d+\.)\s+/gm, '')
+    .replace(/\s+#+\s*$/gm, '')
+    .replace(/[*`~]+|\b_+|_+\b/g, '');
+
+  return {
+    title: headings[0] || '',
+    headings: headings.join(' '),
+    body: clean(body),
+  };
+}
+
+// { title, headings, body } for a page, or null if it asks not to be
+// indexed (or isn't text). Returns undefined for anything that isn't a
+// page.
+function extractSearchText(path, content) {
+  if (!isPage(path)) return undefined;
+  if (typeof content !== 'string') return null;
+  const text = content.slice(0, MAX_INPUT);
+  return /\.md$/i.test(path) ? markdownText(text) : htmlText(text);
+}
+
+module.exports = {
+  HIGHLIGHT_START,
+  HIGHLIGHT_END,
+  extractSearchText,
+};
@@ -0,0 +1,86 @@
+// lib/serve-file.js - Send stored site files with HTTP caching and range support
+const Site = require("../models/Site");
+const { isTextMime, resolveMimeType } = require("./mime");
+
+// HTML is revalidated on every visit so edits show up immediately; other
+// assets keep their URL across edits, so they only get a short lifetime.
+function cacheControlFor(mimeType) {
+  if (mimeType === 'text/html') {
+    return 'public, max-age=0, must-revalidate';
+  }
+  return 'public, max-age=3600';
+}
+
+// If-Range lets a client resume only when the file hasn't changed since
+// it fetched the first part.
+function ifRangeMatches(req, etag, lastModified) {
+  const ifRange = req.headers['if-range'];
+  if (!ifRange) return true;
+
+  if (ifRange.includes('"')) {
+    return ifRange === etag;
+  }
+
+  const since = Date.parse(ifRange);
+  return !isNaN(since) && Math.floor(lastModified / 1000) <= Math.floor(since / 1000);
+}
+
+// Pass { status } to send a file as an error page (e.g. a site's 404.html);
+// error pages skip validators and ranges.
+function sendSiteFile(req, res, file, { status } = {}) {
+  const body = Site.fileBuffer(file);
+  const mimeType = resolveMimeType(file.path, file.mime_type);
+  const lastModified = new Date(file.updated_at);
+  const etag = `"${file.content_hash}"`;
+
+  res.set('Content-Type', file.encoding === 'utf8' && isTextMime(mimeType)
+    ? `${mimeType}; charset=utf-8`
+    : mimeType);
+
+  if (status) {
+    res.status(status);
+    res.set('Cache-Control', 'no-cache');
+    res.set('Content-Length', body.length);
+    return res.end(body);
+  }
+
+  res.set('Accept-Ranges', 'bytes');
+  // A Cache-Control from the site's _headers file takes precedence
+  if (!res.get('Cache-Control')) {
+    res.set('Cache-Control', cacheControlFor(mimeType));
+  }
+  res.set('Last-Modified', lastModified.toUTCString());
+  if (file.content_hash) {
+    res.set('ETag', etag);
+  }
+
+  // Checks If-None-Match / If-Modified-Since against the headers above
+  if (req.fresh) {
+    res.removeHeader('Content-Type');
+    return res.status(304).end();
+  }
+
+  const range = req.headers.range && ifRangeMatches(req, etag, lastModified)
+    ? req.range(body.length, { combine: true })
+    : undefined;
+
+  if (range === -1) {
+    res.set('Content-Range', `bytes */${body.length}`);
+    res.removeHeader('Content-Type');
+    return res.status(416).end();
+  }
+
+  // Malformed or multi-part ranges fall back to the whole file
+  if (Array.isArray(range) && range.type === 'bytes' && range.length === 1) {
+    const { start, end } = range[0];
+    res.status(206);
+    res.set('Content-Range', `bytes ${start}-${end}/${body.length}`);
+    res.set('Content-Length', end - start + 1);
+    return res.end(body.subarray(start, end + 1));
+  }
+
+  res.set('Content-Length', body.length);
+  res.end(body);
+}
+
+module.exports = { sendSiteFile };
@@ -0,0 +1,141 @@
+// lib/serve-site.js - Static-host request handling for a single site
+const Site = require("../models/Site");
+const Like = require("../models/Like");
+const User = require("../models/User");
+const { sendSiteFile } = require("./serve-file");
+const { resolveSitePath } = require("./resolve-path");
+const { applySandboxHeaders } = require("./sites-origin");
+const { resolveMimeType } = require("./mime");
+const {
+  CONFIG_FILES,
+  loadSiteConfig,
+  findRedirect,
+  headersFor,
+} = require("./site-config");
+
+// Raw "?..." part of the request URL, kept across redirects
+function queryString(req) {
+  const index = req.url.indexOf('?');
+  return index === -1 ? '' : req.url.slice(index);
+}
+
+async function sendNotFound(req, res, getFile) {
+  const notFoundPage = await getFile('404.html');
+  if (notFoundPage) {
+    return sendSiteFile(req, res, notFoundPage, { status: 404 });
+  }
+
+  res.status(404).send('File not found');
+}
+
+// Look up the target of a rewrite (200) or custom error (404/410) rule
+async function findRewriteTarget(destination, cleanUrls, getFile) {
+  let target = destination.split('?')[0].replace(/^\/+/, '');
+  if (target === '' || target.endsWith('/')) target += 'index.html';
+
+  const file = await getFile(target);
+  if (file || !cleanUrls) return file;
+  return getFile(target + '.html');
+}
+
+async function applyRedirectRule(req, res, rule, { site, basePath, getFile }) {
+  if (rule.status === 200 || rule.status === 404 || rule.status === 410) {
+    const file = await findRewriteTarget(rule.destination, site.clean_urls, getFile);
+    if (!file) return sendNotFound(req, res, getFile);
+
+    return rule.status === 200
+      ? sendSiteFile(req, res, file)
+      : sendSiteFile(req, res, file, { status: rule.status });
+  }
+
+  let location = rule.external
+    ? rule.destination
+    : basePath + rule.destination.replace(/^\/+/, '');
+  if (!location.includes('?')) location += queryString(req);
+
+  res.redirect(rule.status, location);
+}
+
+// Page views of the live site, for "most viewed" on /browse. Assets and
+// draft previews don't count.
+function countView(req, site, file, files) {
+  if (files !== Site || req.method !== 'GET') return;
+  if (resolveMimeType(file.path, file.mime_type) !== 'text/html') return;
+  Site.countView(site.id).catch(err => console.error('Count view error:', err));
+}
+
+// Why a site can't be shown: 'takedown' (by an admin), 'suspended' (its
+// owner is) or null if it can
+async function unavailableReason(site) {
+  if (site.taken_down_at) return 'takedown';
+  if (await User.isSuspended(site.owner_id)) return 'suspended';
+  return null;
+}
+
+// Serve a site path with static-host semantics: _headers and _redirects,
+// directory indexes, clean URLs, canonical redirects and the site's own 404.html.
+// `basePath` is the URL prefix the site is mounted at on this host; `files`
+// is where the files come from (the live site, or its Draft for previews).
+async function serveSitePath(req, res, site, filePath, { basePath, files = Site }) {
+  applySandboxHeaders(res);
+
+  const unavailable = await unavailableReason(site);
+  if (unavailable) {
+    return res.status(unavailable === 'takedown' ? 410 : 403).render("site-unavailable.njk", {
+      site: site,
+      reason: unavailable,
+      title: site.title
+    });
+  }
+
+  // Tor Browser offers to switch to the site's .onion mirror
+  if (site.onion_location) {
+    res.set('Onion-Location', site.onion_location.replace(/\/+$/, '') + '/' + encodeURI(filePath));
+  }
+
+  const getFile = path => files.getFile(site.id, path);
+
+  const config = loadSiteConfig(site.id, await files.getConfigFiles(site.id));
+  const requestPath = '/' + filePath;
+
+  for (const header of headersFor(config, requestPath)) {
+    res.set(header.name, header.value);
+  }
+
+  // Forced rules ("301!") win over existing files; the rest only apply
+  // when nothing is stored at the path.
+  const rule = findRedirect(config, requestPath);
+  if (rule && rule.force) {
+    return applyRedirectRule(req, res, rule, { site, basePath, getFile });
+  }
+
+  const resolved = CONFIG_FILES.includes(filePath)
+    ? { notFound: true }
+    : await resolveSitePath(filePath, { cleanUrls: site.clean_urls, getFile });
+
+  if (rule && resolved.notFound) {
+    return applyRedirectRule(req, res, rule, { site, basePath, getFile });
+  }
+
+  if (resolved.file) {
+    countView(req, site, resolved.file, files);
+    return sendSiteFile(req, res, resolved.file);
+  }
+
+  if (resolved.redirect !== undefined) {
+    return res.redirect(301, basePath + encodeURI(resolved.redirect) + queryString(req));
+  }
+
+  // A site without an index.html yet gets the "under construction" page
+  if (filePath === '') {
+    return res.render("site-default.njk", {
+      site: site,
+      likes: await Like.countForSite(site.id),
+      title: site.title
+    });
+  }
+
+  await sendNotFound(req, res, getFile);
+}
+
+module.exports = { serveSitePath, queryString, unavailableReason };
@@ -0,0 +1,303 @@
+// lib/site-config.js - Per-site _redirects and _headers files
+//
+// Both files use the Netlify-style formats most static hosts understand:
+//
+//   _redirects                      _headers
+//   /old      /new        301       /assets/*
+//   /blog/*   /posts/:splat           Cache-Control: max-age=86400
+//   /u/:name  /users/:name 302!     /*
+//   /*        /index.html  200        X-Robots-Tag: noindex
+
+const CONFIG_FILES = ['_redirects', '_headers'];
+
+const MAX_RULES = 1000;
+const REDIRECT_STATUSES = [200, 301, 302, 303, 307, 308, 404, 410];
+const DEFAULT_STATUS = 301;
+
+// Headers a site may not set: they control platform security on this
+// origin, or describe the framing of the response itself.
+const BLOCKED_HEADERS = [
+  'access-control-allow-credentials',
+  'clear-site-data',
+  'connection',
+  'content-encoding',
+  'content-length',
+  'content-range',
+  'content-security-policy',
+  'content-type',
+  'cross-origin-embedder-policy',
+  'cross-origin-opener-policy',
+  'cross-origin-resource-policy',
+  'keep-alive',
+  'location',
+  'permissions-policy',
+  'service-worker-allowed',
+  'set-cookie',
+  'strict-transport-security',
+  'trailer',
+  'transfer-encoding',
+  'upgrade',
+  'www-authenticate',
+  'x-content-type-options',
+  'x-frame-options',
+];
+
+const HEADER_NAME = /^[!#$%&'*+.^_`|~0-9A-Za-z-]+$/;
+const MAX_HEADER_VALUE = 1024;
+
+// In-memory cache of parsed config, keyed by site id and invalidated by hash
+const configCache = new Map();
+
+// ============================================================
+// PATTERN MATCHING
+// ============================================================
+
+// Compile "/blog/:year/*" into a regex; placeholders match one segment,
+// a trailing "*" matches the rest of the path as :splat.
+function compilePattern(pattern) {
+  const names = [];
+  let source = '';
+
+  const segments = pattern.split('/');
+  segments.forEach((segment, i) => {
+    if (i > 0) source += '\\/';
+
+    if (segment === '*' && i === segments.length - 1) {
+      names.push('splat');
+      source = source.replace(/\\\/$/, '(?:\\/(.*))?');
+      return;
+    }
+
+    if (segment.startsWith(':') && segment.length > 1) {
+      names.push(segment.slice(1));
+      source += '([^/]+)';
+      return;
+    }
+
+    source += segment.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  });
+
+  // "/about" and "/about/" are the same route
+  source = source.replace(/\\\/$/, '');
+  return { regex: new RegExp(`^${source}\\/?$`), names };
+}
+
+function matchPattern(compiled, path) {
+  const match = compiled.regex.exec(path);
+  if (!match) return null;
+
+  const params = {};
+  compiled.names.forEach((name, i) => {
+    params[name] = match[i + 1] || '';
+  });
+  return params;
+}
+
+function isValidPattern(pattern) {
+  if (!pattern.startsWith('/')) return false;
+  // "*" is only allowed as the final segment
+  const star = pattern.indexOf('*');
+  return star === -1 || star === pattern.length - 1 && pattern.endsWith('/*');
+}
+
+// ============================================================
+// PARSERS
+// ============================================================
+
+function parseRedirects(text) {
+  const rules = [];
+  const errors = [];
+
+  text.split(/\r?\n/).forEach((raw, i) => {
+    const line = raw.trim();
+    const lineNumber = i + 1;
+    if (!line || line.startsWith('#')) return;
+
+    const parts = line.split(/\s+/);
+    if (parts.length < 2 || parts.length > 3) {
+      errors.push({ line: lineNumber, message: 'Expected "from to [status]"' });
+      return;
+    }
+
+    const [from, to, statusPart = String(DEFAULT_STATUS)] = parts;
+
+    if (!isValidPattern(from)) {
+      errors.push({ line: lineNumber, message: `Invalid source path "${from}"` });
+      return;
+    }
+
+    const force = statusPart.endsWith('!');
+    const status = parseInt(force ? statusPart.slice(0, -1) : statusPart, 10);
+    if (!REDIRECT_STATUSES.includes(status) || !/^\d{3}!?$/.test(statusPart)) {
+      errors.push({ line: lineNumber, message: `Unsupported status "${statusPart}"` });
+      return;
+    }
+
+    const external = /^https?:\/\//i.test(to);
+    if (!external && !to.startsWith('/')) {
+      errors.push({ line: lineNumber, message: `Destination "${to}" must start with / or http(s)://` });
+      return;
+    }
+
+    if (external && (status === 200 || status === 404 || status === 410)) {
+      errors.push({ line: lineNumber, message: `Status ${status} requires a path on this site` });
+      return;
+    }
+
+    const compiled = compilePattern(from);
+    const unknown = (to.match(/:[A-Za-z_][A-Za-z0-9_]*/g) || [])
+      .map(name => name.slice(1))
+      .filter(name => !compiled.names.includes(name));
+    if (!external && unknown.length > 0) {
+      errors.push({ line: lineNumber, message: `Unknown placeholder ":${unknown[0]}" in destination` });
+      return;
+    }
+
+    rules.push({ from, to, status, force, external, compiled, line: lineNumber });
+  });
+
+  if (rules.length > MAX_RULES) {
+    errors.push({ line: rules[MAX_RULES].line, message: `Too many rules (${MAX_RULES} max)` });
+  }
+
+  return { rules: rules.slice(0, MAX_RULES), errors };
+}
+
+function parseHeaders(text) {
+  const rules = [];
+  const errors = [];
+  let current = null;
+
+  text.split(/\r?\n/).forEach((raw, i) => {
+    const lineNumber = i + 1;
+    const line = raw.trim();
+    if (!line || line.startsWith('#')) return;
+
+    // Unindented lines start a new path block
+    if (!/^\s/.test(raw)) {
+      if (!isValidPattern(line)) {
+        errors.push({ line: lineNumber, message: `Invalid path pattern "${line}"` });
+        current = null;
+        return;
+      }
+      current = { path: line, compiled: compilePattern(line), headers: [], line: lineNumber };
+      rules.push(current);
+      return;
+    }
+
+    if (!current) {
+      errors.push({ line: lineNumber, message: 'Header must follow a path line' });
+      return;
+    }
+
+    const colon = line.indexOf(':');
+    if (colon <= 0) {
+      errors.push({ line: lineNumber, message: 'Expected "Name: value"' });
+      return;
+    }
+
+    const name = line.slice(0, colon).trim();
+    const value = line.slice(colon + 1).trim();
+
+    if (!HEADER_NAME.test(name)) {
+      errors.push({ line: lineNumber, message: `Invalid header name "${name}"` });
+      return;
+    }
+
+    if (BLOCKED_HEADERS.includes(name.toLowerCase())) {
+      errors.push({ line: lineNumber, message: `Header "${name}" cannot be set by sites` });
+      return;
+    }
+
+    if (!value || value.length > MAX_HEADER_VALUE) {
+      errors.push({ line: lineNumber, message: `Header "${name}" needs a value under ${MAX_HEADER_VALUE} characters` });
+      return;
+    }
+
+    current.headers.push({ name, value });
+  });
+
+  if (rules.length > MAX_RULES) {
+    errors.push({ line: rules[MAX_RULES].line, message: `Too many rules (${MAX_RULES} max)` });
+  }
+
+  return { rules: rules.slice(0, MAX_RULES), errors };
+}
+
+// Returns a list of { line, message } problems for a config file upload,
+// or an empty list for files that aren't site config.
+function validateConfigFile(path, text) {
+  if (path === '_redirects') return parseRedirects(text).errors;
+  if (path === '_headers') return parseHeaders(text).errors;
+  return [];
+}
+
+function formatConfigErrors(path, errors) {
+  const lines = errors.slice(0, 5).map(err => `line ${err.line}: ${err.message}`);
+  if (errors.length > 5) lines.push(`and ${errors.length - 5} more`);
+  return `${path} has errors - ${lines.join('; ')}`;
+}
+
+// ============================================================
+// EVALUATION
+// ============================================================
+
+// Parsed { redirects, headers } for a site, re-parsed only when one of the
+// files changes. `files` are the _redirects/_headers rows of the site.
+function loadSiteConfig(siteId, files) {
+  const key = files.map(f => `${f.path}:${f.content_hash}`).join('|');
+  const cached = configCache.get(siteId);
+  if (cached && cached.key === key) return cached.config;
+
+  const text = path => {
+    const file = files.find(f => f.path === path);
+    return file ? Buffer.from(file.content || '').toString('utf8') : '';
+  };
+
+  const config = {
+    redirects: parseRedirects(text('_redirects')).rules,
+    headers: parseHeaders(text('_headers')).rules,
+  };
+  configCache.set(siteId, { key, config });
+  return config;
+}
+
+function expandDestination(to, params) {
+  return to.replace(/:([A-Za-z_][A-Za-z0-9_]*)/g, (match, name) =>
+    Object.prototype.hasOwnProperty.call(params, name) ? params[name] : match
+  );
+}
+
+// First redirect rule matching the site-relative path ("/about"), with
+// placeholders filled into its destination.
+function findRedirect(config, path) {
+  for (const rule of config.redirects) {
+    const params = matchPattern(rule.compiled, path);
+    if (params) {
+      return { ...rule, destination: expandDestination(rule.to, params) };
+    }
+  }
+  return null;
+}
+
+// All custom headers that apply to the site-relative path
+function headersFor(config, path) {
+  const headers = [];
+  for (const rule of config.headers) {
+    if (matchPattern(rule.compiled, path)) {
+      headers.push(...rule.headers);
+    }
+  }
+  return headers;
+}
+
+module.exports = {
+  CONFIG_FILES,
+  parseRedirects,
+  parseHeaders,
+  validateConfigFile,
+  formatConfigErrors,
+  loadSiteConfig,
+  findRedirect,
+  headersFor,
+};
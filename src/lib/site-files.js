@@ -0,0 +1,227 @@
+// lib/site-files.js - File operations shared by the dashboard and the API
+//
+// Writes land in the site's workspace: its open draft if there is one, the
+// live files otherwise. Each write validates the path and any _redirects or
+// _headers content, and goes through the owner's plan (lib/quota) in the
+// same transaction that stores it.
+const Site = require('../models/Site');
+const Draft = require('../models/Draft');
+const { getMimeType, resolveMimeType } = require('./mime');
+const { CONFIG_FILES, validateConfigFile, formatConfigErrors } = require('./site-config');
+const { parentFolders, listFolderPaths } = require('./file-tree');
+const { receiveUploads, UploadError } = require('./uploads');
+const { QuotaError, getUsage, siteAllowance, withinQuota } = require('./quota');
+const { validateFilePath } = require('./validation');
+const { transaction } = require('../db');
+
+// A file operation that can't go ahead. The message is safe to show; status
+// is the HTTP status that fits (400, 404 or 409).
+class FileError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.status = status;
+  }
+}
+
+// While a draft is open, edits go to it instead of the live site. Draft
+// has the same file methods as Site.
+function workspace(site) {
+  return site.draft_started_at ? Draft : Site;
+}
+
+// Store one file. _redirects and _headers are always saved as text/plain,
+// whatever type the caller worked out.
+async function saveSiteFile(site, { path, content, mimeType }) {
+  const pathValidation = validateFilePath(path);
+  if (!pathValidation.valid) {
+    throw new FileError(pathValidation.error);
+  }
+
+  const configErrors = validateConfigFile(path, content.toString('utf8'));
+  if (configErrors.length > 0) {
+    throw new FileError(formatConfigErrors(path, configErrors));
+  }
+
+  const changes = { files: [{ path, size: Buffer.byteLength(content) }] };
+  return withinQuota(site, changes, (client) =>
+    workspace(site).saveFile({
+      siteId: site.id,
+      path: path,
+      content: content,
+      mimeType: CONFIG_FILES.includes(path) ? 'text/plain' : mimeType
+    }, client)
+  );
+}
+
+// Stream a multipart upload of any number of files into the site (see
+// lib/uploads for what comes back)
+async function receiveSiteUploads(req, site) {
+  const fileSizes = new Map((await workspace(site).listFileSizes(site.id)).map(f => [f.path, f.size]));
+  const usage = await getUsage(site.owner_id);
+
+  return receiveUploads(req, {
+    maxFileSize: usage.plan.max_file_size,
+    maxSiteSize: siteAllowance(usage, site.id),
+    fileSizes: fileSizes,
+    saveFile: async ({ path, content, mimeType }) => {
+      try {
+        await saveSiteFile(site, { path, content, mimeType: resolveMimeType(path, mimeType) });
+      } catch (err) {
+        if (err instanceof FileError || err instanceof QuotaError) {
+          throw new UploadError(err.message);
+        }
+        throw err;
+      }
+    }
+  });
+}
+
+// Rename or move a file, or a folder with everything in it, within the
+// site. Resolves with { folder, moved, replaced, saved, removed } (moved
+// counts files; saved and removed list the paths written and gone), or
+// null when from and to are the same. Something already at `to` is an
+// error unless options.overwrite is set, in which case it is replaced.
+function moveSitePath(site, from, to, options = {}) {
+  return transferSitePath(site, from, to, { ...options, copy: false });
+}
+
+// Same as moveSitePath, leaving the original where it is
+function copySitePath(site, from, to, options = {}) {
+  return transferSitePath(site, from, to, { ...options, copy: true });
+}
+
+async function transferSitePath(site, from, to, { copy, overwrite = false }) {
+  const pathValidation = validateFilePath(to);
+  if (!pathValidation.valid) {
+    throw new FileError(pathValidation.error);
+  }
+
+  if (from === to) return null;
+
+  // Bodies are read one at a time below, only for the files that move
+  const store = workspace(site);
+  const files = await store.listFileSizes(site.id);
+  const emptyFolders = await Site.listFolders(site.id);
+  const folders = listFolderPaths(files, emptyFolders);
+
+  const file = files.find(f => f.path === from);
+  if (!file && !folders.has(from)) {
+    throw new FileError(`Nothing found at "${from}"`, 404);
+  }
+
+  if (!file && to.startsWith(from + '/')) {
+    throw new FileError(`A folder cannot be ${copy ? 'copied' : 'moved'} into itself`);
+  }
+
+  // The destination's parent folders must be free, and the destination
+  // too unless it may be replaced
+  const replaced = files.some(f => f.path === to) || folders.has(to);
+  const blocked = parentFolders(to).some(parent => files.some(f => f.path === parent));
+  if (blocked || (replaced && !overwrite)) {
+    throw new FileError(`"${to}" already exists`, 409);
+  }
+  if (replaced && from.startsWith(to + '/')) {
+    throw new FileError(`"${to}" cannot be replaced by something inside it`, 409);
+  }
+
+  const moving = file ? [file] : files.filter(f => f.path.startsWith(from + '/'));
+  const renamed = (path) => file ? to : to + path.slice(from.length);
+  const replacing = replaced
+    ? files.filter(f => f.path === to || f.path.startsWith(to + '/')).map(f => f.path)
+    : [];
+
+  for (const f of moving.filter(f => CONFIG_FILES.includes(renamed(f.path)))) {
+    const stored = await store.getFile(site.id, f.path);
+    const configErrors = validateConfigFile(renamed(f.path), Site.fileBuffer(stored).toString('utf8'));
+    if (configErrors.length > 0) {
+      throw new FileError(formatConfigErrors(renamed(f.path), configErrors));
+    }
+  }
+
+  const changes = {
+    files: moving.map(f => ({ path: renamed(f.path), size: f.size })),
+    removed: [...replacing, ...(copy ? [] : moving.map(f => f.path))]
+  };
+
+  await withinQuota(site, changes, async (client) => {
+    for (const path of replacing) {
+      await store.deleteFile(site.id, path, client);
+    }
+    if (replaced) {
+      await Site.deleteFolders(site.id, to, client);
+    }
+
+    for (const f of moving) {
+      const newPath = renamed(f.path);
+      // A new extension means a new type; otherwise keep what was stored
+      const sameExtension = getMimeType(newPath) === getMimeType(f.path);
+      const stored = await store.getFile(site.id, f.path);
+
+      await store.saveFile({
+        siteId: site.id,
+        path: newPath,
+        content: stored.content,
+        mimeType: CONFIG_FILES.includes(newPath)
+          ? 'text/plain'
+          : sameExtension ? f.mime_type : getMimeType(newPath)
+      }, client);
+      if (!copy) {
+        await store.deleteFile(site.id, f.path, client);
+      }
+    }
+
+    if (file) return;
+    if (copy) {
+      const copied = emptyFolders.filter(path => path === from || path.startsWith(from + '/'));
+      for (const path of copied) {
+        await Site.createFolder(site.id, renamed(path), client);
+      }
+    } else {
+      await Site.moveFolders(site.id, from, to, client);
+    }
+  });
+
+  const saved = changes.files.map(f => f.path);
+  return {
+    folder: !file,
+    moved: moving.length,
+    replaced,
+    saved,
+    removed: changes.removed.filter(path => !saved.includes(path))
+  };
+}
+
+// Delete a file, or a folder with everything in it. Resolves with the
+// paths of the files deleted.
+async function deleteSitePath(site, path) {
+  const store = workspace(site);
+  const files = await store.listFileSizes(site.id);
+  const folders = listFolderPaths(files, await Site.listFolders(site.id));
+
+  const file = files.find(f => f.path === path);
+  if (!file && !folders.has(path)) {
+    throw new FileError(`Nothing found at "${path}"`, 404);
+  }
+
+  const doomed = file ? [file] : files.filter(f => f.path.startsWith(path + '/'));
+  await transaction(async (client) => {
+    for (const f of doomed) {
+      await store.deleteFile(site.id, f.path, client);
+    }
+    if (!file) {
+      await Site.deleteFolders(site.id, path, client);
+    }
+  });
+
+  return doomed.map(f => f.path);
+}
+
+module.exports = {
+  FileError,
+  workspace,
+  saveSiteFile,
+  receiveSiteUploads,
+  moveSitePath,
+  copySitePath,
+  deleteSitePath,
+};
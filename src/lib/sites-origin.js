@@ -0,0 +1,105 @@
+// lib/sites-origin.js - Where user sites are served from
+//
+// User HTML must not run on the dashboard origin, or a site could script
+// requests against /dashboard as whoever is viewing it. Configure one of:
+//
+//   SITES_ORIGIN=https://usercontent.example.org
+//     -> https://usercontent.example.org/~user/slug/
+//   SITES_DOMAIN=sites.example.org   (plus a *.sites.example.org DNS record)
+//     -> https://user.sites.example.org/slug/
+//
+// With neither set, sites share the main origin at /~user/slug/, which is
+// only meant for development. Either way, every site response carries a
+// sandbox CSP so the page gets an opaque origin.
+//
+// The session cookie is host-only (no Domain attribute) and the sites origin
+// never reaches the session middleware, so it is never sent to or set by
+// user content. Keep it that way: don't give the session cookie a Domain.
+
+const sitesOrigin = (process.env.SITES_ORIGIN || '').replace(/\/+$/, '');
+const sitesDomain = (process.env.SITES_DOMAIN || '').toLowerCase();
+const sitesProtocol = process.env.SITES_PROTOCOL || 'https';
+
+const sitesOriginHost = sitesOrigin ? new URL(sitesOrigin).hostname.toLowerCase() : null;
+
+const SANDBOX_CSP = [
+  "sandbox allow-scripts allow-forms allow-popups allow-popups-to-escape-sandbox allow-modals allow-downloads",
+  "default-src 'self' data: blob: 'unsafe-inline' 'unsafe-eval'",
+  "object-src 'none'",
+  "base-uri 'self'",
+].join('; ');
+
+function isIsolated() {
+  return Boolean(sitesOrigin || sitesDomain);
+}
+
+// Usernames may contain underscores and capitals; hostnames may not. Two
+// usernames with the same label would share a subdomain, so signup refuses
+// a name whose label is taken (see routes/auth).
+function usernameToLabel(username) {
+  return username.toLowerCase().replace(/_/g, '-');
+}
+
+// Public URL of a site (or of a path inside it)
+function siteUrl(username, slug, path = '') {
+  if (sitesDomain) {
+    return `${sitesProtocol}://${usernameToLabel(username)}.${sitesDomain}/${slug}/${path}`;
+  }
+  if (sitesOrigin) {
+    return `${sitesOrigin}/~${username}/${slug}/${path}`;
+  }
+  return `/~${username}/${slug}/${path}`;
+}
+
+// Private preview URL of a site's open draft (see models/Draft)
+function draftPreviewUrl(username, token, path = '') {
+  if (sitesDomain) {
+    return `${sitesProtocol}://${usernameToLabel(username)}.${sitesDomain}/_preview/${token}/${path}`;
+  }
+  return `${sitesOrigin}/_preview/${token}/${path}`;
+}
+
+// Describe a request's Host if it belongs to the sites origin:
+//   { mode: 'origin' }                - SITES_ORIGIN host, /~user/slug paths
+//   { mode: 'subdomain', label }      - <label>.SITES_DOMAIN, /slug paths
+function matchSitesHost(hostname) {
+  const host = (hostname || '').toLowerCase();
+
+  if (sitesOriginHost && host === sitesOriginHost) {
+    return { mode: 'origin' };
+  }
+
+  if (sitesDomain && host.endsWith('.' + sitesDomain)) {
+    const label = host.slice(0, -(sitesDomain.length + 1));
+    if (label && !label.includes('.')) {
+      return { mode: 'subdomain', label };
+    }
+  }
+
+  return null;
+}
+
+// frame-src for the dashboard CSP, so the preview iframe can load sites
+function frameSources() {
+  if (sitesDomain) return [`${sitesProtocol}://*.${sitesDomain}`];
+  if (sitesOrigin) return [sitesOrigin];
+  return ["'self'"];
+}
+
+// Headers for every response carrying user content
+function applySandboxHeaders(res) {
+  res.set('Content-Security-Policy', SANDBOX_CSP);
+  res.set('Cross-Origin-Resource-Policy', 'cross-origin');
+  res.removeHeader('Cross-Origin-Opener-Policy');
+  res.removeHeader('X-Frame-Options');
+}
+
+module.exports = {
+  isIsolated,
+  usernameToLabel,
+  siteUrl,
+  draftPreviewUrl,
+  matchSitesHost,
+  frameSources,
+  applySandboxHeaders,
+};
@@ -0,0 +1,245 @@
+// lib/uploads.js - Streaming uploads into a site
+//
+// Files are read one part at a time and handed to a save callback as soon
+// as each is complete, so a request never holds more than one file in
+// memory. Limits are checked against the bytes received so far: a file
+// that grows past the per-file limit is dropped on the spot, and the first
+// file that would push the site past its share of the owner's quota ends
+// the whole request.
+const busboy = require('busboy');
+
+const PATH_PATTERN = /^[a-zA-Z0-9._/-]+$/;
+const MAX_PARTS = 1000;
+
+// Problems with one uploaded file, safe to show to the user
+class UploadError extends Error {}
+
+function megabytes(bytes) {
+  return `${+(bytes / 1024 / 1024).toFixed(2)}MB`;
+}
+
+// Browsers send folder uploads as "folder/sub/file.ext"; keep that
+// relative path but never let it climb out of the site
+function checkUploadPath(filename) {
+  const path = String(filename || '').replace(/\\/g, '/').replace(/^\/+/, '');
+
+  if (!path || !PATH_PATTERN.test(path)) {
+    return { error: 'Invalid file path' };
+  }
+  if (path.split('/').some(segment => segment === '' || segment === '.' || segment === '..')) {
+    return { error: 'Invalid file path' };
+  }
+
+  return { path };
+}
+
+// Collect a raw request body, giving up (resolving null) as soon as it
+// grows past maxBytes rather than buffering the whole upload first
+function readRawBody(req, maxBytes) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    let size = 0;
+    let done = false;
+
+    req.on('data', chunk => {
+      if (done) return;
+      size += chunk.length;
+      if (size > maxBytes) {
+        done = true;
+        req.unpipe();
+        req.resume();
+        return resolve(null);
+      }
+      chunks.push(chunk);
+    });
+    req.on('end', () => {
+      if (!done) resolve(Buffer.concat(chunks));
+    });
+    req.on('error', reject);
+  });
+}
+
+// Parse a multipart/form-data request.
+//
+//   maxFileSize   - bytes allowed per file
+//   maxSiteSize   - bytes the site's files may add up to after the upload
+//   fileSizes     - Map of path -> size for files already in the site
+//   saveFile      - async ({ path, content, mimeType }) => void; throw an
+//                   UploadError to reject one file with a message
+//
+// Resolves with { fields, results, aborted }, where results has one
+// { path, success, size } or { path, success: false, error } per file.
+function receiveUploads(req, { maxFileSize, maxSiteSize, fileSizes, saveFile }) {
+  return new Promise((resolve, reject) => {
+    const fields = {};
+    const results = [];
+    let usedSize = [...fileSizes.values()].reduce((sum, size) => sum + size, 0);
+    let saving = Promise.resolve();
+    let finished = false;
+
+    let parser;
+    try {
+      parser = busboy({
+        headers: req.headers,
+        preservePath: true,
+        limits: {
+          files: MAX_PARTS,
+          fields: 50,
+          fieldSize: maxFileSize,
+        },
+      });
+    } catch (err) {
+      return reject(new UploadError('Expected a multipart/form-data upload'));
+    }
+
+    // Wait for files already received to be saved, then report
+    const finish = (aborted) => {
+      if (finished) return;
+      finished = true;
+      saving.then(() => resolve({ fields, results, aborted }), reject);
+    };
+
+    // Stop reading the body; whatever is still in flight is discarded
+    const abort = () => {
+      req.unpipe(parser);
+      req.resume();
+      finish(true);
+    };
+
+    // Bytes this path may take up, counting the space of a file it replaces
+    const allowance = (path) => maxSiteSize - usedSize + (fileSizes.get(path) || 0);
+
+    parser.on('field', (name, value, info) => {
+      if (info.valueTruncated) {
+        fields[name] = null;
+        results.push({ path: name, success: false, error: `Field too large (${megabytes(maxFileSize)} max)` });
+        return;
+      }
+      fields[name] = value;
+    });
+
+    parser.on('file', (name, stream, info) => {
+      if (finished) return stream.resume();
+
+      const checked = checkUploadPath(info.filename);
+      if (checked.error) {
+        results.push({ path: info.filename || name, success: false, error: checked.error });
+        return stream.resume();
+      }
+
+      const path = checked.path;
+      // Keep results in upload order, even though saves finish later
+      const result = { path };
+      results.push(result);
+      const chunks = [];
+      let size = 0;
+      let dropped = false;
+
+      stream.on('data', (chunk) => {
+        if (dropped) return;
+        size += chunk.length;
+
+        if (size > maxFileSize) {
+          dropped = true;
+          Object.assign(result, { success: false, error: `File too large (${megabytes(maxFileSize)} max)` });
+          return;
+        }
+
+        if (size > allowance(path)) {
+          dropped = true;
+          Object.assign(result, { success: false, error: `Storage limit exceeded (${megabytes(maxSiteSize)} available to this site)` });
+          return abort();
+        }
+
+        chunks.push(chunk);
+      });
+
+      stream.on('end', () => {
+        if (dropped) return;
+
+        const content = Buffer.concat(chunks);
+        const previousSize = fileSizes.get(path);
+        // Reserve the space now so later parts see it before the save lands
+        usedSize += content.length - (previousSize || 0);
+        fileSizes.set(path, content.length);
+
+        saving = saving.then(async () => {
+          try {
+            await saveFile({ path, content, mimeType: info.mimeType });
+            Object.assign(result, { success: true, size: content.length });
+          } catch (err) {
+            usedSize -= content.length - (previousSize || 0);
+            if (previousSize === undefined) fileSizes.delete(path);
+            else fileSizes.set(path, previousSize);
+
+            if (!(err instanceof UploadError)) {
+              console.error('Save upload error:', err);
+            }
+            Object.assign(result, {
+              success: false,
+              error: err instanceof UploadError ? err.message : 'Failed to save file',
+            });
+          }
+        });
+      });
+    });
+
+    parser.on('filesLimit', () => {
+      results.push({ path: '', success: false, error: `Too many files in one upload (${MAX_PARTS} max)` });
+    });
+
+    parser.on('close', () => finish(false));
+    parser.on('error', (err) => {
+      if (finished) return;
+      req.unpipe(parser);
+      req.resume();
+      finished = true;
+      reject(new UploadError(`Malformed upload: ${err.message}`));
+    });
+
+    req.pipe(parser);
+  });
+}
+
+// Parse a multipart/form-data request carrying a single file, such as a
+// profile picture. Resolves with { content, mimeType }, or null if no file
+// was chosen; a file over maxBytes is an UploadError.
+function receiveFile(req, maxBytes) {
+  return new Promise((resolve, reject) => {
+    let parser;
+    try {
+      parser = busboy({
+        headers: req.headers,
+        limits: { files: 1, fileSize: maxBytes, fields: 10 },
+      });
+    } catch (err) {
+      return reject(new UploadError('Expected a multipart/form-data upload'));
+    }
+
+    let file = null;
+    let tooLarge = false;
+
+    parser.on('file', (name, stream, info) => {
+      const chunks = [];
+      stream.on('data', chunk => chunks.push(chunk));
+      stream.on('limit', () => { tooLarge = true; });
+      stream.on('end', () => {
+        if (chunks.length > 0) file = { content: Buffer.concat(chunks), mimeType: info.mimeType };
+      });
+    });
+
+    parser.on('close', () => {
+      if (tooLarge) return reject(new UploadError(`File too large (${megabytes(maxBytes)} max)`));
+      resolve(file);
+    });
+    parser.on('error', (err) => {
+      req.unpipe(parser);
+      req.resume();
+      reject(new UploadError(`Malformed upload: ${err.message}`));
+    });
+
+    req.pipe(parser);
+  });
+}
+
+module.exports = { receiveUploads, receiveFile, readRawBody, UploadError };
@@ -0,0 +1,246 @@
+// lib/validation.js - Input checks shared by the dashboard and the API
+//
+// Each returns { valid: true } or { valid: false, error } with a message
+// that can be shown as is.
+
+function validateSlug(slug) {
+  if (!slug || typeof slug !== 'string') {
+    return { valid: false, error: 'Slug is required' };
+  }
+  
+  if (slug.length < 3) {
+    return { valid: false, error: 'Slug must be at least 3 characters' };
+  }
+  
+  if (slug.length > 50) {
+    return { valid: false, error: 'Slug must be less than 50 characters' };
+  }
+  
+  if (!/^[a-z0-9-]+$/.test(slug)) {
+    return { 
+      valid: false, 
+      error: 'Slug can only contain lowercase letters, numbers, and hyphens' 
+    };
+  }
+  
+  if (slug.startsWith('-') || slug.endsWith('-')) {
+    return { 
+      valid: false, 
+      error: 'Slug cannot start or end with a hyphen' 
+    };
+  }
+  
+  return { valid: true };
+}
+
+function validateTitle(title) {
+  if (!title || typeof title !== 'string') {
+    return { valid: false, error: 'Title is required' };
+  }
+  
+  if (title.trim().length < 1) {
+    return { valid: false, error: 'Title cannot be empty' };
+  }
+  
+  if (title.length > 100) {
+    return { valid: false, error: 'Title must be less than 100 characters' };
+  }
+  
+  return { valid: true };
+}
+
+function validateOnionLocation(onionLocation) {
+  if (!onionLocation) {
+    return { valid: true };
+  }
+  
+  if (!/^https?:\/\/([a-z2-7]{56}\.)+onion(\/[a-zA-Z0-9._~\/-]*)?$/.test(onionLocation)) {
+    return { valid: false, error: 'Onion-Location must be a v3 .onion address, like http://<56 characters>.onion' };
+  }
+  
+  return { valid: true };
+}
+
+function validateDisplayName(name) {
+  if (name.length > 100) {
+    return { valid: false, error: 'Display name must be less than 100 characters' };
+  }
+  
+  return { valid: true };
+}
+
+function validateBio(bio) {
+  if (bio.length > 1000) {
+    return { valid: false, error: 'Bio must be less than 1000 characters' };
+  }
+  
+  return { valid: true };
+}
+
+function validateCollectionDescription(description) {
+  if (description.length > 1000) {
+    return { valid: false, error: 'Description must be less than 1000 characters' };
+  }
+  
+  return { valid: true };
+}
+
+function validateCollectionNote(note) {
+  if (note.length > 500) {
+    return { valid: false, error: 'Note must be less than 500 characters' };
+  }
+  
+  return { valid: true };
+}
+
+// A guestbook entry as signed by a visitor
+function validateGuestbookEntry({ name, website, message }) {
+  if (!name) {
+    return { valid: false, error: 'Name is required' };
+  }
+  
+  if (name.length > 50) {
+    return { valid: false, error: 'Name must be less than 50 characters' };
+  }
+  
+  if (website) {
+    let url;
+    try {
+      url = new URL(website);
+    } catch (err) {
+      return { valid: false, error: 'Website is not a valid URL' };
+    }
+    if (url.protocol !== 'http:' && url.protocol !== 'https:') {
+      return { valid: false, error: 'Website must start with http:// or https://' };
+    }
+    if (website.length > 200) {
+      return { valid: false, error: 'Website must be less than 200 characters' };
+    }
+  }
+  
+  if (!message) {
+    return { valid: false, error: 'Message is required' };
+  }
+  
+  if (message.length > 2000) {
+    return { valid: false, error: 'Message must be less than 2000 characters' };
+  }
+  
+  return { valid: true };
+}
+
+// What a visitor says about a site they report. contact is optional.
+function validateAbuseReport({ details, contact }) {
+  if (!details) {
+    return { valid: false, error: 'Tell us what is wrong with the site' };
+  }
+  
+  if (details.length > 5000) {
+    return { valid: false, error: 'Details must be less than 5000 characters' };
+  }
+  
+  if (contact && contact.length > 200) {
+    return { valid: false, error: 'Contact details must be less than 200 characters' };
+  }
+  
+  return { valid: true };
+}
+
+const MAX_LINKS = 5;
+
+// Profile links, one per line
+function parseLinks(text) {
+  const links = String(text || '')
+    .split(/\r?\n/)
+    .map(link => link.trim())
+    .filter(Boolean);
+  return [...new Set(links)];
+}
+
+function validateLinks(links) {
+  if (links.length > MAX_LINKS) {
+    return { valid: false, error: `A profile can have at most ${MAX_LINKS} links` };
+  }
+  
+  for (const link of links) {
+    let url;
+    try {
+      url = new URL(link);
+    } catch (err) {
+      return { valid: false, error: `"${link}" is not a valid URL` };
+    }
+    if (url.protocol !== 'http:' && url.protocol !== 'https:') {
+      return { valid: false, error: 'Links must start with http:// or https://' };
+    }
+    if (link.length > 300) {
+      return { valid: false, error: 'Links must be less than 300 characters' };
+    }
+  }
+  
+  return { valid: true };
+}
+
+const MAX_TAGS = 10;
+
+// Tags as typed, e.g. "Pixel Art, games" -> ['pixel-art', 'games']
+function parseTags(text) {
+  const tags = String(text || '')
+    .split(',')
+    .map(tag => tag.trim().toLowerCase().replace(/\s+/g, '-'))
+    .filter(Boolean);
+  return [...new Set(tags)];
+}
+
+function validateTags(tags) {
+  if (tags.length > MAX_TAGS) {
+    return { valid: false, error: `A site can have at most ${MAX_TAGS} tags` };
+  }
+  
+  for (const tag of tags) {
+    if (tag.length > 30) {
+      return { valid: false, error: `Tag "${tag}" must be less than 30 characters` };
+    }
+    if (!/^[a-z0-9]+(-[a-z0-9]+)*$/.test(tag)) {
+      return { valid: false, error: `Tag "${tag}" can only contain letters, numbers and hyphens` };
+    }
+  }
+  
+  return { valid: true };
+}
+
+function validateFilePath(path) {
+  if (!path || typeof path !== 'string' || path.trim().length === 0) {
+    return { valid: false, error: 'File path is required' };
+  }
+  
+  if (path.length > 500) {
+    return { valid: false, error: 'Path must be less than 500 characters' };
+  }
+  
+  if (!/^[a-zA-Z0-9._/-]+$/.test(path)) {
+    return { valid: false, error: `Invalid path "${path}"` };
+  }
+  
+  if (path.split('/').some(segment => segment === '' || segment === '.' || segment === '..')) {
+    return { valid: false, error: `Invalid path "${path}"` };
+  }
+  
+  return { valid: true };
+}
+
+module.exports = {
+  validateSlug,
+  validateTitle,
+  validateOnionLocation,
+  validateFilePath,
+  parseTags,
+  validateTags,
+  validateDisplayName,
+  validateBio,
+  parseLinks,
+  validateLinks,
+  validateCollectionDescription,
+  validateCollectionNote,
+  validateGuestbookEntry,
+  validateAbuseReport,
+};
@@ -0,0 +1,219 @@
+// lib/webhooks.js - Sending events to users' webhook endpoints
+//
+// Events are queued as webhook_deliveries rows (lib/events) and sent from
+// here, so a slow or broken endpoint never holds up the request that
+// caused them. Each delivery is a JSON POST:
+//
+//   X-Gerudo-Event: site.published
+//   X-Gerudo-Delivery: 1234
+//   X-Gerudo-Signature: sha256=<HMAC-SHA256 of the body with the secret>
+//
+// Anything but a 2xx within 10 seconds is a failure and is retried with
+// backoff (see RETRY_DELAYS). Redirects are not followed.
+//
+// Endpoints on private or loopback addresses are refused, since they could
+// reach internal services (see lib/private-addresses). Set
+// WEBHOOKS_ALLOW_PRIVATE=1 to allow them, say for a receiver on localhost
+// while developing.
+const crypto = require('crypto');
+const http = require('http');
+const https = require('https');
+const Webhook = require('../models/Webhook');
+const { privateHost, publicLookup } = require('./private-addresses');
+
+const EVENTS = [
+  'site.created',
+  'site.updated',
+  'site.deleted',
+  'site.published',
+  'file.saved',
+  'file.deleted',
+];
+
+const MAX_WEBHOOKS = 10;
+const TIMEOUT_MS = 10 * 1000;
+const MAX_RESPONSE_BODY = 2048;
+
+// Seconds to wait after each failed attempt; one attempt more than there
+// are delays, then the delivery is marked failed
+const RETRY_DELAYS = [30, 2 * 60, 10 * 60, 60 * 60, 6 * 60 * 60];
+
+const POLL_MS = 15 * 1000;
+// A claimed delivery isn't picked up again for this long, in case the
+// process sending it dies mid-attempt
+const LEASE_SECONDS = 5 * 60;
+const BATCH_SIZE = 20;
+const KEEP_DAYS = 30;
+
+const allowPrivate = process.env.WEBHOOKS_ALLOW_PRIVATE === '1';
+
+// ============================================================
+// CONFIGURATION
+// ============================================================
+// Check an endpoint URL from the dashboard: { valid, error, url }
+function validateWebhookUrl(input) {
+  const value = String(input || '').trim();
+  if (value.length === 0) {
+    return { valid: false, error: 'Enter the URL to send events to' };
+  }
+  if (value.length > 2000) {
+    return { valid: false, error: 'URL must be at most 2000 characters' };
+  }
+
+  let url;
+  try {
+    url = new URL(value);
+  } catch (err) {
+    return { valid: false, error: 'That is not a valid URL' };
+  }
+  if (url.protocol !== 'http:' && url.protocol !== 'https:') {
+    return { valid: false, error: 'URL must start with http:// or https://' };
+  }
+  if (url.username || url.password) {
+    return { valid: false, error: 'Put credentials in your receiver, not in the URL' };
+  }
+  return { valid: true, url: url.href };
+}
+
+// The events ticked in the dashboard form: [] for all of them, null for
+// none
+function parseEvents(input) {
+  const picked = EVENTS.filter(event => [].concat(input || []).includes(event));
+  if (picked.length === 0) return null;
+  return picked.length === EVENTS.length ? [] : picked;
+}
+
+function sign(secret, body) {
+  return 'sha256=' + crypto.createHmac('sha256', secret).update(body).digest('hex');
+}
+
+// ============================================================
+// DELIVERY
+// ============================================================
+// POST one delivery; resolves with { statusCode, body } or rejects with a
+// network error
+function post(delivery) {
+  return new Promise((resolve, reject) => {
+    const body = JSON.stringify(delivery.payload);
+    const url = new URL(delivery.url);
+    const client = url.protocol === 'https:' ? https : http;
+
+    // IP addresses in the URL are connected to without a lookup
+    const host = !allowPrivate && privateHost(url);
+    if (host) {
+      return reject(new Error(`${host} is a private address`));
+    }
+
+    const req = client.request(url, {
+      method: 'POST',
+      lookup: allowPrivate ? undefined : publicLookup,
+      timeout: TIMEOUT_MS,
+      headers: {
+        'Content-Type': 'application/json',
+        'Content-Length': Buffer.byteLength(body),
+        'User-Agent': 'Gerudo-Webhooks',
+        'X-Gerudo-Event': delivery.event,
+        'X-Gerudo-Delivery': String(delivery.id),
+        'X-Gerudo-Signature': sign(delivery.secret, body),
+      },
+    }, (res) => {
+      const chunks = [];
+      let size = 0;
+      res.on('data', chunk => {
+        if (size < MAX_RESPONSE_BODY) chunks.push(chunk);
+        size += chunk.length;
+      });
+      res.on('end', () => resolve({
+        statusCode: res.statusCode,
+        body: Buffer.concat(chunks).toString('utf8').slice(0, MAX_RESPONSE_BODY),
+      }));
+      res.on('error', reject);
+    });
+
+    req.on('timeout', () => req.destroy(new Error(`No response within ${TIMEOUT_MS / 1000} seconds`)));
+    req.on('error', reject);
+    req.end(body);
+  });
+}
+
+// Send one claimed delivery and record how it went
+async function attempt(delivery) {
+  let outcome;
+  try {
+    const response = await post(delivery);
+    const ok = response.statusCode >= 200 && response.statusCode < 300;
+    outcome = {
+      ok: ok,
+      responseCode: response.statusCode,
+      responseBody: response.body,
+      error: ok ? null : `Endpoint answered ${response.statusCode}`,
+    };
+  } catch (err) {
+    outcome = { ok: false, responseCode: null, responseBody: null, error: err.message };
+  }
+
+  const retryIn = outcome.ok ? null : RETRY_DELAYS[delivery.attempts];
+  await Webhook.recordAttempt(delivery.id, {
+    status: outcome.ok ? 'delivered' : (retryIn == null ? 'failed' : 'pending'),
+    responseCode: outcome.responseCode,
+    responseBody: outcome.responseBody,
+    error: outcome.error,
+    retryIn: retryIn,
+  });
+}
+
+// ============================================================
+// WORKER
+// ============================================================
+let started = false;
+let running = false;
+let again = false;
+let lastPrune = 0;
+
+async function deliverDue() {
+  if (running) {
+    again = true;
+    return;
+  }
+  running = true;
+  try {
+    do {
+      again = false;
+      const batch = await Webhook.claimDue(BATCH_SIZE, LEASE_SECONDS);
+      await Promise.all(batch.map(attempt));
+      if (batch.length === BATCH_SIZE) again = true;
+    } while (again);
+
+    if (Date.now() - lastPrune > 60 * 60 * 1000) {
+      lastPrune = Date.now();
+      await Webhook.pruneDeliveries(KEEP_DAYS);
+    }
+  } catch (err) {
+    console.error('Webhook delivery error:', err);
+  } finally {
+    running = false;
+  }
+}
+
+// Poll for due deliveries in this process (the web server)
+function startWebhookDeliveries() {
+  if (started) return;
+  started = true;
+  setInterval(deliverDue, POLL_MS).unref();
+  deliverDue();
+}
+
+// Send newly queued deliveries now rather than at the next poll. Other
+// processes (the git hook) only queue; the server sends.
+function deliverSoon() {
+  if (started) setImmediate(deliverDue);
+}
+
+module.exports = {
+  EVENTS,
+  MAX_WEBHOOKS,
+  validateWebhookUrl,
+  parseEvents,
+  startWebhookDeliveries,
+  deliverSoon,
+};
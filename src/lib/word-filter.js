@@ -0,0 +1,49 @@
+// lib/word-filter.js - Holding back guestbook entries that use listed words
+//
+// Each site's owner keeps their own list; GUESTBOOK_BLOCKED_WORDS (comma
+// separated) adds words for every site. Words match whole, ignoring case
+// and spacing, so "ass" doesn't catch "class". An entry that matches isn't
+// rejected, only held for the owner to approve.
+
+const MAX_WORDS = 200;
+
+// A list as typed: one per line or comma separated
+function parseWordList(text) {
+  const words = String(text || '')
+    .split(/[,\r\n]+/)
+    .map(word => word.trim().toLowerCase().replace(/\s+/g, ' '))
+    .filter(Boolean);
+  return [...new Set(words)];
+}
+
+const globalWords = parseWordList(process.env.GUESTBOOK_BLOCKED_WORDS);
+
+function validateWordList(words) {
+  if (words.length > MAX_WORDS) {
+    return { valid: false, error: `The word filter can hold at most ${MAX_WORDS} words` };
+  }
+  
+  for (const word of words) {
+    if (word.length > 50) {
+      return { valid: false, error: `"${word}" must be less than 50 characters` };
+    }
+  }
+  
+  return { valid: true };
+}
+
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+// The first listed word in any of the texts, or null
+function findBlockedWord(texts, siteWords = []) {
+  const haystack = texts.filter(Boolean).join('\n').toLowerCase().replace(/\s+/g, ' ');
+  for (const word of [...siteWords, ...globalWords]) {
+    const pattern = new RegExp(`(^|[^\\p{L}\\p{N}])${escapeRegExp(word)}($|[^\\p{L}\\p{N}])`, 'u');
+    if (pattern.test(haystack)) return word;
+  }
+  return null;
+}
+
+module.exports = { parseWordList, validateWordList, findBlockedWord };
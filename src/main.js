@@ -12,17 +12,35 @@ const crypto = require('crypto');
 
 const { pool, initDatabase } = require("./db");
 const User = require("./models/User");
+const Site = require("./models/Site");
 const { zantGateway } = require('./middleware/zant');
 const authRoutes = require("./routes/auth");
 const frontendRoutes = require("./routes/frontend");
 const dashboardRoutes = require("./routes/dashboard");
+const adminRoutes = require("./routes/admin");
+const apiRoutes = require("./routes/api");
+const davRoutes = require("./routes/dav");
+const gitRoutes = require("./routes/git");
+const { apiErrorHandler } = require("./lib/api-errors");
+const { authenticateApiKey } = require("./middleware/api-auth");
+const sitesRoutes = require("./routes/sites");
+const { siteUrl, matchSitesHost, frameSources } = require("./lib/sites-origin");
+const { lookupDomain } = require("./lib/custom-domains");
+const { startWebhookDeliveries } = require("./lib/webhooks");
 
 const app = express();
 
 // ============================================================
 // INITIALIZE DATABASE
 // ============================================================
-initDatabase().catch(err => {
+initDatabase().then(() => {
+  startWebhookDeliveries();
+
+  // Pages saved before /search existed
+  Site.indexUnindexedPages()
+    .then(count => count > 0 && console.log(`🔎 Indexed ${count} pages for search`))
+    .catch(err => console.error('Search indexing error:', err));
+}).catch(err => {
   console.error('Failed to initialize database:', err);
   process.exit(1);
 });
@@ -43,9 +61,29 @@ env.addFilter("date", function(date, format) {
   if (format === "short") {
     return d.toLocaleDateString('en-US', { month: 'short', day: 'numeric', year: 'numeric' });
   }
+  if (format === "datetime") {
+    return d.toLocaleString('en-US', {
+      month: 'short', day: 'numeric', year: 'numeric', hour: 'numeric', minute: '2-digit'
+    });
+  }
   return d.toLocaleDateString();
 });
 
+env.addGlobal("siteUrl", siteUrl);
+env.addGlobal("avatarPath", User.avatarPath);
+
+// Byte counts for people: 512 B, 4.2 KB, 10 MB, 1 GB
+env.addFilter("filesize", function(bytes) {
+  const units = ["B", "KB", "MB", "GB"];
+  let value = Number(bytes) || 0;
+  let unit = 0;
+  while (value >= 1024 && unit < units.length - 1) {
+    value /= 1024;
+    unit++;
+  }
+  return `${unit === 0 ? value : +value.toFixed(1)} ${units[unit]}`;
+});
+
 env.addFilter("truncate", function(str, length) {
   if (!str || str.length <= length) return str;
   return str.substring(0, length) + "...";
@@ -70,7 +108,7 @@ app.use(helmet({
       fontSrc: ["'self'"],
       objectSrc: ["'none'"],
       mediaSrc: ["'self'"],
-      frameSrc: ["'none'"],
+      frameSrc: frameSources(), // Site previews in the dashboard
     },
   },
   hsts: {
@@ -80,9 +118,16 @@ app.use(helmet({
   },
 }));
 
-app.use(compression());
-app.use(express.json({ limit: '10mb' })); // Limit payload size
-app.use(express.urlencoded({ extended: true, limit: '10mb' }));
+// Partial (206) responses must go out byte-for-byte as requested
+app.use(compression({
+  filter: (req, res) => !res.getHeader('Content-Range') && compression.filter(req, res),
+}));
+// Files PUT through the API or WebDAV are stored byte for byte, whatever
+// their Content-Type, so the body parsers leave them alone
+const isRawUpload = (req) => req.path.startsWith('/dav/') ||
+  (req.method === 'PUT' && /^\/api\/v1\/sites\/[^/]+\/files\//.test(req.path));
+app.use(express.json({ limit: '10mb', type: (req) => !isRawUpload(req) && Boolean(req.is('application/json')) })); // Limit payload size
+app.use(express.urlencoded({ extended: true, limit: '10mb', type: (req) => !isRawUpload(req) && Boolean(req.is('application/x-www-form-urlencoded')) }));
 app.use(cookieParser());
 
 // ============================================================
@@ -136,17 +181,49 @@ app.get('/_queue/onion.webp', (req, res) => {
 // ============================================================
 // ZANT GATEWAY PROTECTION
 // ============================================================
-app.use((req, res, next) => {
+app.use(async (req, res, next) => {
   const skipPaths = [
     /\.(css|js|jpg|jpeg|png|gif|svg|ico|woff|woff2|ttf|webp|map)$/i,
     /^\/_queue\//,
     /^\/favicon\.ico$/,
+    /^\/avatars\//,
   ];
   
   if (skipPaths.some(pattern => pattern.test(req.path))) {
     return next();
   }
   
+  // Scripts can't sit through the queue page. API calls with a valid key
+  // skip it; anything else under /api still queues like any other request.
+  // WebDAV clients only send their key after a 401 asks for it, so /dav
+  // always goes straight to its own authentication.
+  if (req.path === '/dav' || req.path.startsWith('/dav/')) {
+    return next();
+  }
+  // Same for git, which also only logs in when asked to
+  if (/^\/~[^/]+\/[^/]+\.git\//.test(req.path)) {
+    return next();
+  }
+  // And for feed readers, which poll unattended, and programs reading
+  // profiles
+  if (/\.atom$/.test(req.path) || /^\/~[^/]+\.json$/.test(req.path)) {
+    return next();
+  }
+  // And for guestbook forms on sites' own pages, which can't show the
+  // queue page and arrive without the session cookie. Their entries are
+  // all held for approval instead (see routes/frontend). Posts from the
+  // guestbook page itself carry the cookie and queue as usual.
+  if (req.method === 'POST' && /^\/guestbook\/[^/]+\/[^/]+$/.test(req.path) && !req.cookies['gerudo.sid']) {
+    return next();
+  }
+  if (req.path.startsWith('/api/')) {
+    try {
+      if (await authenticateApiKey(req)) return next();
+    } catch (err) {
+      return next(err);
+    }
+  }
+  
   zantGateway({
     secret: process.env.ZANT_SECRET || 'replace-this-with-a-long-random-secret',
     siteName: 'Gerudo',
@@ -158,6 +235,42 @@ app.use((req, res, next) => {
   })(req, res, next);
 });
 
+// ============================================================
+// USER SITES ORIGIN
+// ============================================================
+// Requests for the isolated sites origin and for custom domains are
+// answered here, before the session middleware, so no session cookie is
+// ever read or set there.
+app.use(async (req, res, next) => {
+  try {
+    req.sitesHost = matchSitesHost(req.hostname);
+    if (!req.sitesHost) {
+      const domain = await lookupDomain(req.hostname);
+      if (domain) req.sitesHost = { mode: 'domain', domain };
+    }
+  } catch (err) {
+    return next(err);
+  }
+
+  if (!req.sitesHost) return next();
+  sitesRoutes(req, res, next);
+});
+
+// ============================================================
+// API (key authentication, no session)
+// ============================================================
+app.use("/api/v1", apiRoutes, apiErrorHandler);
+
+// ============================================================
+// WEBDAV (key authentication, no session)
+// ============================================================
+app.use("/dav", davRoutes);
+
+// ============================================================
+// GIT (push-to-deploy, key authentication, no session)
+// ============================================================
+app.use(gitRoutes);
+
 // ============================================================
 // SESSION MANAGEMENT (PostgreSQL)
 // ============================================================
@@ -190,7 +303,12 @@ app.use(async (req, res, next) => {
   
   if (req.session.userId) {
     try {
-      const user = await User.findById(req.session.userId);
+      let user = await User.findById(req.session.userId);
+      // Suspending an account logs it out everywhere
+      if (user && user.suspended_at) {
+        delete req.session.userId;
+        user = null;
+      }
       res.locals.user = user;
       req.user = user;
     } catch (err) {
@@ -244,6 +362,7 @@ app.use((req, res, next) => {
 app.use("/", frontendRoutes);
 app.use("/auth", authRoutes);
 app.use("/dashboard", dashboardRoutes);
+app.use("/admin", adminRoutes);
 
 // ============================================================
 // ERROR HANDLING
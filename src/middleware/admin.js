@@ -0,0 +1,18 @@
+// middleware/admin.js
+const requireAuth = require("./auth");
+
+// Logged in, and the account has the admin role
+function requireAdmin(req, res, next) {
+  requireAuth(req, res, () => {
+    if (req.user.role !== 'admin') {
+      return res.status(403).render("error.njk", {
+        title: "Forbidden",
+        message: "Only administrators can open this page.",
+        error: {}
+      });
+    }
+    next();
+  });
+}
+
+module.exports = requireAdmin;
@@ -0,0 +1,73 @@
+// middleware/api-auth.js
+//
+// API requests authenticate with "Authorization: Bearer <key>" (WebDAV with
+// the key as a Basic auth password) and nothing else: no session cookie is
+// read, so a page on another site can't make a logged-in browser call the
+// API for its user.
+const ApiKey = require("../models/ApiKey");
+const { sendApiError } = require("../lib/api-errors");
+
+// Look up a token once per request and note that the key was used
+async function useKey(req, token) {
+  if (req.apiKey !== undefined) return req.apiKey;
+
+  req.apiKey = (token && await ApiKey.findByToken(token)) || null;
+
+  if (req.apiKey) {
+    ApiKey.touch(req.apiKey.id).catch(err => console.error('API key touch error:', err));
+  }
+  return req.apiKey;
+}
+
+// The key a request was made with, or null
+async function authenticateApiKey(req) {
+  const match = /^Bearer\s+(\S+)$/i.exec(req.get('authorization') || '');
+  return useKey(req, match && match[1]);
+}
+
+// WebDAV clients only speak Basic auth, so there the key is the password
+// and the username is ignored. Browsers remember Basic credentials, but
+// every WebDAV method that changes something needs a CORS preflight, which
+// is never granted, so other sites still can't act with them.
+async function authenticateBasicKey(req) {
+  const match = /^Basic\s+([A-Za-z0-9+/=]+)$/i.exec(req.get('authorization') || '');
+  const credentials = match ? Buffer.from(match[1], 'base64').toString('utf8') : '';
+  const separator = credentials.indexOf(':');
+  return useKey(req, separator >= 0 ? credentials.slice(separator + 1) : null);
+}
+
+async function requireApiKey(req, res, next) {
+  try {
+    if (!(await authenticateApiKey(req))) {
+      res.set('WWW-Authenticate', 'Bearer realm="Gerudo API"');
+      return sendApiError(res, 401, 'A valid API key is required (Authorization: Bearer <key>)');
+    }
+    next();
+  } catch (err) {
+    next(err);
+  }
+}
+
+function requireWriteAccess(req, res, next) {
+  if (req.apiKey.read_only) {
+    return sendApiError(res, 403, 'This API key is read-only', { code: 'read_only' });
+  }
+  next();
+}
+
+// Creating, changing or deleting sites needs a key that isn't limited to
+// one site
+function requireAccountKey(req, res, next) {
+  if (req.apiKey.site_id) {
+    return sendApiError(res, 403, 'This API key is limited to one site', { code: 'site_scoped' });
+  }
+  next();
+}
+
+module.exports = {
+  authenticateApiKey,
+  authenticateBasicKey,
+  requireApiKey,
+  requireWriteAccess,
+  requireAccountKey,
+};
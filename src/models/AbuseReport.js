@@ -0,0 +1,80 @@
+// models/AbuseReport.js
+//
+// Visitors' reports of sites that break the rules, from "Report this site".
+// Each is 'open' until an admin marks it 'resolved' (something was done)
+// or 'dismissed'.
+const { pool } = require("../db");
+
+const CATEGORIES = {
+  spam: 'Spam',
+  phishing: 'Phishing or malware',
+  illegal: 'Illegal content',
+  harassment: 'Harassment or hate',
+  other: 'Something else',
+};
+
+const AbuseReport = {
+  CATEGORIES,
+
+  async create({ siteId, reporterId, category, details, contact }) {
+    const result = await pool.query(
+      `INSERT INTO abuse_reports (site_id, reporter_id, category, details, contact)
+       VALUES ($1, $2, $3, $4, $5) RETURNING *`,
+      [siteId, reporterId, category, details, contact]
+    );
+    return result.rows[0];
+  },
+
+  // Reports with their site, its owner and who sent them (null if they
+  // weren't logged in), oldest open ones first
+  async list({ status = 'open', siteId = null, limit = 100 } = {}) {
+    const result = await pool.query(
+      `SELECT r.*, s.slug AS site_slug, s.title AS site_title, s.taken_down_at,
+              o.id AS owner_id, o.username AS owner_username, o.suspended_at AS owner_suspended_at,
+              reporter.username AS reporter_username, closer.username AS closed_by_username
+       FROM abuse_reports r
+       JOIN sites s ON s.id = r.site_id
+       JOIN users o ON o.id = s.owner_id
+       LEFT JOIN users reporter ON reporter.id = r.reporter_id
+       LEFT JOIN users closer ON closer.id = r.closed_by
+       WHERE ($1::text IS NULL OR r.status = $1)
+         AND ($2::integer IS NULL OR r.site_id = $2)
+       ORDER BY CASE WHEN r.status = 'open' THEN r.id END ASC, r.id DESC
+       LIMIT $3`,
+      [status, siteId, limit]
+    );
+    return result.rows;
+  },
+
+  async countOpen() {
+    const result = await pool.query(
+      "SELECT COUNT(*)::integer AS count FROM abuse_reports WHERE status = 'open'"
+    );
+    return result.rows[0].count;
+  },
+
+  async findById(id) {
+    const result = await pool.query(
+      `SELECT r.*, s.slug AS site_slug, o.id AS owner_id, o.username AS owner_username
+       FROM abuse_reports r
+       JOIN sites s ON s.id = r.site_id
+       JOIN users o ON o.id = s.owner_id
+       WHERE r.id = $1`,
+      [id]
+    );
+    return result.rows[0];
+  },
+
+  // Close an open report as 'resolved' or 'dismissed'; undefined if it was
+  // already closed
+  async close(id, status, adminId, db = pool) {
+    const result = await db.query(
+      `UPDATE abuse_reports SET status = $2, closed_by = $3, closed_at = CURRENT_TIMESTAMP
+       WHERE id = $1 AND status = 'open' RETURNING *`,
+      [id, status, adminId]
+    );
+    return result.rows[0];
+  },
+};
+
+module.exports = AbuseReport;
@@ -0,0 +1,83 @@
+// models/Activity.js
+//
+// What users did to their live sites (recorded by lib/events), as shown
+// in the feed of the people who follow them.
+const { pool } = require("../db");
+
+// Saves to the same site this close together are shown as one entry
+const MERGE_MINUTES = 60;
+const MAX_PATHS = 100;
+
+const Activity = {
+  async record({ userId, siteId, event, paths = [] }) {
+    if (event === 'file.saved') {
+      // Folding into the user's latest entry moves it to the top of feeds
+      const merged = await pool.query(
+        `UPDATE activity
+         SET id = nextval('activity_id_seq'),
+             paths = ARRAY(SELECT DISTINCT p FROM unnest(paths || $3::text[]) p ORDER BY p),
+             created_at = CURRENT_TIMESTAMP
+         WHERE id = (SELECT MAX(id) FROM activity WHERE user_id = $1)
+           AND site_id = $2 AND event = 'file.saved'
+           AND created_at > CURRENT_TIMESTAMP - make_interval(mins => $4)
+           AND cardinality(paths) + cardinality($3::text[]) <= $5`,
+        [userId, siteId, paths, MERGE_MINUTES, MAX_PATHS]
+      );
+      if (merged.rowCount > 0) return;
+    }
+
+    await pool.query(
+      'INSERT INTO activity (user_id, site_id, event, paths) VALUES ($1, $2, $3, $4)',
+      [userId, siteId, event, paths.slice(0, MAX_PATHS)]
+    );
+  },
+
+  // Entries by the users someone follows, newest first, leaving out the
+  // sites they muted. Pass the id of the last entry seen as `before` for
+  // the next page.
+  async listFeed(userId, { before = null, limit = 30 } = {}) {
+    const result = await pool.query(
+      `SELECT a.id, a.event, a.paths, a.created_at, a.site_id,
+              u.username, u.display_name, s.slug, s.title AS site_title
+       FROM activity a
+       JOIN follows f ON f.followee_id = a.user_id AND f.follower_id = $1
+       JOIN users u ON u.id = a.user_id
+       JOIN sites s ON s.id = a.site_id
+       WHERE ($2::bigint IS NULL OR a.id < $2)
+         AND NOT EXISTS (SELECT 1 FROM muted_sites m WHERE m.user_id = $1 AND m.site_id = a.site_id)
+       ORDER BY a.id DESC
+       LIMIT $3`,
+      [userId, before, limit]
+    );
+    return result.rows;
+  },
+
+  async muteSite(userId, siteId) {
+    await pool.query(
+      'INSERT INTO muted_sites (user_id, site_id) VALUES ($1, $2) ON CONFLICT DO NOTHING',
+      [userId, siteId]
+    );
+  },
+
+  async unmuteSite(userId, siteId) {
+    await pool.query(
+      'DELETE FROM muted_sites WHERE user_id = $1 AND site_id = $2',
+      [userId, siteId]
+    );
+  },
+
+  async listMutedSites(userId) {
+    const result = await pool.query(
+      `SELECT s.id, s.slug, s.title, u.username AS owner_username, m.created_at AS muted_at
+       FROM muted_sites m
+       JOIN sites s ON s.id = m.site_id
+       JOIN users u ON u.id = s.owner_id
+       WHERE m.user_id = $1
+       ORDER BY m.created_at DESC`,
+      [userId]
+    );
+    return result.rows;
+  }
+};
+
+module.exports = Activity;
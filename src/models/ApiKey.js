@@ -0,0 +1,76 @@
+// models/ApiKey.js
+//
+// The key itself is shown once, when it's created; after that only its
+// SHA-256 is stored. Keys are 48 random hex digits, so a fast hash is
+// enough: there is no password to guess.
+const crypto = require("crypto");
+const { pool } = require("../db");
+
+const TOKEN_PREFIX = 'gk_';
+
+function hashToken(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+const ApiKey = {
+  // Returns { key, token }; token is the only copy of the secret
+  async create({ userId, name, readOnly, siteId }) {
+    const token = TOKEN_PREFIX + crypto.randomBytes(24).toString('hex');
+    const result = await pool.query(
+      `INSERT INTO api_keys (user_id, name, token_prefix, token_hash, read_only, site_id)
+       VALUES ($1, $2, $3, $4, $5, $6) RETURNING *`,
+      [userId, name, token.slice(0, TOKEN_PREFIX.length + 8), hashToken(token), readOnly, siteId]
+    );
+    return { key: result.rows[0], token };
+  },
+
+  async listByUser(userId) {
+    const result = await pool.query(
+      `SELECT k.id, k.name, k.token_prefix, k.read_only, k.site_id, k.created_at, k.last_used_at,
+              s.slug AS site_slug
+       FROM api_keys k
+       LEFT JOIN sites s ON k.site_id = s.id
+       WHERE k.user_id = $1 AND k.revoked_at IS NULL
+       ORDER BY k.created_at DESC`,
+      [userId]
+    );
+    return result.rows;
+  },
+
+  // A live key with its owner, or undefined. Suspended users' keys
+  // don't count as live.
+  async findByToken(token) {
+    if (!token.startsWith(TOKEN_PREFIX)) return undefined;
+    const result = await pool.query(
+      `SELECT k.id, k.user_id, k.name, k.read_only, k.site_id, u.username,
+              s.slug AS site_slug
+       FROM api_keys k
+       JOIN users u ON k.user_id = u.id
+       LEFT JOIN sites s ON k.site_id = s.id
+       WHERE k.token_hash = $1 AND k.revoked_at IS NULL AND u.suspended_at IS NULL`,
+      [hashToken(token)]
+    );
+    return result.rows[0];
+  },
+
+  // Returns false if there was no such live key
+  async revoke(id, userId) {
+    const result = await pool.query(
+      `UPDATE api_keys SET revoked_at = CURRENT_TIMESTAMP
+       WHERE id = $1 AND user_id = $2 AND revoked_at IS NULL`,
+      [id, userId]
+    );
+    return result.rowCount > 0;
+  },
+
+  // Record use, at most once a minute per key
+  async touch(id) {
+    await pool.query(
+      `UPDATE api_keys SET last_used_at = CURRENT_TIMESTAMP
+       WHERE id = $1 AND (last_used_at IS NULL OR last_used_at < CURRENT_TIMESTAMP - INTERVAL '1 minute')`,
+      [id]
+    );
+  }
+};
+
+module.exports = ApiKey;
@@ -0,0 +1,43 @@
+// models/AuditLog.js
+//
+// What admins did, for /admin/audit. The table only takes inserts (see
+// db.js), and names are copied into each row so it still reads right after
+// a user or site is renamed or deleted.
+const { pool } = require("../db");
+
+const AuditLog = {
+  // admin and targetUser are user rows, targetSite a site row; details is
+  // anything else worth keeping, such as the reason given
+  async record({ admin, action, targetUser = null, targetSite = null, details = {} }, db = pool) {
+    await db.query(
+      `INSERT INTO admin_audit_log
+         (admin_id, admin_username, action, target_user_id, target_username,
+          target_site_id, target_site_slug, details)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8)`,
+      [
+        admin.id,
+        admin.username,
+        action,
+        targetUser && targetUser.id,
+        targetUser && targetUser.username,
+        targetSite && targetSite.id,
+        targetSite && targetSite.slug,
+        details
+      ]
+    );
+  },
+
+  // Newest first; pass the last id seen as `before` for the next page
+  async list({ before = null, limit = 50 } = {}) {
+    const result = await pool.query(
+      `SELECT * FROM admin_audit_log
+       WHERE $1::bigint IS NULL OR id < $1
+       ORDER BY id DESC
+       LIMIT $2`,
+      [before, limit]
+    );
+    return result.rows;
+  },
+};
+
+module.exports = AuditLog;
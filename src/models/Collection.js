@@ -0,0 +1,168 @@
+// models/Collection.js
+//
+// Users' named lists of sites. Entries are kept in `position` order, which
+// owners change one step at a time, and each can carry a note.
+const { pool, transaction } = require("../db");
+
+const Collection = {
+  async create({ userId, slug, title, description, isPublic }) {
+    const result = await pool.query(
+      `INSERT INTO collections (user_id, slug, title, description, is_public)
+       VALUES ($1, $2, $3, $4, $5) RETURNING *`,
+      [userId, slug, title, description, isPublic]
+    );
+    return result.rows[0];
+  },
+
+  // A user's collections with how many sites each shows (see
+  // listEntries). Pass publicOnly to leave out private ones.
+  async listByUser(userId, { publicOnly = false } = {}) {
+    const result = await pool.query(
+      `SELECT c.*,
+              (SELECT COUNT(*)
+               FROM collection_entries e
+               JOIN sites s ON s.id = e.site_id
+               JOIN users u ON u.id = s.owner_id
+               WHERE e.collection_id = c.id AND s.taken_down_at IS NULL AND u.suspended_at IS NULL
+              )::integer AS entry_count
+       FROM collections c
+       WHERE c.user_id = $1 AND (c.is_public OR NOT $2)
+       ORDER BY c.title`,
+      [userId, publicOnly]
+    );
+    return result.rows;
+  },
+
+  async countByUser(userId) {
+    const result = await pool.query(
+      'SELECT COUNT(*)::integer AS count FROM collections WHERE user_id = $1',
+      [userId]
+    );
+    return result.rows[0].count;
+  },
+
+  async findByUsernameAndSlug(username, slug) {
+    const result = await pool.query(
+      `SELECT c.*, u.username AS owner_username
+       FROM collections c
+       JOIN users u ON u.id = c.user_id
+       WHERE u.username = $1 AND c.slug = $2`,
+      [username, slug]
+    );
+    return result.rows[0];
+  },
+
+  // A collection, only if it belongs to the user
+  async findForUser(id, userId) {
+    const result = await pool.query(
+      'SELECT * FROM collections WHERE id = $1 AND user_id = $2',
+      [id, userId]
+    );
+    return result.rows[0];
+  },
+
+  async update(id, { slug, title, description, isPublic }) {
+    const result = await pool.query(
+      `UPDATE collections SET slug = $2, title = $3, description = $4, is_public = $5,
+                              updated_at = CURRENT_TIMESTAMP
+       WHERE id = $1 RETURNING *`,
+      [id, slug, title, description, isPublic]
+    );
+    return result.rows[0];
+  },
+
+  async delete(id) {
+    await pool.query('DELETE FROM collections WHERE id = $1', [id]);
+  },
+
+  // Sites that were taken down, or whose owner is suspended, are left
+  // out; they come back if restored
+  async listEntries(collectionId) {
+    const result = await pool.query(
+      `SELECT e.site_id, e.position, e.note, e.added_at,
+              s.slug, s.title, s.created_at, u.username AS owner_username
+       FROM collection_entries e
+       JOIN sites s ON s.id = e.site_id
+       JOIN users u ON u.id = s.owner_id
+       WHERE e.collection_id = $1 AND s.taken_down_at IS NULL AND u.suspended_at IS NULL
+       ORDER BY e.position, e.added_at`,
+      [collectionId]
+    );
+    return result.rows;
+  },
+
+  // Every entry, shown or not, for the size limit
+  async countEntries(collectionId) {
+    const result = await pool.query(
+      'SELECT COUNT(*)::integer AS count FROM collection_entries WHERE collection_id = $1',
+      [collectionId]
+    );
+    return result.rows[0].count;
+  },
+
+  // Add a site at the end. Returns false if it was already there.
+  async addEntry(collectionId, siteId) {
+    const result = await pool.query(
+      `INSERT INTO collection_entries (collection_id, site_id, position)
+       SELECT $1, $2, COALESCE(MAX(position), 0) + 1 FROM collection_entries WHERE collection_id = $1
+       ON CONFLICT DO NOTHING`,
+      [collectionId, siteId]
+    );
+    if (result.rowCount > 0) await touch(collectionId);
+    return result.rowCount > 0;
+  },
+
+  async removeEntry(collectionId, siteId) {
+    await pool.query(
+      'DELETE FROM collection_entries WHERE collection_id = $1 AND site_id = $2',
+      [collectionId, siteId]
+    );
+    await touch(collectionId);
+  },
+
+  async setNote(collectionId, siteId, note) {
+    await pool.query(
+      'UPDATE collection_entries SET note = $3 WHERE collection_id = $1 AND site_id = $2',
+      [collectionId, siteId, note]
+    );
+    await touch(collectionId);
+  },
+
+  // Swap an entry with its neighbour; `direction` is 'up' or 'down'
+  async moveEntry(collectionId, siteId, direction) {
+    await transaction(async (client) => {
+      // Lock the collection so concurrent moves can't interleave
+      await client.query('SELECT id FROM collections WHERE id = $1 FOR UPDATE', [collectionId]);
+      const entries = await client.query(
+        'SELECT site_id, position FROM collection_entries WHERE collection_id = $1 ORDER BY position, added_at',
+        [collectionId]
+      );
+      const rows = entries.rows;
+      const index = rows.findIndex(row => row.site_id === siteId);
+      const other = direction === 'up' ? index - 1 : index + 1;
+      if (index === -1 || other < 0 || other >= rows.length) return;
+
+      // Renumber the whole list, which also repairs any duplicate positions
+      [rows[index], rows[other]] = [rows[other], rows[index]];
+      for (let i = 0; i < rows.length; i++) {
+        await client.query(
+          'UPDATE collection_entries SET position = $3 WHERE collection_id = $1 AND site_id = $2',
+          [collectionId, rows[i].site_id, i + 1]
+        );
+      }
+      await client.query(
+        'UPDATE collections SET updated_at = CURRENT_TIMESTAMP WHERE id = $1',
+        [collectionId]
+      );
+    });
+  }
+};
+
+async function touch(collectionId) {
+  await pool.query(
+    'UPDATE collections SET updated_at = CURRENT_TIMESTAMP WHERE id = $1',
+    [collectionId]
+  );
+}
+
+module.exports = Collection;
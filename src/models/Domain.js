@@ -0,0 +1,87 @@
+// models/Domain.js
+//
+// A hostname can be claimed by any number of sites while pending; only a
+// verified row owns it (see lib/custom-domains).
+const { pool, transaction } = require("../db");
+
+const Domain = {
+  async create({ siteId, hostname, verificationToken }) {
+    const result = await pool.query(
+      `INSERT INTO site_domains (site_id, hostname, verification_token)
+       VALUES ($1, $2, $3) RETURNING *`,
+      [siteId, hostname, verificationToken]
+    );
+    return result.rows[0];
+  },
+
+  async findById(id) {
+    const result = await pool.query(
+      'SELECT * FROM site_domains WHERE id = $1',
+      [id]
+    );
+    return result.rows[0];
+  },
+
+  async findVerifiedByHostname(hostname) {
+    const result = await pool.query(
+      'SELECT * FROM site_domains WHERE hostname = $1 AND verified_at IS NOT NULL',
+      [hostname]
+    );
+    return result.rows[0];
+  },
+
+  async listBySite(siteId) {
+    const result = await pool.query(
+      'SELECT * FROM site_domains WHERE site_id = $1 ORDER BY created_at',
+      [siteId]
+    );
+    return result.rows;
+  },
+
+  async countBySite(siteId) {
+    const result = await pool.query(
+      'SELECT COUNT(*) as count FROM site_domains WHERE site_id = $1',
+      [siteId]
+    );
+    return parseInt(result.rows[0].count);
+  },
+
+  // Verify a pending claim and drop the other sites' claims on its
+  // hostname. Returns undefined if another site verified it first.
+  async markVerified(id) {
+    try {
+      return await transaction(async (client) => {
+        const result = await client.query(
+          'UPDATE site_domains SET verified_at = CURRENT_TIMESTAMP WHERE id = $1 RETURNING *',
+          [id]
+        );
+        const domain = result.rows[0];
+        if (domain) {
+          await client.query(
+            'DELETE FROM site_domains WHERE hostname = $1 AND id <> $2',
+            [domain.hostname, domain.id]
+          );
+        }
+        return domain;
+      });
+    } catch (err) {
+      if (err.code === '23505') return undefined;
+      throw err;
+    }
+  },
+
+  // Drop pending claims older than `days`
+  async deleteExpired(days) {
+    await pool.query(
+      `DELETE FROM site_domains
+       WHERE verified_at IS NULL AND created_at < CURRENT_TIMESTAMP - make_interval(days => $1)`,
+      [days]
+    );
+  },
+
+  async delete(id) {
+    await pool.query('DELETE FROM site_domains WHERE id = $1', [id]);
+  }
+};
+
+module.exports = Domain;
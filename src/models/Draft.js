@@ -0,0 +1,199 @@
+// models/Draft.js
+//
+// A site's draft is a private working copy of all its files. While one is
+// open the dashboard edits it instead of the live site, and the owner can
+// preview it at an unguessable URL. Publishing replaces the live files with
+// the draft in a single transaction, so visitors never see half a change.
+//
+// The file methods mirror Site's (saveFile, getFile, listFiles, ...) so
+// callers can work on either one.
+const crypto = require("crypto");
+const { pool, transaction } = require("../db");
+const { encodeContent, decodeRow } = require("../lib/file-content");
+const Site = require("./Site");
+
+// What publishing would change on the live site:
+// [{ path, action: 'added' | 'modified' | 'deleted', size }]
+async function diffAgainstLive(siteId, db) {
+  const result = await db.query(
+    `SELECT COALESCE(d.path, f.path) AS path,
+            CASE WHEN f.id IS NULL THEN 'added'
+                 WHEN d.id IS NULL THEN 'deleted'
+                 ELSE 'modified' END AS action,
+            COALESCE(d.size, f.size) AS size
+     FROM (SELECT * FROM site_draft_files WHERE site_id = $1) d
+     FULL OUTER JOIN (SELECT * FROM site_files WHERE site_id = $1) f ON d.path = f.path
+     WHERE d.id IS NULL OR f.id IS NULL
+        OR d.content_hash IS DISTINCT FROM f.content_hash
+        OR d.mime_type IS DISTINCT FROM f.mime_type
+     ORDER BY 1`,
+    [siteId]
+  );
+  return result.rows;
+}
+
+const Draft = {
+  // Open a draft as a copy of the live files. Returns false if the site
+  // already has one.
+  async start(siteId) {
+    return transaction(async (client) => {
+      const opened = await client.query(
+        `UPDATE sites SET draft_token = $2, draft_started_at = CURRENT_TIMESTAMP
+         WHERE id = $1 AND draft_started_at IS NULL`,
+        [siteId, crypto.randomBytes(24).toString('hex')]
+      );
+      if (opened.rowCount === 0) return false;
+
+      await client.query('DELETE FROM site_draft_files WHERE site_id = $1', [siteId]);
+      await client.query(
+        `INSERT INTO site_draft_files
+           (site_id, path, content, data, encoding, mime_type, size, content_hash, created_at, updated_at)
+         SELECT site_id, path, content, data, encoding, mime_type, size, content_hash, created_at, updated_at
+         FROM site_files WHERE site_id = $1`,
+        [siteId]
+      );
+      return true;
+    });
+  },
+
+  async discard(siteId) {
+    await transaction(async (client) => {
+      await client.query('SELECT id FROM sites WHERE id = $1 FOR UPDATE', [siteId]);
+      await client.query('DELETE FROM site_draft_files WHERE site_id = $1', [siteId]);
+      await client.query(
+        'UPDATE sites SET draft_token = NULL, draft_started_at = NULL WHERE id = $1',
+        [siteId]
+      );
+    });
+  },
+
+  // Make the draft live and close it. Live files that change are saved
+  // through Site, so the versions they replace land in the revision history.
+  // Returns the list of changes, or null if there was no open draft.
+  async publish(siteId, userId) {
+    return transaction(async (client) => {
+      // Locking the site row serializes concurrent publishes and discards
+      const site = await client.query(
+        'SELECT draft_started_at FROM sites WHERE id = $1 FOR UPDATE',
+        [siteId]
+      );
+      if (!site.rows[0] || !site.rows[0].draft_started_at) return null;
+
+      const changes = await diffAgainstLive(siteId, client);
+
+      for (const change of changes) {
+        if (change.action === 'deleted') {
+          await Site.deleteFile(siteId, change.path, client);
+          continue;
+        }
+
+        const file = await client.query(
+          'SELECT * FROM site_draft_files WHERE site_id = $1 AND path = $2',
+          [siteId, change.path]
+        );
+        const draftFile = decodeRow(file.rows[0]);
+        await Site.saveFile({
+          siteId: siteId,
+          path: draftFile.path,
+          content: draftFile.content,
+          mimeType: draftFile.mime_type
+        }, client);
+      }
+
+      await client.query(
+        'INSERT INTO site_publishes (site_id, user_id, changes) VALUES ($1, $2, $3)',
+        [siteId, userId, JSON.stringify(changes)]
+      );
+      await client.query('DELETE FROM site_draft_files WHERE site_id = $1', [siteId]);
+      await client.query(
+        'UPDATE sites SET draft_token = NULL, draft_started_at = NULL WHERE id = $1',
+        [siteId]
+      );
+
+      return changes;
+    });
+  },
+
+  async listChanges(siteId) {
+    return diffAgainstLive(siteId, pool);
+  },
+
+  async listPublishes(siteId, limit = 10) {
+    const result = await pool.query(
+      `SELECT p.*, u.username
+       FROM site_publishes p
+       LEFT JOIN users u ON p.user_id = u.id
+       WHERE p.site_id = $1
+       ORDER BY p.published_at DESC, p.id DESC
+       LIMIT $2`,
+      [siteId, limit]
+    );
+    return result.rows;
+  },
+
+  // Draft files, same shapes as the Site file methods
+  async saveFile({ siteId, path, content, mimeType }, db = pool) {
+    const stored = encodeContent(content, mimeType);
+    const result = await db.query(
+      `INSERT INTO site_draft_files (site_id, path, content, data, encoding, mime_type, size, content_hash)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+       ON CONFLICT (site_id, path)
+       DO UPDATE SET content = $3, data = $4, encoding = $5, mime_type = $6, size = $7,
+                     content_hash = $8, updated_at = CURRENT_TIMESTAMP
+       RETURNING *`,
+      [siteId, path, stored.content, stored.data, stored.encoding, mimeType, stored.size, stored.hash]
+    );
+    return decodeRow(result.rows[0]);
+  },
+
+  async getFile(siteId, path) {
+    const result = await pool.query(
+      'SELECT * FROM site_draft_files WHERE site_id = $1 AND path = $2',
+      [siteId, path]
+    );
+    return decodeRow(result.rows[0]);
+  },
+
+  async getConfigFiles(siteId) {
+    const result = await pool.query(
+      `SELECT path, content, data, encoding, content_hash FROM site_draft_files
+       WHERE site_id = $1 AND path IN ('_redirects', '_headers')
+       ORDER BY path`,
+      [siteId]
+    );
+    return result.rows.map(decodeRow);
+  },
+
+  async listFiles(siteId) {
+    const result = await pool.query(
+      'SELECT * FROM site_draft_files WHERE site_id = $1 ORDER BY path',
+      [siteId]
+    );
+    return result.rows.map(decodeRow);
+  },
+
+  async listFileSizes(siteId, db = pool) {
+    const result = await db.query(
+      'SELECT path, size, content_hash, mime_type, updated_at FROM site_draft_files WHERE site_id = $1 ORDER BY path',
+      [siteId]
+    );
+    return result.rows;
+  },
+
+  async deleteFile(siteId, path, db = pool) {
+    await db.query(
+      'DELETE FROM site_draft_files WHERE site_id = $1 AND path = $2',
+      [siteId, path]
+    );
+  },
+
+  async getSiteTotalSize(siteId) {
+    const result = await pool.query(
+      'SELECT COALESCE(SUM(size), 0) as total_size FROM site_draft_files WHERE site_id = $1',
+      [siteId]
+    );
+    return parseInt(result.rows[0].total_size);
+  }
+};
+
+module.exports = Draft;
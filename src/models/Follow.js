@@ -0,0 +1,52 @@
+// models/Follow.js
+const { pool } = require("../db");
+
+const Follow = {
+  async follow(followerId, followeeId) {
+    await pool.query(
+      `INSERT INTO follows (follower_id, followee_id) VALUES ($1, $2)
+       ON CONFLICT DO NOTHING`,
+      [followerId, followeeId]
+    );
+  },
+
+  async unfollow(followerId, followeeId) {
+    await pool.query(
+      'DELETE FROM follows WHERE follower_id = $1 AND followee_id = $2',
+      [followerId, followeeId]
+    );
+  },
+
+  async isFollowing(followerId, followeeId) {
+    const result = await pool.query(
+      'SELECT 1 FROM follows WHERE follower_id = $1 AND followee_id = $2',
+      [followerId, followeeId]
+    );
+    return result.rows.length > 0;
+  },
+
+  // { followers, following } for a profile
+  async counts(userId) {
+    const result = await pool.query(
+      `SELECT (SELECT COUNT(*) FROM follows WHERE followee_id = $1)::integer AS followers,
+              (SELECT COUNT(*) FROM follows WHERE follower_id = $1)::integer AS following`,
+      [userId]
+    );
+    return result.rows[0];
+  },
+
+  // The users someone follows, newest first
+  async listFollowing(userId) {
+    const result = await pool.query(
+      `SELECT u.id, u.username, u.display_name, f.created_at AS followed_at
+       FROM follows f
+       JOIN users u ON u.id = f.followee_id
+       WHERE f.follower_id = $1
+       ORDER BY f.created_at DESC`,
+      [userId]
+    );
+    return result.rows;
+  }
+};
+
+module.exports = Follow;
@@ -0,0 +1,143 @@
+// models/Guestbook.js
+//
+// Per-site guestbooks. Visitors' entries are 'approved' (shown), 'pending'
+// (held for the owner: the site is moderated, the entry tripped the word
+// filter, came from a form on the site itself or enough people reported
+// it) or 'hidden' by the owner.
+const { pool } = require("../db");
+
+// Reports from this many users hold an entry for the owner to look at
+const REPORTS_TO_HOLD = 3;
+
+// Entries from forms on the site itself taken per site per hour (see
+// routes/frontend)
+const EMBEDDED_POSTS_PER_HOUR = 20;
+
+const Guestbook = {
+  REPORTS_TO_HOLD,
+  EMBEDDED_POSTS_PER_HOUR,
+
+  async updateSettings(siteId, { enabled, moderated, blockedWords }) {
+    await pool.query(
+      `UPDATE sites SET guestbook_enabled = $2, guestbook_moderated = $3, guestbook_blocked_words = $4
+       WHERE id = $1`,
+      [siteId, enabled, moderated, blockedWords]
+    );
+  },
+
+  async create({ siteId, userId, name, website, message, status, heldFor }) {
+    const result = await pool.query(
+      `INSERT INTO guestbook_entries (site_id, user_id, name, website, message, status, held_for)
+       VALUES ($1, $2, $3, $4, $5, $6, $7) RETURNING *`,
+      [siteId, userId, name, website, message, status, heldFor]
+    );
+    return result.rows[0];
+  },
+
+  async findById(id) {
+    const result = await pool.query(
+      `SELECT e.*, s.owner_id, s.slug AS site_slug, u.username AS owner_username
+       FROM guestbook_entries e
+       JOIN sites s ON s.id = e.site_id
+       JOIN users u ON u.id = s.owner_id
+       WHERE e.id = $1`,
+      [id]
+    );
+    return result.rows[0];
+  },
+
+  // Shown entries, newest first; `before` is the id of the last one on the
+  // previous page
+  async listApproved(siteId, { before = null, limit = 50 } = {}) {
+    const result = await pool.query(
+      `SELECT e.*, u.username
+       FROM guestbook_entries e
+       LEFT JOIN users u ON u.id = e.user_id
+       WHERE e.site_id = $1 AND e.status = 'approved' AND ($2::integer IS NULL OR e.id < $2)
+       ORDER BY e.id DESC
+       LIMIT $3`,
+      [siteId, before, limit]
+    );
+    return result.rows;
+  },
+
+  async countApproved(siteId) {
+    const result = await pool.query(
+      `SELECT COUNT(*)::integer AS count FROM guestbook_entries WHERE site_id = $1 AND status = 'approved'`,
+      [siteId]
+    );
+    return result.rows[0].count;
+  },
+
+  // Entries for the owner's dashboard, with their reports. `status` picks
+  // one kind; without it, pending entries come first.
+  async listForOwner(siteId, { status = null, limit = 200 } = {}) {
+    const result = await pool.query(
+      `SELECT e.*, u.username,
+              (SELECT COUNT(*) FROM guestbook_reports WHERE entry_id = e.id)::integer AS report_count,
+              ARRAY(SELECT reason FROM guestbook_reports
+                    WHERE entry_id = e.id AND reason IS NOT NULL ORDER BY created_at) AS report_reasons
+       FROM guestbook_entries e
+       LEFT JOIN users u ON u.id = e.user_id
+       WHERE e.site_id = $1 AND ($2::text IS NULL OR e.status = $2)
+       ORDER BY e.status = 'pending' DESC, e.id DESC
+       LIMIT $3`,
+      [siteId, status, limit]
+    );
+    return result.rows;
+  },
+
+  // { approved, pending, hidden } for a site
+  async countByStatus(siteId) {
+    const result = await pool.query(
+      `SELECT COUNT(*) FILTER (WHERE status = 'approved')::integer AS approved,
+              COUNT(*) FILTER (WHERE status = 'pending')::integer AS pending,
+              COUNT(*) FILTER (WHERE status = 'hidden')::integer AS hidden
+       FROM guestbook_entries WHERE site_id = $1`,
+      [siteId]
+    );
+    return result.rows[0];
+  },
+
+  // Approving an entry also clears its reports: the owner has seen them
+  async setStatus(siteId, entryId, status) {
+    const result = await pool.query(
+      `UPDATE guestbook_entries SET status = $3, held_for = NULL
+       WHERE site_id = $1 AND id = $2`,
+      [siteId, entryId, status]
+    );
+    if (status === 'approved' && result.rowCount > 0) {
+      await pool.query('DELETE FROM guestbook_reports WHERE entry_id = $1', [entryId]);
+    }
+    return result.rowCount > 0;
+  },
+
+  async delete(siteId, entryId) {
+    const result = await pool.query(
+      'DELETE FROM guestbook_entries WHERE site_id = $1 AND id = $2',
+      [siteId, entryId]
+    );
+    return result.rowCount > 0;
+  },
+
+  // Record a report; false if the user already reported the entry. Enough
+  // reports hold a shown entry for the owner.
+  async report(entryId, userId, reason) {
+    const result = await pool.query(
+      `INSERT INTO guestbook_reports (entry_id, user_id, reason) VALUES ($1, $2, $3)
+       ON CONFLICT DO NOTHING`,
+      [entryId, userId, reason]
+    );
+    if (result.rowCount === 0) return false;
+
+    await pool.query(
+      `UPDATE guestbook_entries SET status = 'pending', held_for = 'Reported by visitors'
+       WHERE id = $1 AND status = 'approved'
+         AND (SELECT COUNT(*) FROM guestbook_reports WHERE entry_id = $1) >= $2`,
+      [entryId, REPORTS_TO_HOLD]
+    );
+    return true;
+  }
+};
+
+module.exports = Guestbook;
@@ -0,0 +1,61 @@
+// models/Like.js
+const { pool } = require("../db");
+
+const Like = {
+  async like(userId, siteId) {
+    await pool.query(
+      'INSERT INTO site_likes (user_id, site_id) VALUES ($1, $2) ON CONFLICT DO NOTHING',
+      [userId, siteId]
+    );
+  },
+
+  async unlike(userId, siteId) {
+    await pool.query(
+      'DELETE FROM site_likes WHERE user_id = $1 AND site_id = $2',
+      [userId, siteId]
+    );
+  },
+
+  async countForSite(siteId) {
+    const result = await pool.query(
+      'SELECT COUNT(*)::integer AS count FROM site_likes WHERE site_id = $1',
+      [siteId]
+    );
+    return result.rows[0].count;
+  },
+
+  // Likes a user gave in the last `minutes`, for rate limiting
+  async countRecentByUser(userId, minutes) {
+    const result = await pool.query(
+      `SELECT COUNT(*)::integer AS count FROM site_likes
+       WHERE user_id = $1 AND created_at > CURRENT_TIMESTAMP - make_interval(mins => $2)`,
+      [userId, minutes]
+    );
+    return result.rows[0].count;
+  },
+
+  // Which of these sites the user likes, as a list of ids
+  async listLikedSiteIds(userId, siteIds) {
+    const result = await pool.query(
+      'SELECT site_id FROM site_likes WHERE user_id = $1 AND site_id = ANY($2::int[])',
+      [userId, siteIds]
+    );
+    return result.rows.map(row => row.site_id);
+  },
+
+  // Sites that were taken down, or whose owner is suspended, are left out
+  async listLikedSites(userId) {
+    const result = await pool.query(
+      `SELECT s.*, u.username AS owner_username, l.created_at AS liked_at
+       FROM site_likes l
+       JOIN sites s ON s.id = l.site_id
+       JOIN users u ON u.id = s.owner_id
+       WHERE l.user_id = $1 AND s.taken_down_at IS NULL AND u.suspended_at IS NULL
+       ORDER BY l.created_at DESC`,
+      [userId]
+    );
+    return result.rows;
+  }
+};
+
+module.exports = Like;
@@ -0,0 +1,39 @@
+// models/Plan.js
+const { pool } = require("../db");
+
+// Plan limits come back from pg as strings (BIGINT); callers do arithmetic
+// on them, so hand out plain numbers
+function toPlan(row) {
+  if (!row) return row;
+  return {
+    ...row,
+    max_storage: parseInt(row.max_storage),
+    max_sites: parseInt(row.max_sites),
+    max_file_size: parseInt(row.max_file_size)
+  };
+}
+
+const Plan = {
+  DEFAULT: 'free',
+
+  async list() {
+    const result = await pool.query('SELECT * FROM plans ORDER BY max_storage, name');
+    return result.rows.map(toPlan);
+  },
+
+  async find(name, db = pool) {
+    const result = await db.query('SELECT * FROM plans WHERE name = $1', [name]);
+    return toPlan(result.rows[0]);
+  },
+
+  // The plan an account is on
+  async findForUser(userId, db = pool) {
+    const result = await db.query(
+      'SELECT p.* FROM users u JOIN plans p ON p.name = u.plan WHERE u.id = $1',
+      [userId]
+    );
+    return toPlan(result.rows[0]);
+  }
+};
+
+module.exports = Plan;
@@ -1,9 +1,69 @@
 // models/Site.js
 const { pool } = require("../db");
+const { encodeContent, decodeRow } = require("../lib/file-content");
+const { HIGHLIGHT_START, HIGHLIGHT_END, extractSearchText } = require("../lib/search-text");
+
+// Old versions are kept for HISTORY_DAYS and up to HISTORY_MAX_BYTES per
+// site, on top of the owner's storage quota; the oldest go first.
+const HISTORY_DAYS = 30;
+const HISTORY_MAX_BYTES = 10 * 1024 * 1024;
+
+async function pruneRevisions(siteId, db) {
+  await db.query(
+    `DELETE FROM site_file_revisions
+     WHERE site_id = $1
+       AND (replaced_at < CURRENT_TIMESTAMP - make_interval(days => $2::int)
+            OR id IN (
+              SELECT id FROM (
+                SELECT id, SUM(size) OVER (ORDER BY replaced_at DESC, id DESC) AS kept
+                FROM site_file_revisions WHERE site_id = $1
+              ) newest
+              WHERE kept > $3
+            ))`,
+    [siteId, HISTORY_DAYS, HISTORY_MAX_BYTES]
+  );
+}
+
+// Keep a page's site_search row in step with the file. Pages that ask not
+// to be indexed get an empty document.
+async function indexPage(siteId, path, content, db) {
+  const page = extractSearchText(path, content);
+  if (page === undefined) return;
+
+  const { title, headings, body } = page || { title: '', headings: '', body: '' };
+  await db.query(
+    `INSERT INTO site_search (site_id, path, title, body, document)
+     VALUES ($1, $2, $3, $4,
+             setweight(to_tsvector('english', $3), 'A') ||
+             setweight(to_tsvector('english', $5), 'B') ||
+             setweight(to_tsvector('english', $4), 'D'))
+     ON CONFLICT (site_id, path)
+     DO UPDATE SET title = EXCLUDED.title, body = EXCLUDED.body, document = EXCLUDED.document,
+                   indexed_at = CURRENT_TIMESTAMP`,
+    [siteId, path, title, body, headings]
+  );
+}
+
+// LIKE pattern for everything inside a folder
+function likePrefix(folder) {
+  return folder.replace(/[\\%_]/g, '\\$&') + '/%';
+}
+
+// Orderings for browse(): the column sorted on and its type, for the cursor
+const BROWSE_ORDERS = {
+  newest: { column: 'created_at', type: 'timestamp' },
+  updated: { column: 'last_updated', type: 'timestamp' },
+  views: { column: 'view_count', type: 'bigint' },
+  followed: { column: 'follower_count', type: 'bigint' },
+  liked: { column: 'like_count', type: 'bigint' },
+};
 
 const Site = {
-  async create({ ownerId, slug, title }) {
-    const result = await pool.query(
+  HISTORY_DAYS,
+  HISTORY_MAX_BYTES,
+
+  async create({ ownerId, slug, title }, db = pool) {
+    const result = await db.query(
       'INSERT INTO sites (owner_id, slug, title) VALUES ($1, $2, $3) RETURNING *',
       [ownerId, slug, title]
     );
@@ -38,6 +98,34 @@ const Site = {
     return result.rows[0];
   },
 
+  // The site whose open draft is previewed under this token
+  async findByDraftToken(token) {
+    const result = await pool.query(
+      `SELECT s.*, u.username as owner_username 
+       FROM sites s 
+       JOIN users u ON s.owner_id = u.id 
+       WHERE s.draft_token = $1 AND s.draft_started_at IS NOT NULL`,
+      [token]
+    );
+    return result.rows[0];
+  },
+
+  // Find by the hostname label of a sites subdomain (see lib/sites-origin).
+  // Signup keeps labels unique; should older accounts share one, the first
+  // of them keeps the subdomain.
+  async findByHostLabelAndSlug(label, slug) {
+    const result = await pool.query(
+      `SELECT s.*, u.username as owner_username 
+       FROM sites s 
+       JOIN users u ON s.owner_id = u.id 
+       WHERE LOWER(REPLACE(u.username, '_', '-')) = $1 AND s.slug = $2
+       ORDER BY u.id
+       LIMIT 1`,
+      [label, slug]
+    );
+    return result.rows[0];
+  },
+
   // Keep old method for backward compatibility but mark as deprecated
   async findBySlug(slug) {
     const result = await pool.query(
@@ -47,10 +135,12 @@ const Site = {
     return result.rows[0];
   },
 
-  async update({ id, slug, title }) {
+  async update({ id, slug, title, cleanUrls, onionLocation, searchable }) {
     const result = await pool.query(
-      'UPDATE sites SET slug = $1, title = $2, updated_at = CURRENT_TIMESTAMP WHERE id = $3 RETURNING *',
-      [slug, title, id]
+      `UPDATE sites SET slug = $1, title = $2, clean_urls = $3, onion_location = $4,
+                        searchable = $5, updated_at = CURRENT_TIMESTAMP
+       WHERE id = $6 RETURNING *`,
+      [slug, title, cleanUrls, onionLocation, searchable, id]
     );
     return result.rows[0];
   },
@@ -59,18 +149,179 @@ const Site = {
     await pool.query('DELETE FROM sites WHERE id = $1', [id]);
   },
 
-  async findAllPublic(limit = 20) {
+  // A taken-down site serves a notice instead of its files (see
+  // lib/serve-site) and drops out of browse, search and feeds
+  async takeDown(id, reason, db = pool) {
+    const result = await db.query(
+      `UPDATE sites SET taken_down_at = CURRENT_TIMESTAMP, takedown_reason = $2
+       WHERE id = $1 AND taken_down_at IS NULL RETURNING *`,
+      [id, reason]
+    );
+    return result.rows[0];
+  },
+
+  async restore(id, db = pool) {
+    const result = await db.query(
+      `UPDATE sites SET taken_down_at = NULL, takedown_reason = NULL
+       WHERE id = $1 AND taken_down_at IS NOT NULL RETURNING *`,
+      [id]
+    );
+    return result.rows[0];
+  },
+
+  // Sites by when they last changed: their settings or any of their files.
+  // Pass username to list one user's sites. Each row has last_updated,
+  // tags and like_count. Sites that were taken down, or whose owner is
+  // suspended, are left out (as from browse() and search()).
+  async findRecentlyUpdated({ username = null, limit = 50 } = {}) {
     const result = await pool.query(
-      `SELECT s.*, u.username as owner_username 
+      `SELECT s.*, u.username AS owner_username,
+              GREATEST(s.updated_at, (SELECT MAX(updated_at) FROM site_files WHERE site_id = s.id)) AS last_updated,
+              ARRAY(SELECT tag FROM site_tags WHERE site_id = s.id ORDER BY tag) AS tags,
+              (SELECT COUNT(*) FROM site_likes WHERE site_id = s.id)::integer AS like_count
        FROM sites s
        JOIN users u ON s.owner_id = u.id
-       ORDER BY s.created_at DESC
+       WHERE ($1::text IS NULL OR u.username = $1)
+         AND s.taken_down_at IS NULL AND u.suspended_at IS NULL
+       ORDER BY last_updated DESC, s.id DESC
+       LIMIT $2`,
+      [username, limit]
+    );
+    return result.rows;
+  },
+
+  // The live files changed most recently, without their bodies
+  async listRecentFiles(siteId, limit = 50) {
+    const result = await pool.query(
+      `SELECT path, size, mime_type, content_hash, created_at, updated_at
+       FROM site_files
+       WHERE site_id = $1
+       ORDER BY updated_at DESC, path
+       LIMIT $2`,
+      [siteId, limit]
+    );
+    return result.rows;
+  },
+
+  // One page of /browse. `sort` is 'newest', 'updated', 'views', 'liked'
+  // or 'followed' (by the owner's followers);
+  // `after` is the [sort_value, id] of the last site on the previous page.
+  // Each row has last_updated, tags, like_count and sort_value (the
+  // sorted-on value as text: a Date would lose the microseconds the cursor
+  // needs).
+  async browse({ tag = null, query = null, sort = 'newest', after = null, limit = 30 } = {}) {
+    const order = BROWSE_ORDERS[sort];
+    const search = query ? '%' + query.replace(/[\\%_]/g, '\\$&') + '%' : null;
+    const result = await pool.query(
+      `SELECT *, ${order.column}::text AS sort_value FROM (
+         SELECT s.*, u.username AS owner_username,
+                GREATEST(s.updated_at, (SELECT MAX(updated_at) FROM site_files WHERE site_id = s.id)) AS last_updated,
+                ARRAY(SELECT tag FROM site_tags WHERE site_id = s.id ORDER BY tag) AS tags,
+                (SELECT COUNT(*) FROM follows WHERE followee_id = s.owner_id) AS follower_count,
+                (SELECT COUNT(*) FROM site_likes WHERE site_id = s.id) AS like_count
+         FROM sites s
+         JOIN users u ON s.owner_id = u.id
+         WHERE s.taken_down_at IS NULL AND u.suspended_at IS NULL
+           AND ($1::text IS NULL OR EXISTS (SELECT 1 FROM site_tags t WHERE t.site_id = s.id AND t.tag = $1))
+           AND ($2::text IS NULL OR s.title ILIKE $2 OR s.slug ILIKE $2 OR u.username ILIKE $2)
+       ) browse
+       WHERE $3::text IS NULL OR (${order.column}, id) < ($3::${order.type}, $4::integer)
+       ORDER BY ${order.column} DESC, id DESC
+       LIMIT $5`,
+      [tag, search, after && after[0], after && after[1], limit]
+    );
+    return result.rows;
+  },
+
+  async listTags(siteId) {
+    const result = await pool.query(
+      'SELECT tag FROM site_tags WHERE site_id = $1 ORDER BY tag',
+      [siteId]
+    );
+    return result.rows.map(row => row.tag);
+  },
+
+  // Replace a site's tags
+  async setTags(siteId, tags, db = pool) {
+    await db.query(
+      'DELETE FROM site_tags WHERE site_id = $1 AND NOT (tag = ANY($2::text[]))',
+      [siteId, tags]
+    );
+    await db.query(
+      `INSERT INTO site_tags (site_id, tag)
+       SELECT $1, unnest($2::text[])
+       ON CONFLICT DO NOTHING`,
+      [siteId, tags]
+    );
+  },
+
+  async listPopularTags(limit = 20) {
+    const result = await pool.query(
+      `SELECT tag, COUNT(*)::integer AS count
+       FROM site_tags
+       GROUP BY tag
+       ORDER BY count DESC, tag
        LIMIT $1`,
       [limit]
     );
     return result.rows;
   },
 
+  // Pages of searchable sites matching a web-search style query ("quoted
+  // phrases", or, -word), best first. `snippet` marks the matches with
+  // HIGHLIGHT_START and HIGHLIGHT_END.
+  async search(query, { limit = 20, offset = 0 } = {}) {
+    const result = await pool.query(
+      `SELECT site_id, path, title, slug, site_title, clean_urls, owner_username,
+              ts_headline('english', body, q, $4) AS snippet
+       FROM (
+         SELECT x.site_id, x.path, x.title, x.body, s.slug, s.title AS site_title, s.clean_urls,
+                u.username AS owner_username, q, ts_rank_cd(x.document, q) AS rank
+         FROM site_search x
+         JOIN sites s ON s.id = x.site_id
+         JOIN users u ON u.id = s.owner_id
+         CROSS JOIN websearch_to_tsquery('english', $1) q
+         WHERE x.document @@ q AND s.searchable
+           AND s.taken_down_at IS NULL AND u.suspended_at IS NULL
+         ORDER BY rank DESC, x.site_id, x.path
+         LIMIT $2 OFFSET $3
+       ) hit
+       ORDER BY rank DESC, site_id, path`,
+      [query, limit, offset,
+       `StartSel=${HIGHLIGHT_START}, StopSel=${HIGHLIGHT_END}, MinWords=15, MaxWords=35, ` +
+       'MaxFragments=2, FragmentDelimiter=" … "']
+    );
+    return result.rows;
+  },
+
+  // Index pages saved before search existed, a batch at a time. Returns
+  // how many were indexed.
+  async indexUnindexedPages(batchSize = 100) {
+    let total = 0;
+    for (;;) {
+      const result = await pool.query(
+        `SELECT f.site_id, f.path, f.content
+         FROM site_files f
+         WHERE f.encoding = 'utf8' AND f.path ~* '\\.(html?|md)$'
+           AND NOT EXISTS (SELECT 1 FROM site_search x WHERE x.site_id = f.site_id AND x.path = f.path)
+         LIMIT $1`,
+        [batchSize]
+      );
+      for (const file of result.rows) {
+        await indexPage(file.site_id, file.path, file.content, pool);
+      }
+      total += result.rows.length;
+      if (result.rows.length < batchSize) return total;
+    }
+  },
+
+  async countView(siteId) {
+    await pool.query(
+      'UPDATE sites SET view_count = view_count + 1 WHERE id = $1',
+      [siteId]
+    );
+  },
+
   async countByOwner(ownerId) {
     const result = await pool.query(
       'SELECT COUNT(*) as count FROM sites WHERE owner_id = $1',
@@ -79,17 +330,43 @@ const Site = {
     return parseInt(result.rows[0].count);
   },
 
-  // File management
-  async saveFile({ siteId, path, content, mimeType, size }) {
-    const result = await pool.query(
-      `INSERT INTO site_files (site_id, path, content, mime_type, size)
-       VALUES ($1, $2, $3, $4, $5)
+  // File management. Writes take an optional client to run inside a
+  // transaction (see db.transaction). The version being overwritten or
+  // deleted is moved into site_file_revisions first.
+  async saveFile({ siteId, path, content, mimeType }, db = pool) {
+    const stored = encodeContent(content, mimeType);
+    // Saving identical content changes nothing, so it can't push a real
+    // version out of the history
+    const result = await db.query(
+      `WITH previous AS (
+         INSERT INTO site_file_revisions
+           (site_id, path, content, data, encoding, mime_type, size, content_hash, saved_at)
+         SELECT site_id, path, content, data, encoding, mime_type, size, content_hash, updated_at
+         FROM site_files
+         WHERE site_id = $1 AND path = $2
+           AND (content_hash, mime_type) IS DISTINCT FROM ($8, $6)
+       )
+       INSERT INTO site_files (site_id, path, content, data, encoding, mime_type, size, content_hash)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
        ON CONFLICT (site_id, path) 
-       DO UPDATE SET content = $3, mime_type = $4, size = $5, updated_at = CURRENT_TIMESTAMP
+       DO UPDATE SET content = $3, data = $4, encoding = $5, mime_type = $6, size = $7,
+                     content_hash = $8, updated_at = CURRENT_TIMESTAMP
+       WHERE (site_files.content_hash, site_files.mime_type) IS DISTINCT FROM ($8, $6)
        RETURNING *`,
-      [siteId, path, content, mimeType, size || content.length]
+      [siteId, path, stored.content, stored.data, stored.encoding, mimeType, stored.size, stored.hash]
     );
-    return result.rows[0];
+
+    if (result.rows.length === 0) {
+      const unchanged = await db.query(
+        'SELECT * FROM site_files WHERE site_id = $1 AND path = $2',
+        [siteId, path]
+      );
+      return decodeRow(unchanged.rows[0]);
+    }
+
+    await pruneRevisions(siteId, db);
+    await indexPage(siteId, path, stored.encoding === 'utf8' ? stored.content : null, db);
+    return decodeRow(result.rows[0]);
   },
 
   async getFile(siteId, path) {
@@ -97,7 +374,18 @@ const Site = {
       'SELECT * FROM site_files WHERE site_id = $1 AND path = $2',
       [siteId, path]
     );
-    return result.rows[0];
+    return decodeRow(result.rows[0]);
+  },
+
+  // The site's _redirects and _headers files, if any
+  async getConfigFiles(siteId) {
+    const result = await pool.query(
+      `SELECT path, content, data, encoding, content_hash FROM site_files
+       WHERE site_id = $1 AND path IN ('_redirects', '_headers')
+       ORDER BY path`,
+      [siteId]
+    );
+    return result.rows.map(decodeRow);
   },
 
   async listFiles(siteId) {
@@ -105,14 +393,210 @@ const Site = {
       'SELECT * FROM site_files WHERE site_id = $1 ORDER BY path',
       [siteId]
     );
+    return result.rows.map(decodeRow);
+  },
+
+  // File details without the bodies, for quota checks and listings
+  async listFileSizes(siteId, db = pool) {
+    const result = await db.query(
+      'SELECT path, size, content_hash, mime_type, updated_at FROM site_files WHERE site_id = $1 ORDER BY path',
+      [siteId]
+    );
     return result.rows;
   },
 
-  async deleteFile(siteId, path) {
-    await pool.query(
-      'DELETE FROM site_files WHERE site_id = $1 AND path = $2',
+  async deleteFile(siteId, path, db = pool) {
+    await db.query(
+      `WITH removed AS (
+         DELETE FROM site_files WHERE site_id = $1 AND path = $2 RETURNING *
+       )
+       INSERT INTO site_file_revisions
+         (site_id, path, content, data, encoding, mime_type, size, content_hash, saved_at, deleted)
+       SELECT site_id, path, content, data, encoding, mime_type, size, content_hash, updated_at, TRUE
+       FROM removed`,
       [siteId, path]
     );
+    await db.query(
+      'DELETE FROM site_search WHERE site_id = $1 AND path = $2',
+      [siteId, path]
+    );
+    await pruneRevisions(siteId, db);
+  },
+
+  // Remove a file for good, as admins do with abusive content: the live
+  // file, every earlier version and the draft copy, so the owner can't
+  // restore it. Returns whether there was anything to remove.
+  async purgeFile(siteId, path, db = pool) {
+    let removed = 0;
+    for (const table of ['site_files', 'site_file_revisions', 'site_draft_files', 'site_search']) {
+      const result = await db.query(`DELETE FROM ${table} WHERE site_id = $1 AND path = $2`, [siteId, path]);
+      if (table !== 'site_search') removed += result.rowCount;
+    }
+    return removed > 0;
+  },
+
+  // Empty folders made in the file manager
+  async listFolders(siteId) {
+    const result = await pool.query(
+      'SELECT path FROM site_folders WHERE site_id = $1 ORDER BY path',
+      [siteId]
+    );
+    return result.rows.map(row => row.path);
+  },
+
+  async createFolder(siteId, path, db = pool) {
+    await db.query(
+      `INSERT INTO site_folders (site_id, path) VALUES ($1, $2)
+       ON CONFLICT (site_id, path) DO NOTHING`,
+      [siteId, path]
+    );
+  },
+
+  // Rename a folder and every folder below it
+  async moveFolders(siteId, from, to, db = pool) {
+    await db.query(
+      `UPDATE site_folders SET path = $3 || substr(path, length($2) + 1)
+       WHERE site_id = $1 AND (path = $2 OR path LIKE $4)`,
+      [siteId, from, to, likePrefix(from)]
+    );
+  },
+
+  async deleteFolders(siteId, path, db = pool) {
+    await db.query(
+      'DELETE FROM site_folders WHERE site_id = $1 AND (path = $2 OR path LIKE $3)',
+      [siteId, path, likePrefix(path)]
+    );
+  },
+
+  // Revision history. Listings leave the file bodies out.
+  async listRevisions(siteId, path) {
+    const result = await pool.query(
+      `SELECT id, path, mime_type, size, content_hash, saved_at, replaced_at, deleted
+       FROM site_file_revisions
+       WHERE site_id = $1 AND path = $2
+       ORDER BY replaced_at DESC, id DESC`,
+      [siteId, path]
+    );
+    return result.rows;
+  },
+
+  async getRevision(siteId, id) {
+    const result = await pool.query(
+      'SELECT * FROM site_file_revisions WHERE site_id = $1 AND id = $2',
+      [siteId, id]
+    );
+    return decodeRow(result.rows[0]);
+  },
+
+  // Files that were deleted but still have history
+  async listDeletedPaths(siteId) {
+    const result = await pool.query(
+      `SELECT r.path, MAX(r.replaced_at) AS deleted_at
+       FROM site_file_revisions r
+       WHERE r.site_id = $1
+         AND NOT EXISTS (SELECT 1 FROM site_files f WHERE f.site_id = r.site_id AND f.path = r.path)
+       GROUP BY r.path
+       ORDER BY deleted_at DESC`,
+      [siteId]
+    );
+    return result.rows;
+  },
+
+  async getHistorySize(siteId) {
+    const result = await pool.query(
+      'SELECT COALESCE(SUM(size), 0) as total_size FROM site_file_revisions WHERE site_id = $1',
+      [siteId]
+    );
+    return parseInt(result.rows[0].total_size);
+  },
+
+  // Every file as it was at `at`, without bodies. `revision_id` is set when
+  // that version now lives in the history. Files that existed at `at` but
+  // whose old version has since been pruned come back in `expired`.
+  async getSnapshot(siteId, at) {
+    const result = await pool.query(
+      `SELECT path, mime_type, size, content_hash, NULL::integer AS revision_id
+       FROM site_files
+       WHERE site_id = $1 AND updated_at <= $2
+       UNION ALL
+       SELECT path, mime_type, size, content_hash, id AS revision_id
+       FROM site_file_revisions
+       WHERE site_id = $1 AND saved_at <= $2 AND replaced_at > $2
+       ORDER BY path`,
+      [siteId, at]
+    );
+
+    const expired = await pool.query(
+      `SELECT f.path FROM site_files f
+       WHERE f.site_id = $1 AND f.created_at <= $2 AND f.updated_at > $2
+         AND NOT EXISTS (
+           SELECT 1 FROM site_file_revisions r
+           WHERE r.site_id = f.site_id AND r.path = f.path
+             AND r.saved_at <= $2 AND r.replaced_at > $2
+         )`,
+      [siteId, at]
+    );
+
+    return { files: result.rows, expired: expired.rows.map(row => row.path) };
+  },
+
+  // Raw bytes of a file as returned by getFile/listFiles
+  fileBuffer(file) {
+    return Buffer.isBuffer(file.content)
+      ? file.content
+      : Buffer.from(file.content || '', 'utf8');
+  },
+
+  // Bytes stored per site of one owner: the live files and, while a draft
+  // is open, the draft copy (see lib/quota for how the two are counted)
+  async listUsageByOwner(ownerId, db = pool) {
+    const result = await db.query(
+      `SELECT s.id, s.slug, s.title, s.draft_started_at,
+              live.size AS live_size, live.files AS file_count, draft.size AS draft_size
+       FROM sites s
+       CROSS JOIN LATERAL (
+         SELECT COALESCE(SUM(size), 0) AS size, COUNT(*) AS files
+         FROM site_files WHERE site_id = s.id
+       ) live
+       CROSS JOIN LATERAL (
+         SELECT COALESCE(SUM(size), 0) AS size FROM site_draft_files WHERE site_id = s.id
+       ) draft
+       WHERE s.owner_id = $1
+       ORDER BY s.slug`,
+      [ownerId]
+    );
+    return result.rows.map(row => ({
+      ...row,
+      live_size: parseInt(row.live_size),
+      draft_size: parseInt(row.draft_size),
+      file_count: parseInt(row.file_count)
+    }));
+  },
+
+  // Bytes per MIME type across an owner's sites, taking the draft of
+  // sites that have one open
+  async listUsageByType(ownerId) {
+    const result = await pool.query(
+      `SELECT COALESCE(NULLIF(split_part(f.mime_type, ';', 1), ''), 'unknown') AS mime_type,
+              COUNT(*) AS file_count, SUM(f.size) AS size
+       FROM sites s
+       CROSS JOIN LATERAL (
+         SELECT mime_type, size FROM site_files
+         WHERE site_id = s.id AND s.draft_started_at IS NULL
+         UNION ALL
+         SELECT mime_type, size FROM site_draft_files
+         WHERE site_id = s.id AND s.draft_started_at IS NOT NULL
+       ) f
+       WHERE s.owner_id = $1
+       GROUP BY 1
+       ORDER BY size DESC, 1`,
+      [ownerId]
+    );
+    return result.rows.map(row => ({
+      ...row,
+      file_count: parseInt(row.file_count),
+      size: parseInt(row.size)
+    }));
   },
 
   // Get total size of all files for a site
@@ -1,5 +1,6 @@
 // models/User.js
 const { pool } = require("../db");
+const { encodeContent, decodeRow } = require("../lib/file-content");
 
 const User = {
   async create({ username, passwordHash }) {
@@ -18,14 +19,157 @@ const User = {
     return result.rows[0];
   },
 
+  // The user whose username has this sites subdomain label (see
+  // lib/sites-origin)
+  async findByHostLabel(label) {
+    const result = await pool.query(
+      `SELECT * FROM users WHERE LOWER(REPLACE(username, '_', '-')) = $1
+       ORDER BY id
+       LIMIT 1`,
+      [label]
+    );
+    return result.rows[0];
+  },
+
   async findById(id) {
     const result = await pool.query(
-      'SELECT id, username, created_at FROM users WHERE id = $1',
+      'SELECT id, username, role, plan, created_at, suspended_at, suspended_reason FROM users WHERE id = $1',
       [id]
     );
     return result.rows[0];
   },
 
+  // Every account with its plan, site count and bytes stored, for admins.
+  // Sites with an open draft count the larger of their live files and the
+  // draft, as in lib/quota. `query` matches part of the username;
+  // `suspended` lists only suspended accounts.
+  async listWithUsage({ query = null, suspended = false } = {}) {
+    const result = await pool.query(
+      `SELECT u.id, u.username, u.role, u.plan, u.created_at, u.suspended_at, u.suspended_reason,
+              COUNT(s.id) AS site_count,
+              COALESCE(SUM(GREATEST(live.size, draft.size)), 0) AS used_bytes
+       FROM users u
+       LEFT JOIN sites s ON s.owner_id = u.id
+       LEFT JOIN LATERAL (
+         SELECT COALESCE(SUM(size), 0) AS size FROM site_files WHERE site_id = s.id
+       ) live ON TRUE
+       LEFT JOIN LATERAL (
+         SELECT COALESCE(SUM(size), 0) AS size FROM site_draft_files WHERE site_id = s.id
+       ) draft ON TRUE
+       WHERE ($1::text IS NULL OR u.username ILIKE $1)
+         AND (NOT $2 OR u.suspended_at IS NOT NULL)
+       GROUP BY u.id
+       ORDER BY u.username`,
+      [query && '%' + query.replace(/[\\%_]/g, '\\$&') + '%', suspended]
+    );
+    return result.rows.map(row => ({
+      ...row,
+      site_count: parseInt(row.site_count),
+      used_bytes: parseInt(row.used_bytes)
+    }));
+  },
+
+  // What /~username shows. avatar_hash is null without an avatar.
+  // Suspended users have no public profile.
+  async findProfile(username) {
+    const result = await pool.query(
+      `SELECT u.id, u.username, u.display_name, u.bio, u.links, u.created_at,
+              a.content_hash AS avatar_hash
+       FROM users u
+       LEFT JOIN user_avatars a ON a.user_id = u.id
+       WHERE u.username = $1 AND u.suspended_at IS NULL`,
+      [username]
+    );
+    return result.rows[0];
+  },
+
+  async findProfileById(id) {
+    const result = await pool.query(
+      `SELECT u.id, u.username, u.display_name, u.bio, u.links, u.created_at,
+              a.content_hash AS avatar_hash
+       FROM users u
+       LEFT JOIN user_avatars a ON a.user_id = u.id
+       WHERE u.id = $1`,
+      [id]
+    );
+    return result.rows[0];
+  },
+
+  async updateProfile(userId, { displayName, bio, links }) {
+    await pool.query(
+      'UPDATE users SET display_name = $2, bio = $3, links = $4 WHERE id = $1',
+      [userId, displayName, bio, links]
+    );
+  },
+
+  // The avatar as a file row: content is a Buffer
+  async getAvatar(userId) {
+    const result = await pool.query(
+      "SELECT *, 'avatar' AS path FROM user_avatars WHERE user_id = $1",
+      [userId]
+    );
+    return decodeRow(result.rows[0]);
+  },
+
+  async saveAvatar(userId, { content, mimeType }) {
+    const stored = encodeContent(content, mimeType);
+    await pool.query(
+      `INSERT INTO user_avatars (user_id, content, data, encoding, mime_type, size, content_hash)
+       VALUES ($1, $2, $3, $4, $5, $6, $7)
+       ON CONFLICT (user_id)
+       DO UPDATE SET content = $2, data = $3, encoding = $4, mime_type = $5, size = $6,
+                     content_hash = $7, updated_at = CURRENT_TIMESTAMP`,
+      [userId, stored.content, stored.data, stored.encoding, mimeType, stored.size, stored.hash]
+    );
+  },
+
+  // Where a profile's avatar is served, or null. The hash in the query
+  // means a new picture isn't hidden by caches.
+  avatarPath(profile) {
+    if (!profile.avatar_hash) return null;
+    return `/avatars/${profile.username}?v=${profile.avatar_hash.slice(0, 12)}`;
+  },
+
+  async deleteAvatar(userId) {
+    await pool.query('DELETE FROM user_avatars WHERE user_id = $1', [userId]);
+  },
+
+  async setPlan(userId, plan, db = pool) {
+    const result = await db.query(
+      'UPDATE users SET plan = $2 WHERE id = $1 RETURNING id, username, plan',
+      [userId, plan]
+    );
+    return result.rows[0];
+  },
+
+  // A suspended user can't log in, their API keys stop working and their
+  // sites serve a notice (see lib/serve-site)
+  async suspend(userId, reason, db = pool) {
+    const result = await db.query(
+      `UPDATE users SET suspended_at = CURRENT_TIMESTAMP, suspended_reason = $2
+       WHERE id = $1 AND suspended_at IS NULL RETURNING id, username`,
+      [userId, reason]
+    );
+    return result.rows[0];
+  },
+
+  async unsuspend(userId, db = pool) {
+    const result = await db.query(
+      `UPDATE users SET suspended_at = NULL, suspended_reason = NULL
+       WHERE id = $1 AND suspended_at IS NOT NULL RETURNING id, username`,
+      [userId]
+    );
+    return result.rows[0];
+  },
+
+  async isSuspended(userId) {
+    const result = await pool.query(
+      'SELECT 1 FROM users WHERE id = $1 AND suspended_at IS NOT NULL',
+      [userId]
+    );
+    return result.rows.length > 0;
+  },
+
   async listSites(userId) {
     const result = await pool.query(
       'SELECT * FROM sites WHERE owner_id = $1 ORDER BY created_at DESC',
@@ -0,0 +1,173 @@
+// models/Webhook.js
+//
+// A user's webhook endpoints and the log of what was sent to them. Unlike
+// API keys the secret is stored as-is: every delivery is signed with it.
+const crypto = require("crypto");
+const { pool } = require("../db");
+
+const SECRET_PREFIX = 'whsec_';
+
+// Columns a delivery row needs to be sent, joined with its endpoint
+const DELIVERY_COLUMNS = `d.id, d.webhook_id, d.event, d.payload, d.attempts, w.url, w.secret`;
+
+const Webhook = {
+  async create({ userId, url, events }) {
+    const secret = SECRET_PREFIX + crypto.randomBytes(24).toString('hex');
+    const result = await pool.query(
+      `INSERT INTO webhooks (user_id, url, secret, events)
+       VALUES ($1, $2, $3, $4) RETURNING *`,
+      [userId, url, secret, events]
+    );
+    return result.rows[0];
+  },
+
+  // Each endpoint with the outcome of its latest delivery
+  async listByUser(userId) {
+    const result = await pool.query(
+      `SELECT w.*, last.status AS last_status, last.response_code AS last_response_code,
+              last.created_at AS last_delivery_at
+       FROM webhooks w
+       LEFT JOIN LATERAL (
+         SELECT status, response_code, created_at FROM webhook_deliveries
+         WHERE webhook_id = w.id ORDER BY id DESC LIMIT 1
+       ) last ON TRUE
+       WHERE w.user_id = $1
+       ORDER BY w.created_at DESC`,
+      [userId]
+    );
+    return result.rows;
+  },
+
+  async countByUser(userId) {
+    const result = await pool.query(
+      'SELECT COUNT(*)::int AS count FROM webhooks WHERE user_id = $1',
+      [userId]
+    );
+    return result.rows[0].count;
+  },
+
+  async findForUser(id, userId) {
+    const result = await pool.query(
+      'SELECT * FROM webhooks WHERE id = $1 AND user_id = $2',
+      [id, userId]
+    );
+    return result.rows[0];
+  },
+
+  // Active endpoints that asked for this event (no events listed = all)
+  async listForEvent(userId, event, db = pool) {
+    const result = await db.query(
+      `SELECT id FROM webhooks
+       WHERE user_id = $1 AND active AND (events = '{}' OR $2 = ANY(events))`,
+      [userId, event]
+    );
+    return result.rows;
+  },
+
+  async update(id, userId, { url, events, active }) {
+    const result = await pool.query(
+      `UPDATE webhooks SET url = $3, events = $4, active = $5
+       WHERE id = $1 AND user_id = $2`,
+      [id, userId, url, events, active]
+    );
+    return result.rowCount > 0;
+  },
+
+  async rotateSecret(id, userId) {
+    const secret = SECRET_PREFIX + crypto.randomBytes(24).toString('hex');
+    const result = await pool.query(
+      'UPDATE webhooks SET secret = $3 WHERE id = $1 AND user_id = $2',
+      [id, userId, secret]
+    );
+    return result.rowCount > 0;
+  },
+
+  async delete(id, userId) {
+    const result = await pool.query(
+      'DELETE FROM webhooks WHERE id = $1 AND user_id = $2',
+      [id, userId]
+    );
+    return result.rowCount > 0;
+  },
+
+  // ============================================================
+  // DELIVERIES
+  // ============================================================
+  async queueDelivery({ webhookId, event, payload }, db = pool) {
+    const result = await db.query(
+      `INSERT INTO webhook_deliveries (webhook_id, event, payload)
+       VALUES ($1, $2, $3) RETURNING *`,
+      [webhookId, event, JSON.stringify(payload)]
+    );
+    return result.rows[0];
+  },
+
+  async listDeliveries(webhookId, limit = 50) {
+    const result = await pool.query(
+      `SELECT id, event, payload, status, attempts, response_code, response_body,
+              error, created_at, last_attempt_at, next_attempt_at
+       FROM webhook_deliveries
+       WHERE webhook_id = $1
+       ORDER BY id DESC
+       LIMIT $2`,
+      [webhookId, limit]
+    );
+    return result.rows;
+  },
+
+  async findDelivery(id, webhookId) {
+    const result = await pool.query(
+      'SELECT * FROM webhook_deliveries WHERE id = $1 AND webhook_id = $2',
+      [id, webhookId]
+    );
+    return result.rows[0];
+  },
+
+  // Take up to `limit` deliveries that are due, pushing their next attempt
+  // back by `leaseSeconds` so no other worker picks them up meanwhile
+  async claimDue(limit, leaseSeconds) {
+    const result = await pool.query(
+      `UPDATE webhook_deliveries d
+       SET next_attempt_at = CURRENT_TIMESTAMP + make_interval(secs => $2)
+       FROM webhooks w
+       WHERE w.id = d.webhook_id AND d.id IN (
+         SELECT id FROM webhook_deliveries
+         WHERE status = 'pending' AND next_attempt_at <= CURRENT_TIMESTAMP
+           AND webhook_id IN (SELECT id FROM webhooks WHERE active)
+         ORDER BY next_attempt_at
+         LIMIT $1
+         FOR UPDATE SKIP LOCKED
+       )
+       RETURNING ${DELIVERY_COLUMNS}`,
+      [limit, leaseSeconds]
+    );
+    return result.rows;
+  },
+
+  // Record one attempt. retryIn (seconds) keeps it pending; without it the
+  // delivery ends as `status`.
+  async recordAttempt(id, { status, responseCode, responseBody, error, retryIn }) {
+    await pool.query(
+      `UPDATE webhook_deliveries
+       SET attempts = attempts + 1, status = $2, response_code = $3, response_body = $4,
+           error = $5, last_attempt_at = CURRENT_TIMESTAMP,
+           next_attempt_at = CASE WHEN $6::int IS NULL THEN NULL
+                                  ELSE CURRENT_TIMESTAMP + make_interval(secs => $6::int) END
+       WHERE id = $1`,
+      [id, status, responseCode, responseBody, error, retryIn == null ? null : retryIn]
+    );
+  },
+
+  // Deliveries to inactive endpoints stay pending until the endpoint is
+  // turned back on; drop the finished ones after `days`
+  async pruneDeliveries(days) {
+    const result = await pool.query(
+      `DELETE FROM webhook_deliveries
+       WHERE status <> 'pending' AND created_at < CURRENT_TIMESTAMP - make_interval(days => $1)`,
+      [days]
+    );
+    return result.rowCount;
+  }
+};
+
+module.exports = Webhook;
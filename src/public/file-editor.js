@@ -0,0 +1,16 @@
+// Text editor page: Ctrl/Cmd+S saves, Tab indents instead of leaving
+// the editor. Loaded as a file because the CSP allows no inline scripts.
+(function() {
+  const editor = document.getElementById('file-content');
+  if (!editor) return;
+
+  editor.addEventListener('keydown', (e) => {
+    if ((e.ctrlKey || e.metaKey) && e.key === 's') {
+      e.preventDefault();
+      editor.form.submit();
+    } else if (e.key === 'Tab' && !e.shiftKey) {
+      e.preventDefault();
+      editor.setRangeText('  ', editor.selectionStart, editor.selectionEnd, 'end');
+    }
+  });
+})();
@@ -0,0 +1,448 @@
+const express = require("express");
+const router = express.Router();
+const User = require("../models/User");
+const Plan = require("../models/Plan");
+const Site = require("../models/Site");
+const Draft = require("../models/Draft");
+const AbuseReport = require("../models/AbuseReport");
+const AuditLog = require("../models/AuditLog");
+const requireAdmin = require("../middleware/admin");
+const { transaction } = require("../db");
+const { emitFileEvent } = require("../lib/events");
+
+// Every change made here is recorded with AuditLog.record in the same
+// transaction as the change itself, so neither happens without the other.
+
+const AUDIT_PAGE_SIZE = 100;
+
+// ============================================================
+// HELPERS
+// ============================================================
+function parseId(value) {
+  const id = parseInt(value, 10);
+  return id > 0 ? id : null;
+}
+
+// The user at :id, or null after flashing and redirecting
+async function findUser(req, res) {
+  const id = parseId(req.params.id);
+  const account = id && await User.findById(id);
+  if (!account) {
+    req.flash('error', 'User not found');
+    res.redirect('/admin/users');
+    return null;
+  }
+  return account;
+}
+
+// The site at :id and its owner, or null after flashing and redirecting
+async function findSite(req, res) {
+  const id = parseId(req.params.id);
+  const site = id && await Site.findById(id);
+  if (!site) {
+    req.flash('error', 'Site not found');
+    res.redirect('/admin/users');
+    return null;
+  }
+  return { site: site, owner: await User.findById(site.owner_id) };
+}
+
+function readReason(req) {
+  return String(req.body.reason || '').trim();
+}
+
+// ============================================================
+// USERS AND PLANS
+// ============================================================
+router.get("/", requireAdmin, (req, res) => {
+  res.redirect('/admin/users');
+});
+
+// ?q= matches part of a username; ?suspended=1 lists suspended accounts
+router.get("/users", requireAdmin, async (req, res) => {
+  try {
+    const query = String(req.query.q || '').trim();
+    const suspended = req.query.suspended === '1';
+    const users = await User.listWithUsage({ query: query || null, suspended: suspended });
+    const plans = await Plan.list();
+    
+    res.render("admin-users.njk", {
+      users: users,
+      plans: plans,
+      query: query,
+      suspended: suspended,
+      openReports: await AbuseReport.countOpen(),
+      title: "Users"
+    });
+  } catch (err) {
+    console.error('Admin users error:', err);
+    req.flash('error', 'Failed to load users');
+    res.redirect('/dashboard');
+  }
+});
+
+router.get("/users/:id", requireAdmin, async (req, res) => {
+  try {
+    const account = await findUser(req, res);
+    if (!account) return;
+    
+    res.render("admin-user.njk", {
+      account: account,
+      sites: await Site.findByOwner(account.id),
+      title: account.username
+    });
+  } catch (err) {
+    console.error('Admin user error:', err);
+    req.flash('error', 'Failed to load user');
+    res.redirect('/admin/users');
+  }
+});
+
+router.post("/users/:id/plan", requireAdmin, async (req, res) => {
+  try {
+    const plan = await Plan.find(String(req.body.plan || ''));
+    if (!plan) {
+      req.flash('error', 'Unknown plan');
+      return res.redirect('/admin/users');
+    }
+    
+    const user = await transaction(async (client) => {
+      const user = await User.setPlan(parseId(req.params.id), plan.name, client);
+      if (user) {
+        await AuditLog.record({
+          admin: req.user,
+          action: 'user.plan',
+          targetUser: user,
+          details: { plan: plan.name }
+        }, client);
+      }
+      return user;
+    });
+    if (!user) {
+      req.flash('error', 'User not found');
+      return res.redirect('/admin/users');
+    }
+    
+    req.flash('success', `${user.username} is now on the ${plan.title} plan`);
+    res.redirect('/admin/users');
+    
+  } catch (err) {
+    console.error('Assign plan error:', err);
+    req.flash('error', 'Failed to change plan');
+    res.redirect('/admin/users');
+  }
+});
+
+// A suspended user is logged out, can't log back in or use their API keys,
+// and their profile and sites disappear. Admins can't be suspended; take
+// the role away first.
+router.post("/users/:id/suspend", requireAdmin, async (req, res) => {
+  try {
+    const account = await findUser(req, res);
+    if (!account) return;
+    
+    const back = `/admin/users/${account.id}`;
+    const reason = readReason(req);
+    if (account.role === 'admin') {
+      req.flash('error', 'Administrators cannot be suspended');
+      return res.redirect(back);
+    }
+    if (!reason) {
+      req.flash('error', 'Give a reason for the suspension');
+      return res.redirect(back);
+    }
+    if (reason.length > 500) {
+      req.flash('error', 'Reason must be less than 500 characters');
+      return res.redirect(back);
+    }
+    
+    const suspended = await transaction(async (client) => {
+      const suspended = await User.suspend(account.id, reason, client);
+      if (suspended) {
+        await AuditLog.record({
+          admin: req.user,
+          action: 'user.suspend',
+          targetUser: suspended,
+          details: { reason: reason }
+        }, client);
+      }
+      return suspended;
+    });
+    
+    if (suspended) {
+      req.flash('success', `${account.username} is suspended`);
+    } else {
+      req.flash('error', `${account.username} was already suspended`);
+    }
+    res.redirect(back);
+  } catch (err) {
+    console.error('Suspend user error:', err);
+    req.flash('error', 'Failed to suspend user');
+    res.redirect('/admin/users');
+  }
+});
+
+router.post("/users/:id/unsuspend", requireAdmin, async (req, res) => {
+  try {
+    const account = await findUser(req, res);
+    if (!account) return;
+    
+    const unsuspended = await transaction(async (client) => {
+      const unsuspended = await User.unsuspend(account.id, client);
+      if (unsuspended) {
+        await AuditLog.record({
+          admin: req.user,
+          action: 'user.unsuspend',
+          targetUser: unsuspended,
+          details: { reason: account.suspended_reason }
+        }, client);
+      }
+      return unsuspended;
+    });
+    
+    if (unsuspended) {
+      req.flash('success', `${account.username} is no longer suspended`);
+    } else {
+      req.flash('error', `${account.username} was not suspended`);
+    }
+    res.redirect(`/admin/users/${account.id}`);
+  } catch (err) {
+    console.error('Unsuspend user error:', err);
+    req.flash('error', 'Failed to unsuspend user');
+    res.redirect('/admin/users');
+  }
+});
+
+// ============================================================
+// SITES
+// ============================================================
+// Live files and any only in the open draft, each with where it is
+router.get("/sites/:id", requireAdmin, async (req, res) => {
+  try {
+    const found = await findSite(req, res);
+    if (!found) return;
+    const { site, owner } = found;
+    
+    const files = new Map();
+    for (const file of await Site.listFileSizes(site.id)) {
+      files.set(file.path, { ...file, live: true, draft: false });
+    }
+    if (site.draft_started_at) {
+      for (const file of await Draft.listFileSizes(site.id)) {
+        const live = files.get(file.path);
+        files.set(file.path, { ...(live || file), live: Boolean(live), draft: true });
+      }
+    }
+    
+    res.render("admin-site.njk", {
+      site: site,
+      owner: owner,
+      files: [...files.values()].sort((a, b) => a.path.localeCompare(b.path)),
+      reports: await AbuseReport.list({ status: null, siteId: site.id, limit: 20 }),
+      title: site.title
+    });
+  } catch (err) {
+    console.error('Admin site error:', err);
+    req.flash('error', 'Failed to load site');
+    res.redirect('/admin/users');
+  }
+});
+
+router.post("/sites/:id/takedown", requireAdmin, async (req, res) => {
+  try {
+    const found = await findSite(req, res);
+    if (!found) return;
+    const { site, owner } = found;
+    
+    const back = `/admin/sites/${site.id}`;
+    const reason = readReason(req);
+    if (!reason) {
+      req.flash('error', 'Give a reason for the takedown');
+      return res.redirect(back);
+    }
+    if (reason.length > 500) {
+      req.flash('error', 'Reason must be less than 500 characters');
+      return res.redirect(back);
+    }
+    
+    const takenDown = await transaction(async (client) => {
+      const takenDown = await Site.takeDown(site.id, reason, client);
+      if (takenDown) {
+        await AuditLog.record({
+          admin: req.user,
+          action: 'site.takedown',
+          targetUser: owner,
+          targetSite: takenDown,
+          details: { reason: reason }
+        }, client);
+      }
+      return takenDown;
+    });
+    
+    if (takenDown) {
+      req.flash('success', `${owner.username}/${site.slug} is taken down`);
+    } else {
+      req.flash('error', `${owner.username}/${site.slug} was already taken down`);
+    }
+    res.redirect(back);
+  } catch (err) {
+    console.error('Take down site error:', err);
+    req.flash('error', 'Failed to take the site down');
+    res.redirect('/admin/users');
+  }
+});
+
+router.post("/sites/:id/restore", requireAdmin, async (req, res) => {
+  try {
+    const found = await findSite(req, res);
+    if (!found) return;
+    const { site, owner } = found;
+    
+    const restored = await transaction(async (client) => {
+      const restored = await Site.restore(site.id, client);
+      if (restored) {
+        await AuditLog.record({
+          admin: req.user,
+          action: 'site.restore',
+          targetUser: owner,
+          targetSite: restored,
+          details: { reason: site.takedown_reason }
+        }, client);
+      }
+      return restored;
+    });
+    
+    if (restored) {
+      req.flash('success', `${owner.username}/${site.slug} is back up`);
+    } else {
+      req.flash('error', `${owner.username}/${site.slug} was not taken down`);
+    }
+    res.redirect(`/admin/sites/${site.id}`);
+  } catch (err) {
+    console.error('Restore site error:', err);
+    req.flash('error', 'Failed to restore the site');
+    res.redirect('/admin/users');
+  }
+});
+
+// Delete a file with its history and draft copy (see Site.purgeFile)
+router.post("/sites/:id/files/delete", requireAdmin, async (req, res) => {
+  try {
+    const found = await findSite(req, res);
+    if (!found) return;
+    const { site, owner } = found;
+    
+    const path = String(req.body.path || '');
+    const removed = await transaction(async (client) => {
+      const removed = await Site.purgeFile(site.id, path, client);
+      if (removed) {
+        await AuditLog.record({
+          admin: req.user,
+          action: 'file.delete',
+          targetUser: owner,
+          targetSite: site,
+          details: { path: path }
+        }, client);
+      }
+      return removed;
+    });
+    
+    if (removed) {
+      await emitFileEvent(owner.username, 'file.deleted', site, [path]);
+      req.flash('success', `Deleted "${path}" and its history`);
+    } else {
+      req.flash('error', 'File not found');
+    }
+    res.redirect(`/admin/sites/${site.id}`);
+  } catch (err) {
+    console.error('Admin delete file error:', err);
+    req.flash('error', 'Failed to delete file');
+    res.redirect('/admin/users');
+  }
+});
+
+// ============================================================
+// ABUSE REPORTS
+// ============================================================
+// ?status= is open (the default), resolved or dismissed
+router.get("/reports", requireAdmin, async (req, res) => {
+  try {
+    const status = ['resolved', 'dismissed'].includes(req.query.status) ? req.query.status : 'open';
+    
+    res.render("admin-reports.njk", {
+      reports: await AbuseReport.list({ status: status }),
+      status: status,
+      categories: AbuseReport.CATEGORIES,
+      title: "Abuse Reports"
+    });
+  } catch (err) {
+    console.error('Admin reports error:', err);
+    req.flash('error', 'Failed to load reports');
+    res.redirect('/admin/users');
+  }
+});
+
+// Resolve once something was done about the site (take it down, delete
+// files, suspend the owner); dismiss if nothing needed doing
+router.post("/reports/:id/:action(resolve|dismiss)", requireAdmin, async (req, res) => {
+  try {
+    const report = await AbuseReport.findById(parseId(req.params.id));
+    if (!report) {
+      req.flash('error', 'Report not found');
+      return res.redirect('/admin/reports');
+    }
+    
+    const status = req.params.action === 'resolve' ? 'resolved' : 'dismissed';
+    const closed = await transaction(async (client) => {
+      const closed = await AbuseReport.close(report.id, status, req.user.id, client);
+      if (closed) {
+        await AuditLog.record({
+          admin: req.user,
+          action: `report.${req.params.action}`,
+          targetUser: { id: report.owner_id, username: report.owner_username },
+          targetSite: { id: report.site_id, slug: report.site_slug },
+          details: { report: report.id, category: report.category }
+        }, client);
+      }
+      return closed;
+    });
+    
+    if (closed) {
+      req.flash('success', `Report #${report.id} ${status}`);
+    } else {
+      req.flash('error', `Report #${report.id} was already closed`);
+    }
+    res.redirect('/admin/reports');
+  } catch (err) {
+    console.error('Close report error:', err);
+    req.flash('error', 'Failed to update report');
+    res.redirect('/admin/reports');
+  }
+});
+
+// ============================================================
+// AUDIT LOG
+// ============================================================
+// Read-only: there is deliberately no route that changes or removes
+// entries. Pages after the first are fetched with ?before=, the id of the
+// last entry shown.
+router.get("/audit", requireAdmin, async (req, res) => {
+  try {
+    const before = parseId(req.query.before);
+    const rows = await AuditLog.list({ before: before, limit: AUDIT_PAGE_SIZE + 1 });
+    const entries = rows.slice(0, AUDIT_PAGE_SIZE);
+    
+    res.render("admin-audit.njk", {
+      entries: entries,
+      newestUrl: before ? '/admin/audit' : null,
+      olderUrl: rows.length > AUDIT_PAGE_SIZE ? `/admin/audit?before=${entries[entries.length - 1].id}` : null,
+      title: "Audit Log"
+    });
+  } catch (err) {
+    console.error('Admin audit log error:', err);
+    req.flash('error', 'Failed to load the audit log');
+    res.redirect('/admin/users');
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,345 @@
+// routes/api.js - JSON API for scripting sites, mounted at /api/v1
+//
+// Every request needs an API key (see middleware/api-auth). Keys can be
+// read-only, and can be limited to one site; other sites then look like
+// they don't exist. Errors all have the shape described in lib/api-errors.
+const express = require("express");
+const router = express.Router();
+const Site = require("../models/Site");
+const { transaction } = require("../db");
+const { siteUrl } = require("../lib/sites-origin");
+const { resolveMimeType } = require("../lib/mime");
+const { readRawBody } = require("../lib/uploads");
+const { getUsage, checkSiteLimit, formatBytes } = require("../lib/quota");
+const { validateSlug, validateTitle, validateOnionLocation } = require("../lib/validation");
+const {
+  workspace,
+  saveSiteFile,
+  receiveSiteUploads,
+  moveSitePath,
+} = require("../lib/site-files");
+const { ApiError, sendApiError } = require("../lib/api-errors");
+const { removeRepo } = require("../lib/git");
+const { emitSiteEvent, emitFileEvent } = require("../lib/events");
+const { requireApiKey, requireWriteAccess, requireAccountKey } = require("../middleware/api-auth");
+
+router.use(requireApiKey);
+
+// ============================================================
+// HELPERS
+// ============================================================
+function siteJson(site, username) {
+  return {
+    id: site.id,
+    slug: site.slug,
+    title: site.title,
+    url: siteUrl(username, site.slug),
+    clean_urls: site.clean_urls,
+    onion_location: site.onion_location,
+    searchable: site.searchable,
+    draft_open: Boolean(site.draft_started_at),
+    created_at: site.created_at,
+    updated_at: site.updated_at
+  };
+}
+
+function fileJson(file) {
+  return {
+    path: file.path,
+    size: file.size,
+    mime_type: file.mime_type,
+    content_hash: file.content_hash,
+    updated_at: file.updated_at
+  };
+}
+
+// The sites this key can reach
+async function listSites(key) {
+  const sites = await Site.findByOwner(key.user_id);
+  return key.site_id ? sites.filter(site => site.id === key.site_id) : sites;
+}
+
+async function findSite(req) {
+  const sites = await listSites(req.apiKey);
+  const site = sites.find(s => s.slug === req.params.slug);
+  if (!site) {
+    throw new ApiError(404, 'Site not found');
+  }
+  return site;
+}
+
+function checkValidation(validation) {
+  if (!validation.valid) {
+    throw new ApiError(400, validation.error);
+  }
+}
+
+// ============================================================
+// ACCOUNT
+// ============================================================
+router.get("/info", async (req, res, next) => {
+  try {
+    const usage = await getUsage(req.apiKey.user_id);
+    const plan = usage.plan;
+
+    res.json({
+      user: { username: req.apiKey.username, plan: plan.name },
+      key: {
+        name: req.apiKey.name,
+        read_only: req.apiKey.read_only,
+        site: req.apiKey.site_slug || null
+      },
+      limits: {
+        max_storage: plan.max_storage,
+        max_sites: plan.max_sites,
+        max_file_size: plan.max_file_size,
+        allowed_extensions: plan.allowed_extensions
+      },
+      usage: { used: usage.used, sites: usage.sites.length }
+    });
+  } catch (err) {
+    next(err);
+  }
+});
+
+// ============================================================
+// SITES
+// ============================================================
+router.get("/sites", async (req, res, next) => {
+  try {
+    const sites = await listSites(req.apiKey);
+    res.json({ sites: sites.map(site => siteJson(site, req.apiKey.username)) });
+  } catch (err) {
+    next(err);
+  }
+});
+
+router.post("/sites", requireWriteAccess, requireAccountKey, async (req, res, next) => {
+  try {
+    const { slug, title } = req.body || {};
+    checkValidation(validateSlug(slug));
+    checkValidation(validateTitle(title));
+
+    const site = await transaction(async (client) => {
+      await checkSiteLimit(client, req.apiKey.user_id);
+      return Site.create({
+        ownerId: req.apiKey.user_id,
+        slug: slug.toLowerCase().trim(),
+        title: title.trim()
+      }, client);
+    });
+
+    await emitSiteEvent(req.apiKey.username, 'site.created', site);
+    res.status(201).json({ site: siteJson(site, req.apiKey.username) });
+  } catch (err) {
+    if (err.code === '23505') {
+      return sendApiError(res, 409, 'You already have a site with this slug');
+    }
+    next(err);
+  }
+});
+
+router.get("/sites/:slug", async (req, res, next) => {
+  try {
+    const site = await findSite(req);
+    res.json({ site: siteJson(site, req.apiKey.username) });
+  } catch (err) {
+    next(err);
+  }
+});
+
+// Change any of slug, title, clean_urls, onion_location and searchable
+router.patch("/sites/:slug", requireWriteAccess, requireAccountKey, async (req, res, next) => {
+  try {
+    const site = await findSite(req);
+    const body = req.body || {};
+
+    const slug = body.slug !== undefined ? body.slug : site.slug;
+    const title = body.title !== undefined ? body.title : site.title;
+    const onionLocation = body.onion_location !== undefined
+      ? String(body.onion_location || '').trim().toLowerCase()
+      : site.onion_location || '';
+
+    checkValidation(validateSlug(slug));
+    checkValidation(validateTitle(title));
+    checkValidation(validateOnionLocation(onionLocation));
+
+    if (body.clean_urls !== undefined && typeof body.clean_urls !== 'boolean') {
+      throw new ApiError(400, 'clean_urls must be true or false');
+    }
+    if (body.searchable !== undefined && typeof body.searchable !== 'boolean') {
+      throw new ApiError(400, 'searchable must be true or false');
+    }
+
+    const updated = await Site.update({
+      id: site.id,
+      slug: slug.toLowerCase().trim(),
+      title: title.trim(),
+      cleanUrls: body.clean_urls !== undefined ? body.clean_urls : site.clean_urls,
+      onionLocation: onionLocation || null,
+      searchable: body.searchable !== undefined ? body.searchable : site.searchable
+    });
+
+    await emitSiteEvent(req.apiKey.username, 'site.updated', updated, { previous_slug: site.slug });
+    res.json({ site: siteJson(updated, req.apiKey.username) });
+  } catch (err) {
+    if (err.code === '23505') {
+      return sendApiError(res, 409, 'You already have a site with this slug');
+    }
+    next(err);
+  }
+});
+
+router.delete("/sites/:slug", requireWriteAccess, requireAccountKey, async (req, res, next) => {
+  try {
+    const site = await findSite(req);
+    await Site.delete(site.id);
+    removeRepo(site.id);
+    await emitSiteEvent(req.apiKey.username, 'site.deleted', site);
+    res.status(204).end();
+  } catch (err) {
+    next(err);
+  }
+});
+
+// ============================================================
+// FILES (in the open draft, if the site has one)
+// ============================================================
+router.get("/sites/:slug/files", async (req, res, next) => {
+  try {
+    const site = await findSite(req);
+    const files = await workspace(site).listFileSizes(site.id);
+
+    res.json({
+      draft: Boolean(site.draft_started_at),
+      files: files.map(fileJson)
+    });
+  } catch (err) {
+    next(err);
+  }
+});
+
+// One file's bytes, with its content hash as the ETag
+router.get("/sites/:slug/files/*", async (req, res, next) => {
+  try {
+    const site = await findSite(req);
+    const path = req.params[0];
+    const file = await workspace(site).getFile(site.id, path);
+
+    if (!file) {
+      throw new ApiError(404, 'File not found', { path });
+    }
+
+    res.set('Content-Type', file.mime_type || 'application/octet-stream');
+    res.set('ETag', `"${file.content_hash}"`);
+    res.send(Site.fileBuffer(file));
+  } catch (err) {
+    next(err);
+  }
+});
+
+// Many files at once, multipart/form-data; each part's filename is its path
+router.post("/sites/:slug/files", requireWriteAccess, async (req, res, next) => {
+  try {
+    const site = await findSite(req);
+
+    if (!req.is('multipart/form-data')) {
+      throw new ApiError(400, 'Expected multipart/form-data; use PUT /sites/:slug/files/<path> for one raw file');
+    }
+
+    const { results, aborted } = await receiveSiteUploads(req, site);
+    await emitFileEvent(req.apiKey.username, 'file.saved', site, results.filter(r => r.success).map(r => r.path));
+
+    if (aborted) {
+      // The rest of the body is being discarded; don't reuse this connection
+      res.set('Connection', 'close');
+      return sendApiError(res, 413, 'Upload stopped at the storage limit', {
+        code: 'quota_exceeded',
+        details: { results }
+      });
+    }
+
+    res.json({
+      success: results.every(r => r.success),
+      results: results
+    });
+  } catch (err) {
+    next(err);
+  }
+});
+
+// One file, the request body as is
+router.put("/sites/:slug/files/*", requireWriteAccess, async (req, res, next) => {
+  try {
+    const site = await findSite(req);
+    const path = req.params[0];
+
+    const { plan } = await getUsage(site.owner_id);
+    const content = await readRawBody(req, plan.max_file_size);
+    if (!content) {
+      res.set('Connection', 'close');
+      return sendApiError(res, 413, `File too large (${formatBytes(plan.max_file_size)} max)`, { path });
+    }
+
+    const file = await saveSiteFile(site, {
+      path: path,
+      content: content,
+      mimeType: resolveMimeType(path, req.get('content-type'))
+    });
+
+    await emitFileEvent(req.apiKey.username, 'file.saved', site, [file.path]);
+    res.json({ file: fileJson(file) });
+  } catch (err) {
+    next(err);
+  }
+});
+
+router.delete("/sites/:slug/files/*", requireWriteAccess, async (req, res, next) => {
+  try {
+    const site = await findSite(req);
+    const path = req.params[0];
+    const store = workspace(site);
+
+    if (!(await store.getFile(site.id, path))) {
+      throw new ApiError(404, 'File not found', { path });
+    }
+
+    await store.deleteFile(site.id, path);
+    await emitFileEvent(req.apiKey.username, 'file.deleted', site, [path]);
+    res.status(204).end();
+  } catch (err) {
+    next(err);
+  }
+});
+
+// Rename or move a file or folder: { "from": "old/path", "to": "new/path" }
+router.post("/sites/:slug/rename", requireWriteAccess, async (req, res, next) => {
+  try {
+    const site = await findSite(req);
+    const { from, to } = req.body || {};
+
+    if (typeof from !== 'string' || typeof to !== 'string') {
+      throw new ApiError(400, 'from and to are required');
+    }
+
+    const result = await moveSitePath(
+      site,
+      from.trim().replace(/\/+$/, ''),
+      to.trim().replace(/^\/+|\/+$/g, '')
+    );
+
+    if (result) {
+      await emitFileEvent(req.apiKey.username, 'file.saved', site, result.saved);
+      await emitFileEvent(req.apiKey.username, 'file.deleted', site, result.removed);
+    }
+    res.json({ moved: result ? result.moved : 0 });
+  } catch (err) {
+    next(err);
+  }
+});
+
+router.use((req, res) => {
+  sendApiError(res, 404, `No such endpoint: ${req.method} ${req.baseUrl}${req.path}`);
+});
+
+module.exports = router;
@@ -1,6 +1,7 @@
 const express = require("express");
 const bcrypt = require("bcrypt");
 const User = require("../models/User");
+const { usernameToLabel } = require("../lib/sites-origin");
 
 const router = express.Router();
 
@@ -67,10 +68,13 @@ router.post("/signup", async (req, res) => {
       return res.redirect('/signup');
     }
     
-    // Check if user already exists (AWAIT THIS!)
-    const existingUser = await User.findByUsername(username);
+    // Check if user already exists (AWAIT THIS!). "Alice" and "alice" would
+    // get the same sites subdomain, so they count as the same name.
+    const existingUser = await User.findByHostLabel(usernameToLabel(username));
     if (existingUser) {
-      req.flash('error', 'Username already taken');
+      req.flash('error', existingUser.username === username
+        ? 'Username already taken'
+        : `Username already taken by ${existingUser.username} (letter case doesn't count)`);
       return res.redirect('/signup');
     }
     
@@ -129,6 +133,13 @@ router.post("/login", async (req, res) => {
       return res.redirect('/login');
     }
     
+    if (user.suspended_at) {
+      req.flash('error', user.suspended_reason
+        ? `This account is suspended: ${user.suspended_reason}`
+        : 'This account is suspended');
+      return res.redirect('/login');
+    }
+    
     // Regenerate session
     req.session.regenerate((err) => {
       if (err) {
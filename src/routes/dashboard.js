@@ -1,184 +1,2006 @@
 const express = require("express");
 const router = express.Router();
 const Site = require("../models/Site");
+const Domain = require("../models/Domain");
+const Draft = require("../models/Draft");
+const ApiKey = require("../models/ApiKey");
+const Webhook = require("../models/Webhook");
+const User = require("../models/User");
+const Follow = require("../models/Follow");
+const Activity = require("../models/Activity");
+const Like = require("../models/Like");
+const Collection = require("../models/Collection");
+const Guestbook = require("../models/Guestbook");
 const requireAuth = require("../middleware/auth");
+const { getMimeType, resolveMimeType, sniffImageType } = require("../lib/mime");
+const { CONFIG_FILES, validateConfigFile, formatConfigErrors } = require("../lib/site-config");
+const { streamSiteZip, readArchive, ImportError } = require("../lib/archive");
+const { parentFolders, listFolderPaths, buildFileRows } = require("../lib/file-tree");
+const { readRawBody, receiveFile, UploadError } = require("../lib/uploads");
+const {
+  QuotaError,
+  formatBytes,
+  checkFile,
+  getUsage,
+  siteAllowance,
+  withinQuota,
+  checkSiteLimit,
+} = require("../lib/quota");
+const {
+  validateSlug,
+  validateTitle,
+  validateOnionLocation,
+  validateFilePath,
+  parseTags,
+  validateTags,
+  validateDisplayName,
+  validateBio,
+  parseLinks,
+  validateLinks,
+  validateCollectionDescription,
+  validateCollectionNote,
+} = require("../lib/validation");
+const {
+  FileError,
+  workspace,
+  saveSiteFile,
+  receiveSiteUploads,
+  moveSitePath,
+} = require("../lib/site-files");
+const { transaction } = require("../db");
+const { removeRepo } = require("../lib/git");
+const { eventPayload, emitSiteEvent, emitFileEvent } = require("../lib/events");
+const {
+  EVENTS,
+  MAX_WEBHOOKS,
+  validateWebhookUrl,
+  parseEvents,
+  deliverSoon,
+} = require("../lib/webhooks");
+const { draftPreviewUrl } = require("../lib/sites-origin");
+const { unavailableReason } = require("../lib/serve-site");
+const { parseWordList, validateWordList } = require("../lib/word-filter");
+const { diffLines } = require("diff");
+const {
+  PENDING_DAYS,
+  generateToken,
+  tokenFilePath,
+  tokenFileContent,
+  normalizeHostname,
+  validateHostname,
+  forgetDomain,
+  isExpired,
+  verifyDomain,
+} = require("../lib/custom-domains");
 
 // ============================================================
-// VALIDATION HELPERS
+// HELPERS
 // ============================================================
-function validateSlug(slug) {
-  if (!slug || typeof slug !== 'string') {
-    return { valid: false, error: 'Slug is required' };
+
+// A FileError or QuotaError as shown to the user, naming the file when
+// one file is to blame
+function fileErrorMessage(err) {
+  return err.path ? `${err.path}: ${err.message}` : err.message;
+}
+
+function isFileError(err) {
+  return err instanceof FileError || err instanceof QuotaError;
+}
+
+// fetch() callers ask for JSON; plain form posts get flash + redirect
+function wantsJson(req) {
+  return req.accepts(['html', 'json']) === 'json';
+}
+
+// A date as the value of a datetime-local input, in the server's time
+// zone (the one the date filter shows times in)
+function dateTimeLocal(date) {
+  const pad = n => String(n).padStart(2, '0');
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}` +
+    `T${pad(date.getHours())}:${pad(date.getMinutes())}`;
+}
+
+// Where a form posted from a public page (browse, a profile) returns to:
+// its `back` field, if that is a path on this site
+function safeBack(req, fallback) {
+  const back = String(req.body.back || '');
+  return /^\/(?![\/\\])/.test(back) ? back : fallback;
+}
+
+// ============================================================
+// DASHBOARD HOME
+// ============================================================
+const ACTIVITY_PAGE_SIZE = 30;
+
+// The activity feed pages with ?before=, the id of the last entry shown
+router.get("/", requireAuth, async (req, res) => {
+  try {
+    const sites = await Site.findByOwner(req.session.userId);
+    const before = parseInt(req.query.before, 10) > 0 ? parseInt(req.query.before, 10) : null;
+    const entries = await Activity.listFeed(req.session.userId, {
+      before: before,
+      limit: ACTIVITY_PAGE_SIZE + 1
+    });
+    const activity = entries.slice(0, ACTIVITY_PAGE_SIZE);
+    
+    res.render("dashboard.njk", { 
+      sites: sites,
+      totalSites: sites.length,
+      usage: await getUsage(req.session.userId),
+      follows: await Follow.counts(req.session.userId),
+      activity: activity,
+      olderActivityUrl: entries.length > ACTIVITY_PAGE_SIZE
+        ? `/dashboard?before=${activity[activity.length - 1].id}#following`
+        : null,
+      newestActivityUrl: before ? '/dashboard#following' : null,
+      title: "Dashboard"
+    });
+  } catch (err) {
+    console.error('Dashboard error:', err);
+    req.flash('error', 'Failed to load dashboard');
+    res.redirect('/');
   }
-  
-  if (slug.length < 3) {
-    return { valid: false, error: 'Slug must be at least 3 characters' };
+});
+
+// ============================================================
+// STORAGE USAGE (plan limits, by site and by file type)
+// ============================================================
+router.get("/usage", requireAuth, async (req, res) => {
+  try {
+    const usage = await getUsage(req.session.userId);
+    const byType = await Site.listUsageByType(req.session.userId);
+    
+    res.render("usage.njk", {
+      usage: usage,
+      byType: byType,
+      title: "Storage Usage"
+    });
+  } catch (err) {
+    console.error('Usage page error:', err);
+    req.flash('error', 'Failed to load storage usage');
+    res.redirect('/dashboard');
   }
-  
-  if (slug.length > 50) {
-    return { valid: false, error: 'Slug must be less than 50 characters' };
+});
+
+// ============================================================
+// FOLLOWING
+// ============================================================
+router.get("/following", requireAuth, async (req, res) => {
+  try {
+    res.render("following.njk", {
+      following: await Follow.listFollowing(req.session.userId),
+      mutedSites: await Activity.listMutedSites(req.session.userId),
+      title: "Following"
+    });
+  } catch (err) {
+    console.error('Following page error:', err);
+    req.flash('error', 'Failed to load who you follow');
+    res.redirect('/dashboard');
+  }
+});
+
+router.post("/follow/:username", requireAuth, async (req, res) => {
+  try {
+    const followee = await User.findByUsername(req.params.username);
+    if (!followee) {
+      req.flash('error', 'User not found');
+      return res.redirect('/dashboard');
+    }
+    if (followee.id === req.session.userId) {
+      req.flash('error', "You can't follow yourself");
+      return res.redirect(`/~${followee.username}`);
+    }
+    
+    await Follow.follow(req.session.userId, followee.id);
+    req.flash('success', `Following ${followee.username}. Their updates will show on your dashboard.`);
+    res.redirect(`/~${followee.username}`);
+  } catch (err) {
+    console.error('Follow error:', err);
+    req.flash('error', 'Failed to follow');
+    res.redirect('/dashboard');
+  }
+});
+
+// Unfollowing from the following page returns there; from a profile, to
+// the profile
+router.post("/unfollow/:username", requireAuth, async (req, res) => {
+  const back = req.body.from === 'following' ? '/dashboard/following' : `/~${req.params.username}`;
+  try {
+    const followee = await User.findByUsername(req.params.username);
+    if (followee) {
+      await Follow.unfollow(req.session.userId, followee.id);
+      req.flash('success', `Unfollowed ${followee.username}`);
+    }
+    res.redirect(back);
+  } catch (err) {
+    console.error('Unfollow error:', err);
+    req.flash('error', 'Failed to unfollow');
+    res.redirect(back);
   }
+});
+
+router.post("/mute-site/:siteId", requireAuth, async (req, res) => {
+  try {
+    const site = await Site.findById(parseInt(req.params.siteId, 10));
+    if (!site) {
+      req.flash('error', 'Site not found');
+      return res.redirect('/dashboard');
+    }
+    
+    await Activity.muteSite(req.session.userId, site.id);
+    req.flash('success', `Muted ${site.title}. Unmute it from the Following page.`);
+    res.redirect('/dashboard#following');
+  } catch (err) {
+    console.error('Mute site error:', err);
+    req.flash('error', 'Failed to mute site');
+    res.redirect('/dashboard');
+  }
+});
+
+router.post("/unmute-site/:siteId", requireAuth, async (req, res) => {
+  try {
+    await Activity.unmuteSite(req.session.userId, parseInt(req.params.siteId, 10));
+    req.flash('success', 'Site unmuted');
+  } catch (err) {
+    console.error('Unmute site error:', err);
+    req.flash('error', 'Failed to unmute site');
+  }
+  res.redirect('/dashboard/following');
+});
+
+// ============================================================
+// LIKES
+// ============================================================
+// Limits against boosting a site's like count: no liking your own sites,
+// no likes from brand-new accounts, and only so many an hour
+const LIKE_MIN_ACCOUNT_AGE_HOURS = 24;
+const LIKES_PER_HOUR = 30;
+
+router.post("/like/:siteId", requireAuth, async (req, res) => {
+  const back = safeBack(req, '/browse');
+  try {
+    const site = await Site.findById(parseInt(req.params.siteId, 10));
+    if (!site || await unavailableReason(site)) {
+      req.flash('error', 'Site not found');
+      return res.redirect(back);
+    }
+    if (site.owner_id === req.session.userId) {
+      req.flash('error', "You can't like your own site");
+      return res.redirect(back);
+    }
+    
+    const accountAgeHours = (Date.now() - new Date(req.user.created_at).getTime()) / (60 * 60 * 1000);
+    if (accountAgeHours < LIKE_MIN_ACCOUNT_AGE_HOURS) {
+      req.flash('error', 'New accounts can like sites after their first day');
+      return res.redirect(back);
+    }
+    if (await Like.countRecentByUser(req.session.userId, 60) >= LIKES_PER_HOUR) {
+      req.flash('error', `You can like up to ${LIKES_PER_HOUR} sites an hour. Try again later.`);
+      return res.redirect(back);
+    }
+    
+    await Like.like(req.session.userId, site.id);
+    req.flash('success', `Liked ${site.title}`);
+    res.redirect(back);
+  } catch (err) {
+    console.error('Like error:', err);
+    req.flash('error', 'Failed to like site');
+    res.redirect(back);
+  }
+});
+
+router.post("/unlike/:siteId", requireAuth, async (req, res) => {
+  const back = safeBack(req, '/dashboard/collections');
+  try {
+    await Like.unlike(req.session.userId, parseInt(req.params.siteId, 10));
+    req.flash('success', 'Like removed');
+  } catch (err) {
+    console.error('Unlike error:', err);
+    req.flash('error', 'Failed to remove like');
+  }
+  res.redirect(back);
+});
+
+// ============================================================
+// COLLECTIONS (public at /collections/:username/:slug)
+// ============================================================
+const MAX_COLLECTIONS = 50;
+const MAX_COLLECTION_ENTRIES = 500;
+
+async function findCollection(req, res) {
+  const collection = await Collection.findForUser(parseInt(req.params.id, 10), req.session.userId);
+  if (!collection) {
+    req.flash('error', 'Collection not found');
+    res.redirect('/dashboard/collections');
+  }
+  return collection;
+}
+
+// The settings form's fields, checked: { fields } or { error }
+function readCollectionForm(body) {
+  const slug = String(body.slug || '').toLowerCase().trim();
+  const title = String(body.title || '').trim();
+  const description = String(body.description || '').trim();
   
-  if (!/^[a-z0-9-]+$/.test(slug)) {
-    return { 
-      valid: false, 
-      error: 'Slug can only contain lowercase letters, numbers, and hyphens' 
-    };
+  for (const validation of [
+    validateSlug(slug),
+    validateTitle(title),
+    validateCollectionDescription(description),
+  ]) {
+    if (!validation.valid) return { error: validation.error };
   }
   
-  if (slug.startsWith('-') || slug.endsWith('-')) {
-    return { 
-      valid: false, 
-      error: 'Slug cannot start or end with a hyphen' 
-    };
+  return {
+    fields: {
+      slug: slug,
+      title: title,
+      description: description || null,
+      isPublic: body.isPublic === 'on'
+    }
+  };
+}
+
+router.get("/collections", requireAuth, async (req, res) => {
+  try {
+    res.render("collections.njk", {
+      collections: await Collection.listByUser(req.session.userId),
+      likedSites: await Like.listLikedSites(req.session.userId),
+      maxCollections: MAX_COLLECTIONS,
+      title: "Collections"
+    });
+  } catch (err) {
+    console.error('Collections page error:', err);
+    req.flash('error', 'Failed to load collections');
+    res.redirect('/dashboard');
+  }
+});
+
+router.post("/collections", requireAuth, async (req, res) => {
+  try {
+    const form = readCollectionForm(req.body);
+    if (form.error) {
+      req.flash('error', form.error);
+      return res.redirect('/dashboard/collections');
+    }
+    
+    if (await Collection.countByUser(req.session.userId) >= MAX_COLLECTIONS) {
+      req.flash('error', `You can have up to ${MAX_COLLECTIONS} collections`);
+      return res.redirect('/dashboard/collections');
+    }
+    
+    const collection = await Collection.create({ userId: req.session.userId, ...form.fields });
+    req.flash('success', `Collection "${collection.title}" created. Add sites to it from Browse or anyone's profile.`);
+    res.redirect(`/dashboard/collections/${collection.id}`);
+    
+  } catch (err) {
+    console.error('Create collection error:', err);
+    
+    if (err.code === '23505') {
+      req.flash('error', 'You already have a collection with this slug');
+    } else {
+      req.flash('error', 'Failed to create collection');
+    }
+    
+    res.redirect('/dashboard/collections');
+  }
+});
+
+// Add a site to a collection picked from the list on a site card
+router.post("/collections/add", requireAuth, async (req, res) => {
+  const back = safeBack(req, '/browse');
+  try {
+    const collection = await Collection.findForUser(parseInt(req.body.collectionId, 10), req.session.userId);
+    if (!collection) {
+      req.flash('error', 'Pick one of your collections');
+      return res.redirect(back);
+    }
+    
+    const site = await Site.findById(parseInt(req.body.siteId, 10));
+    if (!site || await unavailableReason(site)) {
+      req.flash('error', 'Site not found');
+      return res.redirect(back);
+    }
+    
+    if (await Collection.countEntries(collection.id) >= MAX_COLLECTION_ENTRIES) {
+      req.flash('error', `A collection can hold up to ${MAX_COLLECTION_ENTRIES} sites`);
+      return res.redirect(back);
+    }
+    
+    if (await Collection.addEntry(collection.id, site.id)) {
+      req.flash('success', `Added ${site.title} to ${collection.title}`);
+    } else {
+      req.flash('error', `${site.title} is already in ${collection.title}`);
+    }
+    res.redirect(back);
+  } catch (err) {
+    console.error('Add to collection error:', err);
+    req.flash('error', 'Failed to add site to collection');
+    res.redirect(back);
+  }
+});
+
+router.get("/collections/:id", requireAuth, async (req, res) => {
+  try {
+    const collection = await findCollection(req, res);
+    if (!collection) return;
+    
+    res.render("collection-edit.njk", {
+      collection: collection,
+      entries: await Collection.listEntries(collection.id),
+      title: collection.title
+    });
+  } catch (err) {
+    console.error('Collection page error:', err);
+    req.flash('error', 'Failed to load collection');
+    res.redirect('/dashboard/collections');
+  }
+});
+
+router.post("/collections/:id", requireAuth, async (req, res) => {
+  try {
+    const collection = await findCollection(req, res);
+    if (!collection) return;
+    
+    const form = readCollectionForm(req.body);
+    if (form.error) {
+      req.flash('error', form.error);
+      return res.redirect(`/dashboard/collections/${collection.id}`);
+    }
+    
+    await Collection.update(collection.id, form.fields);
+    req.flash('success', 'Collection updated');
+    res.redirect(`/dashboard/collections/${collection.id}`);
+    
+  } catch (err) {
+    console.error('Update collection error:', err);
+    
+    if (err.code === '23505') {
+      req.flash('error', 'You already have a collection with this slug');
+    } else {
+      req.flash('error', 'Failed to update collection');
+    }
+    
+    res.redirect('/dashboard/collections');
+  }
+});
+
+router.post("/collections/:id/delete", requireAuth, async (req, res) => {
+  try {
+    const collection = await findCollection(req, res);
+    if (!collection) return;
+    
+    await Collection.delete(collection.id);
+    req.flash('success', `Collection "${collection.title}" deleted`);
+  } catch (err) {
+    console.error('Delete collection error:', err);
+    req.flash('error', 'Failed to delete collection');
+  }
+  res.redirect('/dashboard/collections');
+});
+
+// Move an entry one place up or down
+router.post("/collections/:id/entries/:siteId/move", requireAuth, async (req, res) => {
+  try {
+    const collection = await findCollection(req, res);
+    if (!collection) return;
+    
+    const direction = req.body.direction === 'up' ? 'up' : 'down';
+    await Collection.moveEntry(collection.id, parseInt(req.params.siteId, 10), direction);
+    res.redirect(`/dashboard/collections/${collection.id}`);
+  } catch (err) {
+    console.error('Move collection entry error:', err);
+    req.flash('error', 'Failed to move site');
+    res.redirect('/dashboard/collections');
+  }
+});
+
+router.post("/collections/:id/entries/:siteId/note", requireAuth, async (req, res) => {
+  try {
+    const collection = await findCollection(req, res);
+    if (!collection) return;
+    
+    const note = String(req.body.note || '').trim();
+    const noteValidation = validateCollectionNote(note);
+    if (!noteValidation.valid) {
+      req.flash('error', noteValidation.error);
+      return res.redirect(`/dashboard/collections/${collection.id}`);
+    }
+    
+    await Collection.setNote(collection.id, parseInt(req.params.siteId, 10), note || null);
+    req.flash('success', 'Note saved');
+    res.redirect(`/dashboard/collections/${collection.id}`);
+  } catch (err) {
+    console.error('Collection note error:', err);
+    req.flash('error', 'Failed to save note');
+    res.redirect('/dashboard/collections');
+  }
+});
+
+router.post("/collections/:id/entries/:siteId/remove", requireAuth, async (req, res) => {
+  try {
+    const collection = await findCollection(req, res);
+    if (!collection) return;
+    
+    await Collection.removeEntry(collection.id, parseInt(req.params.siteId, 10));
+    req.flash('success', 'Site removed from the collection');
+    res.redirect(`/dashboard/collections/${collection.id}`);
+  } catch (err) {
+    console.error('Remove collection entry error:', err);
+    req.flash('error', 'Failed to remove site');
+    res.redirect('/dashboard/collections');
+  }
+});
+
+// ============================================================
+// PROFILE (shown at /~username)
+// ============================================================
+const MAX_AVATAR_SIZE = 256 * 1024;
+
+router.get("/profile", requireAuth, async (req, res) => {
+  try {
+    res.render("profile-edit.njk", {
+      profile: await User.findProfileById(req.session.userId),
+      maxAvatarSize: MAX_AVATAR_SIZE,
+      title: "Edit Profile"
+    });
+  } catch (err) {
+    console.error('Profile page error:', err);
+    req.flash('error', 'Failed to load your profile');
+    res.redirect('/dashboard');
+  }
+});
+
+router.post("/profile", requireAuth, async (req, res) => {
+  try {
+    const displayName = String(req.body.displayName || '').trim();
+    const bio = String(req.body.bio || '').trim().replace(/\r\n/g, '\n');
+    const links = parseLinks(req.body.links);
+    
+    for (const validation of [validateDisplayName(displayName), validateBio(bio), validateLinks(links)]) {
+      if (!validation.valid) {
+        req.flash('error', validation.error);
+        return res.redirect('/dashboard/profile');
+      }
+    }
+    
+    await User.updateProfile(req.session.userId, {
+      displayName: displayName || null,
+      bio: bio || null,
+      links: links
+    });
+    
+    req.flash('success', 'Profile saved');
+    res.redirect('/dashboard/profile');
+  } catch (err) {
+    console.error('Update profile error:', err);
+    req.flash('error', 'Failed to save your profile');
+    res.redirect('/dashboard/profile');
+  }
+});
+
+router.post("/profile/avatar", requireAuth, async (req, res) => {
+  try {
+    const file = await receiveFile(req, MAX_AVATAR_SIZE);
+    if (!file) {
+      req.flash('error', 'Choose an image to upload');
+      return res.redirect('/dashboard/profile');
+    }
+    
+    // Avatars are served from this origin, so only plain images are taken,
+    // whatever type the browser claimed
+    const mimeType = sniffImageType(file.content);
+    if (!mimeType) {
+      req.flash('error', 'Avatars must be PNG, JPEG, GIF or WebP images');
+      return res.redirect('/dashboard/profile');
+    }
+    
+    await User.saveAvatar(req.session.userId, { content: file.content, mimeType: mimeType });
+    req.flash('success', 'Avatar updated');
+    res.redirect('/dashboard/profile');
+  } catch (err) {
+    if (!(err instanceof UploadError)) {
+      console.error('Avatar upload error:', err);
+    }
+    req.flash('error', err instanceof UploadError ? err.message : 'Failed to upload avatar');
+    res.redirect('/dashboard/profile');
+  }
+});
+
+router.post("/profile/avatar/delete", requireAuth, async (req, res) => {
+  try {
+    await User.deleteAvatar(req.session.userId);
+    req.flash('success', 'Avatar removed');
+  } catch (err) {
+    console.error('Delete avatar error:', err);
+    req.flash('error', 'Failed to remove avatar');
+  }
+  res.redirect('/dashboard/profile');
+});
+
+// ============================================================
+// API KEYS
+// ============================================================
+router.get("/api-keys", requireAuth, async (req, res) => {
+  try {
+    // A new key is shown once, right after it's made, then forgotten
+    const newToken = req.session.newApiKey;
+    delete req.session.newApiKey;
+    
+    res.render("api-keys.njk", {
+      keys: await ApiKey.listByUser(req.session.userId),
+      sites: await Site.findByOwner(req.session.userId),
+      newToken: newToken,
+      title: "API Keys"
+    });
+  } catch (err) {
+    console.error('API keys page error:', err);
+    req.flash('error', 'Failed to load API keys');
+    res.redirect('/dashboard');
+  }
+});
+
+router.post("/api-keys", requireAuth, async (req, res) => {
+  try {
+    const name = String(req.body.name || '').trim();
+    if (name.length < 1 || name.length > 100) {
+      req.flash('error', 'Give the key a name (up to 100 characters)');
+      return res.redirect('/dashboard/api-keys');
+    }
+    
+    let siteId = null;
+    if (req.body.site) {
+      const sites = await Site.findByOwner(req.session.userId);
+      const site = sites.find(s => s.slug === req.body.site);
+      if (!site) {
+        req.flash('error', 'Site not found');
+        return res.redirect('/dashboard/api-keys');
+      }
+      siteId = site.id;
+    }
+    
+    const { token } = await ApiKey.create({
+      userId: req.session.userId,
+      name: name,
+      readOnly: req.body.access === 'read',
+      siteId: siteId
+    });
+    
+    req.session.newApiKey = token;
+    req.flash('success', `API key "${name}" created. Copy it now; it won't be shown again.`);
+    res.redirect('/dashboard/api-keys');
+    
+  } catch (err) {
+    console.error('Create API key error:', err);
+    req.flash('error', 'Failed to create API key');
+    res.redirect('/dashboard/api-keys');
+  }
+});
+
+router.post("/api-keys/:id/revoke", requireAuth, async (req, res) => {
+  try {
+    if (await ApiKey.revoke(parseInt(req.params.id, 10), req.session.userId)) {
+      req.flash('success', 'API key revoked');
+    } else {
+      req.flash('error', 'API key not found');
+    }
+    res.redirect('/dashboard/api-keys');
+    
+  } catch (err) {
+    console.error('Revoke API key error:', err);
+    req.flash('error', 'Failed to revoke API key');
+    res.redirect('/dashboard/api-keys');
+  }
+});
+
+// ============================================================
+// WEBHOOKS
+// ============================================================
+async function findWebhook(req, res) {
+  const webhook = await Webhook.findForUser(parseInt(req.params.id, 10), req.session.userId);
+  if (!webhook) {
+    req.flash('error', 'Webhook not found');
+    res.redirect('/dashboard/webhooks');
+  }
+  return webhook;
+}
+
+router.get("/webhooks", requireAuth, async (req, res) => {
+  try {
+    res.render("webhooks.njk", {
+      webhooks: await Webhook.listByUser(req.session.userId),
+      events: EVENTS,
+      maxWebhooks: MAX_WEBHOOKS,
+      title: "Webhooks"
+    });
+  } catch (err) {
+    console.error('Webhooks page error:', err);
+    req.flash('error', 'Failed to load webhooks');
+    res.redirect('/dashboard');
+  }
+});
+
+router.post("/webhooks", requireAuth, async (req, res) => {
+  try {
+    const urlValidation = validateWebhookUrl(req.body.url);
+    if (!urlValidation.valid) {
+      req.flash('error', urlValidation.error);
+      return res.redirect('/dashboard/webhooks');
+    }
+    
+    const events = parseEvents(req.body.events);
+    if (!events) {
+      req.flash('error', 'Pick at least one event');
+      return res.redirect('/dashboard/webhooks');
+    }
+    
+    if (await Webhook.countByUser(req.session.userId) >= MAX_WEBHOOKS) {
+      req.flash('error', `You can have up to ${MAX_WEBHOOKS} webhooks`);
+      return res.redirect('/dashboard/webhooks');
+    }
+    
+    const webhook = await Webhook.create({
+      userId: req.session.userId,
+      url: urlValidation.url,
+      events: events
+    });
+    
+    req.flash('success', 'Webhook added. Use its secret to check the signature of each delivery.');
+    res.redirect(`/dashboard/webhooks/${webhook.id}`);
+    
+  } catch (err) {
+    console.error('Create webhook error:', err);
+    req.flash('error', 'Failed to add webhook');
+    res.redirect('/dashboard/webhooks');
+  }
+});
+
+router.get("/webhooks/:id", requireAuth, async (req, res) => {
+  try {
+    const webhook = await findWebhook(req, res);
+    if (!webhook) return;
+    
+    res.render("webhook.njk", {
+      webhook: webhook,
+      deliveries: await Webhook.listDeliveries(webhook.id),
+      events: EVENTS,
+      title: "Webhook"
+    });
+  } catch (err) {
+    console.error('Webhook page error:', err);
+    req.flash('error', 'Failed to load webhook');
+    res.redirect('/dashboard/webhooks');
+  }
+});
+
+router.post("/webhooks/:id", requireAuth, async (req, res) => {
+  try {
+    const webhook = await findWebhook(req, res);
+    if (!webhook) return;
+    
+    const urlValidation = validateWebhookUrl(req.body.url);
+    if (!urlValidation.valid) {
+      req.flash('error', urlValidation.error);
+      return res.redirect(`/dashboard/webhooks/${webhook.id}`);
+    }
+    
+    const events = parseEvents(req.body.events);
+    if (!events) {
+      req.flash('error', 'Pick at least one event');
+      return res.redirect(`/dashboard/webhooks/${webhook.id}`);
+    }
+    
+    await Webhook.update(webhook.id, req.session.userId, {
+      url: urlValidation.url,
+      events: events,
+      active: req.body.active === 'on'
+    });
+    
+    req.flash('success', 'Webhook updated');
+    res.redirect(`/dashboard/webhooks/${webhook.id}`);
+    
+  } catch (err) {
+    console.error('Update webhook error:', err);
+    req.flash('error', 'Failed to update webhook');
+    res.redirect('/dashboard/webhooks');
+  }
+});
+
+// A `ping` event, to check the endpoint and its signature checking
+router.post("/webhooks/:id/ping", requireAuth, async (req, res) => {
+  try {
+    const webhook = await findWebhook(req, res);
+    if (!webhook) return;
+    
+    await Webhook.queueDelivery({
+      webhookId: webhook.id,
+      event: 'ping',
+      payload: eventPayload('ping', { webhook: { id: webhook.id, url: webhook.url } })
+    });
+    deliverSoon();
+    
+    req.flash('success', webhook.active
+      ? 'Test event sent; reload to see how it went'
+      : 'Test event queued; it will be sent when the webhook is turned back on');
+    res.redirect(`/dashboard/webhooks/${webhook.id}`);
+    
+  } catch (err) {
+    console.error('Ping webhook error:', err);
+    req.flash('error', 'Failed to send test event');
+    res.redirect('/dashboard/webhooks');
+  }
+});
+
+// Send a past delivery's payload again, as a new delivery
+router.post("/webhooks/:id/deliveries/:deliveryId/redeliver", requireAuth, async (req, res) => {
+  try {
+    const webhook = await findWebhook(req, res);
+    if (!webhook) return;
+    
+    const delivery = await Webhook.findDelivery(parseInt(req.params.deliveryId, 10), webhook.id);
+    if (!delivery) {
+      req.flash('error', 'Delivery not found');
+      return res.redirect(`/dashboard/webhooks/${webhook.id}`);
+    }
+    
+    await Webhook.queueDelivery({
+      webhookId: webhook.id,
+      event: delivery.event,
+      payload: delivery.payload
+    });
+    deliverSoon();
+    
+    req.flash('success', `Redelivering ${delivery.event}; reload to see how it went`);
+    res.redirect(`/dashboard/webhooks/${webhook.id}`);
+    
+  } catch (err) {
+    console.error('Redeliver webhook error:', err);
+    req.flash('error', 'Failed to redeliver');
+    res.redirect('/dashboard/webhooks');
+  }
+});
+
+router.post("/webhooks/:id/rotate-secret", requireAuth, async (req, res) => {
+  try {
+    const webhook = await findWebhook(req, res);
+    if (!webhook) return;
+    
+    await Webhook.rotateSecret(webhook.id, req.session.userId);
+    
+    req.flash('success', 'New secret generated. Deliveries are signed with it from now on.');
+    res.redirect(`/dashboard/webhooks/${webhook.id}`);
+    
+  } catch (err) {
+    console.error('Rotate webhook secret error:', err);
+    req.flash('error', 'Failed to generate a new secret');
+    res.redirect('/dashboard/webhooks');
+  }
+});
+
+router.post("/webhooks/:id/delete", requireAuth, async (req, res) => {
+  try {
+    if (await Webhook.delete(parseInt(req.params.id, 10), req.session.userId)) {
+      req.flash('success', 'Webhook deleted');
+    } else {
+      req.flash('error', 'Webhook not found');
+    }
+    res.redirect('/dashboard/webhooks');
+    
+  } catch (err) {
+    console.error('Delete webhook error:', err);
+    req.flash('error', 'Failed to delete webhook');
+    res.redirect('/dashboard/webhooks');
+  }
+});
+
+// ============================================================
+// VIEW SITE (with file management)
+// ============================================================
+router.get("/site/:slug", requireAuth, async (req, res) => {
+  try {
+    const slug = req.params.slug;
+    
+    // Find site by owner and slug
+    const sites = await Site.findByOwner(req.session.userId);
+    const site = sites.find(s => s.slug === slug);
+    
+    if (!site) {
+      req.flash('error', 'Site not found');
+      return res.redirect('/dashboard');
+    }
+    
+    const files = await workspace(site).listFiles(site.id);
+    const folders = await Site.listFolders(site.id);
+    const indexFile = files.find(f => f.path === 'index.html');
+    const totalSize = await workspace(site).getSiteTotalSize(site.id);
+    const historySize = await Site.getHistorySize(site.id);
+    const deletedFiles = await Site.listDeletedPaths(site.id);
+    const domains = (await Domain.listBySite(site.id)).map(domain => ({
+      ...domain,
+      tokenPath: tokenFilePath(domain),
+      tokenRecord: tokenFileContent(domain).trim(),
+      expired: isExpired(domain)
+    }));
+    
+    res.render("site-view.njk", {
+      site: site,
+      files: files,
+      fileRows: buildFileRows(files, folders),
+      indexFile: indexFile,
+      totalSize: totalSize,
+      historySize: historySize,
+      historyDays: Site.HISTORY_DAYS,
+      historyLimit: Site.HISTORY_MAX_BYTES,
+      restoreDefault: dateTimeLocal(new Date(Date.now() - 24 * 60 * 60 * 1000)),
+      usage: await getUsage(req.session.userId),
+      deletedFiles: deletedFiles,
+      domains: domains,
+      pendingDays: PENDING_DAYS,
+      draftChanges: site.draft_started_at ? await Draft.listChanges(site.id) : [],
+      previewUrl: site.draft_started_at ? draftPreviewUrl(res.locals.user.username, site.draft_token) : null,
+      publishes: await Draft.listPublishes(site.id),
+      gitUrl: `${req.protocol}://${req.get('host')}/~${res.locals.user.username}/${site.slug}.git`,
+      title: site.title
+    });
+    
+  } catch (err) {
+    console.error('View site error:', err);
+    req.flash('error', 'Failed to load site');
+    res.redirect('/dashboard');
+  }
+});
+
+// ============================================================
+// EXPORT SITE (ZIP download)
+// ============================================================
+router.get("/site/:slug/export", requireAuth, async (req, res) => {
+  try {
+    const sites = await Site.findByOwner(req.session.userId);
+    const site = sites.find(s => s.slug === req.params.slug);
+    
+    if (!site) {
+      req.flash('error', 'Site not found');
+      return res.redirect('/dashboard');
+    }
+    
+    res.attachment(`${site.slug}.zip`);
+    await streamSiteZip(res, site.id);
+    
+  } catch (err) {
+    console.error('Export site error:', err);
+    if (res.headersSent) return res.destroy(err);
+    req.flash('error', 'Failed to export site');
+    res.redirect('/dashboard');
+  }
+});
+
+// ============================================================
+// IMPORT SITE (ZIP or tar.gz upload, applied atomically)
+// ============================================================
+// The dashboard posts the archive as a multipart form with an `archive`
+// file; scripts may send it as the raw request body and ask for JSON.
+// `report` has a { path, action, reason } per entry.
+function sendImportResult(req, res, site, { status = 200, error = null, message = null, report = [] }) {
+  if (wantsJson(req)) {
+    return res.status(status).json(error ? { error: error, report: report } : { success: true, report: report, message: message });
+  }
+  
+  const skipped = report.filter(item => item.action === 'skipped');
+  const details = skipped.map(item => `${item.path}: ${item.reason}`).join('; ');
+  if (error) {
+    req.flash('error', details ? `${error} (${details})` : error);
+  } else if (skipped.length > 0) {
+    req.flash('error', `${message} (${details})`);
+  } else {
+    req.flash('success', message);
+  }
+  res.redirect(`/dashboard/site/${site.slug}`);
+}
+
+router.post("/site/:slug/import", requireAuth, async (req, res) => {
+  let site;
+  try {
+    const sites = await Site.findByOwner(req.session.userId);
+    site = sites.find(s => s.slug === req.params.slug);
+    
+    if (!site) {
+      if (wantsJson(req)) return res.status(404).json({ error: 'Site not found' });
+      req.flash('error', 'Site not found');
+      return res.redirect('/dashboard');
+    }
+    
+    // The archive itself may not be bigger than the room the site has left
+    const usage = await getUsage(req.session.userId);
+    const allowance = siteAllowance(usage, site.id);
+    let buffer;
+    if (req.is('multipart/form-data')) {
+      const file = await receiveFile(req, allowance);
+      if (!file) {
+        return sendImportResult(req, res, site, { status: 400, error: 'Choose a .zip or .tar.gz archive to import' });
+      }
+      buffer = file.content;
+    } else {
+      buffer = await readRawBody(req, allowance);
+      if (!buffer) {
+        return sendImportResult(req, res, site, { status: 413, error: 'Archive too large for the storage left on your plan' });
+      }
+    }
+    
+    const { entries, skipped } = await readArchive(buffer, {
+      maxFileSize: usage.plan.max_file_size,
+      maxTotalSize: allowance
+    });
+    
+    const report = skipped.map(item => ({ path: item.path, action: 'skipped', reason: item.reason }));
+    
+    // Later entries with the same path win
+    const accepted = new Map();
+    for (const entry of entries) {
+      const configErrors = validateConfigFile(entry.path, entry.content.toString('utf8'));
+      if (configErrors.length > 0) {
+        report.push({ path: entry.path, action: 'skipped', reason: formatConfigErrors(entry.path, configErrors) });
+        continue;
+      }
+      // File types the plan doesn't allow are left out, not fatal
+      try {
+        checkFile(usage.plan, entry.path, entry.content.length);
+      } catch (err) {
+        if (!(err instanceof QuotaError)) throw err;
+        report.push({ path: entry.path, action: 'skipped', reason: err.message });
+        continue;
+      }
+      accepted.set(entry.path, entry);
+    }
+    
+    const existing = new Set((await workspace(site).listFileSizes(site.id)).map(f => f.path));
+    const changes = {
+      files: [...accepted.values()].map(entry => ({ path: entry.path, size: entry.content.length }))
+    };
+    
+    try {
+      await withinQuota(site, changes, async (client) => {
+        for (const entry of accepted.values()) {
+          await workspace(site).saveFile({
+            siteId: site.id,
+            path: entry.path,
+            content: entry.content,
+            mimeType: CONFIG_FILES.includes(entry.path) ? 'text/plain' : getMimeType(entry.path)
+          }, client);
+          
+          report.push({ path: entry.path, action: existing.has(entry.path) ? 'replaced' : 'added' });
+        }
+      });
+    } catch (err) {
+      if (!(err instanceof QuotaError)) throw err;
+      return sendImportResult(req, res, site, {
+        status: 400,
+        error: `${fileErrorMessage(err)}; nothing was imported`,
+        report: report
+      });
+    }
+    
+    await emitFileEvent(res.locals.user.username, 'file.saved', site, [...accepted.keys()]);
+    
+    report.sort((a, b) => a.path.localeCompare(b.path));
+    sendImportResult(req, res, site, {
+      report: report,
+      message: `Imported ${accepted.size} file(s), skipped ${report.length - accepted.size}`
+    });
+    
+  } catch (err) {
+    if (err instanceof ImportError || err instanceof UploadError) {
+      return sendImportResult(req, res, site, { status: 400, error: err.message });
+    }
+    console.error('Import site error:', err);
+    if (wantsJson(req)) return res.status(500).json({ error: 'Failed to import archive' });
+    req.flash('error', 'Failed to import archive');
+    res.redirect('/dashboard');
+  }
+});
+
+// ============================================================
+// CREATE SITE
+// ============================================================
+router.post("/create-site", requireAuth, async (req, res) => {
+  try {
+    const { slug, title } = req.body;
+    
+    const slugValidation = validateSlug(slug);
+    if (!slugValidation.valid) {
+      req.flash('error', slugValidation.error);
+      return res.redirect('/dashboard');
+    }
+    
+    const titleValidation = validateTitle(title);
+    if (!titleValidation.valid) {
+      req.flash('error', titleValidation.error);
+      return res.redirect('/dashboard');
+    }
+    
+    const site = await transaction(async (client) => {
+      await checkSiteLimit(client, req.session.userId);
+      return Site.create({
+        ownerId: req.session.userId,
+        slug: slug.toLowerCase().trim(),
+        title: title.trim()
+      }, client);
+    });
+    await emitSiteEvent(res.locals.user.username, 'site.created', site);
+    
+    req.flash('success', `Site "${title}" created successfully!`);
+    res.redirect('/dashboard');
+    
+  } catch (err) {
+    if (err instanceof QuotaError) {
+      req.flash('error', err.message);
+      return res.redirect('/dashboard');
+    }
+    
+    console.error('Create site error:', err);
+    
+    if (err.code === '23505') {
+      req.flash('error', 'You already have a site with this slug');
+    } else {
+      req.flash('error', 'Failed to create site');
+    }
+    
+    res.redirect('/dashboard');
+  }
+});
+
+// ============================================================
+// UPLOAD FILES (multipart: many files, folder-relative paths)
+// ============================================================
+async function sendUploadResults(req, res, site, { results, aborted }) {
+  const saved = results.filter(r => r.success).length;
+  const failed = results.filter(r => !r.success);
+  
+  await emitFileEvent(res.locals.user.username, 'file.saved', site, results.filter(r => r.success).map(r => r.path));
+  
+  let message = `Uploaded ${saved} file(s)`;
+  if (failed.length > 0) message += `, ${failed.length} failed`;
+  if (aborted) message += ' - upload stopped at the storage limit';
+  
+  if (aborted) {
+    // The rest of the body is being discarded; don't reuse this connection
+    res.set('Connection', 'close');
+  }
+  
+  if (wantsJson(req)) {
+    return res.status(aborted ? 413 : 200).json({
+      success: failed.length === 0 && !aborted,
+      results: results,
+      message: message
+    });
+  }
+  
+  if (failed.length > 0 || aborted) {
+    const details = failed.map(r => `${r.path}: ${r.error}`).join('; ');
+    req.flash('error', details ? `${message} (${details})` : message);
+  } else {
+    req.flash('success', message);
+  }
+  res.redirect(`/dashboard/site/${site.slug}`);
+}
+
+// ============================================================
+// UPLOAD FILE (Text Content, or files via multipart)
+// ============================================================
+router.post("/upload-file/:siteId", requireAuth, async (req, res) => {
+  try {
+    const siteId = parseInt(req.params.siteId, 10);
+    
+    const site = await Site.findById(siteId);
+    if (!site) {
+      if (wantsJson(req)) return res.status(404).json({ error: 'Site not found' });
+      req.flash('error', 'Site not found');
+      return res.redirect('/dashboard');
+    }
+    
+    if (site.owner_id !== req.session.userId) {
+      if (wantsJson(req)) return res.status(403).json({ error: 'Permission denied' });
+      req.flash('error', 'You do not have permission to upload files to this site');
+      return res.redirect('/dashboard');
+    }
+    
+    if (req.is('multipart/form-data')) {
+      const upload = await receiveSiteUploads(req, site);
+      if (upload.results.length > 0 || upload.fields.path === undefined) {
+        return sendUploadResults(req, res, site, upload);
+      }
+      // The text editor form, posted multipart-encoded
+      req.body = upload.fields;
+    }
+    
+    const { path, content, mimeType } = req.body;
+    
+    if (!path || typeof path !== 'string' || path.trim().length === 0) {
+      req.flash('error', 'File path is required');
+      return res.redirect(`/dashboard/site/${site.slug}`);
+    }
+    
+    if (!content || typeof content !== 'string' || content.trim().length === 0) {
+      req.flash('error', 'File content is required');
+      return res.redirect(`/dashboard/site/${site.slug}`);
+    }
+    
+    // _redirects and _headers are checked line by line before they go live
+    try {
+      await saveSiteFile(site, {
+        path: path.trim(),
+        content: content,
+        mimeType: mimeType || 'text/plain'
+      });
+    } catch (err) {
+      if (!isFileError(err)) throw err;
+      req.flash('error', fileErrorMessage(err));
+      return res.redirect(`/dashboard/site/${site.slug}`);
+    }
+    
+    await emitFileEvent(res.locals.user.username, 'file.saved', site, [path.trim()]);
+    
+    req.flash('success', `File "${path}" uploaded successfully!`);
+    res.redirect(`/dashboard/site/${site.slug}`);
+    
+  } catch (err) {
+    if (!(err instanceof UploadError)) {
+      console.error('Upload file error:', err);
+    }
+    const message = err instanceof UploadError ? err.message : 'Failed to upload file';
+    if (wantsJson(req)) {
+      return res.status(err instanceof UploadError ? 400 : 500).json({ error: message });
+    }
+    req.flash('error', message);
+    res.redirect('/dashboard');
+  }
+});
+
+// ============================================================
+// UPLOAD BINARY FILE (API endpoint for drag-and-drop)
+// ============================================================
+router.post("/upload-binary/:siteId", requireAuth, async (req, res) => {
+  try {
+    const siteId = parseInt(req.params.siteId, 10);
+    
+    const site = await Site.findById(siteId);
+    if (!site) {
+      return res.status(404).json({ error: 'Site not found' });
+    }
+    
+    if (site.owner_id !== req.session.userId) {
+      return res.status(403).json({ error: 'Permission denied' });
+    }
+    
+    // Get raw body as buffer, giving up as soon as it passes the plan's
+    // per-file limit
+    const { plan } = await getUsage(site.owner_id);
+    const buffer = await readRawBody(req, plan.max_file_size);
+    if (!buffer) {
+      res.set('Connection', 'close');
+      return res.status(413).json({ error: `File too large (${formatBytes(plan.max_file_size)} max)` });
+    }
+    
+    const filename = req.headers['x-filename'] || 'unnamed.txt';
+    
+    // The path and any _redirects or _headers content are checked as for
+    // every other write
+    await saveSiteFile(site, {
+      path: filename,
+      content: buffer,
+      mimeType: resolveMimeType(filename, req.headers['content-type'])
+    });
+    
+    await emitFileEvent(res.locals.user.username, 'file.saved', site, [filename]);
+    
+    res.json({ 
+      success: true, 
+      filename: filename,
+      size: buffer.length,
+      message: `File "${filename}" uploaded successfully!`
+    });
+    
+  } catch (err) {
+    if (isFileError(err)) {
+      return res.status(400).json({ error: fileErrorMessage(err) });
+    }
+    console.error('Upload binary error:', err);
+    res.status(500).json({ error: 'Failed to upload file' });
+  }
+});
+
+// ============================================================
+// DELETE FILE
+// ============================================================
+router.post("/delete-file/:siteId/:fileId", requireAuth, async (req, res) => {
+  try {
+    const siteId = parseInt(req.params.siteId, 10);
+    const fileId = parseInt(req.params.fileId, 10);
+    
+    const site = await Site.findById(siteId);
+    if (!site) {
+      req.flash('error', 'Site not found');
+      return res.redirect('/dashboard');
+    }
+    
+    if (site.owner_id !== req.session.userId) {
+      req.flash('error', 'You do not have permission to delete files from this site');
+      return res.redirect('/dashboard');
+    }
+    
+    const files = await workspace(site).listFiles(siteId);
+    const file = files.find(f => f.id === fileId);
+    
+    if (!file) {
+      req.flash('error', 'File not found');
+      return res.redirect(`/dashboard/site/${site.slug}`);
+    }
+    
+    await workspace(site).deleteFile(siteId, file.path);
+    await emitFileEvent(res.locals.user.username, 'file.deleted', site, [file.path]);
+    
+    req.flash('success', `File "${file.path}" deleted successfully`);
+    res.redirect(`/dashboard/site/${site.slug}`);
+    
+  } catch (err) {
+    console.error('Delete file error:', err);
+    req.flash('error', 'Failed to delete file');
+    res.redirect('/dashboard');
+  }
+});
+
+// ============================================================
+// FILE MANAGER (editor, move/rename, folders, bulk delete)
+// ============================================================
+router.get("/site/:slug/edit", requireAuth, async (req, res) => {
+  try {
+    const sites = await Site.findByOwner(req.session.userId);
+    const site = sites.find(s => s.slug === req.params.slug);
+    
+    if (!site) {
+      req.flash('error', 'Site not found');
+      return res.redirect('/dashboard');
+    }
+    
+    const file = await workspace(site).getFile(site.id, String(req.query.path || ''));
+    if (!file) {
+      req.flash('error', 'File not found');
+      return res.redirect(`/dashboard/site/${site.slug}`);
+    }
+    
+    if (Buffer.isBuffer(file.content)) {
+      req.flash('error', `"${file.path}" is a binary file and can't be edited here`);
+      return res.redirect(`/dashboard/site/${site.slug}`);
+    }
+    
+    res.render("file-editor.njk", {
+      site: site,
+      file: file,
+      title: `Edit ${file.path}`
+    });
+    
+  } catch (err) {
+    console.error('Open editor error:', err);
+    req.flash('error', 'Failed to open file');
+    res.redirect('/dashboard');
+  }
+});
+
+router.post("/site/:slug/edit", requireAuth, async (req, res) => {
+  try {
+    const sites = await Site.findByOwner(req.session.userId);
+    const site = sites.find(s => s.slug === req.params.slug);
+    
+    if (!site) {
+      req.flash('error', 'Site not found');
+      return res.redirect('/dashboard');
+    }
+    
+    const { path, hash } = req.body;
+    const store = workspace(site);
+    const file = await store.getFile(site.id, String(path || ''));
+    
+    if (!file) {
+      req.flash('error', 'File not found');
+      return res.redirect(`/dashboard/site/${site.slug}`);
+    }
+    
+    const editorUrl = `/dashboard/site/${site.slug}/edit?path=${encodeURIComponent(file.path)}`;
+    
+    if (Buffer.isBuffer(file.content) || typeof req.body.content !== 'string') {
+      req.flash('error', 'Only text files can be edited here');
+      return res.redirect(editorUrl);
+    }
+    
+    // Someone (or another tab) saved the file after this editor was opened
+    if (hash !== file.content_hash) {
+      req.flash('error', 'This file changed since you opened it. Your edit was not saved; copy it before reloading.');
+      return res.redirect(editorUrl);
+    }
+    
+    // Browsers submit textareas with CRLF line endings
+    const content = file.content.includes('\r\n')
+      ? req.body.content
+      : req.body.content.replace(/\r\n/g, '\n');
+    const configErrors = validateConfigFile(file.path, content);
+    if (configErrors.length > 0) {
+      req.flash('error', formatConfigErrors(file.path, configErrors));
+      return res.redirect(editorUrl);
+    }
+    
+    try {
+      const changes = { files: [{ path: file.path, size: Buffer.byteLength(content, 'utf8') }] };
+      await withinQuota(site, changes, (client) =>
+        store.saveFile({
+          siteId: site.id,
+          path: file.path,
+          content: content,
+          mimeType: file.mime_type
+        }, client)
+      );
+    } catch (err) {
+      if (!(err instanceof QuotaError)) throw err;
+      req.flash('error', err.message);
+      return res.redirect(editorUrl);
+    }
+    
+    await emitFileEvent(res.locals.user.username, 'file.saved', site, [file.path]);
+    
+    req.flash('success', `File "${file.path}" saved`);
+    res.redirect(editorUrl);
+    
+  } catch (err) {
+    console.error('Save file error:', err);
+    req.flash('error', 'Failed to save file');
+    res.redirect('/dashboard');
+  }
+});
+
+// Rename or move a file, or a folder with everything in it
+router.post("/site/:slug/move", requireAuth, async (req, res) => {
+  try {
+    const sites = await Site.findByOwner(req.session.userId);
+    const site = sites.find(s => s.slug === req.params.slug);
+    
+    if (!site) {
+      req.flash('error', 'Site not found');
+      return res.redirect('/dashboard');
+    }
+    
+    const from = String(req.body.from || '').trim().replace(/\/+$/, '');
+    const to = String(req.body.to || '').trim().replace(/^\/+|\/+$/g, '');
+    
+    let result;
+    try {
+      result = await moveSitePath(site, from, to);
+    } catch (err) {
+      if (!isFileError(err)) throw err;
+      req.flash('error', fileErrorMessage(err));
+      return res.redirect(`/dashboard/site/${site.slug}`);
+    }
+    
+    if (result) {
+      await emitFileEvent(res.locals.user.username, 'file.saved', site, result.saved);
+      await emitFileEvent(res.locals.user.username, 'file.deleted', site, result.removed);
+      req.flash('success', result.folder
+        ? `Moved folder "${from}" to "${to}" (${result.moved} file(s))`
+        : `Moved "${from}" to "${to}"`);
+    }
+    res.redirect(`/dashboard/site/${site.slug}`);
+    
+  } catch (err) {
+    console.error('Move file error:', err);
+    req.flash('error', 'Failed to move');
+    res.redirect('/dashboard');
+  }
+});
+
+router.post("/site/:slug/folders", requireAuth, async (req, res) => {
+  try {
+    const sites = await Site.findByOwner(req.session.userId);
+    const site = sites.find(s => s.slug === req.params.slug);
+    
+    if (!site) {
+      req.flash('error', 'Site not found');
+      return res.redirect('/dashboard');
+    }
+    
+    const path = String(req.body.path || '').trim().replace(/^\/+|\/+$/g, '');
+    const pathValidation = validateFilePath(path);
+    if (!pathValidation.valid) {
+      req.flash('error', pathValidation.error);
+      return res.redirect(`/dashboard/site/${site.slug}`);
+    }
+    
+    const files = await workspace(site).listFileSizes(site.id);
+    const folders = listFolderPaths(files, await Site.listFolders(site.id));
+    
+    if (folders.has(path)) {
+      req.flash('error', `Folder "${path}" already exists`);
+      return res.redirect(`/dashboard/site/${site.slug}`);
+    }
+    
+    if ([path, ...parentFolders(path)].some(p => files.some(f => f.path === p))) {
+      req.flash('error', `"${path}" conflicts with an existing file`);
+      return res.redirect(`/dashboard/site/${site.slug}`);
+    }
+    
+    await Site.createFolder(site.id, path);
+    
+    req.flash('success', `Folder "${path}" created`);
+    res.redirect(`/dashboard/site/${site.slug}`);
+    
+  } catch (err) {
+    console.error('Create folder error:', err);
+    req.flash('error', 'Failed to create folder');
+    res.redirect('/dashboard');
+  }
+});
+
+// Delete the checked files and folders (with their contents) in one go
+router.post("/site/:slug/delete-selected", requireAuth, async (req, res) => {
+  try {
+    const sites = await Site.findByOwner(req.session.userId);
+    const site = sites.find(s => s.slug === req.params.slug);
+    
+    if (!site) {
+      req.flash('error', 'Site not found');
+      return res.redirect('/dashboard');
+    }
+    
+    const selected = [].concat(req.body.paths || []).map(String);
+    if (selected.length === 0) {
+      req.flash('error', 'Select at least one file or folder');
+      return res.redirect(`/dashboard/site/${site.slug}`);
+    }
+    
+    const store = workspace(site);
+    const files = await store.listFileSizes(site.id);
+    const folders = listFolderPaths(files, await Site.listFolders(site.id));
+    
+    const doomedFolders = selected.filter(path => folders.has(path));
+    const doomedFiles = files.filter(f =>
+      selected.includes(f.path) || doomedFolders.some(folder => f.path.startsWith(folder + '/'))
+    );
+    
+    await transaction(async (client) => {
+      for (const f of doomedFiles) {
+        await store.deleteFile(site.id, f.path, client);
+      }
+      for (const folder of doomedFolders) {
+        await Site.deleteFolders(site.id, folder, client);
+      }
+    });
+    
+    await emitFileEvent(res.locals.user.username, 'file.deleted', site, doomedFiles.map(f => f.path));
+    
+    req.flash('success', `Deleted ${doomedFiles.length} file(s)` +
+      (doomedFolders.length > 0 ? ` and ${doomedFolders.length} folder(s)` : ''));
+    res.redirect(`/dashboard/site/${site.slug}`);
+    
+  } catch (err) {
+    console.error('Bulk delete error:', err);
+    req.flash('error', 'Failed to delete files');
+    res.redirect('/dashboard');
+  }
+});
+
+// ============================================================
+// DRAFTS (private workspace, atomic publish)
+// ============================================================
+router.post("/site/:slug/draft", requireAuth, async (req, res) => {
+  try {
+    const sites = await Site.findByOwner(req.session.userId);
+    const site = sites.find(s => s.slug === req.params.slug);
+    
+    if (!site) {
+      req.flash('error', 'Site not found');
+      return res.redirect('/dashboard');
+    }
+    
+    if (await Draft.start(site.id)) {
+      req.flash('success', 'Draft started. Changes stay private until you publish them.');
+    } else {
+      req.flash('error', 'This site already has an open draft');
+    }
+    res.redirect(`/dashboard/site/${site.slug}`);
+    
+  } catch (err) {
+    console.error('Start draft error:', err);
+    req.flash('error', 'Failed to start draft');
+    res.redirect('/dashboard');
   }
-  
-  return { valid: true };
-}
+});
 
-function validateTitle(title) {
-  if (!title || typeof title !== 'string') {
-    return { valid: false, error: 'Title is required' };
-  }
-  
-  if (title.trim().length < 1) {
-    return { valid: false, error: 'Title cannot be empty' };
-  }
-  
-  if (title.length > 100) {
-    return { valid: false, error: 'Title must be less than 100 characters' };
+router.post("/site/:slug/draft/publish", requireAuth, async (req, res) => {
+  try {
+    const sites = await Site.findByOwner(req.session.userId);
+    const site = sites.find(s => s.slug === req.params.slug);
+    
+    if (!site) {
+      req.flash('error', 'Site not found');
+      return res.redirect('/dashboard');
+    }
+    
+    const changes = await Draft.publish(site.id, req.session.userId);
+    if (!changes) {
+      req.flash('error', 'There is no open draft to publish');
+    } else {
+      await emitSiteEvent(res.locals.user.username, 'site.published', site, { changes: changes });
+      req.flash('success', `Published ${changes.length} change(s)`);
+    }
+    res.redirect(`/dashboard/site/${site.slug}`);
+    
+  } catch (err) {
+    console.error('Publish draft error:', err);
+    req.flash('error', 'Failed to publish draft');
+    res.redirect('/dashboard');
   }
-  
-  return { valid: true };
-}
-
-function getMimeType(filename) {
-  const ext = filename.split('.').pop().toLowerCase();
-  const mimeTypes = {
-    'html': 'text/html',
-    'htm': 'text/html',
-    'css': 'text/css',
-    'js': 'application/javascript',
-    'json': 'application/json',
-    'txt': 'text/plain',
-    'md': 'text/markdown',
-    'svg': 'image/svg+xml',
-    'png': 'image/png',
-    'jpg': 'image/jpeg',
-    'jpeg': 'image/jpeg',
-    'gif': 'image/gif',
-    'webp': 'image/webp',
-    'ico': 'image/x-icon',
-    'woff': 'font/woff',
-    'woff2': 'font/woff2',
-    'ttf': 'font/ttf',
-    'otf': 'font/otf',
-  };
-  return mimeTypes[ext] || 'application/octet-stream';
-}
+});
 
-// ============================================================
-// DASHBOARD HOME
-// ============================================================
-router.get("/", requireAuth, async (req, res) => {
+router.post("/site/:slug/draft/discard", requireAuth, async (req, res) => {
   try {
     const sites = await Site.findByOwner(req.session.userId);
+    const site = sites.find(s => s.slug === req.params.slug);
+    
+    if (!site) {
+      req.flash('error', 'Site not found');
+      return res.redirect('/dashboard');
+    }
+    
+    await Draft.discard(site.id);
+    
+    req.flash('success', 'Draft discarded');
+    res.redirect(`/dashboard/site/${site.slug}`);
     
-    res.render("dashboard.njk", { 
-      sites: sites,
-      totalSites: sites.length,
-      title: "Dashboard"
-    });
   } catch (err) {
-    console.error('Dashboard error:', err);
-    req.flash('error', 'Failed to load dashboard');
-    res.redirect('/');
+    console.error('Discard draft error:', err);
+    req.flash('error', 'Failed to discard draft');
+    res.redirect('/dashboard');
   }
 });
 
 // ============================================================
-// VIEW SITE (with file management)
+// FILE HISTORY (revisions, diffs, rollback)
 // ============================================================
-router.get("/site/:slug", requireAuth, async (req, res) => {
+
+// Text diffs get slow and unreadable past this size
+const MAX_DIFF_SIZE = 1024 * 1024;
+
+// Line diff of two versions, as rows of { type: 'added'|'removed'|'same', text }
+function buildLineDiff(oldText, newText) {
+  const lines = [];
+  for (const part of diffLines(oldText, newText)) {
+    const type = part.added ? 'added' : part.removed ? 'removed' : 'same';
+    for (const line of part.value.replace(/\n$/, '').split('\n')) {
+      lines.push({ type, text: line });
+    }
+  }
+  return lines;
+}
+
+router.get("/site/:slug/history", requireAuth, async (req, res) => {
   try {
-    const slug = req.params.slug;
-    
-    // Find site by owner and slug
     const sites = await Site.findByOwner(req.session.userId);
-    const site = sites.find(s => s.slug === slug);
+    const site = sites.find(s => s.slug === req.params.slug);
     
     if (!site) {
       req.flash('error', 'Site not found');
       return res.redirect('/dashboard');
     }
     
-    const files = await Site.listFiles(site.id);
-    const indexFile = files.find(f => f.path === 'index.html');
-    const totalSize = await Site.getSiteTotalSize(site.id);
+    const path = String(req.query.path || '');
+    const file = await Site.getFile(site.id, path);
+    const revisions = await Site.listRevisions(site.id, path);
     
-    res.render("site-view.njk", {
+    if (!file && revisions.length === 0) {
+      req.flash('error', 'No history for that file');
+      return res.redirect(`/dashboard/site/${site.slug}`);
+    }
+    
+    // ?compare=<revision id> diffs that version against the live file
+    let compare = null;
+    if (req.query.compare) {
+      const revision = await Site.getRevision(site.id, parseInt(req.query.compare, 10));
+      if (revision && revision.path === path) {
+        compare = { revision };
+        const current = file ? file.content : '';
+        
+        if (Buffer.isBuffer(revision.content) || Buffer.isBuffer(current)) {
+          compare.error = 'Binary files can\'t be diffed';
+        } else if (revision.size > MAX_DIFF_SIZE || (file && file.size > MAX_DIFF_SIZE)) {
+          compare.error = 'File too large to diff (1MB max)';
+        } else {
+          compare.lines = buildLineDiff(revision.content || '', current || '');
+        }
+      }
+    }
+    
+    res.render("file-history.njk", {
       site: site,
-      files: files,
-      indexFile: indexFile,
-      totalSize: totalSize,
-      title: site.title
+      path: path,
+      file: file,
+      revisions: revisions,
+      compare: compare,
+      historyDays: Site.HISTORY_DAYS,
+      title: `History of ${path}`
     });
     
   } catch (err) {
-    console.error('View site error:', err);
-    req.flash('error', 'Failed to load site');
+    console.error('File history error:', err);
+    req.flash('error', 'Failed to load file history');
     res.redirect('/dashboard');
   }
 });
 
-// ============================================================
-// CREATE SITE
-// ============================================================
-router.post("/create-site", requireAuth, async (req, res) => {
+router.post("/site/:slug/history/:revisionId/restore", requireAuth, async (req, res) => {
   try {
-    const { slug, title } = req.body;
+    const sites = await Site.findByOwner(req.session.userId);
+    const site = sites.find(s => s.slug === req.params.slug);
     
-    const slugValidation = validateSlug(slug);
-    if (!slugValidation.valid) {
-      req.flash('error', slugValidation.error);
+    if (!site) {
+      req.flash('error', 'Site not found');
       return res.redirect('/dashboard');
     }
     
-    const titleValidation = validateTitle(title);
-    if (!titleValidation.valid) {
-      req.flash('error', titleValidation.error);
+    const revision = await Site.getRevision(site.id, parseInt(req.params.revisionId, 10));
+    if (!revision) {
+      req.flash('error', 'That version is no longer in the history');
+      return res.redirect(`/dashboard/site/${site.slug}`);
+    }
+    
+    const historyUrl = `/dashboard/site/${site.slug}/history?path=${encodeURIComponent(revision.path)}`;
+    
+    // Restoring counts against the quota like any other save. The live
+    // version goes into the history, so a restore can be undone too.
+    try {
+      await withinQuota(site, { files: [{ path: revision.path, size: revision.size }] }, (client) =>
+        workspace(site).saveFile({
+          siteId: site.id,
+          path: revision.path,
+          content: revision.content,
+          mimeType: revision.mime_type
+        }, client)
+      );
+    } catch (err) {
+      if (!(err instanceof QuotaError)) throw err;
+      req.flash('error', err.message);
+      return res.redirect(historyUrl);
+    }
+    
+    await emitFileEvent(res.locals.user.username, 'file.saved', site, [revision.path]);
+    
+    const where = site.draft_started_at ? ' in the draft' : '';
+    req.flash('success', `Restored "${revision.path}"${where} to the version from ${revision.saved_at.toLocaleString()}`);
+    res.redirect(historyUrl);
+    
+  } catch (err) {
+    console.error('Restore revision error:', err);
+    req.flash('error', 'Failed to restore file');
+    res.redirect('/dashboard');
+  }
+});
+
+// Put the whole site back the way it was at a given moment: files are
+// restored, files created since are removed. The changes are themselves
+// recorded as revisions.
+router.post("/site/:slug/restore", requireAuth, async (req, res) => {
+  try {
+    const sites = await Site.findByOwner(req.session.userId);
+    const site = sites.find(s => s.slug === req.params.slug);
+    
+    if (!site) {
+      req.flash('error', 'Site not found');
       return res.redirect('/dashboard');
     }
     
-    await Site.create({
-      ownerId: req.session.userId,
-      slug: slug.toLowerCase().trim(),
-      title: title.trim()
-    });
+    if (site.draft_started_at) {
+      req.flash('error', 'Publish or discard the open draft before restoring the whole site');
+      return res.redirect(`/dashboard/site/${site.slug}`);
+    }
     
-    req.flash('success', `Site "${title}" created successfully!`);
+    // The form's datetime-local value has no zone, so it's read in the
+    // server's, the one the dashboard shows times in
+    const at = new Date(req.body.at);
+    const oldest = Date.now() - Site.HISTORY_DAYS * 24 * 60 * 60 * 1000;
+    if (isNaN(at.getTime()) || at.getTime() > Date.now()) {
+      req.flash('error', 'Pick a moment in the past to restore');
+      return res.redirect(`/dashboard/site/${site.slug}`);
+    }
+    if (at.getTime() < oldest) {
+      req.flash('error', `History only goes back ${Site.HISTORY_DAYS} days`);
+      return res.redirect(`/dashboard/site/${site.slug}`);
+    }
+    
+    const snapshot = await Site.getSnapshot(site.id, at);
+    const wanted = new Map(snapshot.files.map(f => [f.path, f]));
+    const current = await Site.listFileSizes(site.id);
+    const currentHashes = new Map(current.map(f => [f.path, f.content_hash]));
+    
+    // Expired files stay as they are now
+    const toRestore = snapshot.files.filter(file =>
+      file.revision_id && currentHashes.get(file.path) !== file.content_hash);
+    const toRemove = current.filter(file =>
+      !wanted.has(file.path) && !snapshot.expired.includes(file.path));
+    
+    const changes = {
+      files: toRestore.map(f => ({ path: f.path, size: f.size })),
+      removed: toRemove.map(f => f.path)
+    };
+    
+    try {
+      await withinQuota(site, changes, async (client) => {
+        for (const file of toRestore) {
+          const revision = await Site.getRevision(site.id, file.revision_id);
+          await Site.saveFile({
+            siteId: site.id,
+            path: revision.path,
+            content: revision.content,
+            mimeType: revision.mime_type
+          }, client);
+        }
+        
+        for (const file of toRemove) {
+          await Site.deleteFile(site.id, file.path, client);
+        }
+      });
+    } catch (err) {
+      if (!(err instanceof QuotaError)) throw err;
+      req.flash('error', fileErrorMessage(err));
+      return res.redirect(`/dashboard/site/${site.slug}`);
+    }
+    
+    await emitFileEvent(res.locals.user.username, 'file.saved', site, toRestore.map(f => f.path));
+    await emitFileEvent(res.locals.user.username, 'file.deleted', site, toRemove.map(f => f.path));
+    
+    let message = `Restored the site as of ${at.toLocaleString()}: ${toRestore.length} file(s) restored, ${toRemove.length} removed`;
+    if (snapshot.expired.length > 0) {
+      message += `. Older versions of ${snapshot.expired.join(', ')} have expired and were left as they are`;
+    }
+    req.flash('success', message);
+    res.redirect(`/dashboard/site/${site.slug}`);
+    
+  } catch (err) {
+    console.error('Restore site error:', err);
+    req.flash('error', 'Failed to restore site');
+    res.redirect('/dashboard');
+  }
+});
+
+// ============================================================
+// GUESTBOOK (signed at /guestbook/:username/:slug)
+// ============================================================
+const GUESTBOOK_STATUSES = ['pending', 'approved', 'hidden'];
+
+async function findOwnSite(req, res) {
+  const sites = await Site.findByOwner(req.session.userId);
+  const site = sites.find(s => s.slug === req.params.slug);
+  if (!site) {
+    req.flash('error', 'Site not found');
     res.redirect('/dashboard');
+  }
+  return site;
+}
+
+// ?status= shows one kind of entry; otherwise all, pending first
+router.get("/site/:slug/guestbook", requireAuth, async (req, res) => {
+  try {
+    const site = await findOwnSite(req, res);
+    if (!site) return;
     
+    const status = GUESTBOOK_STATUSES.includes(req.query.status) ? req.query.status : null;
+    const guestbookPath = `/guestbook/${res.locals.user.username}/${site.slug}`;
+    res.render("guestbook-moderate.njk", {
+      site: site,
+      entries: await Guestbook.listForOwner(site.id, { status: status }),
+      counts: await Guestbook.countByStatus(site.id),
+      status: status,
+      statuses: GUESTBOOK_STATUSES,
+      guestbookPath: guestbookPath,
+      guestbookUrl: `${req.protocol}://${req.get('host')}${guestbookPath}`,
+      embeddedLimit: Guestbook.EMBEDDED_POSTS_PER_HOUR,
+      title: `Guestbook of ${site.title}`
+    });
   } catch (err) {
-    console.error('Create site error:', err);
+    console.error('Guestbook page error:', err);
+    req.flash('error', 'Failed to load guestbook');
+    res.redirect('/dashboard');
+  }
+});
+
+router.post("/site/:slug/guestbook", requireAuth, async (req, res) => {
+  try {
+    const site = await findOwnSite(req, res);
+    if (!site) return;
     
-    if (err.code === '23505') {
-      req.flash('error', 'You already have a site with this slug');
+    const blockedWords = parseWordList(req.body.blockedWords);
+    const wordsValidation = validateWordList(blockedWords);
+    if (!wordsValidation.valid) {
+      req.flash('error', wordsValidation.error);
+      return res.redirect(`/dashboard/site/${site.slug}/guestbook`);
+    }
+    
+    await Guestbook.updateSettings(site.id, {
+      enabled: req.body.enabled === 'on',
+      moderated: req.body.moderated === 'on',
+      blockedWords: blockedWords
+    });
+    
+    req.flash('success', 'Guestbook settings saved');
+    res.redirect(`/dashboard/site/${site.slug}/guestbook`);
+  } catch (err) {
+    console.error('Guestbook settings error:', err);
+    req.flash('error', 'Failed to save guestbook settings');
+    res.redirect('/dashboard');
+  }
+});
+
+// Keep the moderation page's ?status= filter across a form post
+function queryStatus(status) {
+  return GUESTBOOK_STATUSES.includes(status) ? `?status=${status}` : '';
+}
+
+// Approve, hide or delete an entry
+router.post("/site/:slug/guestbook/:entryId/:action(approve|hide|delete)", requireAuth, async (req, res) => {
+  try {
+    const site = await findOwnSite(req, res);
+    if (!site) return;
+    
+    const entryId = parseInt(req.params.entryId, 10);
+    const done = req.params.action === 'delete'
+      ? await Guestbook.delete(site.id, entryId)
+      : await Guestbook.setStatus(site.id, entryId, req.params.action === 'approve' ? 'approved' : 'hidden');
+    
+    if (done) {
+      req.flash('success', {
+        approve: 'Entry approved',
+        hide: 'Entry hidden',
+        delete: 'Entry deleted'
+      }[req.params.action]);
     } else {
-      req.flash('error', 'Failed to create site');
+      req.flash('error', 'Entry not found');
+    }
+    res.redirect(`/dashboard/site/${site.slug}/guestbook` + queryStatus(req.body.status));
+  } catch (err) {
+    console.error('Guestbook moderation error:', err);
+    req.flash('error', 'Failed to update entry');
+    res.redirect('/dashboard');
+  }
+});
+
+router.post("/report-guestbook-entry/:entryId", requireAuth, async (req, res) => {
+  try {
+    const entry = await Guestbook.findById(parseInt(req.params.entryId, 10));
+    if (!entry || entry.status !== 'approved') {
+      req.flash('error', 'Entry not found');
+      return res.redirect('/dashboard');
+    }
+    
+    const back = `/guestbook/${entry.owner_username}/${entry.site_slug}`;
+    if (entry.owner_id === req.session.userId) {
+      req.flash('error', 'This is your guestbook: hide or delete the entry from your dashboard');
+      return res.redirect(back);
     }
     
+    const reason = String(req.body.reason || '').trim().slice(0, 500);
+    if (await Guestbook.report(entry.id, req.session.userId, reason || null)) {
+      req.flash('success', 'Thanks for the report. The site owner will take a look.');
+    } else {
+      req.flash('error', 'You already reported that entry');
+    }
+    res.redirect(back);
+  } catch (err) {
+    console.error('Report guestbook entry error:', err);
+    req.flash('error', 'Failed to report entry');
     res.redirect('/dashboard');
   }
 });
 
 // ============================================================
-// UPLOAD FILE (Text Content)
+// CUSTOM DOMAINS
 // ============================================================
-router.post("/upload-file/:siteId", requireAuth, async (req, res) => {
+router.post("/add-domain/:siteId", requireAuth, async (req, res) => {
   try {
     const siteId = parseInt(req.params.siteId, 10);
-    const { path, content, mimeType } = req.body;
+    const hostname = normalizeHostname(req.body.hostname);
     
     const site = await Site.findById(siteId);
     if (!site) {
@@ -187,128 +2009,96 @@ router.post("/upload-file/:siteId", requireAuth, async (req, res) => {
     }
     
     if (site.owner_id !== req.session.userId) {
-      req.flash('error', 'You do not have permission to upload files to this site');
+      req.flash('error', 'You do not have permission to add domains to this site');
       return res.redirect('/dashboard');
     }
     
-    if (!path || typeof path !== 'string' || path.trim().length === 0) {
-      req.flash('error', 'File path is required');
-      return res.redirect(`/dashboard/site/${site.slug}`);
-    }
-    
-    if (!/^[a-zA-Z0-9._/-]+$/.test(path)) {
-      req.flash('error', 'Invalid file path');
+    const hostnameValidation = validateHostname(hostname, [req.hostname]);
+    if (!hostnameValidation.valid) {
+      req.flash('error', hostnameValidation.error);
       return res.redirect(`/dashboard/site/${site.slug}`);
     }
     
-    if (!content || typeof content !== 'string' || content.trim().length === 0) {
-      req.flash('error', 'File content is required');
+    await Domain.deleteExpired(PENDING_DAYS);
+    if (await Domain.findVerifiedByHostname(hostname)) {
+      req.flash('error', 'That domain is already attached to a site');
       return res.redirect(`/dashboard/site/${site.slug}`);
     }
     
-    // Check total site size (10MB limit per site)
-    const currentSize = await Site.getSiteTotalSize(siteId);
-    if (currentSize + content.length > 10 * 1024 * 1024) {
-      req.flash('error', 'Site storage limit exceeded (10MB max)');
+    if (await Domain.countBySite(siteId) >= 5) {
+      req.flash('error', 'A site can have at most 5 custom domains');
       return res.redirect(`/dashboard/site/${site.slug}`);
     }
     
-    await Site.saveFile({
+    await Domain.create({
       siteId: siteId,
-      path: path.trim(),
-      content: content,
-      mimeType: mimeType || 'text/plain',
-      size: content.length
+      hostname: hostname,
+      verificationToken: generateToken()
     });
     
-    req.flash('success', `File "${path}" uploaded successfully!`);
+    req.flash('success', `Domain "${hostname}" added. Verify it to start serving your site there.`);
     res.redirect(`/dashboard/site/${site.slug}`);
     
   } catch (err) {
-    console.error('Upload file error:', err);
-    req.flash('error', 'Failed to upload file');
+    console.error('Add domain error:', err);
+    
+    if (err.code === '23505') {
+      req.flash('error', 'That domain is already attached to this site');
+    } else {
+      req.flash('error', 'Failed to add domain');
+    }
+    
     res.redirect('/dashboard');
   }
 });
 
-// ============================================================
-// UPLOAD BINARY FILE (API endpoint for drag-and-drop)
-// ============================================================
-router.post("/upload-binary/:siteId", requireAuth, async (req, res) => {
+router.post("/verify-domain/:siteId/:domainId", requireAuth, async (req, res) => {
   try {
     const siteId = parseInt(req.params.siteId, 10);
+    const domainId = parseInt(req.params.domainId, 10);
     
     const site = await Site.findById(siteId);
     if (!site) {
-      return res.status(404).json({ error: 'Site not found' });
+      req.flash('error', 'Site not found');
+      return res.redirect('/dashboard');
     }
     
     if (site.owner_id !== req.session.userId) {
-      return res.status(403).json({ error: 'Permission denied' });
+      req.flash('error', 'You do not have permission to verify domains for this site');
+      return res.redirect('/dashboard');
     }
     
-    // Get raw body as buffer
-    const chunks = [];
-    req.on('data', chunk => chunks.push(chunk));
-    req.on('end', async () => {
-      try {
-        const buffer = Buffer.concat(chunks);
-        const filename = req.headers['x-filename'] || 'unnamed.txt';
-        const mimeType = req.headers['content-type'] || getMimeType(filename);
-        
-        // Validate filename
-        if (!/^[a-zA-Z0-9._/-]+$/.test(filename)) {
-          return res.status(400).json({ error: 'Invalid filename' });
-        }
-        
-        // Check size (5MB per file)
-        if (buffer.length > 5 * 1024 * 1024) {
-          return res.status(400).json({ error: 'File too large (5MB max)' });
-        }
-        
-        // Check total site size
-        const currentSize = await Site.getSiteTotalSize(siteId);
-        if (currentSize + buffer.length > 10 * 1024 * 1024) {
-          return res.status(400).json({ error: 'Site storage limit exceeded (10MB max)' });
-        }
-        
-        // Convert binary to base64 for text storage
-        const content = buffer.toString('base64');
-        
-        await Site.saveFile({
-          siteId: siteId,
-          path: filename,
-          content: content,
-          mimeType: mimeType,
-          size: buffer.length
-        });
-        
-        res.json({ 
-          success: true, 
-          filename: filename,
-          size: buffer.length,
-          message: `File "${filename}" uploaded successfully!`
-        });
-        
-      } catch (err) {
-        console.error('Binary upload error:', err);
-        res.status(500).json({ error: 'Failed to upload file' });
-      }
-    });
+    const domain = await Domain.findById(domainId);
+    if (!domain || domain.site_id !== siteId) {
+      req.flash('error', 'Domain not found');
+      return res.redirect(`/dashboard/site/${site.slug}`);
+    }
+    
+    if (!validateHostname(domain.hostname, [req.hostname]).valid) {
+      req.flash('error', 'That domain belongs to Gerudo');
+      return res.redirect(`/dashboard/site/${site.slug}`);
+    }
+    
+    const result = await verifyDomain(domain, req.body.method === 'dns' ? 'dns' : 'http');
+    if (!result.verified) {
+      req.flash('error', `Could not verify ${domain.hostname}: ${result.error}`);
+      return res.redirect(`/dashboard/site/${site.slug}`);
+    }
+    
+    req.flash('success', `Domain "${domain.hostname}" verified!`);
+    res.redirect(`/dashboard/site/${site.slug}`);
     
   } catch (err) {
-    console.error('Upload binary error:', err);
-    res.status(500).json({ error: 'Failed to upload file' });
+    console.error('Verify domain error:', err);
+    req.flash('error', 'Failed to verify domain');
+    res.redirect('/dashboard');
   }
 });
 
-// ============================================================
-// DELETE FILE
-// ============================================================
-router.post("/delete-file/:siteId/:fileId", requireAuth, async (req, res) => {
+router.post("/delete-domain/:siteId/:domainId", requireAuth, async (req, res) => {
   try {
     const siteId = parseInt(req.params.siteId, 10);
-    const fileId = parseInt(req.params.fileId, 10);
+    const domainId = parseInt(req.params.domainId, 10);
     
     const site = await Site.findById(siteId);
     if (!site) {
@@ -317,26 +2107,25 @@ router.post("/delete-file/:siteId/:fileId", requireAuth, async (req, res) => {
     }
     
     if (site.owner_id !== req.session.userId) {
-      req.flash('error', 'You do not have permission to delete files from this site');
+      req.flash('error', 'You do not have permission to remove domains from this site');
       return res.redirect('/dashboard');
     }
     
-    const files = await Site.listFiles(siteId);
-    const file = files.find(f => f.id === fileId);
-    
-    if (!file) {
-      req.flash('error', 'File not found');
+    const domain = await Domain.findById(domainId);
+    if (!domain || domain.site_id !== siteId) {
+      req.flash('error', 'Domain not found');
       return res.redirect(`/dashboard/site/${site.slug}`);
     }
     
-    await Site.deleteFile(siteId, file.path);
+    await Domain.delete(domainId);
+    forgetDomain(domain.hostname);
     
-    req.flash('success', `File "${file.path}" deleted successfully`);
+    req.flash('success', `Domain "${domain.hostname}" removed`);
     res.redirect(`/dashboard/site/${site.slug}`);
     
   } catch (err) {
-    console.error('Delete file error:', err);
-    req.flash('error', 'Failed to delete file');
+    console.error('Delete domain error:', err);
+    req.flash('error', 'Failed to remove domain');
     res.redirect('/dashboard');
   }
 });
@@ -361,6 +2150,7 @@ router.get("/edit-site/:id", requireAuth, async (req, res) => {
     
     res.render("edit-site.njk", {
       site: site,
+      tags: await Site.listTags(siteId),
       title: `Edit ${site.title}`
     });
     
@@ -377,7 +2167,8 @@ router.get("/edit-site/:id", requireAuth, async (req, res) => {
 router.post("/update-site/:id", requireAuth, async (req, res) => {
   try {
     const siteId = parseInt(req.params.id, 10);
-    const { slug, title } = req.body;
+    const { slug, title, cleanUrls } = req.body;
+    const onionLocation = (req.body.onionLocation || '').trim().toLowerCase();
     
     const site = await Site.findById(siteId);
     if (!site) {
@@ -402,11 +2193,29 @@ router.post("/update-site/:id", requireAuth, async (req, res) => {
       return res.redirect(`/dashboard/edit-site/${siteId}`);
     }
     
-    await Site.update({
+    const onionValidation = validateOnionLocation(onionLocation);
+    if (!onionValidation.valid) {
+      req.flash('error', onionValidation.error);
+      return res.redirect(`/dashboard/edit-site/${siteId}`);
+    }
+    
+    const tags = parseTags(req.body.tags);
+    const tagsValidation = validateTags(tags);
+    if (!tagsValidation.valid) {
+      req.flash('error', tagsValidation.error);
+      return res.redirect(`/dashboard/edit-site/${siteId}`);
+    }
+    
+    const updated = await Site.update({
       id: siteId,
       slug: slug.toLowerCase().trim(),
-      title: title.trim()
+      title: title.trim(),
+      cleanUrls: cleanUrls === 'on',
+      onionLocation: onionLocation || null,
+      searchable: req.body.searchable === 'on'
     });
+    await Site.setTags(siteId, tags);
+    await emitSiteEvent(res.locals.user.username, 'site.updated', updated, { previous_slug: site.slug });
     
     req.flash('success', 'Site updated successfully!');
     res.redirect('/dashboard');
@@ -443,6 +2252,8 @@ router.post("/delete-site/:id", requireAuth, async (req, res) => {
     }
     
     await Site.delete(siteId);
+    removeRepo(siteId);
+    await emitSiteEvent(res.locals.user.username, 'site.deleted', site);
     
     req.flash('success', `Site "${site.title}" deleted successfully`);
     res.redirect('/dashboard');
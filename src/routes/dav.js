@@ -0,0 +1,463 @@
+// routes/dav.js - WebDAV, mounted at /dav, for mounting sites as drives
+//
+// /dav/ lists the sites an API key can reach and /dav/<slug>/ is one site,
+// its open draft if it has one, like everywhere else files are edited.
+// Folders are the ones the file manager shows: implied by file paths, or
+// made empty with MKCOL. Writes go through lib/site-files, so the path
+// rules and plan limits are the dashboard's.
+//
+// Clients log in with Basic auth, any username and an API key as the
+// password (see middleware/api-auth). Locks are not enforced: LOCK hands
+// out a token so clients that insist on locking before they save (Finder,
+// Windows, office suites) can, and the last write wins as it does in the
+// dashboard.
+const crypto = require("crypto");
+const express = require("express");
+const router = express.Router();
+const Site = require("../models/Site");
+const { resolveMimeType } = require("../lib/mime");
+const { readRawBody } = require("../lib/uploads");
+const { QuotaError, getUsage, formatBytes } = require("../lib/quota");
+const { parentFolders, listFolderPaths } = require("../lib/file-tree");
+const { validateFilePath } = require("../lib/validation");
+const { parseDestination } = require("../lib/dav-destination");
+const {
+  FileError,
+  workspace,
+  saveSiteFile,
+  moveSitePath,
+  copySitePath,
+  deleteSitePath,
+} = require("../lib/site-files");
+const { emitFileEvent } = require("../lib/events");
+const { authenticateBasicKey } = require("../middleware/api-auth");
+
+const ALLOWED_METHODS = 'OPTIONS, GET, HEAD, PUT, DELETE, PROPFIND, MKCOL, MOVE, COPY, LOCK, UNLOCK';
+const LOCK_SECONDS = 3600;
+
+// A request WebDAV has a status for; the message goes back as plain text
+class DavError extends Error {
+  constructor(status, message) {
+    super(message);
+    this.status = status;
+  }
+}
+
+// ============================================================
+// HELPERS
+// ============================================================
+function escapeXml(value) {
+  return String(value).replace(/[<>&'"]/g, c => ({
+    '<': '&lt;', '>': '&gt;', '&': '&amp;', "'": '&apos;', '"': '&quot;'
+  })[c]);
+}
+
+function parentOf(path) {
+  return path.includes('/') ? path.slice(0, path.lastIndexOf('/')) : '';
+}
+
+function href(req, slug, path, folder) {
+  const segments = [slug, ...(path ? path.split('/') : [])].map(encodeURIComponent);
+  return `${req.baseUrl}/${segments.join('/')}${folder ? '/' : ''}`;
+}
+
+// The path inside the site, without slashes at either end
+function sitePath(req) {
+  return (req.params[0] || '').replace(/^\/+|\/+$/g, '');
+}
+
+async function findSite(req) {
+  const sites = await Site.findByOwner(req.apiKey.user_id);
+  const site = sites.find(s => s.slug === req.params.slug);
+  if (!site || (req.apiKey.site_id && site.id !== req.apiKey.site_id)) {
+    throw new DavError(404, 'Site not found');
+  }
+  return site;
+}
+
+// Everything in the site: { files, folders } with folders a Set of paths
+async function loadTree(site) {
+  const files = await workspace(site).listFileSizes(site.id);
+  const folders = listFolderPaths(files, await Site.listFolders(site.id));
+  return { files, folders };
+}
+
+function requireWriteAccess(req, res, next) {
+  if (req.apiKey.read_only) {
+    return next(new DavError(403, 'This API key is read-only'));
+  }
+  next();
+}
+
+// The Destination header of MOVE and COPY, as a path inside the same site
+function destinationPath(req, site) {
+  const destination = parseDestination(req.get('destination'), req.baseUrl + '/');
+  if (destination.error) {
+    throw new DavError(destination.status, destination.error);
+  }
+  if (destination.slug !== site.slug) {
+    throw new DavError(403, 'Files can only be moved or copied within one site');
+  }
+  return destination.path;
+}
+
+// One <D:response> with the properties of a file or folder
+function propResponse(target, props) {
+  const resourcetype = props.folder ? '<D:collection/>' : '';
+  const lines = [
+    `<D:displayname>${escapeXml(props.name)}</D:displayname>`,
+    `<D:resourcetype>${resourcetype}</D:resourcetype>`,
+    '<D:supportedlock><D:lockentry><D:lockscope><D:exclusive/></D:lockscope>' +
+      '<D:locktype><D:write/></D:locktype></D:lockentry></D:supportedlock>',
+  ];
+  if (props.modified) {
+    lines.push(`<D:getlastmodified>${new Date(props.modified).toUTCString()}</D:getlastmodified>`);
+  }
+  if (!props.folder) {
+    lines.push(`<D:getcontentlength>${props.size}</D:getcontentlength>`);
+    lines.push(`<D:getcontenttype>${escapeXml(props.mimeType || 'application/octet-stream')}</D:getcontenttype>`);
+    lines.push(`<D:getetag>"${escapeXml(props.etag)}"</D:getetag>`);
+  }
+
+  return `<D:response><D:href>${escapeXml(target)}</D:href><D:propstat><D:prop>` +
+    lines.join('') +
+    '</D:prop><D:status>HTTP/1.1 200 OK</D:status></D:propstat></D:response>';
+}
+
+function sendMultistatus(res, responses) {
+  res.status(207);
+  res.set('Content-Type', 'application/xml; charset=utf-8');
+  res.send('<?xml version="1.0" encoding="utf-8"?>\n' +
+    `<D:multistatus xmlns:D="DAV:">${responses.join('')}</D:multistatus>`);
+}
+
+// PROPFIND's Depth header: 0, 1 or (the default) infinity
+function depthOf(req) {
+  const depth = (req.get('depth') || 'infinity').toLowerCase();
+  return depth === '0' || depth === '1' ? Number(depth) : Infinity;
+}
+
+// ============================================================
+// AUTHENTICATION
+// ============================================================
+// OPTIONS is how clients find out this is WebDAV, before they log in. It
+// carries no CORS headers, so a browser's preflight from another site fails.
+router.options("*", (req, res) => {
+  res.set({ DAV: '1, 2', Allow: ALLOWED_METHODS, 'MS-Author-Via': 'DAV' });
+  res.status(200).end();
+});
+
+router.use(async (req, res, next) => {
+  try {
+    if (!(await authenticateBasicKey(req))) {
+      res.set('WWW-Authenticate', 'Basic realm="Gerudo WebDAV", charset="UTF-8"');
+      return res.status(401).type('text/plain').send('Log in with any username and an API key as the password');
+    }
+    next();
+  } catch (err) {
+    next(err);
+  }
+});
+
+// ============================================================
+// SITES (the top folder)
+// ============================================================
+router.propfind("/", async (req, res, next) => {
+  try {
+    req.resume();
+    const sites = (await Site.findByOwner(req.apiKey.user_id))
+      .filter(site => !req.apiKey.site_id || site.id === req.apiKey.site_id);
+
+    const responses = [propResponse(`${req.baseUrl}/`, { folder: true, name: req.apiKey.username })];
+    if (depthOf(req) > 0) {
+      for (const site of sites) {
+        responses.push(propResponse(href(req, site.slug, '', true), {
+          folder: true,
+          name: site.slug,
+          modified: site.updated_at
+        }));
+      }
+    }
+    sendMultistatus(res, responses);
+  } catch (err) {
+    next(err);
+  }
+});
+
+// ============================================================
+// FILES AND FOLDERS
+// ============================================================
+const SITE_PATHS = ["/:slug", "/:slug/*"];
+
+router.propfind(SITE_PATHS, async (req, res, next) => {
+  try {
+    req.resume();
+    const site = await findSite(req);
+    const path = sitePath(req);
+    const { files, folders } = await loadTree(site);
+    const depth = depthOf(req);
+
+    const file = files.find(f => f.path === path);
+    if (!file && path && !folders.has(path)) {
+      throw new DavError(404, 'Not found');
+    }
+
+    const fileProps = (f) => propResponse(href(req, site.slug, f.path, false), {
+      name: f.path.split('/').pop(),
+      size: f.size,
+      mimeType: f.mime_type,
+      etag: f.content_hash,
+      modified: f.updated_at
+    });
+    const folderProps = (folder) => propResponse(href(req, site.slug, folder, true), {
+      folder: true,
+      name: folder ? folder.split('/').pop() : site.slug,
+      modified: site.updated_at
+    });
+
+    if (file) {
+      return sendMultistatus(res, [fileProps(file)]);
+    }
+
+    // Below this folder, down to the requested depth
+    const level = path ? path.split('/').length : 0;
+    const within = (p) => (!path || p.startsWith(path + '/')) && p.split('/').length - level <= depth;
+
+    sendMultistatus(res, [
+      folderProps(path),
+      ...[...folders].sort().filter(within).map(folderProps),
+      ...files.filter(f => within(f.path)).map(fileProps)
+    ]);
+  } catch (err) {
+    next(err);
+  }
+});
+
+router.get(SITE_PATHS, async (req, res, next) => {
+  try {
+    const site = await findSite(req);
+    const path = sitePath(req);
+    const file = path && await workspace(site).getFile(site.id, path);
+
+    if (!file) {
+      const { folders } = await loadTree(site);
+      if (!path || folders.has(path)) {
+        res.set('Allow', ALLOWED_METHODS);
+        throw new DavError(405, 'This is a folder; list it with PROPFIND');
+      }
+      throw new DavError(404, 'Not found');
+    }
+
+    res.set('Content-Type', file.mime_type || 'application/octet-stream');
+    res.set('ETag', `"${file.content_hash}"`);
+    res.set('Last-Modified', new Date(file.updated_at).toUTCString());
+    res.send(Site.fileBuffer(file));
+  } catch (err) {
+    next(err);
+  }
+});
+
+router.put(SITE_PATHS, requireWriteAccess, async (req, res, next) => {
+  try {
+    const site = await findSite(req);
+    const path = sitePath(req);
+    const { files, folders } = await loadTree(site);
+
+    if (!path || folders.has(path)) {
+      throw new DavError(405, 'A folder cannot be overwritten with a file');
+    }
+    if (parentFolders(path).some(parent => files.some(f => f.path === parent))) {
+      throw new DavError(409, `A file is in the way of "${path}"`);
+    }
+
+    const { plan } = await getUsage(site.owner_id);
+    const content = await readRawBody(req, plan.max_file_size);
+    if (!content) {
+      res.set('Connection', 'close');
+      throw new DavError(413, `File too large (${formatBytes(plan.max_file_size)} max)`);
+    }
+
+    const existed = files.some(f => f.path === path);
+    const file = await saveSiteFile(site, {
+      path: path,
+      content: content,
+      mimeType: resolveMimeType(path, req.get('content-type'))
+    });
+
+    await emitFileEvent(req.apiKey.username, 'file.saved', site, [file.path]);
+    res.set('ETag', `"${file.content_hash}"`);
+    res.status(existed ? 204 : 201).end();
+  } catch (err) {
+    next(err);
+  }
+});
+
+router.delete(SITE_PATHS, requireWriteAccess, async (req, res, next) => {
+  try {
+    const site = await findSite(req);
+    const path = sitePath(req);
+
+    if (!path) {
+      throw new DavError(403, 'Sites can only be deleted from the dashboard');
+    }
+
+    const deleted = await deleteSitePath(site, path);
+    await emitFileEvent(req.apiKey.username, 'file.deleted', site, deleted);
+    res.status(204).end();
+  } catch (err) {
+    next(err);
+  }
+});
+
+router.mkcol(SITE_PATHS, requireWriteAccess, async (req, res, next) => {
+  try {
+    const site = await findSite(req);
+    const path = sitePath(req);
+
+    if (Number(req.get('content-length') || 0) > 0 || req.get('transfer-encoding')) {
+      throw new DavError(415, 'MKCOL takes no request body');
+    }
+
+    const { files, folders } = await loadTree(site);
+    if (!path || folders.has(path) || files.some(f => f.path === path)) {
+      throw new DavError(405, `"${path || site.slug}" already exists`);
+    }
+    // The folder it goes in has to exist already
+    const parent = parentOf(path);
+    if (parent && !folders.has(parent)) {
+      throw new DavError(409, `Folder "${parent}" does not exist`);
+    }
+
+    const pathValidation = validateFilePath(path);
+    if (!pathValidation.valid) {
+      throw new DavError(400, pathValidation.error);
+    }
+
+    await Site.createFolder(site.id, path);
+    res.status(201).end();
+  } catch (err) {
+    next(err);
+  }
+});
+
+// MOVE and COPY, within one site. "Overwrite: F" refuses to replace
+// what's at the destination.
+function transfer(copy) {
+  return async (req, res, next) => {
+    try {
+      req.resume();
+      const site = await findSite(req);
+      const from = sitePath(req);
+      const to = destinationPath(req, site);
+
+      if (!from || !to) {
+        throw new DavError(403, 'The site folder itself cannot be moved or copied');
+      }
+
+      const options = { overwrite: (req.get('overwrite') || 'T').toUpperCase() !== 'F' };
+      const result = copy
+        ? await copySitePath(site, from, to, options)
+        : await moveSitePath(site, from, to, options);
+
+      if (!result) {
+        throw new DavError(403, 'Source and destination are the same');
+      }
+      await emitFileEvent(req.apiKey.username, 'file.saved', site, result.saved);
+      await emitFileEvent(req.apiKey.username, 'file.deleted', site, result.removed);
+      res.status(result.replaced ? 204 : 201).end();
+    } catch (err) {
+      // Without Overwrite the RFC wants 412 for an existing destination
+      if (err instanceof FileError && err.status === 409 && req.get('overwrite') === 'F') {
+        return next(new DavError(412, err.message));
+      }
+      next(err);
+    }
+  };
+}
+
+router.move(SITE_PATHS, requireWriteAccess, transfer(false));
+router.copy(SITE_PATHS, requireWriteAccess, transfer(true));
+
+// ============================================================
+// LOCKS (advisory, see the top of this file)
+// ============================================================
+router.lock(SITE_PATHS, requireWriteAccess, async (req, res, next) => {
+  try {
+    const site = await findSite(req);
+    const path = sitePath(req);
+    const body = await readRawBody(req, 64 * 1024);
+    const { files, folders } = await loadTree(site);
+    const folder = !path || folders.has(path);
+    const exists = folder || files.some(f => f.path === path);
+
+    // A refresh has no body and names the lock in the If header
+    const refreshed = body && body.length === 0 && /<(opaquelocktoken:[^>]+)>/.exec(req.get('if') || '');
+    const token = refreshed ? refreshed[1] : `opaquelocktoken:${crypto.randomUUID()}`;
+
+    // Locking a path that doesn't exist yet makes an empty file there
+    if (!exists) {
+      await saveSiteFile(site, {
+        path: path,
+        content: Buffer.alloc(0),
+        mimeType: resolveMimeType(path)
+      });
+      await emitFileEvent(req.apiKey.username, 'file.saved', site, [path]);
+    }
+
+    res.set('Lock-Token', `<${token}>`);
+    res.status(exists ? 200 : 201);
+    res.set('Content-Type', 'application/xml; charset=utf-8');
+    res.send('<?xml version="1.0" encoding="utf-8"?>\n' +
+      '<D:prop xmlns:D="DAV:"><D:lockdiscovery><D:activelock>' +
+      '<D:locktype><D:write/></D:locktype><D:lockscope><D:exclusive/></D:lockscope>' +
+      `<D:depth>${folder ? 'infinity' : '0'}</D:depth>` +
+      `<D:timeout>Second-${LOCK_SECONDS}</D:timeout>` +
+      `<D:locktoken><D:href>${escapeXml(token)}</D:href></D:locktoken>` +
+      `<D:lockroot><D:href>${escapeXml(href(req, site.slug, path, folder))}</D:href></D:lockroot>` +
+      '</D:activelock></D:lockdiscovery></D:prop>');
+  } catch (err) {
+    next(err);
+  }
+});
+
+router.unlock(SITE_PATHS, requireWriteAccess, async (req, res, next) => {
+  try {
+    await findSite(req);
+    if (!req.get('lock-token')) {
+      throw new DavError(400, 'Lock-Token header is required');
+    }
+    res.status(204).end();
+  } catch (err) {
+    next(err);
+  }
+});
+
+// ============================================================
+// ERRORS
+// ============================================================
+router.use((req, res) => {
+  res.set('Allow', ALLOWED_METHODS);
+  res.status(405).type('text/plain').send(`${req.method} is not supported here`);
+});
+
+// Plan limits on a single file are refusals (403); running out of space
+// is WebDAV's 507 Insufficient Storage
+router.use((err, req, res, next) => {
+  if (res.headersSent) return next(err);
+
+  let status = 500;
+  let message = 'Something went wrong';
+  if (err instanceof DavError || err instanceof FileError) {
+    status = err.status;
+    message = err.message;
+  } else if (err instanceof QuotaError) {
+    status = err.path ? 403 : 507;
+    message = err.message;
+  } else {
+    console.error('WebDAV error:', err);
+  }
+
+  res.status(status).type('text/plain').send(message);
+});
+
+module.exports = router;
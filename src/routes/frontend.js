@@ -1,6 +1,22 @@
 const express = require("express");
 const router = express.Router();
 const Site = require("../models/Site");
+const Draft = require("../models/Draft");
+const User = require("../models/User");
+const Follow = require("../models/Follow");
+const Like = require("../models/Like");
+const Collection = require("../models/Collection");
+const Guestbook = require("../models/Guestbook");
+const AbuseReport = require("../models/AbuseReport");
+const { CONFIG_FILES } = require("../lib/site-config");
+const { tagUri, sendFeed } = require("../lib/atom");
+const { HIGHLIGHT_START, HIGHLIGHT_END } = require("../lib/search-text");
+const { findBlockedWord } = require("../lib/word-filter");
+const { rateLimiter } = require("../lib/rate-limit");
+const { validateGuestbookEntry, validateAbuseReport } = require("../lib/validation");
+const { serveSitePath, queryString, unavailableReason } = require("../lib/serve-site");
+const { sendSiteFile } = require("../lib/serve-file");
+const { isIsolated, siteUrl } = require("../lib/sites-origin");
 
 // Homepage
 router.get("/", (req, res) => {
@@ -28,62 +44,707 @@ router.get("/about", (req, res) => {
   res.render("about.njk", { title: "About Gerudo" });
 });
 
-// Browse sites page
+// ============================================================
+// HELPERS
+// ============================================================
+// What the like and "add to collection" forms on site cards need: the
+// viewer's likes among these sites, their collections and where to return
+async function siteCardContext(req, sites) {
+  const viewerId = req.session.userId;
+  return {
+    likedIds: viewerId ? await Like.listLikedSiteIds(viewerId, sites.map(site => site.id)) : [],
+    myCollections: viewerId ? await Collection.listByUser(viewerId) : [],
+    back: req.originalUrl
+  };
+}
+
+// A check that lets each visitor post at most `limit` times in `windowMs`,
+// counted by IP address and, when logged in, by account. It returns false
+// instead of counting a post over the limit.
+function postLimiter(limit, windowMs) {
+  const allow = rateLimiter(limit, windowMs);
+  
+  return function allowPost(req) {
+    const keys = [`ip:${req.ip}`];
+    if (req.session.userId) keys.push(`user:${req.session.userId}`);
+    return allow(keys);
+  };
+}
+
+// ============================================================
+// BROWSE
+// ============================================================
+const BROWSE_PAGE_SIZE = 30;
+
+const BROWSE_SORTS = {
+  newest: 'Newest',
+  updated: 'Recently updated',
+  views: 'Most viewed',
+  liked: 'Most liked',
+  followed: 'Most followed',
+};
+
+// Pages after the first are fetched with ?after=, the [sort_value, id] of
+// the previous page's last site as base64url JSON
+function encodeCursor(site) {
+  return Buffer.from(JSON.stringify([site.sort_value, site.id])).toString('base64url');
+}
+
+function decodeCursor(value, sort) {
+  let cursor;
+  try {
+    cursor = JSON.parse(Buffer.from(String(value), 'base64url').toString('utf8'));
+  } catch (err) {
+    return null;
+  }
+  if (!Array.isArray(cursor) || typeof cursor[0] !== 'string' || !Number.isInteger(cursor[1])) {
+    return null;
+  }
+  const validValue = ['views', 'liked', 'followed'].includes(sort)
+    ? /^\d{1,18}$/.test(cursor[0])
+    : !isNaN(Date.parse(cursor[0]));
+  return validValue ? cursor : null;
+}
+
+// /browse with the given filters, leaving out defaults
+function browseUrl({ query, tag, sort, after }) {
+  const params = new URLSearchParams();
+  if (query) params.set('q', query);
+  if (tag) params.set('tag', tag);
+  if (sort && sort !== 'newest') params.set('sort', sort);
+  if (after) params.set('after', after);
+  const search = params.toString();
+  return '/browse' + (search ? '?' + search : '');
+}
+
+// Browse sites page: ?q= searches titles and owners, ?tag= filters,
+// ?sort= orders and ?after= pages. Plain links and a GET form, so it all
+// works without JavaScript.
 router.get("/browse", async (req, res) => {
+  const filters = {
+    query: String(req.query.q || '').trim().slice(0, 100),
+    tag: String(req.query.tag || '').trim().toLowerCase().slice(0, 30),
+    sort: BROWSE_SORTS[req.query.sort] ? req.query.sort : 'newest',
+  };
+  const after = req.query.after ? decodeCursor(req.query.after, filters.sort) : null;
+
+  // Links to /browse with some filters changed, back on the first page
+  const linkTo = (changes = {}) => browseUrl({ ...filters, ...changes });
+
   try {
-    const sites = await Site.findAllPublic(50);
+    const [rows, popularTags] = await Promise.all([
+      Site.browse({
+        tag: filters.tag || null,
+        query: filters.query || null,
+        sort: filters.sort,
+        after: after,
+        limit: BROWSE_PAGE_SIZE + 1
+      }),
+      Site.listPopularTags(20)
+    ]);
+    const sites = rows.slice(0, BROWSE_PAGE_SIZE);
+
     res.render("browse.njk", { 
-      title: "Browse Sites",
-      sites: sites
+      title: filters.tag ? `Sites tagged ${filters.tag}` : "Browse Sites",
+      sites: sites,
+      ...await siteCardContext(req, sites),
+      popularTags: popularTags,
+      filters: filters,
+      sorts: BROWSE_SORTS,
+      linkTo: linkTo,
+      firstPageUrl: after ? linkTo() : null,
+      nextPageUrl: rows.length > BROWSE_PAGE_SIZE
+        ? browseUrl({ ...filters, after: encodeCursor(sites[sites.length - 1]) })
+        : null
     });
   } catch (err) {
     console.error('Browse error:', err);
     res.render("browse.njk", { 
       title: "Browse Sites",
       sites: [],
+      popularTags: [],
+      filters: filters,
+      sorts: BROWSE_SORTS,
+      linkTo: linkTo,
       error: "Failed to load sites"
     });
   }
 });
 
-// View individual site - NEW FORMAT: /~username/sitename
-router.get("/~:username/:slug", async (req, res) => {
+// ============================================================
+// SEARCH (page text, see lib/search-text)
+// ============================================================
+const SEARCH_PAGE_SIZE = 20;
+const SEARCH_MAX_PAGES = 10;
+
+// Where a page is served: index.html at its folder, and without .html on
+// sites with clean URLs
+function pageUrl(hit) {
+  let path = hit.path.replace(/(^|\/)index\.html$/, '$1');
+  if (hit.clean_urls) path = path.replace(/\.html$/, '');
+  return siteUrl(hit.owner_username, hit.slug, encodeURI(path));
+}
+
+// A snippet as [{ text, match }] parts, so the template can escape the
+// text and mark the matches
+function snippetParts(snippet) {
+  const parts = [];
+  snippet.split(HIGHLIGHT_START).forEach((chunk, i) => {
+    const [match, rest] = i === 0 ? [null, chunk] : chunk.split(HIGHLIGHT_END);
+    if (match) parts.push({ text: match, match: true });
+    if (rest) parts.push({ text: rest, match: false });
+  });
+  return parts;
+}
+
+function searchUrl(query, page) {
+  const params = new URLSearchParams({ q: query });
+  if (page > 1) params.set('page', page);
+  return '/search?' + params;
+}
+
+// Search page: ?q= is a web-search style query, ?page= pages through
+router.get("/search", async (req, res) => {
+  const query = String(req.query.q || '').trim().slice(0, 200);
+  const page = Math.min(Math.max(parseInt(req.query.page, 10) || 1, 1), SEARCH_MAX_PAGES);
+
+  if (!query) {
+    return res.render("search.njk", { title: "Search", query: '', results: [] });
+  }
+
   try {
-    const { username, slug } = req.params;
-    const site = await Site.findByUsernameAndSlug(username, slug);
+    const hits = await Site.search(query, {
+      limit: SEARCH_PAGE_SIZE + 1,
+      offset: (page - 1) * SEARCH_PAGE_SIZE
+    });
+    const results = hits.slice(0, SEARCH_PAGE_SIZE).map(hit => ({
+      ...hit,
+      url: pageUrl(hit),
+      snippet: snippetParts(hit.snippet)
+    }));
+
+    res.render("search.njk", {
+      title: `${query} - Search`,
+      query: query,
+      page: page,
+      results: results,
+      previousPageUrl: page > 1 ? searchUrl(query, page - 1) : null,
+      nextPageUrl: hits.length > SEARCH_PAGE_SIZE && page < SEARCH_MAX_PAGES
+        ? searchUrl(query, page + 1)
+        : null
+    });
+  } catch (err) {
+    console.error('Search error:', err);
+    res.render("search.njk", {
+      title: "Search",
+      query: query,
+      results: [],
+      error: "Search failed, please try again"
+    });
+  }
+});
+
+// ============================================================
+// FEEDS (Atom, for feed readers)
+// ============================================================
+const FEED_SIZE = 50;
+
+function absoluteUrl(req, url) {
+  return new URL(url, `${req.protocol}://${req.get('host')}/`).href;
+}
+
+function siteEntry(req, site) {
+  return {
+    id: tagUri(req.hostname, site.created_at, `site-${site.id}`),
+    title: site.title || site.slug,
+    url: absoluteUrl(req, siteUrl(site.owner_username, site.slug)),
+    updated: site.last_updated,
+    published: site.created_at,
+    author: site.owner_username,
+    summary: `/~${site.owner_username}/${site.slug}`
+  };
+}
+
+function latest(dates) {
+  return new Date(Math.max(0, ...dates.map(date => new Date(date).getTime())));
+}
+
+// Recently created or updated sites
+router.get("/browse.atom", async (req, res, next) => {
+  try {
+    const sites = await Site.findRecentlyUpdated({ limit: FEED_SIZE });
+    const entries = sites.map(site => siteEntry(req, site));
+    
+    sendFeed(req, res, {
+      id: absoluteUrl(req, '/browse.atom'),
+      title: 'Recently updated sites on Gerudo',
+      selfUrl: absoluteUrl(req, '/browse.atom'),
+      alternateUrl: absoluteUrl(req, '/browse'),
+      updated: latest(entries.map(entry => entry.updated)),
+      entries: entries
+    });
+  } catch (err) {
+    next(err);
+  }
+});
+
+function sendUserNotFound(req, res) {
+  res.status(404).render("404.njk", {
+    title: "User Not Found",
+    message: `No user named ${req.params.username}`
+  });
+}
+
+// One user's sites
+router.get("/~:username.atom", async (req, res, next) => {
+  try {
+    const user = await User.findByUsername(req.params.username);
+    if (!user) {
+      return sendUserNotFound(req, res);
+    }
+    
+    const sites = await Site.findRecentlyUpdated({ username: user.username, limit: FEED_SIZE });
+    const entries = sites.map(site => siteEntry(req, site));
+    const selfUrl = absoluteUrl(req, `/~${user.username}.atom`);
+    
+    sendFeed(req, res, {
+      id: selfUrl,
+      title: `Sites by ${user.username}`,
+      selfUrl: selfUrl,
+      alternateUrl: absoluteUrl(req, `/~${user.username}`),
+      updated: latest([user.created_at, ...entries.map(entry => entry.updated)]),
+      entries: entries
+    });
+  } catch (err) {
+    next(err);
+  }
+});
+
+// ============================================================
+// PROFILES
+// ============================================================
+const PROFILE_SITES = 100;
+
+// The profile as JSON, for machine consumers; the page itself is an h-card
+router.get("/~:username.json", async (req, res, next) => {
+  try {
+    const profile = await User.findProfile(req.params.username);
+    if (!profile) {
+      return res.status(404).json({ error: `No user named ${req.params.username}` });
+    }
+    
+    const sites = await Site.findRecentlyUpdated({ username: profile.username, limit: PROFILE_SITES });
+    const follows = await Follow.counts(profile.id);
+    const avatarPath = User.avatarPath(profile);
+    
+    res.set('Access-Control-Allow-Origin', '*');
+    res.json({
+      username: profile.username,
+      name: profile.display_name || profile.username,
+      bio: profile.bio,
+      url: absoluteUrl(req, `/~${profile.username}`),
+      avatar_url: avatarPath && absoluteUrl(req, avatarPath),
+      links: profile.links,
+      feed_url: absoluteUrl(req, `/~${profile.username}.atom`),
+      joined_at: profile.created_at,
+      followers: follows.followers,
+      following: follows.following,
+      sites: sites.map(site => ({
+        slug: site.slug,
+        title: site.title,
+        url: absoluteUrl(req, siteUrl(site.owner_username, site.slug)),
+        tags: site.tags,
+        created_at: site.created_at,
+        updated_at: site.last_updated
+      }))
+    });
+  } catch (err) {
+    next(err);
+  }
+});
+
+router.get("/avatars/:username", async (req, res, next) => {
+  try {
+    const user = await User.findByUsername(req.params.username);
+    const avatar = user && !user.suspended_at && await User.getAvatar(user.id);
+    if (!avatar) {
+      return res.status(404).end();
+    }
+    sendSiteFile(req, res, avatar);
+  } catch (err) {
+    next(err);
+  }
+});
+
+router.get("/~:username", async (req, res, next) => {
+  try {
+    const profile = await User.findProfile(req.params.username);
+    if (!profile) {
+      return sendUserNotFound(req, res);
+    }
+    
+    const viewerId = req.session.userId;
+    const sites = await Site.findRecentlyUpdated({ username: profile.username, limit: PROFILE_SITES });
+    res.render("profile.njk", {
+      profile: profile,
+      sites: sites,
+      ...await siteCardContext(req, sites),
+      collections: await Collection.listByUser(profile.id, { publicOnly: viewerId !== profile.id }),
+      follows: await Follow.counts(profile.id),
+      isFollowing: Boolean(viewerId) && await Follow.isFollowing(viewerId, profile.id),
+      isOwnProfile: viewerId === profile.id,
+      title: profile.display_name || profile.username
+    });
+  } catch (err) {
+    next(err);
+  }
+});
+
+// ============================================================
+// COLLECTIONS
+// ============================================================
+// A collection the viewer may see: public ones, and private ones to
+// their owner
+async function findVisibleCollection(req) {
+  const collection = await Collection.findByUsernameAndSlug(req.params.username, req.params.slug);
+  if (!collection || (!collection.is_public && collection.user_id !== req.session.userId)) {
+    return null;
+  }
+  return collection;
+}
+
+function sendCollectionNotFound(req, res) {
+  res.status(404).render("404.njk", {
+    title: "Collection Not Found",
+    message: `${req.params.username} has no collection at ${req.params.slug}`
+  });
+}
+
+// Sites in the order the owner put them, so readers that sort by date
+// still see the newest additions first. Public collections only: feed
+// readers don't have a session.
+router.get("/collections/:username/:slug.atom", async (req, res, next) => {
+  try {
+    const collection = await Collection.findByUsernameAndSlug(req.params.username, req.params.slug);
+    if (!collection || !collection.is_public) {
+      return sendCollectionNotFound(req, res);
+    }
+    
+    const entries = (await Collection.listEntries(collection.id)).slice(0, FEED_SIZE).map(entry => ({
+      id: tagUri(req.hostname, entry.created_at, `site-${entry.site_id}`),
+      title: entry.title || entry.slug,
+      url: absoluteUrl(req, siteUrl(entry.owner_username, entry.slug)),
+      updated: entry.added_at,
+      author: entry.owner_username,
+      summary: entry.note || `/~${entry.owner_username}/${entry.slug}`
+    }));
+    const path = `/collections/${collection.owner_username}/${collection.slug}`;
+    
+    sendFeed(req, res, {
+      id: tagUri(req.hostname, collection.created_at, `collection-${collection.id}`),
+      title: `${collection.title} (collected by ${collection.owner_username})`,
+      subtitle: collection.description,
+      selfUrl: absoluteUrl(req, path + '.atom'),
+      alternateUrl: absoluteUrl(req, path),
+      updated: collection.updated_at,
+      entries: entries
+    });
+  } catch (err) {
+    next(err);
+  }
+});
+
+router.get("/collections/:username/:slug", async (req, res, next) => {
+  try {
+    const collection = await findVisibleCollection(req);
+    if (!collection) {
+      return sendCollectionNotFound(req, res);
+    }
+    
+    res.render("collection.njk", {
+      collection: collection,
+      entries: await Collection.listEntries(collection.id),
+      isOwner: collection.user_id === req.session.userId,
+      title: collection.title
+    });
+  } catch (err) {
+    next(err);
+  }
+});
+
+// ============================================================
+// GUESTBOOKS
+// ============================================================
+// A site's own HTML can link to /guestbook/:username/:slug or POST a
+// form with name, website and message fields to it; nothing needs
+// JavaScript.
+//
+// Posts from the guestbook page carry the session cookie and go through
+// the Zant gateway and the per-visitor post limit like any other request.
+// Posts from a form on the site itself arrive without the cookie, since
+// browsers hold back SameSite=Lax cookies on a POST from another site, and
+// can't sit through Zant's queue page, so main.js lets them past it. In its
+// place, every such entry is held for the owner's approval, and each site
+// takes at most Guestbook.EMBEDDED_POSTS_PER_HOUR of them. That limit is
+// per site rather than per IP address, so visitors sharing an address
+// (everyone on an onion service, say) can't use up each other's posts.
+const GUESTBOOK_PAGE_SIZE = 50;
+const GUESTBOOK_POSTS_PER_WINDOW = 5;
+const GUESTBOOK_WINDOW_MS = 10 * 60 * 1000;
+
+// Count a post, or return false if this visitor has posted too often
+const allowGuestbookPost = postLimiter(GUESTBOOK_POSTS_PER_WINDOW, GUESTBOOK_WINDOW_MS);
+// The same for posts from sites' own forms, counted by site
+const allowEmbeddedPost = rateLimiter(Guestbook.EMBEDDED_POSTS_PER_HOUR, 60 * 60 * 1000);
+
+// A post from a form on the site itself rather than the guestbook page
+function isEmbeddedPost(req) {
+  return !req.cookies['gerudo.sid'];
+}
+
+// The site, if it has its guestbook turned on and can be shown
+async function findGuestbookSite(req) {
+  const site = await Site.findByUsernameAndSlug(req.params.username, req.params.slug);
+  if (!site || !site.guestbook_enabled || await unavailableReason(site)) return null;
+  return site;
+}
+
+function sendGuestbookNotFound(req, res) {
+  res.status(404).render("404.njk", {
+    title: "Guestbook Not Found",
+    message: `${req.params.username}/${req.params.slug} has no guestbook`
+  });
+}
+
+// One page of approved entries. Pages after the first are fetched with
+// ?before=, the id of the last entry shown.
+async function renderGuestbook(req, res, site, before) {
+  const rows = await Guestbook.listApproved(site.id, { before: before, limit: GUESTBOOK_PAGE_SIZE + 1 });
+  const entries = rows.slice(0, GUESTBOOK_PAGE_SIZE);
+  const path = `/guestbook/${site.owner_username}/${site.slug}`;
+  
+  res.render("guestbook.njk", {
+    site: site,
+    entries: entries,
+    count: await Guestbook.countApproved(site.id),
+    guestbookPath: path,
+    isOwner: Boolean(req.user) && site.owner_id === req.user.id,
+    newestUrl: before ? path : null,
+    olderUrl: rows.length > GUESTBOOK_PAGE_SIZE ? `${path}?before=${entries[entries.length - 1].id}` : null,
+    title: `Guestbook of ${site.title}`
+  });
+}
+
+router.get("/guestbook/:username/:slug", async (req, res, next) => {
+  try {
+    const site = await findGuestbookSite(req);
+    if (!site) {
+      return sendGuestbookNotFound(req, res);
+    }
     
+    const before = parseInt(req.query.before, 10) > 0 ? parseInt(req.query.before, 10) : null;
+    await renderGuestbook(req, res, site, before);
+  } catch (err) {
+    next(err);
+  }
+});
+
+router.post("/guestbook/:username/:slug", async (req, res, next) => {
+  try {
+    const site = await findGuestbookSite(req);
     if (!site) {
-      return res.status(404).render("404.njk", {
-        title: "Site Not Found",
-        message: `No site found at /~${username}/${slug}`
-      });
+      return sendGuestbookNotFound(req, res);
     }
     
-    // Get the index.html file or show a default page
-    const indexFile = await Site.getFile(site.id, 'index.html');
+    // Starting a session for a post from the site's own form would replace
+    // a signed-in visitor's cookie, so these get the guestbook page back
+    // directly instead of a flash message and a redirect.
+    const path = `/guestbook/${site.owner_username}/${site.slug}`;
+    const embedded = isEmbeddedPost(req);
+    const answer = async (type, message) => {
+      if (!embedded) {
+        req.flash(type, message);
+        return res.redirect(type === 'error' ? path + '#sign' : path);
+      }
+      req.session = null;
+      res.locals.flash = { [type]: message };
+      if (type === 'error') res.status(400);
+      await renderGuestbook(req, res, site, null);
+    };
     
-    if (indexFile && indexFile.content) {
-      // Serve the HTML content directly
-      res.type('html');
-      res.send(indexFile.content);
-    } else {
-      // Show a default "under construction" page
-      res.render("site-default.njk", {
-        site: site,
-        title: site.title
-      });
+    const entry = {
+      name: String(req.body.name || '').trim() || (req.user ? req.user.username : ''),
+      website: String(req.body.website || '').trim(),
+      message: String(req.body.message || '').trim()
+    };
+    
+    const validation = validateGuestbookEntry(entry);
+    if (!validation.valid) {
+      return await answer('error', validation.error);
+    }
+    
+    if (embedded && !allowEmbeddedPost([`site:${site.id}`])) {
+      return await answer('error', 'This guestbook has had a lot of entries just now. Try again later.');
+    }
+    if (!embedded && !allowGuestbookPost(req)) {
+      return await answer('error', 'You have signed guestbooks a lot just now. Try again in a few minutes.');
+    }
+    
+    const blockedWord = findBlockedWord([entry.name, entry.website, entry.message], site.guestbook_blocked_words);
+    let heldFor = null;
+    if (blockedWord) {
+      heldFor = `Word filter: ${blockedWord}`;
+    } else if (embedded) {
+      heldFor = 'Sent from a form on the site';
+    } else if (site.guestbook_moderated) {
+      heldFor = 'Awaiting approval';
     }
     
+    await Guestbook.create({
+      siteId: site.id,
+      userId: req.session.userId || null,
+      name: entry.name,
+      website: entry.website || null,
+      message: entry.message,
+      status: heldFor ? 'pending' : 'approved',
+      heldFor: heldFor
+    });
+    
+    await answer('success', heldFor
+      ? 'Thanks for signing! Your entry will show once the owner approves it.'
+      : 'Thanks for signing the guestbook!');
   } catch (err) {
-    console.error('View site error:', err);
-    res.status(500).render("error.njk", {
-      title: "Error",
-      message: "Failed to load site"
+    next(err);
+  }
+});
+
+// ============================================================
+// REPORTS
+// ============================================================
+// "Report this site", for anyone, logged in or not. Reports wait at
+// /admin/reports.
+const REPORTS_PER_WINDOW = 5;
+const REPORT_WINDOW_MS = 60 * 60 * 1000;
+
+const allowReport = postLimiter(REPORTS_PER_WINDOW, REPORT_WINDOW_MS);
+
+async function findReportedSite(req, res) {
+  const site = await Site.findByUsernameAndSlug(req.params.username, req.params.slug);
+  if (!site) {
+    res.status(404).render("404.njk", {
+      title: "Site Not Found",
+      message: `${req.params.username}/${req.params.slug} doesn't exist`
+    });
+    return null;
+  }
+  return site;
+}
+
+router.get("/report/:username/:slug", async (req, res, next) => {
+  try {
+    const site = await findReportedSite(req, res);
+    if (!site) return;
+    
+    res.render("report-site.njk", {
+      site: site,
+      categories: AbuseReport.CATEGORIES,
+      title: `Report ${site.title}`
+    });
+  } catch (err) {
+    next(err);
+  }
+});
+
+router.post("/report/:username/:slug", async (req, res, next) => {
+  try {
+    const site = await findReportedSite(req, res);
+    if (!site) return;
+    
+    const path = `/report/${site.owner_username}/${site.slug}`;
+    const category = String(req.body.category || '');
+    const report = {
+      details: String(req.body.details || '').trim(),
+      contact: String(req.body.contact || '').trim()
+    };
+    
+    if (!Object.prototype.hasOwnProperty.call(AbuseReport.CATEGORIES, category)) {
+      req.flash('error', 'Choose what kind of problem it is');
+      return res.redirect(path);
+    }
+    
+    const validation = validateAbuseReport(report);
+    if (!validation.valid) {
+      req.flash('error', validation.error);
+      return res.redirect(path);
+    }
+    
+    if (!allowReport(req)) {
+      req.flash('error', 'You have sent a lot of reports just now. Try again later.');
+      return res.redirect(path);
+    }
+    
+    await AbuseReport.create({
+      siteId: site.id,
+      reporterId: req.session.userId || null,
+      category: category,
+      details: report.details,
+      contact: report.contact || null
     });
+    
+    req.flash('success', 'Thanks. Your report was sent to Gerudo\'s administrators.');
+    res.redirect(path);
+  } catch (err) {
+    next(err);
   }
 });
 
-// Serve individual files from a site - NEW: /~username/sitename/path/to/file.ext
+// ============================================================
+// SITES
+// ============================================================
+// A site's recently added and changed files. A file of the site's own at
+// feed.atom takes precedence.
+router.get("/~:username/:slug/feed.atom", async (req, res, next) => {
+  try {
+    const site = await Site.findByUsernameAndSlug(req.params.username, req.params.slug);
+    if (!site || await unavailableReason(site) ||
+        (!isIsolated() && await Site.getFile(site.id, 'feed.atom'))) {
+      return next();
+    }
+    
+    const files = (await Site.listRecentFiles(site.id, FEED_SIZE + CONFIG_FILES.length))
+      .filter(file => !CONFIG_FILES.includes(file.path))
+      .slice(0, FEED_SIZE);
+    
+    const entries = files.map(file => {
+      const added = file.created_at.getTime() === file.updated_at.getTime();
+      return {
+        // A new id for every change, so readers show each one
+        id: tagUri(req.hostname, site.created_at,
+          `site-${site.id}:${encodeURIComponent(file.path)}:${file.updated_at.getTime()}`),
+        title: `${added ? 'Added' : 'Updated'} ${file.path}`,
+        url: absoluteUrl(req, siteUrl(site.owner_username, site.slug, encodeURI(file.path))),
+        updated: file.updated_at,
+        author: site.owner_username
+      };
+    });
+    const selfUrl = absoluteUrl(req, `/~${site.owner_username}/${site.slug}/feed.atom`);
+    
+    sendFeed(req, res, {
+      id: selfUrl,
+      title: `Changes to ${site.title || site.slug}`,
+      subtitle: `/~${site.owner_username}/${site.slug}`,
+      selfUrl: selfUrl,
+      alternateUrl: absoluteUrl(req, siteUrl(site.owner_username, site.slug)),
+      updated: latest([site.updated_at, ...entries.map(entry => entry.updated)]),
+      entries: entries
+    });
+  } catch (err) {
+    next(err);
+  }
+});
+
+// Serve files from a site - /~username/sitename/path/to/file.ext
+// With an isolated sites origin configured, these only redirect there.
 router.get("/~:username/:slug/*", async (req, res) => {
   try {
     const { username, slug } = req.params;
@@ -91,17 +752,19 @@ router.get("/~:username/:slug/*", async (req, res) => {
     
     const site = await Site.findByUsernameAndSlug(username, slug);
     if (!site) {
-      return res.status(404).send('Site not found');
+      return res.status(404).render("404.njk", {
+        title: "Site Not Found",
+        message: `No site found at /~${username}/${slug}`
+      });
     }
     
-    const file = await Site.getFile(site.id, filePath);
-    if (!file || !file.content) {
-      return res.status(404).send('File not found');
+    if (isIsolated()) {
+      return res.redirect(301, siteUrl(site.owner_username, site.slug, encodeURI(filePath)) + queryString(req));
     }
     
-    // Set appropriate content type
-    res.type(file.mime_type || 'text/plain');
-    res.send(file.content);
+    await serveSitePath(req, res, site, filePath, {
+      basePath: `/~${site.owner_username}/${site.slug}/`
+    });
     
   } catch (err) {
     console.error('Serve file error:', err);
@@ -109,4 +772,55 @@ router.get("/~:username/:slug/*", async (req, res) => {
   }
 });
 
+// Draft previews - /_preview/token/path. With an isolated sites origin
+// they only exist there (see routes/sites).
+router.get("/_preview/:token/*", async (req, res, next) => {
+  if (isIsolated()) return next();
+  
+  try {
+    const site = await Site.findByDraftToken(req.params.token);
+    if (!site) {
+      return res.status(404).render("404.njk", {
+        title: "Preview Not Found",
+        message: "This draft has been published or discarded"
+      });
+    }
+    
+    res.set('X-Robots-Tag', 'noindex');
+    res.set('Cache-Control', 'private, no-cache');
+    await serveSitePath(req, res, site, req.params[0], {
+      basePath: `/_preview/${req.params.token}/`,
+      files: Draft
+    });
+    
+  } catch (err) {
+    console.error('Serve draft preview error:', err);
+    res.status(500).send('Error loading file');
+  }
+});
+
+// Site root without a trailing slash - redirect so relative links resolve
+router.get("/~:username/:slug", async (req, res) => {
+  try {
+    const { username, slug } = req.params;
+    const site = await Site.findByUsernameAndSlug(username, slug);
+    
+    if (!site) {
+      return res.status(404).render("404.njk", {
+        title: "Site Not Found",
+        message: `No site found at /~${username}/${slug}`
+      });
+    }
+    
+    res.redirect(301, siteUrl(site.owner_username, site.slug) + queryString(req));
+    
+  } catch (err) {
+    console.error('View site error:', err);
+    res.status(500).render("error.njk", {
+      title: "Error",
+      message: "Failed to load site"
+    });
+  }
+});
+
 module.exports = router;
@@ -0,0 +1,141 @@
+// routes/git.js - git smart HTTP at /~user/slug.git, for push-to-deploy
+//
+//   git push https://gerudo.example/~alice/blog.git main
+//
+// Any username works; the password is an API key (read-only keys can clone
+// and fetch but not push). The git binary answers the protocol; lib/git
+// keeps the repository and the site in step.
+const express = require("express");
+const router = express.Router();
+const zlib = require("zlib");
+const Site = require("../models/Site");
+const { getUsage } = require("../lib/quota");
+const { ensureRepo, syncRepo, spawnService } = require("../lib/git");
+const { authenticateBasicKey } = require("../middleware/api-auth");
+
+const SERVICES = ['git-upload-pack', 'git-receive-pack'];
+
+// ============================================================
+// HELPERS
+// ============================================================
+function pktLine(text) {
+  return (Buffer.byteLength(text) + 4).toString(16).padStart(4, '0') + text;
+}
+
+function sendText(res, status, message) {
+  res.status(status).type('text/plain').send(message + '\n');
+}
+
+// Basic auth with an API key, for the site in the URL
+async function requireRepoAccess(req, res, next) {
+  try {
+    const key = await authenticateBasicKey(req);
+    if (!key) {
+      res.set('WWW-Authenticate', 'Basic realm="Gerudo git", charset="UTF-8"');
+      return sendText(res, 401, 'Log in with any username and an API key as the password');
+    }
+
+    const site = key.username === req.params.username
+      ? (await Site.findByOwner(key.user_id)).find(s => s.slug === req.params.slug)
+      : null;
+    if (!site || (key.site_id && site.id !== key.site_id)) {
+      return sendText(res, 404, 'Repository not found');
+    }
+
+    req.site = site;
+    next();
+  } catch (err) {
+    next(err);
+  }
+}
+
+function checkService(req, res, service) {
+  if (!SERVICES.includes(service)) {
+    sendText(res, 403, 'Only git smart HTTP is supported');
+    return false;
+  }
+  if (service === 'git-receive-pack' && req.apiKey.read_only) {
+    sendText(res, 403, 'This API key is read-only');
+    return false;
+  }
+  return true;
+}
+
+// ============================================================
+// ROUTES
+// ============================================================
+// Ref advertisement, the first request of every clone, fetch and push
+router.get("/~:username/:slug.git/info/refs", requireRepoAccess, async (req, res, next) => {
+  try {
+    const service = req.query.service;
+    if (!checkService(req, res, service)) return;
+
+    await syncRepo(req.site);
+
+    const git = spawnService(req.site, service, { advertise: true });
+    git.stderr.on('data', chunk => console.error(`${service}: ${chunk.toString().trim()}`));
+    git.on('error', next);
+
+    res.set('Content-Type', `application/x-${service}-advertisement`);
+    res.set('Cache-Control', 'no-cache');
+    res.write(pktLine(`# service=${service}\n`) + '0000');
+    git.stdout.pipe(res);
+  } catch (err) {
+    next(err);
+  }
+});
+
+router.post("/~:username/:slug.git/:service", requireRepoAccess, async (req, res, next) => {
+  try {
+    const service = req.params.service;
+    if (!checkService(req, res, service)) return;
+
+    if (req.get('content-type') !== `application/x-${service}-request`) {
+      return sendText(res, 415, `Expected application/x-${service}-request`);
+    }
+
+    // Packs are compressed, so one much bigger than the account's whole
+    // storage can't fit. Anything smaller reaches the hook, which explains
+    // the limit in words.
+    const { plan } = await getUsage(req.site.owner_id);
+    const maxBytes = plan.max_storage * 2;
+
+    await ensureRepo(req.site);
+    const git = spawnService(req.site, service, {});
+    git.stderr.on('data', chunk => console.error(`${service}: ${chunk.toString().trim()}`));
+    git.on('error', next);
+    git.stdin.on('error', () => {}); // git has given up; its output says why
+
+    let body = req;
+    if (req.get('content-encoding') === 'gzip') {
+      body = req.pipe(zlib.createGunzip());
+      body.on('error', () => {
+        git.kill();
+        if (!res.headersSent) sendText(res, 400, 'Request body is not valid gzip');
+      });
+    }
+
+    let received = 0;
+    body.on('data', chunk => {
+      received += chunk.length;
+      if (received > maxBytes && !git.killed) {
+        body.unpipe(git.stdin);
+        git.stdout.unpipe(res);
+        git.kill();
+        if (!res.headersSent) {
+          res.set('Connection', 'close');
+          sendText(res, 413, 'Push too large for your storage limit');
+        }
+      }
+    });
+    body.pipe(git.stdin);
+
+    res.set('Content-Type', `application/x-${service}-result`);
+    res.set('Cache-Control', 'no-cache');
+    git.stdout.pipe(res);
+  } catch (err) {
+    next(err);
+  }
+});
+
+module.exports = router;
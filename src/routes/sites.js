@@ -0,0 +1,117 @@
+// routes/sites.js - User sites on the isolated sites origin (see lib/sites-origin)
+const express = require("express");
+const router = express.Router();
+const Site = require("../models/Site");
+const Draft = require("../models/Draft");
+const { serveSitePath, queryString } = require("../lib/serve-site");
+const { applySandboxHeaders } = require("../lib/sites-origin");
+
+// Find the site a sites-origin request points at, plus the URL prefix it
+// lives under on this host
+async function findRequestedSite(req) {
+  const { mode, label } = req.sitesHost;
+
+  if (mode === 'subdomain') {
+    if (req.params.username) return null;
+    const site = await Site.findByHostLabelAndSlug(label, req.params.slug);
+    return site && { site, basePath: `/${site.slug}/` };
+  }
+
+  if (!req.params.username) return null;
+  const site = await Site.findByUsernameAndSlug(req.params.username, req.params.slug);
+  return site && { site, basePath: `/~${site.owner_username}/${site.slug}/` };
+}
+
+function sendSiteNotFound(res) {
+  applySandboxHeaders(res);
+  res.status(404).type('text').send('Site not found');
+}
+
+async function serve(req, res) {
+  try {
+    const found = await findRequestedSite(req);
+    if (!found) return sendSiteNotFound(res);
+
+    await serveSitePath(req, res, found.site, req.params[0], { basePath: found.basePath });
+  } catch (err) {
+    console.error('Serve site error:', err);
+    res.status(500).type('text').send('Error loading file');
+  }
+}
+
+async function redirectToRoot(req, res) {
+  try {
+    const found = await findRequestedSite(req);
+    if (!found) return sendSiteNotFound(res);
+
+    res.redirect(301, found.basePath + queryString(req));
+  } catch (err) {
+    console.error('Serve site error:', err);
+    res.status(500).type('text').send('Error loading site');
+  }
+}
+
+// Custom domains map the whole host onto one site. Only verified domains
+// get here (see lib/custom-domains).
+router.use(async (req, res, next) => {
+  if (req.sitesHost.mode !== 'domain') return next();
+  if (req.method !== 'GET' && req.method !== 'HEAD') return next('router');
+
+  try {
+    const { domain } = req.sitesHost;
+
+    let filePath;
+    try {
+      filePath = decodeURIComponent(req.path).replace(/^\/+/, '');
+    } catch (err) {
+      return sendSiteNotFound(res);
+    }
+
+    const site = await Site.findById(domain.site_id);
+    if (!site) return sendSiteNotFound(res);
+
+    // The platform's HSTS preload policy must not leak onto customer domains
+    res.removeHeader('Strict-Transport-Security');
+
+    await serveSitePath(req, res, site, filePath, { basePath: '/' });
+  } catch (err) {
+    console.error('Serve custom domain error:', err);
+    res.status(500).type('text').send('Error loading file');
+  }
+});
+
+// Draft previews: /_preview/<token>/... on any sites host
+async function servePreview(req, res) {
+  try {
+    const site = await Site.findByDraftToken(req.params.token);
+    if (!site) return sendSiteNotFound(res);
+
+    res.set('X-Robots-Tag', 'noindex');
+    res.set('Cache-Control', 'private, no-cache');
+    await serveSitePath(req, res, site, req.params[0], {
+      basePath: `/_preview/${req.params.token}/`,
+      files: Draft
+    });
+  } catch (err) {
+    console.error('Serve draft preview error:', err);
+    res.status(500).type('text').send('Error loading file');
+  }
+}
+
+router.get("/_preview/:token/*", servePreview);
+router.get("/_preview/:token", (req, res) => {
+  res.redirect(301, `/_preview/${req.params.token}/` + queryString(req));
+});
+
+// SITES_ORIGIN: /~username/slug/...
+router.get("/~:username/:slug/*", serve);
+router.get("/~:username/:slug", redirectToRoot);
+
+// SITES_DOMAIN: username.<domain>/slug/...
+router.get("/:slug/*", serve);
+router.get("/:slug", redirectToRoot);
+
+// Nothing else lives on the sites origin
+router.use((req, res) => sendSiteNotFound(res));
+
+module.exports = router;
@@ -0,0 +1,89 @@
+const assert = require('node:assert');
+const express = require('express');
+const { pool, dbTest, createUser, createSite, serve } = require('./helpers');
+const ApiKey = require('../src/models/ApiKey');
+const apiRoutes = require('../src/routes/api');
+const { apiErrorHandler } = require('../src/lib/api-errors');
+
+const app = express();
+app.use(express.json());
+app.use('/api/v1', apiRoutes, apiErrorHandler);
+
+let base = null;
+async function api(token, method, path, body) {
+  base = base || await serve(app);
+  const headers = { authorization: `Bearer ${token}` };
+  if (body !== undefined) headers['content-type'] = typeof body === 'string' ? 'text/plain' : 'application/json';
+  const res = await fetch(`${base}/api/v1${path}`, {
+    method: method,
+    headers: headers,
+    body: typeof body === 'string' ? body : body && JSON.stringify(body)
+  });
+  return { status: res.status, body: await res.json() };
+}
+
+async function account() {
+  const user = await createUser();
+  const sites = [await createSite(user, 'one'), await createSite(user, 'two')];
+  // Resolves with { key, token }
+  const createKey = (options = {}) => ApiKey.create({
+    userId: user.id, name: 'test', readOnly: false, siteId: null, ...options
+  });
+  const key = async (options) => (await createKey(options)).token;
+  return { user, sites, key, createKey };
+}
+
+dbTest('a site key only sees its own site', async () => {
+  const { sites, key } = await account();
+  const token = await key({ siteId: sites[0].id });
+
+  const list = await api(token, 'GET', '/sites');
+  assert.deepStrictEqual(list.body.sites.map(site => site.slug), ['one']);
+  assert.strictEqual((await api(token, 'GET', '/sites/two')).status, 404);
+  assert.strictEqual((await api(token, 'GET', '/sites/two/files')).status, 404);
+  assert.strictEqual((await api(token, 'PUT', '/sites/two/files/index.html', 'hi')).status, 404);
+  assert.strictEqual((await api(token, 'PUT', '/sites/one/files/index.html', 'hi')).status, 200);
+});
+
+dbTest('a site key can\'t create, change or delete sites', async () => {
+  const { sites, key } = await account();
+  const token = await key({ siteId: sites[0].id });
+
+  for (const [method, path, body] of [['POST', '/sites', { slug: 'three' }], ['PATCH', '/sites/one', { title: 'x' }], ['DELETE', '/sites/one']]) {
+    const res = await api(token, method, path, body);
+    assert.strictEqual(res.status, 403, `${method} ${path}`);
+    assert.strictEqual(res.body.error.code, 'site_scoped');
+  }
+});
+
+dbTest('an account key reaches every site of the account', async () => {
+  const { key } = await account();
+  const token = await key();
+
+  const list = await api(token, 'GET', '/sites');
+  assert.deepStrictEqual(list.body.sites.map(site => site.slug).sort(), ['one', 'two']);
+  assert.strictEqual((await api(token, 'PUT', '/sites/two/files/index.html', 'hi')).status, 200);
+});
+
+dbTest('a read-only key can read but not write', async () => {
+  const { key } = await account();
+  const token = await key({ readOnly: true });
+
+  assert.strictEqual((await api(token, 'GET', '/sites/one/files')).status, 200);
+  const res = await api(token, 'PUT', '/sites/one/files/index.html', 'hi');
+  assert.strictEqual(res.status, 403);
+  assert.strictEqual(res.body.error.code, 'read_only');
+});
+
+dbTest('revoked keys and keys of suspended accounts are refused', async () => {
+  const { user, key, createKey } = await account();
+  const revoked = await createKey();
+  const live = await key();
+  await ApiKey.revoke(revoked.key.id, user.id);
+
+  assert.strictEqual((await api(revoked.token, 'GET', '/sites')).status, 401);
+  assert.strictEqual((await api(live, 'GET', '/sites')).status, 200);
+
+  await pool.query('UPDATE users SET suspended_at = CURRENT_TIMESTAMP WHERE id = $1', [user.id]);
+  assert.strictEqual((await api(live, 'GET', '/sites')).status, 401);
+});
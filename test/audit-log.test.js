@@ -0,0 +1,51 @@
+const assert = require('node:assert');
+const { pool, dbTest, createUser, createSite } = require('./helpers');
+const AuditLog = require('../src/models/AuditLog');
+
+// Run sql in a transaction that is always rolled back, so nothing is lost
+// if the log turns out not to be protected
+async function attempt(sql, params) {
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    await client.query(sql, params);
+  } finally {
+    await client.query('ROLLBACK');
+    client.release();
+  }
+}
+
+async function recordOne() {
+  const admin = await createUser({ role: 'admin' });
+  const target = await createUser();
+  const site = await createSite(target);
+  await AuditLog.record({ admin, action: 'site.takedown', targetUser: target, targetSite: site, details: { reason: 'test' } });
+  const row = (await pool.query('SELECT * FROM admin_audit_log WHERE admin_id = $1', [admin.id])).rows[0];
+  return { admin, target, site, row };
+}
+
+dbTest('audit log rows can\'t be changed or deleted', async () => {
+  const { row } = await recordOne();
+
+  await assert.rejects(
+    attempt('UPDATE admin_audit_log SET action = $2 WHERE id = $1', [row.id, 'nothing']),
+    /append-only/
+  );
+  await assert.rejects(attempt('DELETE FROM admin_audit_log WHERE id = $1', [row.id]), /append-only/);
+  await assert.rejects(attempt('TRUNCATE admin_audit_log'), /append-only/);
+
+  const kept = (await pool.query('SELECT * FROM admin_audit_log WHERE id = $1', [row.id])).rows[0];
+  assert.deepStrictEqual(kept, row);
+});
+
+dbTest('audit log rows outlive the users and sites they name', async () => {
+  const { admin, target, site, row } = await recordOne();
+
+  await pool.query('DELETE FROM users WHERE id = ANY($1)', [[admin.id, target.id]]);
+
+  const kept = (await pool.query('SELECT * FROM admin_audit_log WHERE id = $1', [row.id])).rows[0];
+  assert.deepStrictEqual(kept, row);
+  assert.strictEqual(kept.admin_username, admin.username);
+  assert.strictEqual(kept.target_username, target.username);
+  assert.strictEqual(kept.target_site_slug, site.slug);
+});
@@ -0,0 +1,115 @@
+const assert = require('node:assert');
+const { test } = require('node:test');
+const { pool, dbTest, uniqueName, createUser, createSite } = require('./helpers');
+const Domain = require('../src/models/Domain');
+const {
+  PENDING_DAYS,
+  validateHostname,
+  lookupDomain,
+  checkDomain,
+  verifyDomain,
+  isExpired,
+  setTxtResolver,
+} = require('../src/lib/custom-domains');
+
+const domain = {
+  hostname: 'www.example.com',
+  verification_token: 'abc123',
+  verified_at: null,
+  created_at: new Date()
+};
+
+test('hostnames must be real domains that aren\'t Gerudo\'s own', () => {
+  assert.ok(validateHostname('www.example.com').valid);
+  assert.ok(!validateHostname('localhost').valid);
+  assert.ok(!validateHostname('127.0.0.1').valid);
+  assert.ok(!validateHostname('mirror.onion').valid);
+  assert.ok(!validateHostname('gerudo.example', ['gerudo.example']).valid);
+  assert.ok(!validateHostname('sub.gerudo.example', ['gerudo.example']).valid);
+});
+
+test('a TXT record with the token verifies the domain', async () => {
+  const asked = [];
+  setTxtResolver(async (name) => {
+    asked.push(name);
+    return [['v=spf1 -all'], ['gerudo-verification=', 'abc123']];
+  });
+
+  assert.deepStrictEqual(await checkDomain(domain, 'dns'), { verified: true });
+  assert.deepStrictEqual(asked, ['_gerudo.www.example.com']);
+});
+
+test('a missing or different TXT record doesn\'t', async () => {
+  setTxtResolver(async () => [['gerudo-verification=other']]);
+  assert.match((await checkDomain(domain, 'dns')).error, /No matching TXT record/);
+
+  setTxtResolver(async () => {
+    const err = new Error('queryTxt ENOTFOUND');
+    err.code = 'ENOTFOUND';
+    throw err;
+  });
+  const result = await checkDomain(domain, 'dns');
+  assert.strictEqual(result.verified, false);
+  assert.match(result.error, /ENOTFOUND/);
+});
+
+test('the token file is never fetched from a private address', async () => {
+  for (const hostname of ['127.0.0.1', '[::1]', '10.1.2.3', 'localhost']) {
+    const result = await checkDomain({ ...domain, hostname }, 'http');
+    assert.strictEqual(result.verified, false, hostname);
+    assert.match(result.error, /private address/, hostname);
+  }
+});
+
+test(`pending claims expire after ${PENDING_DAYS} days`, () => {
+  const days = n => new Date(Date.now() - n * 24 * 60 * 60 * 1000);
+
+  assert.ok(!isExpired({ ...domain, created_at: days(PENDING_DAYS - 1) }));
+  assert.ok(isExpired({ ...domain, created_at: days(PENDING_DAYS + 1) }));
+  assert.ok(!isExpired({ ...domain, created_at: days(PENDING_DAYS + 1), verified_at: days(1) }));
+});
+
+// Claims on one new hostname by two sites of different accounts
+async function twoClaims() {
+  const hostname = `${uniqueName('www')}.example.com`;
+  const claims = [];
+  for (let i = 0; i < 2; i++) {
+    const site = await createSite(await createUser());
+    claims.push(await Domain.create({ siteId: site.id, hostname: hostname, verificationToken: `token${i}` }));
+  }
+  return { hostname, claims };
+}
+
+dbTest('a pending claim neither blocks other sites nor routes the hostname', async () => {
+  const { hostname, claims } = await twoClaims();
+
+  assert.strictEqual(claims.length, 2);
+  assert.strictEqual(await lookupDomain(hostname), null);
+});
+
+dbTest('the first claim to verify gets the hostname and the others are dropped', async () => {
+  const { hostname, claims } = await twoClaims();
+  setTxtResolver(async () => [['gerudo-verification=token1']]);
+
+  assert.strictEqual((await verifyDomain(claims[0], 'dns')).verified, false);
+  assert.strictEqual((await verifyDomain(claims[1], 'dns')).verified, true);
+
+  assert.strictEqual((await lookupDomain(hostname)).id, claims[1].id);
+  assert.strictEqual(await Domain.findById(claims[0].id), undefined);
+});
+
+dbTest('an expired claim can\'t be verified and is cleared away', async () => {
+  const { claims } = await twoClaims();
+  await pool.query(
+    `UPDATE site_domains SET created_at = CURRENT_TIMESTAMP - make_interval(days => $2) WHERE id = $1`,
+    [claims[0].id, PENDING_DAYS + 1]
+  );
+  setTxtResolver(async () => [['gerudo-verification=token0']]);
+
+  const expired = await Domain.findById(claims[0].id);
+  assert.match((await verifyDomain(expired, 'dns')).error, /expired/);
+
+  await Domain.deleteExpired(PENDING_DAYS);
+  assert.strictEqual(await Domain.findById(claims[0].id), undefined);
+  assert.ok(await Domain.findById(claims[1].id));
+});
@@ -0,0 +1,24 @@
+const assert = require('node:assert');
+const { test } = require('node:test');
+const { parseDestination } = require('../src/lib/dav-destination');
+
+test('a Destination is a site and a path under the DAV mount', () => {
+  assert.deepStrictEqual(parseDestination('/dav/one/a/b.txt', '/dav/'), { slug: 'one', path: 'a/b.txt' });
+  assert.deepStrictEqual(parseDestination('https://example.org/dav/one/sub/', '/dav/'), { slug: 'one', path: 'sub' });
+  assert.deepStrictEqual(parseDestination('/dav/one/c%2Dd%20e.txt', '/dav/'), { slug: 'one', path: 'c-d e.txt' });
+  assert.deepStrictEqual(parseDestination('/dav/one', '/dav/'), { slug: 'one', path: '' });
+});
+
+test('dot segments are resolved before the site is read', () => {
+  assert.strictEqual(parseDestination('/dav/one/../two/b.txt', '/dav/').slug, 'two');
+  assert.strictEqual(parseDestination('/dav/one/%2e%2e/two/b.txt', '/dav/').slug, 'two');
+  assert.strictEqual(parseDestination('/dav/../one/b.txt', '/dav/').status, 502);
+});
+
+test('a missing, malformed or foreign Destination is an error', () => {
+  assert.strictEqual(parseDestination(undefined, '/dav/').status, 400);
+  assert.strictEqual(parseDestination('http://[bad', '/dav/').status, 400);
+  assert.strictEqual(parseDestination('/dav/one/%zz', '/dav/').status, 400);
+  assert.strictEqual(parseDestination('/one/b.txt', '/dav/').status, 502);
+  assert.strictEqual(parseDestination('/davx/one/b.txt', '/dav/').status, 502);
+});
@@ -0,0 +1,61 @@
+const assert = require('node:assert');
+const express = require('express');
+const { dbTest, createUser, createSite, serve } = require('./helpers');
+const ApiKey = require('../src/models/ApiKey');
+const Site = require('../src/models/Site');
+const davRoutes = require('../src/routes/dav');
+const { saveSiteFile } = require('../src/lib/site-files');
+
+const app = express();
+app.use('/dav', davRoutes);
+
+let base = null;
+async function dav(token, method, path, headers = {}) {
+  base = base || await serve(app);
+  const res = await fetch(`${base}/dav${path}`, {
+    method: method,
+    headers: { authorization: 'Basic ' + Buffer.from(`x:${token}`).toString('base64'), ...headers }
+  });
+  return { status: res.status, text: await res.text() };
+}
+
+// An account with sites one and two, and a.txt in one
+async function account() {
+  const user = await createUser();
+  const sites = [await createSite(user, 'one'), await createSite(user, 'two')];
+  await saveSiteFile(sites[0], { path: 'a.txt', content: Buffer.from('a'), mimeType: 'text/plain' });
+  const { token } = await ApiKey.create({ userId: user.id, name: 'test', readOnly: false, siteId: null });
+  const paths = async (site) => (await Site.listFileSizes(site.id)).map(file => file.path).sort();
+  return { sites, token, paths };
+}
+
+dbTest('MOVE and COPY land at the Destination inside the same site', async () => {
+  const { sites, token, paths } = await account();
+
+  let res = await dav(token, 'COPY', '/one/a.txt', { destination: '/dav/one/b.txt' });
+  assert.strictEqual(res.status, 201);
+  res = await dav(token, 'MOVE', '/one/b.txt', { destination: `${base}/dav/one/sub/c%2Dd.txt` });
+  assert.strictEqual(res.status, 201);
+  assert.deepStrictEqual(await paths(sites[0]), ['a.txt', 'sub/c-d.txt']);
+});
+
+dbTest('a Destination in another site is refused', async () => {
+  const { sites, token, paths } = await account();
+
+  for (const destination of ['/dav/two/b.txt', '/dav/one/../two/b.txt', '/dav/one/%2e%2e/two/b.txt']) {
+    const res = await dav(token, 'MOVE', '/one/a.txt', { destination });
+    assert.strictEqual(res.status, 403, destination);
+  }
+  assert.deepStrictEqual(await paths(sites[0]), ['a.txt']);
+  assert.deepStrictEqual(await paths(sites[1]), []);
+});
+
+dbTest('a Destination outside /dav, or a missing one, is refused', async () => {
+  const { sites, token, paths } = await account();
+
+  assert.strictEqual((await dav(token, 'MOVE', '/one/a.txt', { destination: '/one/b.txt' })).status, 502);
+  assert.strictEqual((await dav(token, 'MOVE', '/one/a.txt', { destination: '/dav/one/%zz' })).status, 400);
+  assert.strictEqual((await dav(token, 'MOVE', '/one/a.txt', { destination: '/dav/one/%2F..%2Fb.txt' })).status, 400);
+  assert.strictEqual((await dav(token, 'MOVE', '/one/a.txt')).status, 400);
+  assert.deepStrictEqual(await paths(sites[0]), ['a.txt']);
+});
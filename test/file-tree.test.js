@@ -0,0 +1,26 @@
+const assert = require('node:assert');
+const { test } = require('node:test');
+const { parentFolders, listFolderPaths, buildFileRows } = require('../src/lib/file-tree');
+
+test('parent folders are listed outermost first', () => {
+  assert.deepStrictEqual(parentFolders('a/b/c.html'), ['a', 'a/b']);
+  assert.deepStrictEqual(parentFolders('index.html'), []);
+});
+
+test('folders come from file paths and empty folders', () => {
+  const folders = listFolderPaths([{ path: 'a/b/c.html' }, { path: 'd.html' }], ['e/f']);
+  assert.deepStrictEqual([...folders].sort(), ['a', 'a/b', 'e', 'e/f']);
+});
+
+test('rows put folders ahead of files at each level', () => {
+  const rows = buildFileRows([{ path: 'z.html' }, { path: 'a/x.html' }, { path: 'a/b/y.html' }], ['empty']);
+  assert.deepStrictEqual(rows.map(row => [row.type, row.path, row.depth, row.fileCount]), [
+    ['folder', 'a', 0, 2],
+    ['folder', 'a/b', 1, 1],
+    ['file', 'a/b/y.html', 2, undefined],
+    ['file', 'a/x.html', 1, undefined],
+    ['folder', 'empty', 0, 0],
+    ['file', 'z.html', 0, undefined],
+  ]);
+  assert.strictEqual(rows[2].name, 'y.html');
+});
@@ -0,0 +1,122 @@
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { spawnSync } = require('child_process');
+const { after } = require('node:test');
+
+// Repositories and working copies all go in here. lib/git reads
+// GIT_REPOS_DIR when it's loaded.
+const scratch = fs.mkdtempSync(path.join(os.tmpdir(), 'gerudo-git-'));
+process.env.GIT_REPOS_DIR = path.join(scratch, 'repos');
+after(() => fs.rmSync(scratch, { recursive: true, force: true }));
+
+const { pool, dbTest, createUser, createSite } = require('./helpers');
+const Site = require('../src/models/Site');
+const { ensureRepo, syncRepo } = require('../src/lib/git');
+const { saveSiteFile } = require('../src/lib/site-files');
+
+const AUTHOR = {
+  GIT_AUTHOR_NAME: 'Test', GIT_AUTHOR_EMAIL: 'test@localhost',
+  GIT_COMMITTER_NAME: 'Test', GIT_COMMITTER_EMAIL: 'test@localhost',
+};
+
+function git(cwd, args, env = {}) {
+  const result = spawnSync('git', args, { cwd: cwd, env: { ...process.env, ...AUTHOR, ...env }, encoding: 'utf8' });
+  return { ok: result.status === 0, output: result.stdout + result.stderr };
+}
+
+// A site with its repository, and a working copy holding `files`
+// ({ path: content }, or a symlink target for { link }). `owner` is the
+// fields of the site's owner.
+async function siteAndCheckout(files, owner = {}) {
+  const site = await createSite(await createUser(owner));
+  const repo = await ensureRepo(site);
+  const work = fs.mkdtempSync(path.join(scratch, 'work-'));
+
+  git(work, ['init', '--quiet']);
+  for (const [file, content] of Object.entries(files)) {
+    fs.mkdirSync(path.dirname(path.join(work, file)), { recursive: true });
+    if (typeof content === 'string') fs.writeFileSync(path.join(work, file), content);
+    else fs.symlinkSync(content.link, path.join(work, file));
+  }
+  git(work, ['add', '-A']);
+  git(work, ['commit', '--quiet', '-m', 'Site']);
+
+  const push = (ref = 'main') => git(work, ['push', repo, `HEAD:${ref}`], { GERUDO_SITE_ID: String(site.id) });
+  const paths = async () => (await Site.listFileSizes(site.id)).map(file => file.path).sort();
+  return { site, repo, push, paths };
+}
+
+dbTest('a push to main publishes its files', async () => {
+  const { push, paths } = await siteAndCheckout({ 'index.html': '<h1>Hi</h1>', 'css/site.css': 'h1 {}' });
+
+  const result = push();
+  assert.ok(result.ok, result.output);
+  assert.match(result.output, /Published: 2 file\(s\) written/);
+  assert.deepStrictEqual(await paths(), ['css/site.css', 'index.html']);
+});
+
+dbTest('a push to another branch is refused', async () => {
+  const { repo, push, paths } = await siteAndCheckout({ 'index.html': 'hi' });
+
+  const result = push('other');
+  assert.ok(!result.ok);
+  assert.match(result.output, /Only main is published/);
+  assert.ok(!git(repo, ['rev-parse', '--verify', '--quiet', 'refs/heads/other']).ok);
+  assert.deepStrictEqual(await paths(), []);
+});
+
+dbTest('a push with paths a site can\'t have is refused as a whole', async () => {
+  const { repo, push, paths } = await siteAndCheckout({
+    'index.html': 'hi',
+    'bad name.html': 'x',
+    'link.html': { link: 'index.html' }
+  });
+
+  const result = push();
+  assert.ok(!result.ok);
+  assert.match(result.output, /bad name\.html: Invalid path/);
+  assert.match(result.output, /link\.html: symbolic links aren't supported/);
+  assert.ok(!git(repo, ['rev-parse', '--verify', '--quiet', 'refs/heads/main']).ok);
+  assert.deepStrictEqual(await paths(), []);
+});
+
+dbTest('a push with an invalid _redirects file is refused', async () => {
+  const { push, paths } = await siteAndCheckout({ 'index.html': 'hi', '_redirects': '/a\n' });
+
+  const result = push();
+  assert.ok(!result.ok);
+  assert.match(result.output, /_redirects has errors/);
+  assert.deepStrictEqual(await paths(), []);
+});
+
+dbTest('a push with a file over the plan\'s limit is refused', async () => {
+  await pool.query(
+    `INSERT INTO plans (name, title, max_storage, max_sites, max_file_size, allowed_extensions)
+     VALUES ('test-git', 'Tiny', 1000, 5, 100, NULL)
+     ON CONFLICT (name) DO UPDATE SET max_storage = 1000, max_file_size = 100`
+  );
+  const { push, paths } = await siteAndCheckout({ 'index.html': 'hi', 'big.txt': 'x'.repeat(101) }, { plan: 'test-git' });
+
+  const result = push();
+  assert.ok(!result.ok);
+  assert.match(result.output, /File too large/);
+  assert.deepStrictEqual(await paths(), []);
+});
+
+dbTest('edits made on the site are committed onto main, reading only what changed', async (t) => {
+  const { site, repo, push } = await siteAndCheckout({ 'index.html': 'hi', 'a.txt': 'a' });
+  assert.ok(push().ok);
+  await saveSiteFile(site, { path: 'b.txt', content: Buffer.from('b'), mimeType: 'text/plain' });
+  await saveSiteFile(site, { path: 'c.txt', content: Buffer.from('a'), mimeType: 'text/plain' });
+
+  const reads = t.mock.method(Site, 'getFile');
+  assert.strictEqual(await syncRepo(site), true);
+  assert.deepStrictEqual(reads.mock.calls.map(call => call.arguments[1]), ['b.txt']);
+  assert.strictEqual(git(repo, ['show', 'main:b.txt']).output, 'b');
+  assert.strictEqual(git(repo, ['show', 'main:c.txt']).output, 'a');
+
+  assert.strictEqual(await syncRepo(site), false);
+  assert.strictEqual(reads.mock.callCount(), 1);
+});
@@ -0,0 +1,78 @@
+// test/helpers.js - Setup shared by the tests that need PostgreSQL
+//
+// They use the app's own DB_* settings (see db.js), so point those at a
+// database that can be written to. Without one the tests are skipped
+// rather than failed. Users made here get random names and are deleted,
+// with their sites, once the file's tests are done.
+const crypto = require('crypto');
+const { after, test } = require('node:test');
+const { pool, initDatabase } = require('../src/db');
+const User = require('../src/models/User');
+const Site = require('../src/models/Site');
+
+let ready = null;
+const userIds = [];
+
+// Resolves with false if there is no database to test against
+function databaseReady() {
+  if (!ready) {
+    ready = pool.query('SELECT 1')
+      .then(() => initDatabase())
+      .then(() => true, () => false);
+  }
+  return ready;
+}
+
+// test() that's skipped when there is no database
+function dbTest(name, fn) {
+  test(name, async (t) => {
+    if (!(await databaseReady())) return t.skip('no database to test against');
+    return fn(t);
+  });
+}
+
+function uniqueName(prefix) {
+  return `${prefix}${crypto.randomBytes(4).toString('hex')}`;
+}
+
+async function createUser(fields = {}) {
+  const user = await User.create({ username: uniqueName('test'), passwordHash: 'x' });
+  userIds.push(user.id);
+  if (Object.keys(fields).length > 0) {
+    const columns = Object.keys(fields);
+    const result = await pool.query(
+      `UPDATE users SET ${columns.map((column, i) => `${column} = $${i + 2}`).join(', ')}
+       WHERE id = $1 RETURNING *`,
+      [user.id, ...Object.values(fields)]
+    );
+    return result.rows[0];
+  }
+  return user;
+}
+
+function createSite(owner, slug = uniqueName('site')) {
+  return Site.create({ ownerId: owner.id, slug: slug, title: slug });
+}
+
+// Start an app on a free port; resolves with its base URL. It's stopped
+// with the rest after the file's tests.
+const servers = [];
+function serve(app) {
+  return new Promise((resolve) => {
+    const server = app.listen(0, '127.0.0.1', () => {
+      resolve(`http://127.0.0.1:${server.address().port}`);
+    });
+    servers.push(server);
+  });
+}
+
+after(async () => {
+  servers.forEach(server => server.close());
+
+  if (await databaseReady()) {
+    await pool.query('DELETE FROM users WHERE id = ANY($1)', [userIds]);
+  }
+  await pool.end();
+});
+
+module.exports = { pool, dbTest, uniqueName, createUser, createSite, serve };
@@ -0,0 +1,27 @@
+const assert = require('node:assert');
+const { test } = require('node:test');
+const { isPrivateAddress, privateHost, publicLookup } = require('../src/lib/private-addresses');
+
+test('loopback, private, link-local and multicast addresses are private', () => {
+  for (const address of ['127.0.0.1', '10.0.0.1', '172.16.5.4', '192.168.1.1', '169.254.169.254', '100.64.0.1', '0.0.0.0', '224.0.0.1']) {
+    assert.ok(isPrivateAddress(address, 4), address);
+  }
+  for (const address of ['::1', '::', 'fd00::1', 'fe80::1', '::ffff:127.0.0.1', '::ffff:7f00:1']) {
+    assert.ok(isPrivateAddress(address, 6), address);
+  }
+  assert.ok(!isPrivateAddress('93.184.216.34', 4));
+  assert.ok(!isPrivateAddress('2606:2800:220:1:248:1893:25c8:1946', 6));
+});
+
+test('IP addresses in URLs are caught however they are written', () => {
+  for (const url of ['http://127.0.0.1/', 'http://2130706433/', 'http://0x7f.1/', 'http://[::1]:8080/', 'http://[::ffff:127.0.0.1]/']) {
+    assert.ok(privateHost(new URL(url)), url);
+  }
+  assert.strictEqual(privateHost(new URL('http://93.184.216.34/')), null);
+  assert.strictEqual(privateHost(new URL('http://localhost/')), null);
+});
+
+test('hostnames that resolve to private addresses fail to look up', async () => {
+  const err = await new Promise(resolve => publicLookup('localhost', {}, resolve));
+  assert.match(err.message, /localhost resolves to a private address/);
+});
@@ -0,0 +1,49 @@
+const assert = require('node:assert');
+const { pool, dbTest, createUser, createSite } = require('./helpers');
+const { QuotaError } = require('../src/lib/quota');
+const { saveSiteFile } = require('../src/lib/site-files');
+
+const PLAN = 'test-tiny';
+
+async function tinyPlanUser() {
+  await pool.query(
+    `INSERT INTO plans (name, title, max_storage, max_sites, max_file_size, allowed_extensions)
+     VALUES ($1, 'Tiny', 1000, 5, 1000, NULL)
+     ON CONFLICT (name) DO UPDATE SET max_storage = 1000, max_sites = 5, max_file_size = 1000`,
+    [PLAN]
+  );
+  return createUser({ plan: PLAN });
+}
+
+function save(site, path, size) {
+  return saveSiteFile(site, { path: path, content: Buffer.alloc(size, 'a'), mimeType: 'text/plain' });
+}
+
+dbTest('concurrent writes to one site can\'t both fit into the last bytes', async () => {
+  const site = await createSite(await tinyPlanUser());
+
+  const results = await Promise.allSettled([save(site, 'a.txt', 600), save(site, 'b.txt', 600)]);
+
+  const refused = results.filter(r => r.status === 'rejected');
+  assert.strictEqual(refused.length, 1);
+  assert.ok(refused[0].reason instanceof QuotaError);
+  const stored = await pool.query('SELECT SUM(size)::int AS used FROM site_files WHERE site_id = $1', [site.id]);
+  assert.strictEqual(stored.rows[0].used, 600);
+});
+
+dbTest('concurrent writes to two sites of one account share its quota', async () => {
+  const owner = await tinyPlanUser();
+  const sites = [await createSite(owner), await createSite(owner)];
+
+  const results = await Promise.allSettled(sites.map(site => save(site, 'index.html', 600)));
+
+  assert.deepStrictEqual(results.map(r => r.status).sort(), ['fulfilled', 'rejected']);
+});
+
+dbTest('a write that fits after another one committed goes through', async () => {
+  const site = await createSite(await tinyPlanUser());
+
+  await save(site, 'a.txt', 600);
+  await save(site, 'b.txt', 400);
+  await assert.rejects(save(site, 'c.txt', 1), QuotaError);
+});
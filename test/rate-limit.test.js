@@ -0,0 +1,30 @@
+const assert = require('node:assert');
+const { test } = require('node:test');
+const { rateLimiter } = require('../src/lib/rate-limit');
+
+test('each key is let through at most `limit` times in the window', (t) => {
+  let now = 1000000;
+  t.mock.method(Date, 'now', () => now);
+  const allow = rateLimiter(2, 60 * 1000);
+
+  assert.ok(allow(['site:1']));
+  assert.ok(allow(['site:1']));
+  assert.ok(!allow(['site:1']));
+  assert.ok(allow(['site:2']), 'other keys are counted apart');
+
+  now += 60 * 1000;
+  assert.ok(allow(['site:1']), 'uses older than the window no longer count');
+});
+
+test('a use counts against every key, and a refused one against none', (t) => {
+  let now = 1000000;
+  t.mock.method(Date, 'now', () => now);
+  const allow = rateLimiter(2, 60 * 1000);
+
+  assert.ok(allow(['ip:a', 'user:1']));
+  assert.ok(allow(['ip:b', 'user:1']));
+  assert.ok(!allow(['ip:c', 'user:1']), 'the account is used up from any address');
+  assert.ok(allow(['ip:a']), 'the refused post did not count against ip:c, nor this one twice');
+  assert.ok(!allow(['ip:a']));
+  assert.ok(allow(['ip:c']));
+});
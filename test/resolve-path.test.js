@@ -0,0 +1,34 @@
+const assert = require('node:assert');
+const { test } = require('node:test');
+const { resolveSitePath } = require('../src/lib/resolve-path');
+
+const FILES = ['index.html', 'about.html', 'blog/index.html', 'style.css', 'docs/index.html', 'docs.html'];
+
+function resolve(path, cleanUrls = false) {
+  return resolveSitePath(path, {
+    cleanUrls: cleanUrls,
+    getFile: async (file) => FILES.includes(file) ? { path: file } : null
+  });
+}
+
+test('folders serve their index.html', async () => {
+  assert.deepStrictEqual(await resolve(''), { file: { path: 'index.html' } });
+  assert.deepStrictEqual(await resolve('blog/'), { file: { path: 'blog/index.html' } });
+  assert.deepStrictEqual(await resolve('blog'), { redirect: 'blog/' });
+  assert.deepStrictEqual(await resolve('nothing/'), { notFound: true });
+});
+
+test('without clean URLs, paths are served as they are', async () => {
+  assert.deepStrictEqual(await resolve('about.html'), { file: { path: 'about.html' } });
+  assert.deepStrictEqual(await resolve('about'), { notFound: true });
+});
+
+test('clean URLs drop .html and index.html', async () => {
+  assert.deepStrictEqual(await resolve('about', true), { file: { path: 'about.html' } });
+  assert.deepStrictEqual(await resolve('about.html', true), { redirect: 'about' });
+  assert.deepStrictEqual(await resolve('blog/index.html', true), { redirect: 'blog/' });
+  assert.deepStrictEqual(await resolve('index.html', true), { redirect: '' });
+  assert.deepStrictEqual(await resolve('style.css', true), { file: { path: 'style.css' } });
+  assert.deepStrictEqual(await resolve('docs', true), { file: { path: 'docs.html' } });
+  assert.deepStrictEqual(await resolve('missing', true), { notFound: true });
+});
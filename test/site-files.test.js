@@ -0,0 +1,37 @@
+const assert = require('node:assert');
+const { dbTest, createUser, createSite } = require('./helpers');
+const Site = require('../src/models/Site');
+const { FileError, saveSiteFile, moveSitePath, copySitePath } = require('../src/lib/site-files');
+
+async function siteWith(files) {
+  const site = await createSite(await createUser());
+  for (const [path, content] of Object.entries(files)) {
+    await saveSiteFile(site, { path, content: Buffer.from(content), mimeType: 'text/plain' });
+  }
+  return site;
+}
+
+dbTest('moving a folder carries every file with its content', async () => {
+  const site = await siteWith({ 'a/x.txt': 'x', 'a/b/y.txt': 'y', 'z.txt': 'z' });
+
+  const result = await moveSitePath(site, 'a', 'c');
+  assert.strictEqual(result.moved, 2);
+  assert.deepStrictEqual((await Site.listFileSizes(site.id)).map(f => f.path), ['c/b/y.txt', 'c/x.txt', 'z.txt']);
+  assert.strictEqual(Site.fileBuffer(await Site.getFile(site.id, 'c/b/y.txt')).toString(), 'y');
+});
+
+dbTest('a copy keeps the original', async () => {
+  const site = await siteWith({ 'a.txt': 'a' });
+
+  await copySitePath(site, 'a.txt', 'b.txt');
+  assert.strictEqual(Site.fileBuffer(await Site.getFile(site.id, 'a.txt')).toString(), 'a');
+  assert.strictEqual(Site.fileBuffer(await Site.getFile(site.id, 'b.txt')).toString(), 'a');
+});
+
+dbTest('a file that is not valid as _redirects cannot become it', async () => {
+  const site = await siteWith({ 'rules.txt': 'not a rule', 'ok.txt': '/a /b 301' });
+
+  await assert.rejects(moveSitePath(site, 'rules.txt', '_redirects'), FileError);
+  await moveSitePath(site, 'ok.txt', '_redirects');
+  assert.deepStrictEqual((await Site.listFileSizes(site.id)).map(f => f.path), ['_redirects', 'rules.txt']);
+});
@@ -0,0 +1,35 @@
+const assert = require('node:assert');
+const { test } = require('node:test');
+
+process.env.SITES_DOMAIN = 'Sites.Example.org';
+delete process.env.SITES_ORIGIN;
+delete process.env.SITES_PROTOCOL;
+const { usernameToLabel, siteUrl, draftPreviewUrl, matchSitesHost } = require('../src/lib/sites-origin');
+const { dbTest, createUser } = require('./helpers');
+const User = require('../src/models/User');
+
+test('usernames become lowercase hostname labels', () => {
+  assert.strictEqual(usernameToLabel('Al_Ice'), 'al-ice');
+  assert.strictEqual(usernameToLabel('bob99'), 'bob99');
+});
+
+test('sites get a subdomain of SITES_DOMAIN', () => {
+  assert.strictEqual(siteUrl('Al_Ice', 'home'), 'https://al-ice.sites.example.org/home/');
+  assert.strictEqual(siteUrl('bob', 'home', 'a/b.html'), 'https://bob.sites.example.org/home/a/b.html');
+  assert.strictEqual(draftPreviewUrl('bob', 'tok', 'x.html'), 'https://bob.sites.example.org/_preview/tok/x.html');
+});
+
+test('only single labels under SITES_DOMAIN are sites hosts', () => {
+  assert.deepStrictEqual(matchSitesHost('Al-Ice.SITES.example.org'), { mode: 'subdomain', label: 'al-ice' });
+  assert.strictEqual(matchSitesHost('a.b.sites.example.org'), null);
+  assert.strictEqual(matchSitesHost('sites.example.org'), null);
+  assert.strictEqual(matchSitesHost('evilsites.example.org'), null);
+  assert.strictEqual(matchSitesHost('example.org'), null);
+  assert.strictEqual(matchSitesHost(undefined), null);
+});
+
+dbTest('a username is found by its label, whatever its case', async () => {
+  const user = await createUser();
+  const upper = user.username.toUpperCase();
+  assert.strictEqual((await User.findByHostLabel(usernameToLabel(upper))).id, user.id);
+});
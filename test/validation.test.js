@@ -0,0 +1,20 @@
+const assert = require('node:assert');
+const { test } = require('node:test');
+const { validateSlug, validateFilePath } = require('../src/lib/validation');
+
+test('file paths are relative, with plain names only', () => {
+  for (const path of ['index.html', 'blog/2024/post.html', '_redirects', 'a-b_c.d']) {
+    assert.ok(validateFilePath(path).valid, path);
+  }
+  for (const path of ['', '/index.html', 'a//b', 'a/', '../x', 'a/../b', './a', 'a/.', 'bad name', 'a\\b', 'é.html', 'x'.repeat(501)]) {
+    assert.ok(!validateFilePath(path).valid, path);
+  }
+  assert.ok(!validateFilePath(undefined).valid);
+});
+
+test('slugs are lowercase words joined by hyphens', () => {
+  assert.ok(validateSlug('my-site').valid);
+  for (const slug of ['ab', 'My-Site', '-site', 'site-', 'my_site', 'x'.repeat(51)]) {
+    assert.ok(!validateSlug(slug).valid, slug);
+  }
+});
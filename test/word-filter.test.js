@@ -0,0 +1,27 @@
+const assert = require('node:assert');
+const { test } = require('node:test');
+const { parseWordList, validateWordList, findBlockedWord } = require('../src/lib/word-filter');
+
+test('word lists are split on lines and commas, lowercased and deduplicated', () => {
+  assert.deepStrictEqual(parseWordList('Spam, cheap   pills\nSPAM\r\n\n,bad'), ['spam', 'cheap pills', 'bad']);
+  assert.deepStrictEqual(parseWordList(''), []);
+});
+
+test('word lists have limits', () => {
+  assert.ok(validateWordList(['spam']).valid);
+  assert.ok(!validateWordList(Array.from({ length: 201 }, (_, i) => `w${i}`)).valid);
+  assert.ok(!validateWordList(['x'.repeat(51)]).valid);
+});
+
+test('only whole words match, whatever the case and spacing', () => {
+  assert.strictEqual(findBlockedWord(['buy CHEAP\n  pills now'], ['cheap pills']), 'cheap pills');
+  assert.strictEqual(findBlockedWord(['Hello', 'http://spam.example'], ['spam']), 'spam');
+  assert.strictEqual(findBlockedWord(['a first-class site'], ['ass']), null);
+  assert.strictEqual(findBlockedWord(['spammer'], ['spam']), null);
+  assert.strictEqual(findBlockedWord(['ünspam'], ['spam']), null);
+});
+
+test('listed words are matched literally', () => {
+  assert.strictEqual(findBlockedWord(['call me maybe'], ['c.ll']), null);
+  assert.strictEqual(findBlockedWord(['see c.ll'], ['c.ll']), 'c.ll');
+});